@@ -2,7 +2,8 @@ import "dotenv/config";
 import TelegramBot from "node-telegram-bot-api";
 import { spawn } from "child_process";
 import { createReadStream } from "fs";
-import { access, mkdir } from "fs/promises";
+import { access, lstat, mkdir, mkdtemp, readFile, readdir, rename, rm, stat } from "fs/promises";
+import os from "os";
 import path from "path";
 import { loadConfig } from "./src/config.js";
 import { loadJsonObject, saveJsonObjectAtomic } from "./src/json-store.js";
@@ -13,10 +14,68 @@ import {
   sanitizePushNarration,
 } from "./src/message-utils.js";
 import {
+  ROLES,
+  createEmptyAccessStore,
+  formatUserRoles,
+  getCommandName,
+  getRequiredRole,
+  getUserRole,
+  grantUserRole,
+  hasRole,
+  normalizeAccessStore,
+  revokeUserRole,
+} from "./src/access-control.js";
+import {
+  applyCodexEvent,
+  createCodexRunState,
+  formatProgressMessage,
+  hasRunActivity,
+  parseCodexEventLine,
+  splitJsonLines,
+} from "./src/codex-events.js";
+import {
+  createChatTarget,
+  getChatTarget,
+  isChatAllowed,
+  resolveAddressedText,
+  withThread,
+} from "./src/chat-context.js";
+import {
+  clearCodexThread,
+  createEmptySession,
+  forgetSessionRepo,
+  getResumableThreadId,
+  normalizeSession,
+  resetSessionRepoState,
+  setCodexThread,
+  switchSessionRepo,
+} from "./src/chat-session.js";
+import {
+  completeJob,
+  createEmptyJobQueue,
+  createJobId,
+  enqueueJob,
+  formatJobQueue,
+  formatInterruptedJobNotice,
+  getJobChat,
+  getJobChatKey,
+  getNextJob,
+  getPendingJobs,
+  markJobStarted,
+  normalizeJobQueue,
+  removePendingJob,
+  snapshotMessage,
+  takeInterruptedJobs,
+} from "./src/job-queue.js";
+import {
+  CLEAR_INLINE_KEYBOARD,
   REMOVE_KEYBOARD,
   clearPendingPush,
   createConfirmPushReplyOptions,
   getPostRunReplyOptions,
+  parsePushCallbackData,
+  releasePushConfirmation,
+  resolvePushCallback,
   resolvePushRequest,
   stagePendingPush,
 } from "./src/push-flow.js";
@@ -26,37 +85,213 @@ import {
   normalizeAliasName,
 } from "./src/repo-alias-utils.js";
 import {
+  GLOBAL_MEMORY_SCOPE,
+  MEMORY_STORE_VERSION,
+  REMEMBER_USAGE,
   buildMemoryPromptSection,
   createEmptyMemoryStore,
+  filterMemoriesByTag,
   forgetRepoFact,
   formatRepoMemories,
+  getMemoriesForRepo,
   getRepoMemories,
+  migrateMemoryStore,
   normalizeMemoryText,
+  parseMemoriesCommand,
+  parseRememberCommand,
   rememberRepoFact,
+  setMemoryPinned,
 } from "./src/repo-memory.js";
+import { ALLOWED_UPDATES, createWebhookHandler, startWebhookServer } from "./src/webhook.js";
+import { buildAgentInvocation, resolveAgentAdapter, supportsResume } from "./src/agent-adapters.js";
+import { buildRunReport, formatRunReport } from "./src/run-report.js";
+import {
+  buildDiffArgs,
+  createDiffKeyboard,
+  describeDiffTarget,
+  parseDiffArgs,
+  parseDiffCallbackData,
+  splitPatchByFile,
+} from "./src/diff-view.js";
+import {
+  createCheckpoint,
+  deleteCheckpoint,
+  findCheckpoint,
+  formatCheckpointList,
+  resolveCheckpointScope,
+  listCheckpoints,
+  pruneCheckpoints,
+  restoreCheckpoint,
+} from "./src/git-checkpoints.js";
+import {
+  PROVIDER_NAMES,
+  getPullRequestStatus,
+  getRequestNoun,
+  mergePullRequest,
+  openOrUpdatePullRequest,
+  resolveHostingTarget,
+} from "./src/git-hosting.js";
+import { PR_USAGE, buildPrDescriptionPrompt, parsePrCommand } from "./src/pr-command.js";
+import {
+  MERGE_USAGE,
+  createEmptyPrStore,
+  describeStatusChanges,
+  findTrackedPullRequest,
+  formatPullRequestList,
+  getMergeBlocker,
+  getTrackedPullRequests,
+  isPullRequestOpen,
+  normalizePrStore,
+  parseMergeCommand,
+  recordPullRequestStatus,
+  trackPullRequest,
+} from "./src/pr-tracking.js";
+import {
+  GET_USAGE,
+  chooseDelivery,
+  formatSkippedOutboxFiles,
+  listOutboxFiles,
+  parseGetCommand,
+  planOutboxDelivery,
+} from "./src/file-delivery.js";
+import {
+  buildUploadPromptSection,
+  checkUpload,
+  getDocumentKind,
+  getExtractDirName,
+  sanitizeUploadName,
+} from "./src/uploads.js";
+import { getArchiveKind, readArchiveEntries, writeArchiveEntries } from "./src/archive-extract.js";
+import {
+  buildSplitArgs,
+  buildTranscribeCommand,
+  buildTranscriptionUrl,
+  buildWavArgs,
+  cleanCommandTranscript,
+  commandNeedsWav,
+  getChunkSeconds,
+  getTranscriptionBlocker,
+  joinTranscripts,
+  needsSplitting,
+} from "./src/transcription.js";
+import {
+  INPUTS_USAGE,
+  formatBytes,
+  formatInputsUsage,
+  isSafeInputsDir,
+  listInputEntries,
+  parseInputsCommand,
+  planInputsCleanup,
+  planInputsPurge,
+  removeInputEntries,
+} from "./src/inputs-retention.js";
+import {
+  CAT_USAGE,
+  GREP_USAGE,
+  LOG_USAGE,
+  TELEGRAM_UPLOAD_LIMIT_BYTES,
+  buildGrepArgs,
+  formatDirectoryListing,
+  formatGrepOutput,
+  isProbablyBinary,
+  parseCatCommand,
+  parseGrepCommand,
+  parseLogCommand,
+  resolveRepoPath,
+  sliceLines,
+} from "./src/repo-browse.js";
+import {
+  TEST_USAGE,
+  appendTestLog,
+  buildTestInvocation,
+  buildTestLogFileName,
+  createEmptyTestRunStore,
+  formatTestResult,
+  getPushTestBlocker,
+  isTestRunPassing,
+  markTestRunStale,
+  normalizeTestRunStore,
+  parseTestSummary,
+  recordTestRun,
+} from "./src/test-runner.js";
+import {
+  SCHEDULE_USAGE,
+  addSchedule,
+  advanceSchedule,
+  createEmptyScheduleStore,
+  formatScheduleList,
+  getChatSchedules,
+  getDueSchedules,
+  normalizeScheduleStore,
+  parseScheduleCommand,
+  removeSchedule,
+} from "./src/schedules.js";
+import {
+  addRepoTask,
+  allocateTaskId,
+  buildTaskRecord,
+  createEmptyTaskStore,
+  createTaskRepoContext,
+  findRepoTask,
+  formatTaskList,
+  getRepoTasks,
+  normalizeTaskStore,
+  removeRepoTask,
+} from "./src/task-worktrees.js";
 
 const config = loadConfig();
 const defaultRepoDef = {
   dir: config.targetRepoDir,
   branch: config.targetBranch,
   remote: config.targetRemote,
+  provider: config.targetProvider,
+  apiUrl: config.targetApiUrl,
+  agent: config.defaultAgent,
+  testCommand: config.targetTestCommand,
 };
-let repoAliasStore = { aliases: {}, active: null };
+let repoAliasStore = { aliases: {} };
 let repoMemoryStore = createEmptyMemoryStore();
+let accessStore = createEmptyAccessStore();
+let taskStore = createEmptyTaskStore();
+let testRunStore = createEmptyTestRunStore();
+let prStore = createEmptyPrStore();
+let scheduleStore = createEmptyScheduleStore();
 
-// Simple single-flight lock (prevents overlapping Codex runs)
-let busy = false;
 let sessions = {};
-
-if (!config.token || !config.allowedUserId) {
-  console.error("Missing TELEGRAM_BOT_TOKEN or TELEGRAM_ALLOWED_USER_ID");
+let jobQueue = createEmptyJobQueue();
+
+// Jobs run one at a time (prevents overlapping Codex runs)
+let runningJob = null;
+let drainingQueue = false;
+let activeCodexRun = null;
+
+// /diff results kept in memory so inline buttons can show single files
+const diffViews = new Map();
+const MAX_DIFF_VIEWS = 20;
+
+// Uploaded patches waiting for their "Apply" button, by callback token
+const patchOffers = new Map();
+const MAX_PATCH_OFFERS = 20;
+
+let pollingPullRequests = false;
+let firingSchedules = false;
+let cleaningInputs = false;
+// Uploads being handled outside the job queue (a patch being checked and
+// offered, or an Apply press on its way into the queue). Their files aren't
+// referenced anywhere yet, so cleanup waits for them.
+let inputsInUse = 0;
+const SCHEDULE_TICK_MS = 30000;
+
+if (!config.token || !Object.keys(config.userRoles).length) {
+  console.error("Missing TELEGRAM_BOT_TOKEN or TELEGRAM_ALLOWED_USER_ID/TELEGRAM_USER_ROLES");
   process.exit(1);
 }
 
-const bot = new TelegramBot(config.token, { polling: true });
+// Long polling unless a webhook URL is configured; see startWebhook().
+const bot = new TelegramBot(config.token, { polling: !config.webhook });
 
 async function loadSessions() {
-  sessions = await loadJsonObject(config.sessionPath, {}, {
+  const parsed = await loadJsonObject(config.sessionPath, {}, {
     backupOnCorrupt: true,
     onCorrupt(backupPath, error) {
       if (backupPath) {
@@ -67,6 +302,10 @@ async function loadSessions() {
       console.error("Failed to load session store. Starting with empty sessions.", error);
     },
   });
+  sessions = {};
+  for (const [key, session] of Object.entries(parsed)) {
+    sessions[key] = normalizeSession(session);
+  }
 }
 
 async function saveSessions() {
@@ -83,41 +322,213 @@ async function loadRepoMemoryStore() {
       console.error("Failed to load repo memory store. Starting with empty repo memories.", error);
     },
   });
-  repoMemoryStore = {
-    repos: parsed.repos && typeof parsed.repos === "object" ? parsed.repos : {},
-  };
+  try {
+    repoMemoryStore = migrateMemoryStore(parsed);
+  } catch (err) {
+    // Most likely written by a newer bot; leave the file as it is.
+    console.error(
+      `Cannot read repo memory store ${config.repoMemoryStorePath} (version ${JSON.stringify(parsed.version)}): ${err.message || err}. ` +
+        "Upgrade the bot or move the file aside; it was not modified."
+    );
+    process.exit(1);
+  }
+  if (parsed.version !== MEMORY_STORE_VERSION && Object.keys(repoMemoryStore.repos).length) {
+    await saveRepoMemoryStore();
+    console.log(`Migrated repo memory store to version ${MEMORY_STORE_VERSION}.`);
+  }
 }
 
 async function saveRepoMemoryStore() {
   await saveJsonObjectAtomic(config.repoMemoryStorePath, repoMemoryStore);
 }
 
-async function ensureInputsDir() {
-  await mkdir(config.inputsDir, { recursive: true });
+async function loadAccessStore() {
+  const parsed = await loadJsonObject(config.accessStorePath, createEmptyAccessStore(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Access store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load access store. Using configured roles only.", error);
+    },
+  });
+  accessStore = normalizeAccessStore(parsed);
+}
+
+async function saveAccessStore() {
+  await saveJsonObjectAtomic(config.accessStorePath, accessStore);
+}
+
+function getRoleForUser(userId) {
+  return getUserRole(config.userRoles, accessStore, userId);
+}
+
+async function loadTaskStore() {
+  const parsed = await loadJsonObject(config.taskStorePath, createEmptyTaskStore(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Task store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load task store. Starting with no task worktrees.", error);
+    },
+  });
+  taskStore = normalizeTaskStore(parsed);
+}
+
+async function saveTaskStore() {
+  await saveJsonObjectAtomic(config.taskStorePath, taskStore);
+}
+
+async function loadTestRunStore() {
+  const parsed = await loadJsonObject(config.testRunStorePath, createEmptyTestRunStore(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Test run store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load test run store. Starting with no test results.", error);
+    },
+  });
+  testRunStore = normalizeTestRunStore(parsed);
+}
+
+async function saveTestRunStore() {
+  await saveJsonObjectAtomic(config.testRunStorePath, testRunStore);
+}
+
+async function markCheckoutChanged(repo) {
+  if (markTestRunStale(testRunStore, repo.dir, new Date().toISOString())) {
+    await saveTestRunStore();
+  }
+}
+
+async function loadPrStore() {
+  const parsed = await loadJsonObject(config.prStorePath, createEmptyPrStore(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Pull request store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load pull request store. Starting with no tracked pull requests.", error);
+    },
+  });
+  prStore = normalizePrStore(parsed);
+}
+
+async function savePrStore() {
+  await saveJsonObjectAtomic(config.prStorePath, prStore);
+}
+
+async function loadScheduleStore() {
+  const parsed = await loadJsonObject(config.scheduleStorePath, createEmptyScheduleStore(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Schedule store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load schedule store. Starting with no schedules.", error);
+    },
+  });
+  scheduleStore = normalizeScheduleStore(parsed);
+}
+
+async function saveScheduleStore() {
+  await saveJsonObjectAtomic(config.scheduleStorePath, scheduleStore);
+}
+
+async function loadJobQueue() {
+  const parsed = await loadJsonObject(config.jobQueueStorePath, createEmptyJobQueue(), {
+    backupOnCorrupt: true,
+    onCorrupt(backupPath, error) {
+      if (backupPath) {
+        console.error(`Job queue store was unreadable. Backed up original to: ${backupPath}`);
+      }
+      console.error("Failed to load job queue. Starting with an empty queue.", error);
+    },
+  });
+  jobQueue = normalizeJobQueue(parsed);
+  const { interrupted } = takeInterruptedJobs(jobQueue);
+  if (interrupted.length) {
+    await saveJobQueue();
+  }
+  return interrupted;
+}
+
+async function saveJobQueue() {
+  await saveJsonObjectAtomic(config.jobQueueStorePath, jobQueue);
+}
+
+function createRepoContext(def, alias) {
+  const dir = path.resolve(def.dir);
+  return {
+    alias: alias || null,
+    dir,
+    rootDir: dir,
+    branch: def.branch || defaultRepoDef.branch,
+    remote: def.remote || defaultRepoDef.remote,
+    provider: def.provider || null,
+    apiUrl: def.apiUrl || null,
+    agent: def.agent || defaultRepoDef.agent,
+    testCommand: def.testCommand || null,
+  };
+}
+
+function getChatBaseRepo(chat) {
+  const alias = getSession(chat).repoAlias;
+  const def = alias && repoAliasStore.aliases[alias];
+  return def ? createRepoContext(def, alias) : createRepoContext(defaultRepoDef, null);
+}
+
+function getRepoForChat(chat) {
+  const repo = getChatBaseRepo(chat);
+  const { activeTaskId } = getSession(chat);
+  const task = config.taskWorktrees && activeTaskId ? taskStore.repos[repo.dir]?.[activeTaskId] : null;
+  return task ? createTaskRepoContext(repo, task) : repo;
+}
+
+function getInputsDir(repo) {
+  return path.resolve(repo.dir, config.inputsSubdir);
+}
+
+async function ensureInputsDir(repo) {
+  await mkdir(getInputsDir(repo), { recursive: true });
+}
+
+function getOutboxDir(repo) {
+  return path.resolve(repo.dir, config.outboxSubdir);
 }
 
-function getSession(chatId) {
-  const key = String(chatId);
+function getSession(chat) {
+  const key = chat.key;
   if (!sessions[key]) {
-    sessions[key] = { history: [], pendingPush: null };
+    sessions[key] = createEmptySession();
   }
   return sessions[key];
 }
 
-function addHistory(chatId, role, content) {
-  const session = getSession(chatId);
+function sendMessage(chat, text, options = {}) {
+  return bot.sendMessage(chat.chatId, text, withThread(chat, options));
+}
+
+function addHistory(chat, role, content, extra = {}) {
+  const session = getSession(chat);
   session.history.push({
     role,
     content: String(content || "").slice(0, config.resultStoreLimit),
     ts: new Date().toISOString(),
+    ...extra,
   });
   if (session.history.length > config.historyStoreLimit) {
     session.history = session.history.slice(-config.historyStoreLimit);
   }
 }
 
-function buildHistoryContext(chatId) {
-  const session = getSession(chatId);
+const RESUMED_HISTORY_NOTE =
+  "This continues your earlier session in this chat; earlier turns are already in your context.";
+
+function buildHistoryContext(chat) {
+  const session = getSession(chat);
   const turns = session.history.slice(-config.historyTurns);
   if (!turns.length) return "No prior conversation context.";
   return turns
@@ -128,14 +539,19 @@ function buildHistoryContext(chatId) {
     .join("\n\n");
 }
 
-function getCurrentRepoMemories() {
-  return getRepoMemories(repoMemoryStore, config.targetRepoDir);
+function getCurrentRepoMemories(repo) {
+  return getRepoMemories(repoMemoryStore, repo.rootDir || repo.dir);
+}
+
+// Memories for the repo's prompt: its own plus the global ones.
+function getPromptMemories(repo) {
+  return getMemoriesForRepo(repoMemoryStore, repo.rootDir || repo.dir);
 }
 
-async function rememberCurrentRepoFact(text, meta = {}) {
+async function rememberCurrentRepoFact(text, meta = {}, repo, scope = repo.rootDir || repo.dir) {
   const result = rememberRepoFact(
     repoMemoryStore,
-    config.targetRepoDir,
+    scope,
     text,
     new Date().toISOString(),
     meta
@@ -145,13 +561,13 @@ async function rememberCurrentRepoFact(text, meta = {}) {
   return result;
 }
 
-async function saveAutoRepoMemory(text, meta = {}) {
+async function saveAutoRepoMemory(text, meta = {}, repo) {
   const normalized = normalizeMemoryText(text);
   if (!normalized) return null;
-  return rememberCurrentRepoFact(normalized, { source: "auto", ...meta });
+  return rememberCurrentRepoFact(normalized, { source: "auto", ...meta }, repo);
 }
 
-async function sendLongMessage(chatId, text, lastMessageOptions = {}) {
+async function sendLongMessage(chat, text, lastMessageOptions = {}) {
   const safe = String(text || "(no output)").replace(/```/g, "");
   const chunkSize = config.telegramMax - 20;
   const chunks = chunkTextByParagraph(safe, chunkSize);
@@ -159,47 +575,93 @@ async function sendLongMessage(chatId, text, lastMessageOptions = {}) {
   for (let i = 0; i < chunks.length; i += 1) {
     const chunk = chunks[i];
     const isLast = i === chunks.length - 1;
-    await bot.sendMessage(chatId, chunk, isLast ? lastMessageOptions : {});
+    await sendMessage(chat, chunk, isLast ? lastMessageOptions : {});
   }
 }
 
-function runCodex(promptText, sandboxMode = config.defaultSandbox) {
+function getRepoAgent(repo) {
+  return resolveAgentAdapter(config.agents, repo.agent || config.defaultAgent);
+}
+
+// Runs the repo's coding agent (Codex unless the alias picks another adapter).
+// Errors carry the run state so callers can tell whether the agent did anything.
+function runCodex(promptText, sandboxMode, repo, { onProgress = () => {}, resumeThreadId = null } = {}) {
   return new Promise((resolve, reject) => {
     let finished = false;
-    const args = [
-      "exec",
-      "--cd",
-      config.targetRepoDir,
-      "--sandbox",
-      sandboxMode,
-      promptText,
-    ];
+    let adapter;
+    let invocation;
+    try {
+      adapter = getRepoAgent(repo);
+      invocation = buildAgentInvocation(adapter, {
+        prompt: promptText,
+        sandbox: sandboxMode,
+        dir: repo.dir,
+        // Worktree commits write objects into the main checkout's .git.
+        writableRoots: repo.taskId ? [path.resolve(repo.rootDir, ".git")] : [],
+        resumeThreadId,
+      });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const timeoutMs = adapter.timeoutMs || config.codexTimeoutMs;
 
-    const child = spawn(config.codexBin, args, {
-      stdio: ["ignore", "pipe", "pipe"],
+    const child = spawn(invocation.command, invocation.args, {
+      cwd: repo.dir,
+      stdio: [invocation.stdin === null ? "ignore" : "pipe", "pipe", "pipe"],
       env: {
         ...process.env,
-        GIT_DIR: config.primaryGitDir,
-        GIT_WORK_TREE: config.targetRepoDir,
+        GIT_DIR: repo.gitDir || path.resolve(repo.dir, ".git"),
+        GIT_WORK_TREE: repo.dir,
       },
     });
+    if (invocation.stdin !== null) {
+      child.stdin.on("error", () => {});
+      child.stdin.end(invocation.stdin);
+    }
+    const run = { child, canceled: false };
+    activeCodexRun = run;
 
-    let out = "";
+    const state = createCodexRunState();
+    let pending = "";
+    let rawOut = "";
     let err = "";
 
+    const handleLines = (lines) => {
+      for (const line of lines) {
+        const event = adapter.output === "codex-json" ? parseCodexEventLine(line) : null;
+        if (!event) {
+          rawOut += `${line}\n`;
+          continue;
+        }
+        applyCodexEvent(state, event);
+        onProgress(state);
+      }
+    };
+
+    const releaseRun = () => {
+      if (activeCodexRun === run) activeCodexRun = null;
+    };
+
     const timeoutId = setTimeout(() => {
       if (finished) return;
       finished = true;
-      child.kill("SIGTERM");
-      reject(
-        new Error(
-          `codex timed out after ${config.codexTimeoutMs}ms. Increase CODEX_TIMEOUT_MS if needed.`
-        )
+      releaseRun();
+      terminateChild(child);
+      const error = new Error(
+        `${adapter.name} timed out after ${timeoutMs}ms. Increase ${
+          adapter.timeoutMs ? `timeoutMs for agent '${adapter.name}'` : "CODEX_TIMEOUT_MS"
+        } if needed.`
       );
-    }, config.codexTimeoutMs);
+      error.timedOut = true;
+      error.runState = state;
+      reject(error);
+    }, timeoutMs);
 
     child.stdout.on("data", (d) => {
-      out += d.toString();
+      const { lines, rest } = splitJsonLines(pending, d.toString());
+      pending = rest;
+      handleLines(lines);
     });
     child.stderr.on("data", (d) => {
       err += d.toString();
@@ -208,22 +670,114 @@ function runCodex(promptText, sandboxMode = config.defaultSandbox) {
     child.on("error", (e) => {
       if (finished) return;
       finished = true;
+      releaseRun();
       clearTimeout(timeoutId);
       reject(e);
     });
+    child.on("exit", () => {
+      if (finished || !run.canceled) return;
+      finished = true;
+      releaseRun();
+      clearTimeout(timeoutId);
+      reject(createCanceledError());
+    });
     child.on("close", (code) => {
       if (finished) return;
       finished = true;
+      releaseRun();
       clearTimeout(timeoutId);
+      handleLines([pending.trim()].filter(Boolean));
       if (code !== 0) {
-        reject(new Error(err || `codex exited with code ${code}`));
+        const error = new Error(state.error || err || `${adapter.name} exited with code ${code}`);
+        error.runState = state;
+        reject(error);
       } else {
-        resolve(out || "(no output)");
+        resolve(state.finalMessage || rawOut.trim() || "(no output)");
       }
     });
   });
 }
 
+function createCanceledError() {
+  const error = new Error("Codex run canceled via /cancel.");
+  error.canceled = true;
+  return error;
+}
+
+function terminateChild(child) {
+  child.kill("SIGTERM");
+  const killTimer = setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGKILL");
+    }
+  }, config.codexCancelGraceMs);
+  child.once("exit", () => clearTimeout(killTimer));
+}
+
+function cancelActiveCodexRun() {
+  if (!activeCodexRun || activeCodexRun.canceled) return false;
+  activeCodexRun.canceled = true;
+  terminateChild(activeCodexRun.child);
+  return true;
+}
+
+function createProgressReporter(chat, statusMessage, header) {
+  const startedAt = Date.now();
+  let latestState = createCodexRunState();
+  let lastText = "";
+  let lastEditAt = 0;
+  let timer = null;
+  let closed = false;
+  let editChain = Promise.resolve();
+
+  const edit = (text) => {
+    if (!statusMessage?.message_id || text === lastText) return editChain;
+    lastText = text;
+    lastEditAt = Date.now();
+    editChain = editChain
+      .then(() =>
+        bot.editMessageText(text, {
+          chat_id: chat.chatId,
+          message_id: statusMessage.message_id,
+        })
+      )
+      .catch((error) => {
+        if (!/message is not modified/i.test(String(error?.message || error))) {
+          console.error("Failed to update progress message.", error);
+        }
+      });
+    return editChain;
+  };
+
+  const flush = () => {
+    timer = null;
+    if (closed) return;
+    edit(formatProgressMessage(latestState, Date.now() - startedAt, { header }));
+  };
+
+  const schedule = () => {
+    if (closed || timer) return;
+    const wait = Math.max(0, lastEditAt + config.codexProgressIntervalMs - Date.now());
+    timer = setTimeout(flush, wait);
+  };
+
+  const ticker = setInterval(schedule, config.codexProgressIntervalMs);
+
+  return {
+    update(state) {
+      latestState = state;
+      schedule();
+    },
+    async finish(label) {
+      if (closed) return;
+      closed = true;
+      clearInterval(ticker);
+      clearTimeout(timer);
+      await edit(formatProgressMessage(latestState, Date.now() - startedAt, { header: label }));
+    },
+  };
+}
+
 function runCommand(cmd, args, options = {}) {
   return new Promise((resolve, reject) => {
     const child = spawn(cmd, args, {
@@ -240,23 +794,100 @@ function runCommand(cmd, args, options = {}) {
   });
 }
 
-function gitArgs() {
-  return ["-C", config.targetRepoDir];
+// Runs the repo's test command directly (no shell) and collects stdout and
+// stderr into one log. It registers as the active run so /cancel stops it.
+function runTests(repo, argsText) {
+  return new Promise((resolve, reject) => {
+    let invocation;
+    try {
+      invocation = buildTestInvocation(repo.testCommand, argsText);
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const startedAt = Date.now();
+    const child = spawn(invocation.command, invocation.args, {
+      cwd: repo.dir,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: { ...process.env, CI: process.env.CI || "1" },
+    });
+    const run = { child, canceled: false };
+    activeCodexRun = run;
+    let log = `$ ${[invocation.command, ...invocation.args].join(" ")}\n`;
+    let timedOut = false;
+    const collect = (d) => {
+      log = appendTestLog(log, d.toString());
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      terminateChild(child);
+    }, config.testTimeoutMs);
+    const release = () => {
+      clearTimeout(timeoutId);
+      if (activeCodexRun === run) activeCodexRun = null;
+    };
+    child.on("error", (e) => {
+      release();
+      reject(new Error(`Could not start ${invocation.command}: ${e.message}`));
+    });
+    child.on("close", (code) => {
+      release();
+      resolve({
+        code,
+        timedOut,
+        canceled: run.canceled,
+        durationMs: Date.now() - startedAt,
+        summary: parseTestSummary(log),
+        log,
+      });
+    });
+  });
+}
+
+async function sendTestLog(chat, repo, result) {
+  await bot.sendDocument(
+    chat.chatId,
+    Buffer.from(result.log, "utf8"),
+    withThread(chat, { caption: formatTestResult(result) }),
+    { filename: buildTestLogFileName(repo.alias), contentType: "text/plain" }
+  );
+}
+
+function gitArgs(repo) {
+  return ["-C", repo.dir];
 }
 
-async function runGit(args) {
-  return runCommand("git", [...gitArgs(), ...args]);
+async function runGit(args, repo) {
+  return runCommand("git", [...gitArgs(repo), ...args]);
+}
+
+function createCheckpointGit(repo) {
+  return (args, env = {}) =>
+    runCommand("git", [...gitArgs(repo), ...args], { env: { ...process.env, ...env } });
+}
+
+async function takeRunCheckpoint(repo, label) {
+  const git = createCheckpointGit(repo);
+  const scope = await resolveCheckpointScope(git);
+  const checkpoint = await createCheckpoint(git, {
+    scope,
+    label,
+    excludeSpecs: getBridgeExcludePathspecs(repo),
+  });
+  await pruneCheckpoints(git, scope, config.checkpointLimit);
+  return checkpoint;
 }
 
 const MAX_DIFF_PREVIEW_CHARS = 3500;
-const OPENAI_TRANSCRIBE_URL = "https://api.openai.com/v1/audio/transcriptions";
-const GITHUB_API = "https://api.github.com";
+const MAX_PR_DRAFT_DIFF_CHARS = 20000;
 
-async function buildDiffPreview({ ref = null } = {}) {
+async function buildDiffPreview({ ref = null } = {}, repo) {
   const args = ref
     ? ["show", "--stat", "--patch", "-U3", "--color=never", ref]
     : ["diff", "--stat", "--patch", "-U3", "--color=never"];
-  const diff = await runGit(args);
+  const diff = await runGit(args, repo);
   if (diff.code !== 0) return "";
   const trimmed = (diff.out || "").trim();
   if (!trimmed) return "";
@@ -270,32 +901,21 @@ async function saveRepoAliasStore() {
   await saveJsonObjectAtomic(config.repoAliasStorePath, repoAliasStore);
 }
 
-async function applyRepoSelection(def, aliasName, { persist = true, resetSessions = true } = {}) {
+async function selectChatRepo(chat, def, aliasName) {
   const resolvedDir = path.resolve(def.dir);
   try {
     await access(path.join(resolvedDir, ".git"));
   } catch {
-    throw new Error(`TARGET_REPO_DIR does not look like a git repo: ${resolvedDir}`);
-  }
-  config.targetRepoDir = resolvedDir;
-  config.targetBranch = def.branch || defaultRepoDef.branch;
-  config.targetRemote = def.remote || defaultRepoDef.remote;
-  config.inputsDir = path.resolve(resolvedDir, config.inputsSubdir);
-  config.primaryGitDir = path.resolve(resolvedDir, ".git");
-  repoAliasStore.active = aliasName;
-  if (persist) {
-    await saveRepoAliasStore();
-  }
-  if (resetSessions) {
-    sessions = {};
-    await saveSessions();
+    throw new Error(`Repo directory does not look like a git repo: ${resolvedDir}`);
   }
+  switchSessionRepo(getSession(chat), aliasName);
+  await saveSessions();
 }
 
 async function loadRepoAliasStore() {
   const parsed = await loadJsonObject(
     config.repoAliasStorePath,
-    { aliases: {}, active: null },
+    { aliases: {} },
     {
       onCorrupt(_backupPath, error) {
         console.error("Failed to read repo alias store:", error);
@@ -304,15 +924,7 @@ async function loadRepoAliasStore() {
   );
   repoAliasStore = {
     aliases: parsed.aliases || {},
-    active: parsed.active || null,
   };
-  const active = repoAliasStore.active;
-  if (active && repoAliasStore.aliases[active]) {
-    await applyRepoSelection(repoAliasStore.aliases[active], active, {
-      persist: false,
-      resetSessions: false,
-    });
-  }
 }
 
 async function addRepoAlias(alias, def) {
@@ -322,40 +934,29 @@ async function addRepoAlias(alias, def) {
 
 async function removeRepoAlias(alias) {
   delete repoAliasStore.aliases[alias];
-  if (repoAliasStore.active === alias) {
-    repoAliasStore.active = null;
-    await applyRepoSelection(defaultRepoDef, null);
-  } else {
-    await saveRepoAliasStore();
-  }
+  await saveRepoAliasStore();
+  Object.values(sessions).forEach((session) => forgetSessionRepo(session, alias));
+  await saveSessions();
 }
 
-function getRepoAliasListMessage() {
-  return formatAliasListMessage(defaultRepoDef, repoAliasStore.aliases, repoAliasStore.active);
+function getRepoAliasListMessage(chat) {
+  return formatAliasListMessage(defaultRepoDef, repoAliasStore.aliases, getSession(chat).repoAlias);
 }
 
-async function handleRepoCommand(chatId, text) {
+async function handleRepoCommand(chat, text) {
   const parts = text.trim().split(/\s+/);
   const action = (parts[1] || "").toLowerCase();
 
   if (!action || action === "help") {
-    await bot.sendMessage(
-      chatId,
-      "Repo commands:\n/repo list\n/repo add <alias> <path> [branch] [remote]\n/repo use <alias>\n/repo remove <alias>"
+    await sendMessage(
+      chat,
+      "Repo commands:\n/repo list\n/repo add <alias> <path> [branch] [remote]\n/repo use <alias> - switch this chat's repo\n/repo provider <alias> <provider|auto> [api url]\n/repo agent <alias> <agent|default>\n/repo test <alias> <command…|off>\n/repo remove <alias>"
     );
     return;
   }
 
   if (action === "list") {
-    await bot.sendMessage(chatId, getRepoAliasListMessage());
-    return;
-  }
-
-  if (busy) {
-    await bot.sendMessage(
-      chatId,
-      "⏳ I’m busy running another request. Try the repo command again shortly."
-    );
+    await sendMessage(chat, getRepoAliasListMessage(chat));
     return;
   }
 
@@ -365,23 +966,27 @@ async function handleRepoCommand(chatId, text) {
     const branch = parts[4] || defaultRepoDef.branch;
     const remote = parts[5] || defaultRepoDef.remote;
     if (!aliasName || RESERVED_ALIASES.has(aliasName)) {
-      await bot.sendMessage(chatId, "Provide a valid alias name (not 'default').");
+      await sendMessage(chat, "Provide a valid alias name (not 'default').");
       return;
     }
     if (!repoPath) {
-      await bot.sendMessage(chatId, "Use: /repo add <alias> <absolute-path> [branch] [remote]");
+      await sendMessage(chat, "Use: /repo add <alias> <absolute-path> [branch] [remote]");
       return;
     }
     const resolved = path.resolve(repoPath);
     try {
       await access(path.join(resolved, ".git"));
     } catch {
-      await bot.sendMessage(chatId, "Path must be a git repo with a .git directory.");
+      await sendMessage(chat, "Path must be a git repo with a .git directory.");
+      return;
+    }
+    if (repoAliasStore.aliases[aliasName] && aliasHasJobsInFlight(aliasName)) {
+      await sendMessage(chat, `⏳ Jobs for '${aliasName}' are still queued or running. Change the alias once they finish.`);
       return;
     }
     await addRepoAlias(aliasName, { dir: resolved, branch, remote });
-    await bot.sendMessage(
-      chatId,
+    await sendMessage(
+      chat,
       `Alias '${aliasName}' added for ${resolved} (branch ${branch}, remote ${remote}).`
     );
     return;
@@ -390,26 +995,126 @@ async function handleRepoCommand(chatId, text) {
   if (action === "use") {
     const aliasName = normalizeAliasName(parts[2]);
     if (!aliasName) {
-      await bot.sendMessage(chatId, "Use: /repo use <alias|default>");
+      await sendMessage(chat, "Use: /repo use <alias|default>");
+      return;
+    }
+    const isDefault = aliasName === "default";
+    const aliasConfig = isDefault ? defaultRepoDef : repoAliasStore.aliases[aliasName];
+    if (!aliasConfig) {
+      await sendMessage(chat, `Alias '${aliasName}' not found. Use /repo list.`);
       return;
     }
-    if (aliasName === "default") {
-      await applyRepoSelection(defaultRepoDef, null);
-      await bot.sendMessage(
-        chatId,
-        `Active repo set to default (${defaultRepoDef.dir}). Session memory cleared; repo memories preserved.`
+    if (chatHasJobsInFlight(chat)) {
+      await sendMessage(
+        chat,
+        "⏳ This chat still has queued or running jobs. Switch repos once they finish."
       );
       return;
     }
-    const aliasConfig = repoAliasStore.aliases[aliasName];
-    if (!aliasConfig) {
-      await bot.sendMessage(chatId, `Alias '${aliasName}' not found. Use /repo list.`);
+    await selectChatRepo(chat, aliasConfig, isDefault ? null : aliasName);
+    const { history } = getSession(chat);
+    await sendMessage(
+      chat,
+      `This chat now uses '${aliasName}' (${path.resolve(aliasConfig.dir)}). ${
+        history.length
+          ? `Restored ${history.length} history entries from earlier work on this repo.`
+          : "No earlier history for this repo."
+      } Other chats are unaffected.`
+    );
+    return;
+  }
+
+  if (action === "provider") {
+    const aliasName = normalizeAliasName(parts[2]);
+    const provider = String(parts[3] || "").toLowerCase();
+    const apiUrl = parts[4] || null;
+    if (!aliasName || RESERVED_ALIASES.has(aliasName) || !provider) {
+      await sendMessage(
+        chat,
+        `Use: /repo provider <alias> <${PROVIDER_NAMES.join("|")}|auto> [api base url]\nThe default repo uses TARGET_REPO_PROVIDER and TARGET_REPO_API_URL.`
+      );
+      return;
+    }
+    if (provider !== "auto" && !PROVIDER_NAMES.includes(provider)) {
+      await sendMessage(chat, `Unknown provider '${provider}'. Use one of: ${PROVIDER_NAMES.join(", ")}, auto.`);
+      return;
+    }
+    const def = repoAliasStore.aliases[aliasName];
+    if (!def) {
+      await sendMessage(chat, `Alias '${aliasName}' not found.`);
+      return;
+    }
+    if (apiUrl && !/^https?:\/\//i.test(apiUrl)) {
+      await sendMessage(chat, "The API base URL must start with http:// or https://.");
+      return;
+    }
+    const next = { ...def, provider: provider === "auto" ? null : provider, apiUrl: provider === "auto" ? null : apiUrl };
+    await addRepoAlias(aliasName, next);
+    await sendMessage(
+      chat,
+      provider === "auto"
+        ? `Alias '${aliasName}' now detects its git host from the remote URL.`
+        : `Alias '${aliasName}' now uses ${provider}${apiUrl ? ` at ${apiUrl}` : ""} for /pr.`
+    );
+    return;
+  }
+
+  if (action === "agent") {
+    const aliasName = normalizeAliasName(parts[2]);
+    const agentName = String(parts[3] || "").toLowerCase();
+    const names = Object.keys(config.agents);
+    if (!aliasName || RESERVED_ALIASES.has(aliasName) || !agentName) {
+      await sendMessage(
+        chat,
+        `Use: /repo agent <alias> <${names.join("|")}|default>\nThe default repo uses DEFAULT_AGENT (${config.defaultAgent}).`
+      );
+      return;
+    }
+    if (agentName !== "default" && !config.agents[agentName]) {
+      await sendMessage(chat, `Unknown agent '${agentName}'. Configured agents: ${names.join(", ")}.`);
+      return;
+    }
+    const def = repoAliasStore.aliases[aliasName];
+    if (!def) {
+      await sendMessage(chat, `Alias '${aliasName}' not found.`);
+      return;
+    }
+    await addRepoAlias(aliasName, { ...def, agent: agentName === "default" ? null : agentName });
+    await sendMessage(
+      chat,
+      agentName === "default"
+        ? `Alias '${aliasName}' now uses the default agent (${config.defaultAgent}).`
+        : `Alias '${aliasName}' now runs prompts with ${agentName}.`
+    );
+    return;
+  }
+
+  if (action === "test") {
+    const aliasName = normalizeAliasName(parts[2]);
+    const testCommand = parts.slice(3).join(" ");
+    if (!aliasName || RESERVED_ALIASES.has(aliasName) || !testCommand) {
+      await sendMessage(
+        chat,
+        "Use: /repo test <alias> <command…|off>\nThe default repo uses TARGET_REPO_TEST_COMMAND."
+      );
+      return;
+    }
+    const def = repoAliasStore.aliases[aliasName];
+    if (!def) {
+      await sendMessage(chat, `Alias '${aliasName}' not found.`);
+      return;
+    }
+    const off = testCommand.toLowerCase() === "off";
+    try {
+      if (!off) buildTestInvocation(testCommand);
+    } catch (err) {
+      await sendMessage(chat, String(err?.message || err));
       return;
     }
-    await applyRepoSelection(aliasConfig, aliasName);
-    await bot.sendMessage(
-      chatId,
-      `Active repo set to '${aliasName}' (${aliasConfig.dir}). Session memory cleared; repo memories preserved.`
+    await addRepoAlias(aliasName, { ...def, testCommand: off ? null : testCommand });
+    await sendMessage(
+      chat,
+      off ? `Alias '${aliasName}' has no test command now.` : `Alias '${aliasName}' runs tests with: ${testCommand}`
     );
     return;
   }
@@ -417,128 +1122,721 @@ async function handleRepoCommand(chatId, text) {
   if (action === "remove") {
     const aliasName = normalizeAliasName(parts[2]);
     if (!aliasName || RESERVED_ALIASES.has(aliasName)) {
-      await bot.sendMessage(chatId, "Use: /repo remove <alias> (cannot remove default).");
+      await sendMessage(chat, "Use: /repo remove <alias> (cannot remove default).");
       return;
     }
     if (!repoAliasStore.aliases[aliasName]) {
-      await bot.sendMessage(chatId, `Alias '${aliasName}' not found.`);
+      await sendMessage(chat, `Alias '${aliasName}' not found.`);
+      return;
+    }
+    if (aliasHasJobsInFlight(aliasName)) {
+      await sendMessage(chat, `⏳ Jobs for '${aliasName}' are still queued or running. Remove the alias once they finish.`);
       return;
     }
     await removeRepoAlias(aliasName);
-    await bot.sendMessage(chatId, `Alias '${aliasName}' removed.`);
+    await sendMessage(chat, `Alias '${aliasName}' removed.`);
     return;
   }
 
-  await bot.sendMessage(
-    chatId,
-    "Unknown /repo command. Available: list, add, use, remove."
+  await sendMessage(
+    chat,
+    "Unknown /repo command. Available: list, add, use, provider, agent, test, remove."
   );
 }
 
-async function getHeadCommit() {
-  const res = await runGit(["rev-parse", "HEAD"]);
-  if (res.code !== 0) {
-    throw new Error(`Unable to read git HEAD.\n${res.err || res.out || "(empty)"}`);
-  }
-  return res.out.trim();
+function chatHasJobsInFlight(chat) {
+  return (
+    (runningJob && getJobChatKey(runningJob) === chat.key) ||
+    getPendingJobs(jobQueue, chat.key).length > 0
+  );
 }
 
-async function getCurrentBranch() {
-  const res = await runGit(["rev-parse", "--abbrev-ref", "HEAD"]);
-  if (res.code !== 0) {
-    throw new Error(`Unable to determine branch.\n${res.err || res.out || "(empty)"}`);
-  }
-  return res.out.trim();
+function aliasHasJobsInFlight(aliasName) {
+  return [runningJob, ...getPendingJobs(jobQueue)].some((job) => job?.repo?.alias === aliasName);
 }
 
-async function getRepoSlug() {
-  const res = await runGit(["remote", "get-url", config.targetRemote]);
-  if (res.code !== 0) {
-    throw new Error(`Unable to read remote URL.\n${res.err || res.out || "(empty)"}`);
-  }
-  const remote = (res.out || "").trim();
-  const sshMatch = remote.match(/git@github.com:(.+?)\.git$/i);
-  if (sshMatch) return sshMatch[1];
+function taskHasJobsInFlight(task) {
+  return [runningJob, ...getPendingJobs(jobQueue)].some(
+    (job) => job?.repo?.taskId === task.id && job.repo.rootDir === task.repoDir
+  );
+}
+
+// claim runs before any await so a second request reuses the task instead of
+// starting another; release undoes it if the worktree can't be created.
+async function addTaskWorktree(repo, promptText, { claim, release }) {
+  const task = buildTaskRecord({
+    repo,
+    id: allocateTaskId(taskStore, repo.dir, promptText),
+    worktreeRoot: config.worktreeRoot,
+    branchPrefix: config.taskBranchPrefix,
+    prompt: promptText,
+    now: new Date().toISOString(),
+  });
+  taskStore = addRepoTask(taskStore, task);
+  claim(task);
   try {
-    const parsed = new URL(remote);
-    if (parsed.hostname !== "github.com") {
-      throw new Error(`Remote ${remote} is not GitHub`);
+    await mkdir(path.dirname(task.dir), { recursive: true });
+    const added = await runGit(["worktree", "add", "-b", task.branch, task.dir, repo.branch], repo);
+    if (added.code !== 0) {
+      throw new Error(`git worktree add failed.\n${added.err || added.out || "(empty)"}`);
     }
-    return parsed.pathname.replace(/^\//, "").replace(/\.git$/, "");
-  } catch {
-    throw new Error(`Unsupported remote format: ${remote}`);
+    const gitDir = await runCommand("git", ["-C", task.dir, "rev-parse", "--absolute-git-dir"]);
+    if (gitDir.code === 0) task.gitDir = gitDir.out.trim();
+  } catch (err) {
+    removeRepoTask(taskStore, repo.dir, task.id);
+    release();
+    throw err;
   }
+  await saveTaskStore();
+  return task;
 }
 
-async function ensureBranchPushed(branch) {
-  const res = await runGit(["push", config.targetRemote, branch]);
-  if (res.code !== 0) {
-    throw new Error(
-      `git push failed while preparing PR.\nstdout:\n${res.out || "(empty)"}\n\nstderr:\n${res.err || "(empty)"}`
-    );
-  }
-}
+async function ensureChatTask(chat, promptText) {
+  const current = getRepoForChat(chat);
+  if (current.taskId) return { repo: current, created: false };
 
-async function createPullRequest({ title, body, head, base }) {
-  if (!config.githubToken) {
-    throw new Error("Set GITHUB_TOKEN in .env before using /pr.");
-  }
-  const slug = await getRepoSlug();
-  const response = await fetch(`${GITHUB_API}/repos/${slug}/pulls`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${config.githubToken}`,
-      "User-Agent": "codex-telegram-bridge",
-      Accept: "application/vnd.github+json",
+  const session = getSession(chat);
+  const repo = getChatBaseRepo(chat);
+  const task = await addTaskWorktree(repo, promptText, {
+    claim: (claimed) => {
+      session.activeTaskId = claimed.id;
+    },
+    release: () => {
+      session.activeTaskId = null;
     },
-    body: JSON.stringify({ title, head, base, body }),
   });
-  const data = await response.json();
-  if (!response.ok) {
-    const message = data?.message || "Failed to create pull request.";
-    throw new Error(message);
+  await saveSessions();
+  return { repo: createTaskRepoContext(repo, task), created: true };
+}
+
+// A schedule keeps one task worktree of its own across runs, so it never
+// piles up branches or moves the chat off the task it is working on.
+async function ensureScheduleTask(entry, repo) {
+  const existing = entry.taskId ? taskStore.repos[repo.dir]?.[entry.taskId] : null;
+  if (existing) return { repo: createTaskRepoContext(repo, existing), created: false };
+  const task = await addTaskWorktree(repo, entry.prompt, {
+    claim: (claimed) => {
+      entry.taskId = claimed.id;
+    },
+    release: () => {
+      entry.taskId = null;
+    },
+  });
+  return { repo: createTaskRepoContext(repo, task), created: true };
+}
+
+async function removeTaskWorktree(task, repo, { force = true } = {}) {
+  const removed = await runGit(["worktree", "remove", "--force", task.dir], repo);
+  if (removed.code !== 0) {
+    await runGit(["worktree", "prune"], repo);
+  }
+  const deleted = await runGit(["branch", force ? "-D" : "-d", task.branch], repo);
+  removeRepoTask(taskStore, task.repoDir, task.id);
+  await saveTaskStore();
+  const repoKey = repo.alias || "default";
+  for (const session of Object.values(sessions)) {
+    if ((session.repoAlias || "default") === repoKey && session.activeTaskId === task.id) {
+      session.activeTaskId = null;
+    }
+    if (session.repoStates?.[repoKey]?.activeTaskId === task.id) {
+      session.repoStates[repoKey].activeTaskId = null;
+    }
+  }
+  await saveSessions();
+  return deleted.code === 0;
+}
+
+async function runTaskJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  const { action, taskId } = job.payload;
+  const task = findRepoTask(taskStore, repo.dir, taskId);
+  if (!task) {
+    await sendMessage(chat, `Task '${taskId}' no longer exists. Use /tasks.`);
+    return;
+  }
+  if (taskHasJobsInFlight(task)) {
+    await sendMessage(chat, `⏳ ${task.id} has jobs queued after the ${action}. Try again once they finish.`);
+    return;
+  }
+
+  if (action === "discard") {
+    await removeTaskWorktree(task, repo);
+    await sendMessage(chat, `Discarded ${task.id}: removed its worktree and branch ${task.branch}.`);
+    return;
+  }
+
+  const taskRepo = createTaskRepoContext(repo, task);
+  if (await hasRelevantWorkingTreeChanges(taskRepo)) {
+    await sendMessage(
+      chat,
+      `${task.id} has uncommitted changes. Commit them with /push and /confirmpush first, or /task discard it.`
+    );
+    return;
+  }
+  const mainBranch = await getCurrentBranch(repo);
+  if (mainBranch !== task.baseBranch) {
+    await sendMessage(
+      chat,
+      `The main checkout is on ${mainBranch}, not ${task.baseBranch}. Check out ${task.baseBranch} there before merging.`
+    );
+    return;
+  }
+  const merged = await runGit(["merge", "--no-ff", "--no-edit", task.branch], repo);
+  if (merged.code !== 0) {
+    await runGit(["merge", "--abort"], repo);
+    await sendMessage(
+      chat,
+      `❌ Merging ${task.branch} into ${task.baseBranch} failed and was aborted.\n${merged.out || merged.err || "(empty)"}`.slice(0, config.telegramMax)
+    );
+    return;
+  }
+  await markCheckoutChanged(repo);
+  await removeTaskWorktree(task, repo, { force: false });
+  await sendMessage(
+    chat,
+    `✅ Merged ${task.branch} into ${task.baseBranch} in ${repo.dir} and removed the worktree. Nothing was pushed.`
+  );
+}
+
+async function handleTaskCommand(chat, text, userId) {
+  if (!config.taskWorktrees) {
+    await sendMessage(
+      chat,
+      "Task worktrees are off. Set TASK_WORKTREES=true to give each request its own branch and worktree."
+    );
+    return;
+  }
+  const parts = text.trim().split(/\s+/);
+  const action = getCommandName(text) === "/tasks" ? "list" : (parts[1] || "list").toLowerCase();
+  const session = getSession(chat);
+  const repo = getChatBaseRepo(chat);
+
+  if (action === "list") {
+    await sendMessage(
+      chat,
+      `Tasks for ${repo.alias || "default"} (${repo.dir}):\n${formatTaskList(
+        getRepoTasks(taskStore, repo.dir),
+        session.activeTaskId
+      )}`
+    );
+    return;
+  }
+
+  if (action === "new") {
+    session.activeTaskId = null;
+    await saveSessions();
+    await sendMessage(chat, "Your next request will start a new task worktree.");
+    return;
+  }
+
+  if (action === "switch") {
+    if (!parts[2]) {
+      await sendMessage(chat, "Use: /task switch <task id, number, or main>");
+      return;
+    }
+    if (chatHasJobsInFlight(chat)) {
+      await sendMessage(chat, "⏳ This chat still has queued or running jobs. Switch tasks once they finish.");
+      return;
+    }
+    if (parts[2].toLowerCase() === "main") {
+      session.activeTaskId = null;
+      await saveSessions();
+      await sendMessage(chat, `This chat now works in the main checkout (${repo.dir}).`);
+      return;
+    }
+    const task = findRepoTask(taskStore, repo.dir, parts[2]);
+    if (!task) {
+      await sendMessage(chat, `Task '${parts[2]}' not found. Use /tasks.`);
+      return;
+    }
+    session.activeTaskId = task.id;
+    await saveSessions();
+    await sendMessage(chat, `This chat now works on ${task.id} (${task.branch}).`);
+    return;
+  }
+
+  if (action === "merge" || action === "discard") {
+    const task = findRepoTask(taskStore, repo.dir, parts[2] || session.activeTaskId);
+    if (!task) {
+      await sendMessage(chat, `Use: /task ${action} <task id or number>`);
+      return;
+    }
+    if (taskHasJobsInFlight(task)) {
+      await sendMessage(chat, `⏳ ${task.id} still has queued or running jobs. Try again once they finish.`);
+      return;
+    }
+    // Queued like any other job so the merge never runs alongside another
+    // job in the main checkout.
+    await enqueueChatJob(chat, "task", { action, taskId: task.id }, userId, repo);
+    return;
+  }
+
+  await sendMessage(
+    chat,
+    "Task commands:\n/tasks\n/task new\n/task switch <id|number|main>\n/task merge [id|number]\n/task discard [id|number]"
+  );
+}
+
+async function getHeadCommit(repo) {
+  const res = await runGit(["rev-parse", "HEAD"], repo);
+  if (res.code !== 0) {
+    throw new Error(`Unable to read git HEAD.\n${res.err || res.out || "(empty)"}`);
+  }
+  return res.out.trim();
+}
+
+async function getCurrentBranch(repo) {
+  const res = await runGit(["rev-parse", "--abbrev-ref", "HEAD"], repo);
+  if (res.code !== 0) {
+    throw new Error(`Unable to determine branch.\n${res.err || res.out || "(empty)"}`);
+  }
+  return res.out.trim();
+}
+
+async function getHostingTarget(repo) {
+  const res = await runGit(["remote", "get-url", repo.remote], repo);
+  if (res.code !== 0) {
+    throw new Error(`Unable to read remote URL.\n${res.err || res.out || "(empty)"}`);
+  }
+  return resolveHostingTarget((res.out || "").trim(), repo, config.hosting);
+}
+
+async function ensureBranchPushed(branch, repo) {
+  const res = await runGit(["push", repo.remote, branch], repo);
+  if (res.code !== 0) {
+    throw new Error(
+      `git push failed while preparing PR.\nstdout:\n${res.out || "(empty)"}\n\nstderr:\n${res.err || "(empty)"}`
+    );
   }
-  return data;
 }
 
-async function getAheadCount() {
-  const revSpec = `${config.targetRemote}/${config.targetBranch}..${config.targetBranch}`;
-  const res = await runGit(["rev-list", "--count", revSpec]);
+async function getAheadCount(repo) {
+  let upstream = `${repo.remote}/${repo.branch}`;
+  if (repo.baseBranch) {
+    // A task branch that was never pushed is compared against its base branch.
+    const probe = await runGit(["rev-parse", "--verify", "--quiet", `refs/remotes/${upstream}`], repo);
+    if (probe.code !== 0) upstream = `${repo.remote}/${repo.baseBranch}`;
+  }
+  const revSpec = `${upstream}..${repo.branch}`;
+  const res = await runGit(["rev-list", "--count", revSpec], repo);
   if (res.code !== 0) return 0;
   const count = Number.parseInt(res.out.trim(), 10);
   return Number.isFinite(count) ? count : 0;
 }
 
-function buildStatusArgsExcludingInputs() {
-  const relativeInputsPath = path
-    .relative(config.targetRepoDir, config.inputsDir)
-    .split(path.sep)
-    .join("/");
+// Repo-relative paths of the bridge's own inputs and outbox directories.
+function getBridgeDirs(repo) {
+  return [getInputsDir(repo), getOutboxDir(repo)]
+    .map((dir) => path.relative(repo.dir, dir).split(path.sep).join("/"))
+    .filter((relative) => relative && !relative.startsWith("..") && !path.isAbsolute(relative));
+}
 
-  const args = ["status", "--porcelain", "--", "."];
-  if (
-    relativeInputsPath &&
-    !relativeInputsPath.startsWith("..") &&
-    !path.isAbsolute(relativeInputsPath)
-  ) {
-    args.push(`:(exclude)${relativeInputsPath}/**`);
+function getBridgeExcludePathspecs(repo) {
+  return getBridgeDirs(repo).map((relative) => `:(exclude)${relative}/**`);
+}
+
+function buildStatusArgsExcludingBridgeDirs(repo) {
+  return ["status", "--porcelain", "--", ".", ...getBridgeExcludePathspecs(repo)];
+}
+
+function readRunStatus(repo) {
+  return runGit(
+    ["status", "--porcelain", "-z", "--untracked-files=all", "--", ".", ...getBridgeExcludePathspecs(repo)],
+    repo
+  ).then((res) => (res.code === 0 ? res.out || "" : ""));
+}
+
+async function snapshotRunStart(repo) {
+  const head = await runGit(["rev-parse", "--verify", "--quiet", "HEAD"], repo);
+  return { head: head.code === 0 ? head.out.trim() : null, status: await readRunStatus(repo) };
+}
+
+// Builds the reply footer from the agent's events and what git saw change.
+async function collectRunReport(repo, runStart, runState) {
+  const statusAfter = await readRunStatus(repo);
+  let committedFiles = [];
+  if (runStart.head) {
+    const diff = await runGit(["diff", "--name-only", "-z", runStart.head, "HEAD", "--"], repo);
+    if (diff.code === 0) committedFiles = (diff.out || "").split("\0").filter(Boolean);
   }
-  return args;
+  return buildRunReport({
+    state: runState,
+    repoDir: repo.dir,
+    statusBefore: runStart.status,
+    statusAfter,
+    committedFiles,
+    ignoredDirs: getBridgeDirs(repo),
+  });
 }
 
-async function hasRelevantWorkingTreeChanges() {
-  const status = await runGit(buildStatusArgsExcludingInputs());
+async function hasRelevantWorkingTreeChanges(repo) {
+  const status = await runGit(buildStatusArgsExcludingBridgeDirs(repo), repo);
   if (status.code !== 0) return false;
   return Boolean((status.out || "").trim());
 }
 
-async function hasWorkNotOnRemote() {
-  const ahead = await getAheadCount();
+async function hasWorkNotOnRemote(repo) {
+  const ahead = await getAheadCount(repo);
   if (ahead > 0) return true;
-  return hasRelevantWorkingTreeChanges();
+  return hasRelevantWorkingTreeChanges(repo);
+}
+
+async function sendPatch(chat, fileName, patch, caption) {
+  if (patch.length + caption.length + 2 <= config.telegramMax) {
+    await sendMessage(chat, `${caption}\n\n${patch}`);
+    return;
+  }
+  await bot.sendDocument(
+    chat.chatId,
+    Buffer.from(`${patch}\n`, "utf8"),
+    withThread(chat, { caption: caption.slice(0, 1000) }),
+    { filename: fileName, contentType: "text/x-diff" }
+  );
+}
+
+function storeDiffView(view) {
+  const token = Math.random().toString(36).slice(2, 8);
+  diffViews.set(token, view);
+  while (diffViews.size > MAX_DIFF_VIEWS) {
+    diffViews.delete(diffViews.keys().next().value);
+  }
+  return token;
+}
+
+async function handleDiffCommand(chat, text) {
+  const request = parseDiffArgs(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\nUse: /diff [path…] [--staged|--ref <sha>]`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  const excludes = getBridgeExcludePathspecs(repo);
+  const target = describeDiffTarget(request);
+
+  const stat = await runGit(buildDiffArgs(request, "stat", excludes), repo);
+  if (stat.code !== 0) {
+    await sendMessage(chat, `❌ git diff failed:\n${(stat.err || stat.out || "(empty)").trim()}`);
+    return;
+  }
+  let untracked = [];
+  if (!request.staged && !request.ref) {
+    const others = await runGit(
+      ["ls-files", "--others", "--exclude-standard", "--", ...(request.paths.length ? request.paths : ["."]), ...excludes],
+      repo
+    );
+    untracked = (others.out || "").split("\n").filter(Boolean);
+  }
+  const untrackedNote = untracked.length
+    ? `\n\nUntracked (not in the diff):\n${untracked.slice(0, 20).map((file) => `- ${file}`).join("\n")}${
+        untracked.length > 20 ? `\n… and ${untracked.length - 20} more` : ""
+      }`
+    : "";
+
+  const statText = (stat.out || "").trim();
+  if (!statText) {
+    await sendMessage(chat, `No ${target}.${untrackedNote}`);
+    return;
+  }
+
+  const patch = await runGit(buildDiffArgs(request, "patch", excludes), repo);
+  const patchText = (patch.out || "").trim();
+  const files = splitPatchByFile(patchText);
+  const token = storeDiffView({ chatKey: chat.key, target, files });
+  const summary = `Diff of ${target} (${repo.alias || "default"}${repo.taskId ? `, task ${repo.taskId}` : ""}):\n${statText}${untrackedNote}`;
+  await sendLongMessage(chat, summary);
+  await sendPatch(chat, `${request.ref || (request.staged ? "staged" : "working-tree")}.patch`, patchText, "Full patch:");
+  if (files.length > 1) {
+    await sendMessage(chat, "Tap a file to see just its changes:", createDiffKeyboard(token, files));
+  }
+}
+
+async function handleDiffCallback(query, chat) {
+  const parsed = parseDiffCallbackData(query.data);
+  const view = parsed && diffViews.get(parsed.token);
+  const file = view?.chatKey === chat.key ? view.files[parsed.index] : null;
+  if (!file) {
+    await bot.answerCallbackQuery(query.id, { text: "This diff view expired. Run /diff again." });
+    return;
+  }
+  await bot.answerCallbackQuery(query.id);
+  const fileName = `${file.path.split("/").pop() || "file"}.patch`;
+  await sendPatch(chat, fileName, file.patch, `${file.path} (${view.target}):`);
 }
 
-async function saveIncomingImage(msg) {
+async function handleLsCommand(chat, text) {
+  const repo = getRepoForChat(chat);
+  try {
+    const target = await resolveRepoPath(repo.dir, text.replace(/^\/ls(@\S+)?\s*/, ""));
+    if (!(await stat(target.absolute)).isDirectory()) {
+      await sendMessage(chat, `${target.relative} is a file. Use /cat ${target.relative}`);
+      return;
+    }
+    const dirents = await readdir(target.absolute, { withFileTypes: true });
+    const entries = await Promise.all(
+      dirents.map(async (entry) => ({
+        name: entry.name,
+        type: entry.isDirectory() ? "dir" : entry.isSymbolicLink() ? "link" : entry.isFile() ? "file" : "other",
+        size: entry.isFile() ? (await lstat(path.join(target.absolute, entry.name))).size : 0,
+      }))
+    );
+    await sendLongMessage(chat, formatDirectoryListing(target.relative, entries));
+  } catch (err) {
+    await sendMessage(chat, `❌ ${err.message || err}`);
+  }
+}
+
+// Photos that Telegram rejects (odd dimensions, bad encoding) are retried as documents.
+async function sendFileToChat(chat, filePath, method, caption) {
+  const options = withThread(chat, { caption: caption.slice(0, 1000) });
+  const fileOptions = { filename: path.basename(filePath), contentType: "application/octet-stream" };
+  if (method === "photo") {
+    try {
+      await bot.sendPhoto(chat.chatId, createReadStream(filePath), options, { filename: fileOptions.filename });
+      return;
+    } catch (err) {
+      console.error(`Sending ${filePath} as a photo failed; retrying as a document.`, err);
+    }
+  }
+  await bot.sendDocument(chat.chatId, createReadStream(filePath), options, fileOptions);
+}
+
+// Every checkout the bot downloads into: the default repo, aliases, and task worktrees.
+function getKnownRepoDirs() {
+  const dirs = new Set([path.resolve(defaultRepoDef.dir)]);
+  for (const def of Object.values(repoAliasStore.aliases)) dirs.add(path.resolve(def.dir));
+  for (const tasks of Object.values(taskStore.repos || {})) {
+    for (const task of Object.values(tasks)) dirs.add(path.resolve(task.dir));
+  }
+  return [...dirs];
+}
+
+// Text that may still point at saved inputs: queued jobs, patch offers, and
+// every chat's history (except skipChatKey's), including parked repo states.
+function buildInputsReferenceText({ skipChatKey = null } = {}) {
+  const parts = [JSON.stringify(jobQueue.jobs), ...[...patchOffers.values()].map((offer) => offer.path)];
+  for (const [key, session] of Object.entries(sessions)) {
+    if (key === skipChatKey) continue;
+    const histories = [session.history, ...Object.values(session.repoStates || {}).map((state) => state.history)];
+    for (const entry of histories.flat()) parts.push(entry?.content || "");
+  }
+  return parts.join("\n");
+}
+
+async function withInputsInUse(run) {
+  inputsInUse += 1;
+  try {
+    return await run();
+  } finally {
+    inputsInUse -= 1;
+  }
+}
+
+async function enforceInputsRetention() {
+  if (cleaningInputs || runningJob || inputsInUse) return;
+  cleaningInputs = true;
+  try {
+    const referenceText = buildInputsReferenceText();
+    for (const dir of getKnownRepoDirs()) {
+      const inputsDir = path.resolve(dir, config.inputsSubdir);
+      try {
+        if (!(await isSafeInputsDir(dir, inputsDir))) continue;
+        const plan = planInputsCleanup(await listInputEntries(inputsDir), {
+          now: Date.now(),
+          maxAgeMs: config.inputsMaxAgeMs,
+          maxBytes: config.inputsMaxBytes,
+          referenceText,
+        });
+        if (!plan.remove.length) continue;
+        const freed = await removeInputEntries(inputsDir, plan.remove);
+        console.log(`Removed ${plan.remove.length} input(s) (${formatBytes(freed)}) from ${inputsDir}.`);
+      } catch (err) {
+        console.error(`Failed to clean up ${inputsDir}.`, err);
+      }
+    }
+  } finally {
+    cleaningInputs = false;
+  }
+}
+
+async function handleInputsCommand(chat, text) {
+  const request = parseInputsCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${INPUTS_USAGE}`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  const inputsDir = getInputsDir(repo);
+  const safe = await isSafeInputsDir(repo.dir, inputsDir);
+  const entries = safe ? await listInputEntries(inputsDir) : [];
+
+  if (request.action === "show") {
+    const usage = formatInputsUsage(config.inputsSubdir, entries, {
+      referenceText: buildInputsReferenceText(),
+      maxAgeMs: config.inputsMaxAgeMs,
+      maxBytes: config.inputsMaxBytes,
+    });
+    await sendMessage(chat, safe ? usage : `No inputs directory at ${config.inputsSubdir} in this repo yet.`);
+    return;
+  }
+
+  if (!safe) {
+    await sendMessage(chat, `Nothing to purge: ${config.inputsSubdir} isn't a directory inside this repo.`);
+    return;
+  }
+  if (runningJob?.repo?.dir === repo.dir) {
+    await sendMessage(chat, `${runningJob.id} is running in this repo. Purge inputs once it finishes.`);
+    return;
+  }
+  if (inputsInUse) {
+    await sendMessage(chat, "An upload is being handled right now. Purge inputs again in a moment.");
+    return;
+  }
+  // --all only sets aside this chat's own history; other chats, queued jobs
+  // and patch offers keep their files.
+  const plan = planInputsPurge(entries, {
+    referenceText: buildInputsReferenceText({ skipChatKey: request.all ? chat.key : null }),
+  });
+  const freed = await removeInputEntries(inputsDir, plan.remove);
+  const kept = plan.keep.length
+    ? ` Kept ${plan.keep.length} (${formatBytes(plan.keptBytes)}) still referenced by ${request.all ? "other chats, queued jobs or patch offers" : "chat history or queued jobs"}.`
+    : "";
+  await sendMessage(chat, `🧹 Removed ${plan.remove.length} input(s) (${formatBytes(freed)}) from ${config.inputsSubdir}.${kept}`);
+}
+
+async function handleGetCommand(chat, text) {
+  const request = parseGetCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${GET_USAGE}`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  try {
+    const target = await resolveRepoPath(repo.dir, request.path);
+    const info = await stat(target.absolute);
+    if (info.isDirectory()) {
+      await sendMessage(chat, `${target.relative} is a directory. Use /ls ${target.relative}`);
+      return;
+    }
+    const choice = chooseDelivery(target.relative, info.size, { asDocument: request.asDocument });
+    if (choice.error) {
+      await sendMessage(chat, `Can't send ${target.relative}: ${choice.error}.`);
+      return;
+    }
+    await sendFileToChat(chat, target.absolute, choice.method, target.relative);
+  } catch (err) {
+    await sendMessage(chat, `❌ ${err.message || err}`);
+  }
+}
+
+// Sends what the agent left in the outbox and removes each file once sent.
+async function deliverOutbox(chat, repo) {
+  const files = await listOutboxFiles(getOutboxDir(repo));
+  if (!files.length) return;
+  const { deliver, skipped } = planOutboxDelivery(files);
+  const failed = [];
+  for (const file of deliver) {
+    try {
+      await sendFileToChat(chat, file.absolute, file.method, `📎 ${file.name}`);
+      await rm(file.absolute, { force: true });
+    } catch (err) {
+      failed.push({ ...file, reason: String(err?.message || err).split("\n")[0] });
+    }
+  }
+  const notice = formatSkippedOutboxFiles([...skipped, ...failed]);
+  if (notice) await sendMessage(chat, notice);
+}
+
+async function handleCatCommand(chat, text) {
+  const request = parseCatCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${CAT_USAGE}`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  try {
+    const target = await resolveRepoPath(repo.dir, request.path);
+    const info = await stat(target.absolute);
+    if (info.isDirectory()) {
+      await sendMessage(chat, `${target.relative} is a directory. Use /ls ${target.relative}`);
+      return;
+    }
+    if (info.size > TELEGRAM_UPLOAD_LIMIT_BYTES) {
+      await sendMessage(
+        chat,
+        `${target.relative} is ${Math.round(info.size / 1048576)} MB, over Telegram's 50 MB upload limit.`
+      );
+      return;
+    }
+    const buffer = await readFile(target.absolute);
+    if (isProbablyBinary(buffer)) {
+      await sendFileToChat(chat, target.absolute, "document", `${target.relative} (binary)`);
+      return;
+    }
+    const content = buffer.toString("utf8");
+    if (request.range) {
+      await sendLongMessage(chat, `${target.relative}\n\n${sliceLines(content, request.range)}`);
+      return;
+    }
+    if (content.length > config.telegramMax * 3) {
+      await sendFileToChat(
+        chat,
+        target.absolute,
+        "document",
+        `${target.relative} is long; sent as a file. Use /cat ${target.relative} <start-end> for a range.`
+      );
+      return;
+    }
+    await sendLongMessage(chat, `${target.relative}\n\n${content || "(empty file)"}`);
+  } catch (err) {
+    await sendMessage(chat, `❌ ${err.message || err}`);
+  }
+}
+
+async function handleGrepCommand(chat, text) {
+  const request = parseGrepCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${GREP_USAGE}`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  try {
+    const target = await resolveRepoPath(repo.dir, request.path || ".");
+    const result = await runGit(buildGrepArgs({ ...request, path: target.relative }), repo);
+    if (result.code > 1) throw new Error((result.err || result.out || "git grep failed").trim());
+    await sendLongMessage(chat, formatGrepOutput(result.out, request.pattern));
+  } catch (err) {
+    await sendMessage(chat, `❌ ${err.message || err}`);
+  }
+}
+
+async function handleLogCommand(chat, text) {
+  const request = parseLogCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${LOG_USAGE}`);
+    return;
+  }
+  const repo = getRepoForChat(chat);
+  const result = await runGit(["log", `-n${request.count}`, "--date=short", "--format=%h %ad %an%d %s"], repo);
+  if (result.code !== 0) {
+    await sendMessage(chat, `❌ git log failed:\n${(result.err || result.out || "").trim()}`);
+    return;
+  }
+  await sendLongMessage(chat, result.out.trim() || "No commits yet.");
+}
+
+function hasImageAttachment(msg) {
+  return (
+    (Array.isArray(msg.photo) && msg.photo.length > 0) ||
+    Boolean(
+      msg.document &&
+        typeof msg.document.mime_type === "string" &&
+        msg.document.mime_type.startsWith("image/")
+    )
+  );
+}
+
+async function saveIncomingImage(msg, repo) {
   let fileId = null;
   if (Array.isArray(msg.photo) && msg.photo.length) {
     fileId = msg.photo[msg.photo.length - 1].file_id;
@@ -551,44 +1849,250 @@ async function saveIncomingImage(msg) {
   }
 
   if (!fileId) return null;
-  return downloadToInputs(fileId);
+  return downloadToInputs(fileId, repo);
 }
 
-async function downloadToInputs(fileId) {
-  await ensureInputsDir();
-  return bot.downloadFile(fileId, config.inputsDir);
+async function downloadToInputs(fileId, repo) {
+  await ensureInputsDir(repo);
+  return bot.downloadFile(fileId, getInputsDir(repo));
 }
 
-async function transcribeMediaFile(localPath) {
-  if (!config.openaiApiKey) {
-    throw new Error("OPENAI_API_KEY not configured.");
+function hasDocumentUpload(msg) {
+  return Boolean(msg.document && !hasImageAttachment(msg));
+}
+
+function getUploadRefusal(document) {
+  return checkUpload(document, {
+    allowedExtensions: config.uploadExtensions,
+    maxBytes: config.uploadMaxBytes,
+  });
+}
+
+// Saves an uploaded document under its own (sanitized) name and unpacks
+// archives next to it. Unpacking problems are reported, not thrown.
+async function saveIncomingDocument(document, repo) {
+  const downloaded = await downloadToInputs(document.file_id, repo);
+  const savedPath = path.join(getInputsDir(repo), sanitizeUploadName(document.file_name));
+  await rename(downloaded, savedPath);
+  const upload = { path: savedPath, fileName: document.file_name, kind: getDocumentKind(document.file_name) };
+  if (upload.kind !== "archive") return upload;
+
+  try {
+    const { files, skipped } = readArchiveEntries(await readFile(savedPath), getArchiveKind(savedPath), {
+      maxEntries: config.archiveMaxEntries,
+      maxBytes: config.archiveMaxBytes,
+    });
+    const extractedDir = path.join(getInputsDir(repo), getExtractDirName(path.basename(savedPath)));
+    await writeArchiveEntries(extractedDir, files);
+    return { ...upload, extractedDir, extractedCount: files.length, skipped };
+  } catch (err) {
+    return { ...upload, error: err.message || String(err) };
   }
-  const form = new FormData();
-  form.append("file", createReadStream(localPath), path.basename(localPath));
-  form.append("model", config.openaiTranscribeModel || "whisper-1");
-  const response = await fetch(OPENAI_TRANSCRIBE_URL, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${config.openaiApiKey}`,
+}
+
+function storePatchOffer(offer) {
+  const token = Math.random().toString(36).slice(2, 8);
+  patchOffers.set(token, offer);
+  while (patchOffers.size > MAX_PATCH_OFFERS) {
+    patchOffers.delete(patchOffers.keys().next().value);
+  }
+  return token;
+}
+
+// Checks an uploaded patch against the chat's checkout and, when it applies
+// cleanly, offers a button that queues the apply.
+async function offerPatchUpload(chat, upload) {
+  const repo = getRepoForChat(chat);
+  const label = `${repo.alias || "default"}${repo.taskId ? `, task ${repo.taskId}` : ""}`;
+  const check = await runGit(["apply", "--check", upload.path], repo);
+  if (check.code !== 0) {
+    await sendMessage(
+      chat,
+      `⚠️ ${upload.fileName} doesn't apply to ${label}:\n${(check.err || check.out || "").trim().slice(0, 1500)}`
+    );
+    return;
+  }
+  const stat = await runGit(["apply", "--stat", upload.path], repo);
+  const token = storePatchOffer({ chatKey: chat.key, path: upload.path, fileName: upload.fileName });
+  await sendMessage(chat, `🩹 ${upload.fileName} applies cleanly to ${label}:\n${(stat.out || "").trim()}`, {
+    reply_markup: {
+      inline_keyboard: [[{ text: "🩹 Apply patch", callback_data: `patch:${token}` }]],
     },
-    body: form,
   });
-  const data = await response.json();
-  if (!response.ok) {
-    const message = data?.error?.message || "Audio transcription failed.";
-    throw new Error(message);
+}
+
+async function handlePatchCallback(query, chat, role) {
+  if (!hasRole(role, "operator")) {
+    await bot.answerCallbackQuery(query.id, {
+      text: `🔒 Applying a patch requires the operator role. Your role: ${role}.`,
+      show_alert: true,
+    });
+    return;
   }
-  const text = String(data.text || "").trim();
-  if (!text) {
-    throw new Error("Transcription returned empty text.");
+  const token = String(query.data).slice("patch:".length);
+  const offer = patchOffers.get(token);
+  if (!offer || offer.chatKey !== chat.key) {
+    await bot.answerCallbackQuery(query.id, { text: "This patch offer expired. Upload the patch again." });
+    return;
   }
-  return text;
+  patchOffers.delete(token);
+  await withInputsInUse(() => queuePatchOffer(query, chat, offer));
 }
 
-async function processAudioVideoAttachments(msg) {
-  const targets = [];
-  if (msg.voice?.file_id) targets.push({ type: "voice", fileId: msg.voice.file_id });
-  if (msg.audio?.file_id) targets.push({ type: "audio", fileId: msg.audio.file_id });
+async function queuePatchOffer(query, chat, offer) {
+  await bot
+    .editMessageReplyMarkup(CLEAR_INLINE_KEYBOARD, {
+      chat_id: chat.chatId,
+      message_id: query.message.message_id,
+    })
+    .catch(() => {});
+  let repo = getRepoForChat(chat);
+  if (config.taskWorktrees) {
+    try {
+      const task = await ensureChatTask(chat, `Apply ${offer.fileName}`);
+      repo = task.repo;
+      if (task.created) {
+        await sendMessage(chat, `🌿 Started task ${repo.taskId} on branch ${repo.branch} (from ${repo.baseBranch}).`);
+      }
+    } catch (err) {
+      await bot.answerCallbackQuery(query.id, { text: "Could not create a task worktree." });
+      await sendMessage(chat, `❌ Could not create a task worktree:\n${err.message || err}`);
+      return;
+    }
+  }
+  await bot.answerCallbackQuery(query.id, { text: "Applying patch." });
+  await enqueueChatJob(chat, "patch", { path: offer.path, fileName: offer.fileName }, query.from?.id ?? null, repo);
+}
+
+async function runPatchJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  const { path: patchPath, fileName } = job.payload;
+  try {
+    const check = await runGit(["apply", "--check", patchPath], repo);
+    if (check.code !== 0) {
+      await sendMessage(
+        chat,
+        `❌ ${fileName} no longer applies:\n${(check.err || check.out || "").trim().slice(0, 1500)}`
+      );
+      return;
+    }
+    try {
+      await takeRunCheckpoint(repo, `apply ${fileName}`);
+    } catch (err) {
+      await sendMessage(chat, `⚠️ Could not take a checkpoint before applying:\n${err.message || err}`);
+    }
+    const applied = await runGit(["apply", patchPath], repo);
+    if (applied.code !== 0) {
+      throw new Error((applied.err || applied.out || "git apply failed.").trim());
+    }
+    await markCheckoutChanged(repo);
+    const stat = await runGit(["apply", "--stat", patchPath], repo);
+    addHistory(chat, "assistant", `(applied uploaded patch ${fileName} to the working tree)`);
+    await saveSessions();
+    await sendMessage(
+      chat,
+      `✅ Applied ${fileName}:\n${(stat.out || "").trim()}\n\nReview it with /diff. /undo reverts it.`
+    );
+  } catch (err) {
+    await sendMessage(chat, `❌ Applying ${fileName} failed:\n${String(err?.message || err).slice(0, config.telegramMax)}`);
+  }
+}
+
+async function runFfmpeg(args) {
+  let result;
+  try {
+    result = await runCommand(config.ffmpegBin, args, { timeout: config.transcribeTimeoutMs });
+  } catch (err) {
+    throw new Error(`ffmpeg is needed to convert recordings but could not start: ${err.message || err}`);
+  }
+  if (result.code !== 0) {
+    throw new Error(`ffmpeg failed: ${(result.err || result.out || "").trim().slice(-500) || `exit ${result.code}`}`);
+  }
+}
+
+async function transcribeWithOpenAi(filePath) {
+  const form = new FormData();
+  // Node's fetch needs a Blob here; the file is already under the upload limit.
+  form.append("file", new Blob([await readFile(filePath)]), path.basename(filePath));
+  form.append("model", config.openaiTranscribeModel || "whisper-1");
+  const response = await fetch(buildTranscriptionUrl(config.openaiBaseUrl), {
+    method: "POST",
+    headers: config.openaiApiKey ? { Authorization: `Bearer ${config.openaiApiKey}` } : {},
+    body: form,
+    signal: AbortSignal.timeout(config.transcribeTimeoutMs),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data?.error?.message || `Audio transcription failed (HTTP ${response.status}).`);
+  }
+  return String(data.text || "");
+}
+
+async function transcribeWithCommand(filePath, workDir) {
+  let wav = null;
+  if (commandNeedsWav(config.transcribeCommand)) {
+    wav = path.join(workDir, `${path.parse(filePath).name}.wav`);
+    await runFfmpeg(buildWavArgs(filePath, wav));
+  }
+  const { command, args } = buildTranscribeCommand(config.transcribeCommand, { input: filePath, wav });
+  const result = await runCommand(command, args, { cwd: workDir, timeout: config.transcribeTimeoutMs });
+  if (result.code !== 0) {
+    throw new Error(
+      `Transcription command failed: ${(result.err || result.out || "").trim().slice(-500) || `exit ${result.code}`}`
+    );
+  }
+  return cleanCommandTranscript(result.out);
+}
+
+// Each backend takes one recording; maxUploadBytes, when set, makes longer
+// recordings get split with ffmpeg first.
+function getTranscriptionBackend() {
+  if (config.transcribeBackend === "command") {
+    return { name: "command", maxUploadBytes: null, transcribe: transcribeWithCommand };
+  }
+  return { name: "openai", maxUploadBytes: config.transcribeMaxUploadBytes, transcribe: transcribeWithOpenAi };
+}
+
+async function splitRecording(filePath, workDir, maxUploadBytes) {
+  const chunkDir = path.join(workDir, "chunks");
+  await mkdir(chunkDir);
+  await runFfmpeg(buildSplitArgs(filePath, chunkDir, getChunkSeconds(maxUploadBytes)));
+  const chunks = (await readdir(chunkDir)).sort().map((name) => path.join(chunkDir, name));
+  if (!chunks.length) throw new Error("ffmpeg produced no audio chunks.");
+  return chunks;
+}
+
+async function transcribeMediaFile(localPath) {
+  const blocker = getTranscriptionBlocker(config);
+  if (blocker) {
+    throw new Error(blocker);
+  }
+  const backend = getTranscriptionBackend();
+  const workDir = await mkdtemp(path.join(os.tmpdir(), "codex-transcribe-"));
+  try {
+    const { size } = await stat(localPath);
+    const chunks = needsSplitting(size, backend.maxUploadBytes)
+      ? await splitRecording(localPath, workDir, backend.maxUploadBytes)
+      : [localPath];
+    const parts = [];
+    for (const chunk of chunks) {
+      parts.push(await backend.transcribe(chunk, workDir));
+    }
+    const text = joinTranscripts(parts);
+    if (!text) {
+      throw new Error("Transcription returned empty text.");
+    }
+    return text;
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function processAudioVideoAttachments(msg, repo) {
+  const targets = [];
+  if (msg.voice?.file_id) targets.push({ type: "voice", fileId: msg.voice.file_id });
+  if (msg.audio?.file_id) targets.push({ type: "audio", fileId: msg.audio.file_id });
   if (msg.video?.file_id) targets.push({ type: "video", fileId: msg.video.file_id });
   if (msg.video_note?.file_id) targets.push({ type: "video_note", fileId: msg.video_note.file_id });
 
@@ -598,7 +2102,7 @@ async function processAudioVideoAttachments(msg) {
   const warnings = [];
   for (const target of targets) {
     try {
-      const localPath = await downloadToInputs(target.fileId);
+      const localPath = await downloadToInputs(target.fileId, repo);
       const text = await transcribeMediaFile(localPath);
       transcripts.push(`[${target.type}] ${text}`);
     } catch (error) {
@@ -620,80 +2124,1231 @@ async function ensureStartupReady() {
       `TARGET_REPO_DIR does not look like a git repo: ${config.targetRepoDir}`
     );
   }
-  await loadSessions();
-  await loadRepoMemoryStore();
+  await loadSessions();
+  await loadRepoMemoryStore();
+  await loadAccessStore();
+  await loadTaskStore();
+  await loadTestRunStore();
+  await loadPrStore();
+  await loadScheduleStore();
+  return loadJobQueue();
+}
+
+async function enqueueChatJob(chat, kind, payload, userId = null, repo = getRepoForChat(chat)) {
+  const wasIdle = !runningJob && !getPendingJobs(jobQueue).length;
+  const { job, position } = enqueueJob(jobQueue, {
+    id: createJobId(),
+    kind,
+    chatId: chat.chatId,
+    threadId: chat.threadId,
+    userId,
+    repo,
+    enqueuedAt: new Date().toISOString(),
+    payload,
+  });
+  await saveJobQueue();
+  if (!wasIdle) {
+    await sendMessage(
+      chat,
+      `⏳ Queued at position ${position} (${job.id}). Use /queue to view or remove pending jobs.`
+    );
+  }
+  void drainJobQueue();
+  return job;
+}
+
+async function drainJobQueue() {
+  if (drainingQueue) return;
+  drainingQueue = true;
+  try {
+    for (let job = getNextJob(jobQueue); job; job = getNextJob(jobQueue)) {
+      runningJob = job;
+      markJobStarted(jobQueue, job.id);
+      try {
+        await saveJobQueue();
+        await runJob(job);
+      } catch (err) {
+        console.error(`Job ${job.id} failed unexpectedly.`, err);
+      } finally {
+        runningJob = null;
+        completeJob(jobQueue, job.id);
+        await saveJobQueue().catch((err) => {
+          console.error("Failed to persist job queue.", err);
+        });
+      }
+    }
+  } finally {
+    drainingQueue = false;
+  }
+}
+
+async function runJob(job) {
+  if (job.kind === "pr") {
+    await runPullRequestJob(job);
+    return;
+  }
+  if (job.kind === "restore") {
+    await runRestoreJob(job);
+    return;
+  }
+  if (job.kind === "test") {
+    await runTestJob(job);
+    return;
+  }
+  if (job.kind === "patch") {
+    await runPatchJob(job);
+    return;
+  }
+  if (job.kind === "task") {
+    await runTaskJob(job);
+    return;
+  }
+  await runCodexJob(job);
+}
+
+async function releaseDroppedPushes(chat, jobs) {
+  const session = getSession(chat);
+  const released = jobs.filter(
+    (job) => job.kind === "confirmpush" && releasePushConfirmation(session, job.payload?.pushId)
+  );
+  if (released.length) await saveSessions();
+  return released.length ? " The staged push is back; /confirmpush sends it again." : "";
+}
+
+async function handleQueueCommand(chat, text) {
+  const parts = text.trim().split(/\s+/);
+  const action = (parts[1] || "").toLowerCase();
+
+  if (!action || action === "list") {
+    await sendMessage(chat, formatJobQueue(jobQueue, chat.key));
+    return;
+  }
+
+  if (action === "remove") {
+    const result = removePendingJob(jobQueue, parts[2], chat.key);
+    if (!result.removed) {
+      await sendMessage(chat, "Use: /queue remove <position or job id> (pending jobs only).");
+      return;
+    }
+    await saveJobQueue();
+    const note = await releaseDroppedPushes(chat, [result.removed]);
+    await sendMessage(chat, `Removed ${result.removed.id} from the queue.${note}`);
+    return;
+  }
+
+  if (action === "clear") {
+    const pending = getPendingJobs(jobQueue, chat.key);
+    pending.forEach((job) => completeJob(jobQueue, job.id));
+    await saveJobQueue();
+    const note = await releaseDroppedPushes(chat, pending);
+    await sendMessage(chat, `Removed ${pending.length} pending job(s) from the queue.${note}`);
+    return;
+  }
+
+  await sendMessage(chat, "Queue commands:\n/queue\n/queue remove <position or job id>\n/queue clear");
+}
+
+async function handleAccessCommand(chat, text) {
+  const parts = text.trim().split(/\s+/);
+  const command = getCommandName(text);
+
+  if (command === "/users") {
+    await sendMessage(chat, `Users with access:\n${formatUserRoles(config.userRoles, accessStore)}`);
+    return;
+  }
+
+  try {
+    if (command === "/grant") {
+      if (!parts[1] || !parts[2]) {
+        await sendMessage(chat, `Use: /grant <telegram user id> <${ROLES.join("|")}>`);
+        return;
+      }
+      const result = grantUserRole(config.userRoles, accessStore, parts[1], parts[2]);
+      accessStore = result.store;
+      await saveAccessStore();
+      await sendMessage(chat, `Granted ${result.role} to ${result.userId}.`);
+      return;
+    }
+
+    if (!parts[1]) {
+      await sendMessage(chat, "Use: /revoke <telegram user id>");
+      return;
+    }
+    const result = revokeUserRole(config.userRoles, accessStore, parts[1]);
+    if (!result.previousRole) {
+      await sendMessage(chat, `User ${result.userId} has no access to revoke.`);
+      return;
+    }
+    accessStore = result.store;
+    await saveAccessStore();
+    await sendMessage(chat, `Revoked ${result.previousRole} access from ${result.userId}.`);
+  } catch (err) {
+    await sendMessage(chat, String(err?.message || err));
+  }
+}
+
+async function draftPullRequestBody(chat, repo, { title, base, head }) {
+  const remoteBase = `${repo.remote}/${base}`;
+  const hasRemoteBase =
+    (await runGit(["rev-parse", "--verify", "--quiet", `refs/remotes/${remoteBase}`], repo)).code === 0;
+  const baseRef = hasRemoteBase ? remoteBase : base;
+  const log = await runGit(
+    ["log", "--no-merges", "--max-count=50", "--format=- %s%n%b", `${baseRef}..HEAD`],
+    repo
+  );
+  const diffStat = await runGit(["diff", "--stat", "--color=never", `${baseRef}...HEAD`], repo);
+  const diff = await runGit(["diff", "-U3", "--color=never", `${baseRef}...HEAD`], repo);
+  if (log.code !== 0 || diff.code !== 0) {
+    throw new Error(`Could not compare ${head} with ${baseRef}.\n${log.err || diff.err || ""}`.trim());
+  }
+  const diffText = (diff.out || "").trim();
+  const prompt = buildPrDescriptionPrompt({
+    title,
+    base: baseRef,
+    head,
+    log: (log.out || "").trim(),
+    diffStat: (diffStat.out || "").trim(),
+    diff:
+      diffText.length > MAX_PR_DRAFT_DIFF_CHARS
+        ? `${diffText.slice(0, MAX_PR_DRAFT_DIFF_CHARS)}\n... (diff truncated)`
+        : diffText,
+  });
+
+  const header = "📝 Drafting the description with Codex (read-only)...";
+  const statusMessage = await sendMessage(chat, header);
+  const progress = createProgressReporter(chat, statusMessage, header);
+  try {
+    const description = await runCodex(prompt, "read-only", repo, {
+      onProgress: (state) => progress.update(state),
+    });
+    await progress.finish("✅ Description drafted");
+    return String(description || "").trim();
+  } catch (err) {
+    await progress.finish("❌ Drafting stopped");
+    throw err;
+  }
+}
+
+async function runPullRequestJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  const { title, body: bodyRaw, draft = null, reviewers = [], labels = [] } = job.payload;
+  const base = job.payload.base || repo.baseBranch || repo.branch;
+  let noun = "pull request";
+  try {
+    const target = await getHostingTarget(repo);
+    noun = getRequestNoun(target.provider);
+    await sendMessage(chat, `📤 Preparing ${noun} on ${target.host}...`);
+    const branch = await getCurrentBranch(repo);
+    if (branch === base) {
+      throw new Error(`The current branch is ${base}, which is also the base. Use --base or work on another branch.`);
+    }
+    await ensureBranchPushed(branch, repo);
+
+    let body = bodyRaw;
+    const notes = [];
+    if (!body) {
+      try {
+        body = await draftPullRequestBody(chat, repo, { title, base, head: branch });
+      } catch (err) {
+        notes.push(`Codex could not draft the description (${err.message || err}); used the diff preview instead.`);
+      }
+    }
+    if (!body) {
+      const headSha = await getHeadCommit(repo);
+      const diffPreview = await buildDiffPreview({ ref: headSha }, repo);
+      const diffSection = diffPreview ? `\n\nDiff preview:\n${diffPreview}` : "";
+      body = `Created via Codex Telegram Bridge.${diffSection}`;
+    }
+
+    const { pr, updated, warnings } = await openOrUpdatePullRequest(target, {
+      title,
+      body,
+      head: branch,
+      base,
+      draft,
+      reviewers,
+      labels,
+    });
+    await saveAutoRepoMemory(
+      `Recent PR ${updated ? "updated" : "created"}: ${pr.title} from ${branch} into ${base}.`,
+      {},
+      repo
+    );
+    trackPullRequest(prStore, repo.rootDir, {
+      number: pr.number,
+      title: pr.title,
+      url: pr.url,
+      head: branch,
+      base,
+      chatId: job.chatId,
+      threadId: job.threadId,
+      repo: { alias: repo.alias, dir: repo.rootDir, remote: repo.remote, provider: repo.provider, apiUrl: repo.apiUrl },
+      openedAt: new Date().toISOString(),
+    });
+    await savePrStore();
+    const extras = [...notes, ...warnings].map((line) => `⚠️ ${line}`).join("\n");
+    await sendMessage(
+      chat,
+      `✅ ${noun[0].toUpperCase()}${noun.slice(1)} #${pr.number} ${updated ? "updated" : "created"}.\nTitle: ${pr.title}\nURL: ${pr.url}${extras ? `\n\n${extras}` : ""}`
+    );
+  } catch (err) {
+    const msg = String(err?.message || err);
+    await sendMessage(chat, `❌ Failed to open ${noun}:\n${msg}`);
+  }
+}
+
+async function refreshTrackedPullRequest(entry) {
+  const target = await getHostingTarget(entry.repo);
+  const status = await getPullRequestStatus(target, entry.number);
+  const changes = describeStatusChanges(entry.lastStatus, status);
+  recordPullRequestStatus(entry, status, new Date().toISOString());
+  return { target, status, changes };
+}
+
+async function handlePrsCommand(chat) {
+  const repo = getChatBaseRepo(chat);
+  const entries = getTrackedPullRequests(prStore, repo.dir);
+  const errors = [];
+  for (const entry of entries.filter(isPullRequestOpen)) {
+    try {
+      await refreshTrackedPullRequest(entry);
+    } catch (err) {
+      errors.push(`⚠️ #${entry.number}: ${err.message || err}`);
+    }
+  }
+  if (entries.length) await savePrStore();
+  const footer = errors.length ? `\n\n${errors.join("\n")}` : "";
+  await sendLongMessage(chat, `${formatPullRequestList(entries)}${footer}`, { disable_web_page_preview: true });
+}
+
+async function handleMergeCommand(chat, text) {
+  const request = parseMergeCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${MERGE_USAGE}`);
+    return;
+  }
+  const repo = getChatBaseRepo(chat);
+  const entry = findTrackedPullRequest(prStore, repo.dir, request.number);
+  if (!entry) {
+    await sendMessage(chat, `#${request.number} wasn't opened through the bridge for this repo. See /prs.`);
+    return;
+  }
+  try {
+    const { target, status } = await refreshTrackedPullRequest(entry);
+    await savePrStore();
+    const blocker = getMergeBlocker(status);
+    if (blocker) {
+      await sendMessage(chat, `Not merging #${entry.number}. ${blocker}`);
+      return;
+    }
+    await mergePullRequest(target, entry.number, request.strategy);
+    await refreshTrackedPullRequest(entry).catch(() => {});
+    await savePrStore();
+    await saveAutoRepoMemory(`Merged PR #${entry.number}: ${entry.title} into ${entry.base}.`, {}, repo);
+    await sendMessage(chat, `🔀 Merged #${entry.number} ${entry.title} into ${entry.base}.\n${entry.url}`);
+  } catch (err) {
+    await sendMessage(chat, `❌ Failed to merge #${entry.number}:\n${err.message || err}`);
+  }
+}
+
+// Polls open tracked PRs and tells the chat that opened each one when its
+// checks finish, a review arrives, or it gets merged or closed.
+async function pollTrackedPullRequests() {
+  if (pollingPullRequests) return;
+  pollingPullRequests = true;
+  try {
+    for (const repoDir of Object.keys(prStore.repos)) {
+      for (const entry of getTrackedPullRequests(prStore, repoDir).filter(isPullRequestOpen)) {
+        try {
+          const { target, changes } = await refreshTrackedPullRequest(entry);
+          if (!changes.length) continue;
+          const noun = getRequestNoun(target.provider);
+          await sendMessage(
+            createChatTarget(entry.chatId, entry.threadId),
+            `🔔 ${noun[0].toUpperCase()}${noun.slice(1)} #${entry.number} ${entry.title}\n${changes.join("\n")}\n${entry.url}`,
+            { disable_web_page_preview: true }
+          );
+        } catch (err) {
+          console.error(`Failed to poll pull request #${entry.number} in ${repoDir}.`, err);
+        }
+      }
+    }
+    await savePrStore();
+  } catch (err) {
+    console.error("Failed to poll tracked pull requests.", err);
+  } finally {
+    pollingPullRequests = false;
+  }
+}
+
+async function handleScheduleCommand(chat, text, userId) {
+  const request = parseScheduleCommand(text);
+  if (request.error) {
+    await sendMessage(chat, `${request.error}\n${SCHEDULE_USAGE}`);
+    return;
+  }
+  if (request.action === "list") {
+    await sendLongMessage(chat, formatScheduleList(getChatSchedules(scheduleStore, chat.key)));
+    return;
+  }
+  if (request.action === "remove") {
+    const removed = removeSchedule(scheduleStore, chat.key, request.id);
+    if (!removed) {
+      await sendMessage(chat, `No schedule ${request.id} in this chat. See /schedule list.`);
+      return;
+    }
+    await saveScheduleStore();
+    await sendMessage(chat, `🗑️ Removed schedule ${removed.id} (${removed.cron}).`);
+    return;
+  }
+  const repo = getChatBaseRepo(chat);
+  try {
+    const entry = addSchedule(scheduleStore, {
+      chatId: chat.chatId,
+      threadId: chat.threadId,
+      chatKey: chat.key,
+      alias: repo.alias,
+      cron: request.cron,
+      prompt: request.prompt,
+      createdBy: userId,
+    });
+    await saveScheduleStore();
+    await sendMessage(
+      chat,
+      `⏰ Scheduled ${entry.id} on ${repo.alias || "default"} (${entry.cron}).\nNext run: ${entry.nextRunAt}`
+    );
+  } catch (err) {
+    await sendMessage(chat, `❌ ${err.message || err}`);
+  }
+}
+
+// Queues a due schedule as a prompt job on its own repo alias, so it shares
+// the run lock with everything else. The sandbox follows the creator's
+// current role; schedules whose alias or creator is gone are dropped. With
+// task worktrees on, write-capable runs go to the schedule's own task.
+async function enqueueScheduledRun(entry) {
+  const chat = createChatTarget(entry.chatId, entry.threadId);
+  const def = entry.alias ? repoAliasStore.aliases[entry.alias] : defaultRepoDef;
+  const role = getRoleForUser(entry.createdBy);
+  const dropReason = !def
+    ? `repo alias ${entry.alias} no longer exists`
+    : !role
+      ? "its creator no longer has access"
+      : null;
+  if (dropReason) {
+    removeSchedule(scheduleStore, entry.chatKey, entry.id);
+    await sendMessage(chat, `⏰ Removed schedule ${entry.id} (${entry.cron}): ${dropReason}.`);
+    return;
+  }
+  if (jobQueue.jobs.some((job) => job.payload?.scheduleId === entry.id)) {
+    await sendMessage(chat, `⏰ Skipped a run of ${entry.id}: the previous one hasn't finished yet.`);
+    return;
+  }
+  const readOnly = !hasRole(role, "operator");
+  let repo = createRepoContext(def, entry.alias);
+  if (config.taskWorktrees && !readOnly) {
+    let task;
+    try {
+      task = await ensureScheduleTask(entry, repo);
+    } catch (err) {
+      await sendMessage(chat, `❌ Skipped a run of ${entry.id}: could not create a task worktree:\n${err.message || err}`);
+      return;
+    }
+    repo = task.repo;
+    if (task.created) {
+      await sendMessage(
+        chat,
+        `🌿 Schedule ${entry.id} works on task ${repo.taskId} (branch ${repo.branch}). Review it with /task switch ${repo.taskId}; /task merge or discard when done.`
+      );
+    }
+  }
+  await enqueueChatJob(
+    chat,
+    "prompt",
+    {
+      message: { text: entry.prompt },
+      readOnly,
+      scheduleId: entry.id,
+    },
+    entry.createdBy,
+    repo
+  );
+}
+
+async function fireDueSchedules() {
+  if (firingSchedules) return;
+  firingSchedules = true;
+  try {
+    const now = new Date();
+    const due = getDueSchedules(scheduleStore, now);
+    for (const entry of due) {
+      advanceSchedule(entry, now);
+      try {
+        await enqueueScheduledRun(entry);
+      } catch (err) {
+        console.error(`Failed to start scheduled run ${entry.id}.`, err);
+      }
+    }
+    if (due.length) await saveScheduleStore();
+  } catch (err) {
+    console.error("Failed to fire due schedules.", err);
+  } finally {
+    firingSchedules = false;
+  }
+}
+
+async function handleCheckpointsCommand(chat) {
+  const repo = getRepoForChat(chat);
+  try {
+    const git = createCheckpointGit(repo);
+    const scope = await resolveCheckpointScope(git);
+    const checkpoints = await listCheckpoints(git, scope);
+    await sendLongMessage(
+      chat,
+      `Checkpoints for ${repo.alias || "default"} (${scope}), newest first:\n${formatCheckpointList(checkpoints)}\n\n/undo restores the latest run checkpoint. /restore <id or number> restores any of them.`
+    );
+  } catch (err) {
+    await sendMessage(chat, `❌ Could not list checkpoints:\n${err.message || err}`);
+  }
+}
+
+async function runRestoreJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  const { selector } = job.payload;
+  const git = createCheckpointGit(repo);
+  const excludeSpecs = getBridgeExcludePathspecs(repo);
+  try {
+    const scope = await resolveCheckpointScope(git);
+    const checkpoints = await listCheckpoints(git, scope);
+    const checkpoint = selector
+      ? findCheckpoint(checkpoints, selector)
+      : checkpoints.find((entry) => entry.kind === "run");
+    if (!checkpoint) {
+      await sendMessage(
+        chat,
+        selector
+          ? `Checkpoint '${selector}' not found. Use /checkpoints.`
+          : "No run checkpoint to undo. Use /checkpoints."
+      );
+      return;
+    }
+
+    const backup = await createCheckpoint(git, {
+      scope,
+      kind: "restore",
+      label: `before restoring ${checkpoint.id}`,
+      excludeSpecs,
+    });
+    const result = await restoreCheckpoint(git, { checkpoint, workDir: repo.dir, excludeSpecs });
+    await markCheckoutChanged(repo);
+    // /undo consumes the checkpoint so repeated /undo walks back through runs.
+    if (!selector) await deleteCheckpoint(git, checkpoint);
+    await pruneCheckpoints(git, scope, config.checkpointLimit);
+
+    addHistory(
+      chat,
+      "assistant",
+      `(working tree restored to checkpoint ${checkpoint.id} via ${selector ? "/restore" : "/undo"})`
+    );
+    await saveSessions();
+    const lines = [
+      `↩️ Restored the working tree to checkpoint ${checkpoint.id}, taken before: ${checkpoint.label}`,
+      result.removed.length
+        ? `- Removed ${result.removed.length} file(s) created since then.`
+        : "- No files needed removing.",
+      "- All changes are now unstaged.",
+      `- The previous state was saved as ${backup.id}; /restore ${backup.id} brings it back.`,
+    ];
+    if (result.headMoved) {
+      lines.push("- HEAD has moved since the checkpoint. Commits were left alone; only files were restored.");
+    }
+    await sendMessage(chat, lines.join("\n"));
+  } catch (err) {
+    await sendMessage(chat, `❌ Restore failed:\n${String(err?.message || err).slice(0, config.telegramMax)}`);
+  }
+}
+
+async function runTestJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  if (!repo.testCommand) {
+    await sendMessage(chat, `No test command is set for ${repo.alias || "the default repo"}.`);
+    return;
+  }
+  if (job.cancelRequested) {
+    await sendMessage(chat, "🛑 Canceled before the tests started.");
+    return;
+  }
+  await sendMessage(chat, `🧪 Running ${repo.testCommand}${job.payload.args ? ` ${job.payload.args}` : ""}...`);
+  try {
+    const result = await runTests(repo, job.payload.args);
+    if (!result.canceled) {
+      recordTestRun(testRunStore, { dir: repo.dir, result, finishedAt: new Date().toISOString() });
+      await saveTestRunStore();
+    }
+    await sendTestLog(chat, repo, result);
+  } catch (err) {
+    await sendMessage(chat, `❌ Tests could not run:\n${err.message || err}`);
+  }
+}
+
+function getTestBlockedPushMessage(chat) {
+  if (!config.testAfterRun) return null;
+  return getPushTestBlocker(testRunStore, getRepoForChat(chat).dir);
+}
+
+function formatPushTtl() {
+  return `${Math.max(1, Math.round(config.pushConfirmTtlMs / 60000))} min`;
+}
+
+async function enqueuePushJob(chat, pendingPush, userId) {
+  pendingPush.confirmedAt = new Date().toISOString();
+  await saveSessions();
+  await enqueueChatJob(
+    chat,
+    "confirmpush",
+    {
+      description: pendingPush.description,
+      stagedAt: pendingPush.createdAt,
+      pushId: pendingPush.id,
+    },
+    userId
+  );
+}
+
+const PUSH_CALLBACK_NOTICES = {
+  missing: "There is no staged push anymore. Stage a new one with /push.",
+  superseded: "A newer push was staged since. Use the buttons on that one.",
+  confirmed: "This push is already confirmed and queued.",
+  expired: "This staged push expired. Stage it again with /push.",
+};
+
+async function handlePushCallback(query, chat, role) {
+  const parsed = parsePushCallbackData(query.data);
+  const command = parsed?.action === "confirm" ? "/confirmpush" : "/cancelpush";
+  const requiredRole = getRequiredRole(command);
+  if (!hasRole(role, requiredRole)) {
+    await bot.answerCallbackQuery(query.id, {
+      text: `🔒 ${command} requires the ${requiredRole} role. Your role: ${role}.`,
+      show_alert: true,
+    });
+    return;
+  }
+
+  const session = getSession(chat);
+  const status = parsed
+    ? resolvePushCallback(session.pendingPush, parsed.pushId, Date.now(), config.pushConfirmTtlMs)
+    : "missing";
+  await bot
+    .editMessageReplyMarkup(CLEAR_INLINE_KEYBOARD, {
+      chat_id: chat.chatId,
+      message_id: query.message.message_id,
+    })
+    .catch(() => {});
+  if (status === "expired") {
+    clearPendingPush(session);
+    await saveSessions();
+  }
+  if (status !== "ok") {
+    await bot.answerCallbackQuery(query.id, { text: PUSH_CALLBACK_NOTICES[status], show_alert: true });
+    return;
+  }
+  const testBlocker = parsed.action === "confirm" ? getTestBlockedPushMessage(chat) : null;
+  if (testBlocker) {
+    await bot.answerCallbackQuery(query.id, { text: "Tests are red.", show_alert: true });
+    await sendMessage(chat, testBlocker);
+    return;
+  }
+
+  if (parsed.action === "cancel") {
+    clearPendingPush(session);
+    await saveSessions();
+    await bot.answerCallbackQuery(query.id, { text: "Push canceled." });
+    await sendMessage(chat, "Pending push canceled.");
+    return;
+  }
+  await bot.answerCallbackQuery(query.id, { text: "Push confirmed." });
+  await enqueuePushJob(chat, session.pendingPush, query.from.id);
+}
+
+async function describeRepoChangesSince(repo, { headBefore, statusBefore }) {
+  const lines = [];
+  try {
+    const headAfter = await getHeadCommit(repo);
+    lines.push(
+      headAfter === headBefore
+        ? "- HEAD did not move."
+        : `- HEAD moved from ${headBefore.slice(0, 7)} to ${headAfter.slice(0, 7)} (not pushed).`
+    );
+  } catch (err) {
+    lines.push(`- Could not read HEAD: ${err.message || err}`);
+  }
+  const status = await runGit(buildStatusArgsExcludingBridgeDirs(repo), repo);
+  if (status.code !== 0) {
+    lines.push("- Could not read working tree status.");
+  } else {
+    lines.push(
+      (status.out || "") === statusBefore
+        ? "- Working tree is unchanged since the run started."
+        : "- Working tree changed before the cancel; review it with git status."
+    );
+  }
+  return lines.join("\n");
+}
+
+async function reportCanceledRun(job, session, snapshot) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  addHistory(chat, "assistant", "(run canceled via /cancel before Codex finished)");
+  if (job.kind !== "confirmpush") {
+    await saveSessions();
+    await sendMessage(chat, "🛑 Codex run canceled.");
+    return;
+  }
+  clearPendingPush(session);
+  await saveSessions();
+  const changes = snapshot.headBefore
+    ? await describeRepoChangesSince(repo, snapshot)
+    : "- Canceled before Codex started; the repo was not touched.";
+  await sendMessage(
+    chat,
+    `🛑 Push run canceled. Staged push cleared; nothing was pushed.\n${changes}`,
+    REMOVE_KEYBOARD
+  );
+}
+
+function handleCancelCommand(chat, role) {
+  if (!runningJob) return "Nothing is running.";
+  if (getJobChatKey(runningJob) !== chat.key && !hasRole(role, "maintainer")) {
+    return "The running job belongs to another chat. Only maintainers can cancel it.";
+  }
+  if (runningJob.kind === "pr") {
+    return "The running job is creating a pull request and can't be canceled midway.";
+  }
+  if (runningJob.kind === "restore") {
+    return "The running job is restoring a checkpoint and can't be canceled midway.";
+  }
+  if (runningJob.kind === "patch") {
+    return "The running job is applying a patch and can't be canceled midway.";
+  }
+  if (runningJob.kind === "task") {
+    return `The running job is a task ${runningJob.payload?.action || "merge"} and can't be canceled midway.`;
+  }
+  runningJob.cancelRequested = true;
+  const target = runningJob.kind === "test" ? "the test run" : "Codex";
+  if (cancelActiveCodexRun()) {
+    return `Canceling ${runningJob.id}... sent SIGTERM to ${target}.`;
+  }
+  return `Canceling ${runningJob.id} before ${target} starts.`;
+}
+
+async function runCodexJob(job) {
+  const chat = getJobChat(job);
+  const { repo } = job;
+  const isPush = job.kind === "confirmpush";
+  const readOnly = !isPush && Boolean(job.payload.readOnly);
+  // Scheduled runs stay out of the chat's conversation and Codex session.
+  const scheduleId = job.payload.scheduleId || null;
+  const message = job.payload.message || {};
+  const hasImage = hasImageAttachment(message);
+  const hasDocument = hasDocumentUpload(message);
+  const userText = isPush
+    ? job.payload.description
+    : (message.text ?? message.caption ?? "").trim();
+  const session = getSession(chat);
+
+  const pushStillStaged =
+    session.pendingPush && (!job.payload.pushId || session.pendingPush.id === job.payload.pushId);
+  if (isPush && !pushStillStaged) {
+    await sendMessage(
+      chat,
+      "Staged push was canceled or replaced before its turn in the queue. Nothing was pushed.",
+      REMOVE_KEYBOARD
+    );
+    return;
+  }
+
+  const progressHeader = scheduleId
+    ? `⏰ Scheduled run ${scheduleId}. Running...`
+    : hasImage
+      ? "🖼️ Screenshot received. Running..."
+      : hasDocument
+        ? "📎 File received. Running..."
+        : "🧠 Running...";
+  const statusMessage = await sendMessage(chat, progressHeader);
+  const progress = createProgressReporter(chat, statusMessage, progressHeader);
+
+  let headBefore = "";
+  let statusBefore = "";
+  let runStart = null;
+  let runState = null;
+  try {
+    if (isPush) {
+      headBefore = await getHeadCommit(repo);
+      statusBefore = (await runGit(buildStatusArgsExcludingBridgeDirs(repo), repo)).out || "";
+      const codexAheadProbe = await runCommand("git", [
+        "--git-dir",
+        path.join(repo.dir, ".git-codex"),
+        "--work-tree",
+        repo.dir,
+        "rev-list",
+        "--count",
+        `${repo.remote}/${repo.branch}..${repo.branch}`,
+      ]);
+      if (codexAheadProbe.code === 0) {
+        const codexAhead = Number.parseInt((codexAheadProbe.out || "").trim(), 10);
+        if (Number.isFinite(codexAhead) && codexAhead > 0) {
+          throw new Error(
+            "Detected commits ahead in .git-codex. Clean this up before using /confirmpush so only .git is the source of truth."
+          );
+        }
+      }
+    }
+
+    const historyContext = scheduleId
+      ? "None. This is a scheduled run, separate from the chat's conversation."
+      : buildHistoryContext(chat);
+    const policy = isPush
+      ? `
+You may:
+- Modify files inside this repo.
+- Stage changes.
+- Create a commit with a clear commit message.
+
+You MUST NOT:
+- Run git push
+- Clone the repo elsewhere
+- Use .git-codex or any alternate git-dir/work-tree
+
+After committing, summarize:
+- Commit message
+- Note that the Telegram bot handles the final push step.
+The bot appends the changed files and commands run itself; don't list them.
+`
+      : readOnly
+        ? `
+You may:
+- Read files and run read-only commands inside this repo.
+
+You MUST NOT:
+- Create, modify, or delete files
+- Run git commit
+- Run git push
+
+Answer the question directly. The requesting user has read-only access.
+`
+        : `
+You may:
+- Modify files inside this repo.
+- Run tests or read files.
+
+You MUST NOT:
+- Run git commit
+- Run git push
+
+After changes, summarize:
+- What changed and why
+- Suggested commit message
+- Next steps.
+The bot appends the changed files and commands run itself; don't list them.
+`;
+
+    let imagePath = null;
+    if (hasImage) {
+      imagePath = await saveIncomingImage(message, repo);
+    }
+    let upload = job.payload.upload || null;
+    if (!upload && hasDocument) {
+      upload = await saveIncomingDocument(message.document, repo);
+      if (upload.error) await sendMessage(chat, `⚠️ Could not unpack ${upload.fileName}: ${upload.error}`);
+    }
+    const mediaInfo = await processAudioVideoAttachments(message, repo);
+    const mediaReply = buildMediaReply(mediaInfo);
+    if (mediaReply) {
+      await sendMessage(chat, mediaReply);
+    }
+    const mediaPromptSection = buildMediaPromptSection(mediaInfo);
+    const memoryQueryText = [
+      userText,
+      hasImage ? "screenshot attached" : "",
+      upload ? `file uploaded: ${upload.fileName}` : "",
+      mediaPromptSection !== "No audio/video attachments." ? mediaPromptSection : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const repoMemoryContext = buildMemoryPromptSection(
+      getPromptMemories(repo),
+      memoryQueryText,
+      { historyText: historyContext }
+    );
+
+    const buildGuardedPrompt = (conversationContext) => `
+You are working ONLY inside:
+${repo.dir}
+
+${policy}
+
+Response style requirements:
+- Write for Telegram chat (not terminal).
+- Use short sections and bullets where helpful.
+- Do NOT wrap the full answer in triple-backtick code fences.
+- Be concise and natural.
+
+Screenshot input:
+${imagePath ? `User attached a screenshot at: ${imagePath}` : "No screenshot attached."}
+
+Uploaded files:
+${buildUploadPromptSection(upload)}
+
+Audio/video transcription:
+${mediaPromptSection}
+
+Sending files back:
+${
+  readOnly
+    ? "Not available for this read-only request."
+    : `Save files the user should receive (charts, screenshots, CSVs, build artifacts) in ${getOutboxDir(repo)}. The bot sends them after this run; don't mention them as paths.`
+}
+
+Saved long-term repo memory:
+${repoMemoryContext}
+
+Conversation context from this Telegram chat:
+${conversationContext}
+
+User request:
+${userText || `(no caption text provided; use the ${upload ? "uploaded file" : "screenshot"} context)`}
+`.trim();
+
+    const historyUserText = [
+      isPush ? `/confirmpush ${userText}` : userText || "(image-only message)",
+      imagePath ? `[screenshot: ${imagePath}]` : "",
+      upload ? `[upload: ${upload.path}${upload.extractedDir ? `, unpacked: ${upload.extractedDir}` : ""}]` : "",
+      mediaPromptSection !== "No audio/video attachments."
+        ? `[media: ${mediaPromptSection}]`
+        : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    if (!scheduleId) addHistory(chat, "user", historyUserText);
+    if (job.cancelRequested) {
+      throw createCanceledError();
+    }
+    if (!readOnly) {
+      try {
+        await takeRunCheckpoint(repo, isPush ? `/confirmpush ${userText}` : userText || "(attachment)");
+      } catch (err) {
+        await sendMessage(chat, `⚠️ Could not take a checkpoint before this run:\n${err.message || err}`);
+      }
+      if (!isPush) await markCheckoutChanged(repo);
+    }
+    const codexSandbox = isPush
+      ? config.pushSandbox
+      : readOnly
+        ? "read-only"
+        : config.defaultSandbox;
+    const agent = getRepoAgent(repo);
+    const resumeThreadId =
+      config.codexResumeSessions && supportsResume(agent) && !scheduleId
+        ? getResumableThreadId(session, { dir: repo.dir, agent: agent.name })
+        : null;
+    if (!readOnly) await mkdir(getOutboxDir(repo), { recursive: true });
+    runStart = await snapshotRunStart(repo);
+    const runAgent = (conversationContext, threadId) => {
+      runState = null;
+      return runCodex(buildGuardedPrompt(conversationContext), codexSandbox, repo, {
+        resumeThreadId: threadId,
+        onProgress: (state) => {
+          runState = state;
+          progress.update(state);
+        },
+      });
+    };
+    let resultRaw;
+    let threadId = resumeThreadId;
+    if (resumeThreadId) {
+      try {
+        resultRaw = await runAgent(RESUMED_HISTORY_NOTE, resumeThreadId);
+      } catch (err) {
+        // Only retry when the resume failed before Codex did any work.
+        if (err?.canceled || err?.timedOut || hasRunActivity(err?.runState || runState)) throw err;
+        clearCodexThread(session);
+        threadId = null;
+        await sendMessage(
+          chat,
+          `↩️ Could not resume the earlier Codex session (${String(err?.message || err).split("\n")[0]}). Starting a new one with the chat history instead.`
+        );
+        resultRaw = await runAgent(historyContext, null);
+      }
+    } else {
+      resultRaw = await runAgent(historyContext, null);
+    }
+    if (supportsResume(agent) && !scheduleId && (runState?.threadId || threadId)) {
+      setCodexThread(
+        session,
+        { id: runState?.threadId || threadId, dir: repo.dir, agent: agent.name },
+        new Date().toISOString()
+      );
+    }
+    await progress.finish("✅ Codex finished");
+    const result = isPush ? sanitizePushNarration(resultRaw) : resultRaw;
+    const report = await collectRunReport(repo, runStart, runState);
+    if (!scheduleId) addHistory(chat, "assistant", result, { report });
+
+    let finalMessage = scheduleId ? `⏰ Scheduled run ${scheduleId}:\n\n${result}` : result;
+    if (isPush) {
+      const headAfter = await getHeadCommit(repo);
+      const ahead = await getAheadCount(repo);
+      if (headAfter === headBefore && ahead === 0) {
+        const status = await runGit(["status", "--porcelain"], repo);
+        const statusSummary = (status.out || "").trim();
+        finalMessage =
+          result +
+          "\n\nPush status:\n- Skipped: no new commit was created in .git.\n" +
+          (statusSummary
+            ? "- Working tree still has uncommitted changes."
+            : "- Working tree is clean.");
+      } else {
+        const pushResult = await runGit(["push", repo.remote, repo.branch], repo);
+        if (pushResult.code !== 0) {
+          throw new Error(
+            `Codex completed, but git push failed.\n\nstdout:\n${pushResult.out || "(empty)"}\n\nstderr:\n${pushResult.err || "(empty)"}`
+          );
+        }
+
+        finalMessage =
+          result +
+          `\n\nPush status:\n- Ran: git -C ${repo.dir} push ${repo.remote} ${repo.branch}\n- Result: success`;
+        const commitSubject = await runGit(["log", "-1", "--pretty=%s"], repo);
+        const subject = String(commitSubject.out || "").trim();
+        if (subject) {
+          await saveAutoRepoMemory(
+            `Recent shipped change: ${subject}.`,
+            { commit: headAfter },
+            repo
+          );
+        }
+      }
+    }
+
+    if (isPush) {
+      clearPendingPush(session);
+    }
+    await saveSessions();
+
+    // The push buttons act on the chat's current repo, so only offer them when
+    // a scheduled run used that same checkout.
+    const chatRepoRun = !scheduleId || getRepoForChat(chat).dir === repo.dir;
+    const pushable = !isPush && !readOnly && chatRepoRun;
+    const hasWork = pushable ? await hasWorkNotOnRemote(repo) : false;
+    const responseOptions = getPostRunReplyOptions({ isPush, hasWork });
+
+    if (mediaPromptSection && mediaPromptSection !== "No audio/video attachments.") {
+      finalMessage += `\n\nMedia transcription:\n${mediaPromptSection}`;
+    }
+    finalMessage += `\n\n${formatRunReport(report)}`;
+
+    let testResult = null;
+    if (config.testAfterRun && !isPush && !readOnly && repo.testCommand && !job.cancelRequested) {
+      await sendMessage(chat, `🧪 Running ${repo.testCommand}...`);
+      try {
+        testResult = await runTests(repo, "");
+      } catch (err) {
+        finalMessage += `\n\n⚠️ Tests could not run: ${err.message || err}`;
+      }
+    }
+    if (testResult) {
+      finalMessage += `\n\n${formatTestResult(testResult)}`;
+      if (!isTestRunPassing(testResult) && !testResult.canceled) {
+        finalMessage += " /confirmpush is blocked until they pass (or use /confirmpush --force).";
+      }
+      if (!testResult.canceled) {
+        recordTestRun(testRunStore, { dir: repo.dir, result: testResult, finishedAt: new Date().toISOString() });
+        await saveTestRunStore();
+      }
+    }
+
+    await sendLongMessage(chat, finalMessage, responseOptions);
+    if (testResult && !isTestRunPassing(testResult)) {
+      await sendTestLog(chat, repo, testResult);
+    }
+    if (!readOnly) {
+      await deliverOutbox(chat, repo).catch((err) => console.error("Failed to deliver outbox files.", err));
+    }
+  } catch (e) {
+    if (e?.canceled) {
+      await progress.finish("🛑 Canceled");
+      await reportCanceledRun(job, session, { headBefore, statusBefore });
+      return;
+    }
+    await progress.finish("❌ Codex stopped");
+    if (isPush) {
+      clearPendingPush(session);
+      await saveSessions();
+    }
+    const msgText = String(e?.message || e).slice(0, config.telegramMax);
+    const report = runStart
+      ? await collectRunReport(repo, runStart, e?.runState || runState).catch(() => null)
+      : null;
+    const errorTitle = scheduleId ? `❌ Scheduled run ${scheduleId} failed:` : "❌ Error:";
+    await sendLongMessage(chat, `${errorTitle}\n${msgText}${report ? `\n\n${formatRunReport(report)}` : ""}`);
+    if (!readOnly && runStart) {
+      await deliverOutbox(chat, repo).catch((err) => console.error("Failed to deliver outbox files.", err));
+    }
+  }
+}
+
+async function startWebhook() {
+  const { url, secret, path: webhookPath, host, port } = config.webhook;
+  const server = await startWebhookServer({
+    host,
+    port,
+    handler: createWebhookHandler({
+      path: webhookPath,
+      secret,
+      onUpdate: (update) => bot.processUpdate(update),
+    }),
+  });
+  await bot.setWebHook(url, { secret_token: secret, allowed_updates: JSON.stringify(ALLOWED_UPDATES) });
+  console.log(`Webhook server listening on ${host}:${port}${webhookPath} for ${url}`);
+
+  let stopping = false;
+  const stop = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received; removing webhook.`);
+    await bot.deleteWebHook().catch((err) => console.error("Failed to remove webhook.", err));
+    server.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", () => void stop("SIGINT"));
+  process.once("SIGTERM", () => void stop("SIGTERM"));
 }
 
 await loadRepoAliasStore();
-await ensureStartupReady();
+const botUser = await bot.getMe();
+const interruptedJobs = await ensureStartupReady();
+for (const job of interruptedJobs) {
+  await sendMessage(getJobChat(job), formatInterruptedJobNotice(job)).catch((err) =>
+    console.error(`Failed to report interrupted job ${job.id}.`, err)
+  );
+}
+await enforceInputsRetention();
+setInterval(() => void enforceInputsRetention(), config.inputsCleanupIntervalMs);
+void drainJobQueue();
+if (config.prPollIntervalMs) {
+  setInterval(() => void pollTrackedPullRequests(), config.prPollIntervalMs);
+}
+setInterval(() => void fireDueSchedules(), SCHEDULE_TICK_MS);
+void fireDueSchedules();
 
 bot.on("message", async (msg) => {
   const fromId = msg.from?.id;
-  const chatId = msg.chat.id;
+  const chat = getChatTarget(msg);
 
-  // Only allow DMs
-  if (msg.chat.type !== "private") return;
+  // Only allow DMs and allowlisted groups
+  if (!isChatAllowed(msg.chat, config.allowedChatIds)) return;
 
-  // Allowlist: only configured user
-  if (fromId !== config.allowedUserId) return;
+  // Allowlist: only users with a configured or granted role
+  const role = getRoleForUser(fromId);
+  if (!role) return;
 
-  const hasImage =
-    (Array.isArray(msg.photo) && msg.photo.length > 0) ||
-    (msg.document &&
-      typeof msg.document.mime_type === "string" &&
-      msg.document.mime_type.startsWith("image/"));
+  const hasImage = hasImageAttachment(msg);
   const hasMedia = hasIncomingMedia(msg);
-
-  const text = (msg.text || msg.caption || "").trim();
-  if (!text && !hasImage && !hasMedia) return;
+  const hasDocument = hasDocumentUpload(msg);
+
+  // In groups, only react to mentions, replies to the bot, and commands
+  const { addressed, text } = resolveAddressedText(msg, botUser);
+  if (!addressed) return;
+  if (!text && !hasImage && !hasMedia && !hasDocument) return;
+
+  const requiredRole = getRequiredRole(text);
+  if (!hasRole(role, requiredRole)) {
+    await sendMessage(
+      chat,
+      `🔒 ${getCommandName(text)} requires the ${requiredRole} role. Your role: ${role}.`
+    );
+    return;
+  }
 
   if (text === "/start") {
-    await bot.sendMessage(
-      chatId,
-      "✅ Codex bridge online.\n\nCommands:\n/new or /clear - reset this chat's short-term memory\n/state - show history + repo memories + pending push\n/remember <fact> - save a repo note\n/memories - list saved repo notes\n/forget <id or text> - remove a repo note\n/push <description> - stage a push request\n/confirmpush - run staged push\n/cancelpush - cancel staged push\n\nYou can also send a screenshot, voice note, or screen recording, and I’ll pass the useful context to Codex."
+    await sendMessage(
+      chat,
+      "✅ Codex bridge online.\n\nCommands:\n/new or /clear - reset this chat's short-term memory\n/state - show history + repo memories + pending push\n/remember [--global] [--pin] [#tag] <fact> - save a repo or global note\n/memories [#tag] - list saved notes\n/forget <id or text> - remove a note\n/pin, /unpin <id or text> - always include a note, or stop\n/push <description> - stage a push request\n/confirmpush - run staged push\n/cancelpush - cancel staged push\n/queue - list or remove queued jobs\n/diff [path…] [--staged|--ref <sha>] - review changes\n/ls, /cat, /grep, /log - browse the repo without Codex\n/get <path> - send a repo file here\n/inputs [purge] - show or clean up saved uploads\n/checkpoints, /undo, /restore <id> - roll back a run\n/repo - list, add, switch and configure repos (/repo help)\n/tasks, /task - manage task worktrees\n/prs - pull requests opened here, with checks and reviews\n/merge <n> - merge a PR once its checks pass\n/schedule - run prompts on a cron schedule\n/test [args] - run the repo's tests\n/cancel - stop the running Codex job\n/whoami - show your role\n/users, /grant, /revoke - manage access (admin)\n\nYou can also send a screenshot, document, archive, patch, voice note, or screen recording, and I’ll pass the useful context to Codex. Messages sent while Codex is busy are queued."
     );
     return;
   }
 
   if (text === "/new" || text === "/clear") {
-    sessions[String(chatId)] = { history: [], pendingPush: null };
+    resetSessionRepoState(getSession(chat));
     await saveSessions();
-    await bot.sendMessage(chatId, "Session memory cleared for this chat. Repo memories were kept.");
+    const task = getRepoForChat(chat);
+    await sendMessage(
+      chat,
+      `Session memory cleared for this chat's current repo; the next message starts a new Codex session. Repo memories were kept.${
+        task.taskId
+          ? ` This chat is still on task ${task.taskId} (${task.branch}); use /task new or /task switch main to leave it.`
+          : ""
+      }`
+    );
     return;
   }
 
   if (text === "/state") {
-    const session = getSession(chatId);
+    const session = getSession(chat);
+    const repo = getRepoForChat(chat);
     const pending = session.pendingPush
       ? `yes (${session.pendingPush.createdAt})`
       : "no";
-    await bot.sendMessage(
-      chatId,
-      `History entries: ${session.history.length}\nRepo memories: ${getCurrentRepoMemories().length}\nPending push: ${pending}`
+    const taskLine = config.taskWorktrees
+      ? `\nTask: ${repo.taskId ? `${repo.taskId} (${repo.branch})` : "none (next request starts one)"}`
+      : "";
+    await sendMessage(
+      chat,
+      `Repo: ${repo.alias || "default"} (${repo.dir})${taskLine}\nCodex session: ${session.codexThread?.id || "none"}\nHistory entries: ${session.history.length}\nRepo memories: ${getCurrentRepoMemories(repo).length} (+${getRepoMemories(repoMemoryStore, GLOBAL_MEMORY_SCOPE).length} global)\nPending push: ${pending}\nQueued jobs: ${getPendingJobs(jobQueue, chat.key).length}${runningJob ? ` (running: ${runningJob.id})` : ""}`
     );
     return;
   }
 
   if (text.startsWith("/remember")) {
-    const fact = text.replace(/^\/remember\s*/, "");
-    if (!normalizeMemoryText(fact)) {
-      await bot.sendMessage(chatId, "Use: /remember <fact to save for this repo>");
+    const request = parseRememberCommand(text);
+    if (request.error) {
+      await sendMessage(chat, `${request.error}\n${REMEMBER_USAGE}`);
       return;
     }
-    const result = await rememberCurrentRepoFact(fact, { source: "manual" });
-    await bot.sendMessage(
-      chatId,
-      result.created
-        ? `Saved repo memory for ${config.targetRepoDir}:\n- ${result.entry.text}`
-        : `Updated existing repo memory for ${config.targetRepoDir}:\n- ${result.entry.text}`
+    const repo = getRepoForChat(chat);
+    const result = await rememberCurrentRepoFact(
+      request.fact,
+      { source: "manual", tags: request.tags, pinned: request.pinned },
+      repo,
+      request.global ? GLOBAL_MEMORY_SCOPE : repo.rootDir
+    );
+    const target = request.global ? "global memory (all repos)" : `repo memory for ${repo.rootDir}`;
+    await sendMessage(
+      chat,
+      `${result.created ? "Saved" : "Updated existing"} ${target}:\n${formatRepoMemories([result.entry]).replace(/^1\. /, "- ")}`
     );
     return;
   }
 
-  if (text === "/memories") {
-    await bot.sendMessage(
-      chatId,
-      `Repo memories for ${config.targetRepoDir}:\n${formatRepoMemories(getCurrentRepoMemories())}`
+  if (getCommandName(text) === "/memories") {
+    const request = parseMemoriesCommand(text);
+    if (request.error) {
+      await sendMessage(chat, `${request.error}\nUse: /memories [#tag]`);
+      return;
+    }
+    const repo = getRepoForChat(chat);
+    const heading = request.tag ? ` tagged #${request.tag}` : "";
+    const repoEntries = filterMemoriesByTag(getCurrentRepoMemories(repo), request.tag);
+    const globalEntries = filterMemoriesByTag(getRepoMemories(repoMemoryStore, GLOBAL_MEMORY_SCOPE), request.tag);
+    await sendLongMessage(
+      chat,
+      `Repo memories${heading} for ${repo.rootDir}:\n${formatRepoMemories(repoEntries)}\n\nGlobal memories${heading}:\n${
+        globalEntries.length ? formatRepoMemories(globalEntries) : "None."
+      }`
     );
     return;
   }
@@ -701,22 +3356,125 @@ bot.on("message", async (msg) => {
   if (text.startsWith("/forget")) {
     const selector = text.replace(/^\/forget\s*/, "");
     if (!normalizeMemoryText(selector)) {
-      await bot.sendMessage(chatId, "Use: /forget <memory id or unique text>");
+      await sendMessage(chat, "Use: /forget <memory id or unique text>");
       return;
     }
-    const result = forgetRepoFact(repoMemoryStore, config.targetRepoDir, selector);
+    let scope = getChatBaseRepo(chat).dir;
+    let result = forgetRepoFact(repoMemoryStore, scope, selector);
     if (!result.removed) {
-      await bot.sendMessage(chatId, "No matching repo memory found.");
+      scope = GLOBAL_MEMORY_SCOPE;
+      result = forgetRepoFact(repoMemoryStore, scope, selector);
+    }
+    if (!result.removed) {
+      await sendMessage(chat, "No matching repo or global memory found.");
       return;
     }
     repoMemoryStore = result.store;
     await saveRepoMemoryStore();
-    await bot.sendMessage(chatId, `Forgot repo memory:\n- ${result.removed.text}`);
+    await sendMessage(chat, `Forgot ${scope === GLOBAL_MEMORY_SCOPE ? "global" : "repo"} memory:\n- ${result.removed.text}`);
+    return;
+  }
+
+  if (getCommandName(text) === "/pin" || getCommandName(text) === "/unpin") {
+    const pinned = getCommandName(text) === "/pin";
+    const selector = text.replace(/^\/\w+(@\S+)?\s*/, "");
+    if (!normalizeMemoryText(selector)) {
+      await sendMessage(chat, `Use: ${pinned ? "/pin" : "/unpin"} <memory id or unique text>`);
+      return;
+    }
+    let result = setMemoryPinned(repoMemoryStore, getChatBaseRepo(chat).dir, selector, pinned);
+    if (!result.entry) result = setMemoryPinned(repoMemoryStore, GLOBAL_MEMORY_SCOPE, selector, pinned);
+    if (!result.entry) {
+      await sendMessage(chat, "No matching repo or global memory found.");
+      return;
+    }
+    await saveRepoMemoryStore();
+    await sendMessage(
+      chat,
+      pinned
+        ? `📌 Pinned; it goes into every prompt from now on:\n- ${result.entry.text}`
+        : `Unpinned; it's only included when relevant:\n- ${result.entry.text}`
+    );
     return;
   }
 
   if (text.startsWith("/repo")) {
-    await handleRepoCommand(chatId, text);
+    await handleRepoCommand(chat, text);
+    return;
+  }
+
+  if (text === "/whoami") {
+    await sendMessage(chat, `User id: ${fromId}\nRole: ${role}`);
+    return;
+  }
+
+  if (["/users", "/grant", "/revoke"].includes(getCommandName(text))) {
+    await handleAccessCommand(chat, text);
+    return;
+  }
+
+  if (text === "/cancel") {
+    await sendMessage(chat, handleCancelCommand(chat, role));
+    return;
+  }
+
+  if (["/tasks", "/task"].includes(getCommandName(text))) {
+    await handleTaskCommand(chat, text, fromId);
+    return;
+  }
+
+  if (text === "/checkpoints") {
+    await handleCheckpointsCommand(chat);
+    return;
+  }
+
+  if (text === "/undo" || getCommandName(text) === "/restore") {
+    const selector = text.replace(/^\/(undo|restore)\s*/, "").trim();
+    if (getCommandName(text) === "/restore" && !selector) {
+      await sendMessage(chat, "Use: /restore <checkpoint id or number>. See /checkpoints.");
+      return;
+    }
+    await enqueueChatJob(chat, "restore", { selector: selector || null }, fromId);
+    return;
+  }
+
+  if (getCommandName(text) === "/diff") {
+    await handleDiffCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/ls") {
+    await handleLsCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/cat") {
+    await handleCatCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/grep") {
+    await handleGrepCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/get") {
+    await handleGetCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/inputs") {
+    await handleInputsCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/log") {
+    await handleLogCommand(chat, text);
+    return;
+  }
+
+  if (text === "/queue" || text.startsWith("/queue ")) {
+    await handleQueueCommand(chat, text);
     return;
   }
 
@@ -725,290 +3483,210 @@ bot.on("message", async (msg) => {
   if (isPushIntent) {
     const description = text.replace(/^\/push\s*/, "").trim();
     if (!description) {
-      await bot.sendMessage(chatId, "Use: /push <description>");
+      await sendMessage(chat, "Use: /push <description>");
       return;
     }
-    const session = getSession(chatId);
+    const session = getSession(chat);
     stagePendingPush(session, description, new Date().toISOString());
     await saveSessions();
+    const confirmOptions = createConfirmPushReplyOptions(session.pendingPush.id);
     if (isOneTapPush) {
-      await bot.sendMessage(
-        chatId,
-        "Push staged. Confirm to run commit + push:",
-        createConfirmPushReplyOptions()
+      await sendMessage(
+        chat,
+        `Push staged. Confirm within ${formatPushTtl()} to run commit + push:`,
+        confirmOptions
       );
       return;
     }
 
-    await bot.sendMessage(
-      chatId,
-      `Push request staged:\n"${description}"\n\nSend /confirmpush to execute, or /cancelpush to cancel.`
+    await sendMessage(
+      chat,
+      `Push request staged:\n"${description}"\n\nConfirm within ${formatPushTtl()} to execute, or cancel. /confirmpush and /cancelpush also work.`,
+      confirmOptions
     );
     return;
   }
 
   if (text === "/cancelpush") {
-    const session = getSession(chatId);
+    const session = getSession(chat);
     clearPendingPush(session);
     await saveSessions();
-    await bot.sendMessage(chatId, "Pending push canceled.", REMOVE_KEYBOARD);
+    await sendMessage(chat, "Pending push canceled.", REMOVE_KEYBOARD);
     return;
   }
 
-  if (text.startsWith("/pr")) {
-    const titleAndBody = text.replace(/^\/pr\s*/, "");
-    const [titleRaw, bodyRaw = ""] = titleAndBody.split("|", 2).map((part) => part.trim());
-    if (!titleRaw) {
-      await bot.sendMessage(chatId, "Use: /pr <title> [| optional body]");
-      return;
-    }
-    if (!config.githubToken) {
-      await bot.sendMessage(
-        chatId,
-        "Set GITHUB_TOKEN in .env (GitHub PAT with repo scope) before using /pr."
+  if (getCommandName(text) === "/prs") {
+    await handlePrsCommand(chat);
+    return;
+  }
+
+  if (getCommandName(text) === "/merge") {
+    await handleMergeCommand(chat, text);
+    return;
+  }
+
+  if (getCommandName(text) === "/test") {
+    const repo = getRepoForChat(chat);
+    if (!repo.testCommand) {
+      await sendMessage(
+        chat,
+        repo.alias
+          ? `No test command for ${repo.alias}. Set one with /repo test ${repo.alias} <command>.`
+          : "No test command for the default repo. Set TARGET_REPO_TEST_COMMAND in .env."
       );
       return;
     }
-    if (busy) {
-      await bot.sendMessage(
-        chatId,
-        "⏳ I’m still working on the last request. Send again in a moment."
-      );
+    await enqueueChatJob(chat, "test", { args: text.replace(/^\/test(@\S+)?\s*/, "") }, fromId);
+    return;
+  }
+
+  if (getCommandName(text) === "/schedule") {
+    await handleScheduleCommand(chat, text, fromId);
+    return;
+  }
+
+  if (getCommandName(text) === "/pr") {
+    const request = parsePrCommand(text);
+    if (request.error) {
+      await sendMessage(chat, `${request.error}\n${PR_USAGE}`);
       return;
     }
-    busy = true;
     try {
-      await bot.sendMessage(chatId, "📤 Creating pull request...");
-      const branch = await getCurrentBranch();
-      await ensureBranchPushed(branch);
-      const headSha = await getHeadCommit();
-      const diffPreview = await buildDiffPreview({ ref: headSha });
-      const diffSection = diffPreview ? `\n\nDiff preview:\n${diffPreview}` : "";
-      const body = bodyRaw || `Created via Codex Telegram Bridge.${diffSection}`;
-      const pr = await createPullRequest({
-        title: titleRaw,
-        body,
-        head: branch,
-        base: config.targetBranch,
-      });
-      await saveAutoRepoMemory(
-        `Recent PR created: ${pr.title} from ${branch} into ${config.targetBranch}.`
-      );
-      await bot.sendMessage(
-        chatId,
-        `✅ Pull request created.\nTitle: ${pr.title}\nURL: ${pr.html_url || pr.url}`
-      );
+      const target = await getHostingTarget(getRepoForChat(chat));
+      if (!target.token) {
+        await sendMessage(chat, `Set ${target.tokenEnv} in .env before using /pr with ${target.provider}.`);
+        return;
+      }
     } catch (err) {
-      const msg = String(err?.message || err);
-      await bot.sendMessage(chatId, `❌ Failed to create PR:\n${msg}`);
-    } finally {
-      busy = false;
+      await sendMessage(chat, String(err?.message || err));
+      return;
     }
+    const { title, body, draft, reviewers, labels, base } = request;
+    await enqueueChatJob(chat, "pr", { title, body, draft, reviewers, labels, base }, fromId);
     return;
   }
 
-  const session = getSession(chatId);
-  const pushRequest = resolvePushRequest(text, session.pendingPush);
-  const { isConfirmPush, isPush, userText, missingPendingPush } = pushRequest;
+  const session = getSession(chat);
+  const pushRequest = resolvePushRequest(text, session.pendingPush, {
+    now: Date.now(),
+    ttlMs: config.pushConfirmTtlMs,
+  });
+  const { isPush, missingPendingPush, expiredPendingPush, alreadyConfirmed } = pushRequest;
 
   if (missingPendingPush) {
-    await bot.sendMessage(chatId, "No pending push. Use /push <description> first.", REMOVE_KEYBOARD);
+    await sendMessage(chat, "No pending push. Use /push <description> first.", REMOVE_KEYBOARD);
     return;
   }
 
-  if (busy) {
-    await bot.sendMessage(
-      chatId,
-      "⏳ I’m still working on the last request. Send again in a moment."
+  if (expiredPendingPush) {
+    clearPendingPush(session);
+    await saveSessions();
+    await sendMessage(
+      chat,
+      `The staged push expired (staged longer than ${formatPushTtl()} ago). Stage it again with /push.`,
+      REMOVE_KEYBOARD
     );
     return;
   }
 
-  await bot.sendMessage(chatId, hasImage ? "🖼️ Screenshot received. Running..." : "🧠 Running...");
+  if (alreadyConfirmed) {
+    await sendMessage(chat, "This push is already confirmed and queued. Use /queue to check on it.");
+    return;
+  }
 
-  busy = true;
-  try {
-    let headBefore = "";
-    if (isPush) {
-      headBefore = await getHeadCommit();
-      const codexAheadProbe = await runCommand("git", [
-        "--git-dir",
-        path.join(config.targetRepoDir, ".git-codex"),
-        "--work-tree",
-        config.targetRepoDir,
-        "rev-list",
-        "--count",
-        `${config.targetRemote}/${config.targetBranch}..${config.targetBranch}`,
-      ]);
-      if (codexAheadProbe.code === 0) {
-        const codexAhead = Number.parseInt((codexAheadProbe.out || "").trim(), 10);
-        if (Number.isFinite(codexAhead) && codexAhead > 0) {
-          throw new Error(
-            "Detected commits ahead in .git-codex. Clean this up before using /confirmpush so only .git is the source of truth."
-          );
-        }
-      }
+  if (isPush) {
+    const testBlocker = pushRequest.force ? null : getTestBlockedPushMessage(chat);
+    if (testBlocker) {
+      await sendMessage(chat, testBlocker);
+      return;
     }
+    await enqueuePushJob(chat, session.pendingPush, fromId);
+    return;
+  }
 
-    const historyContext = buildHistoryContext(chatId);
-    const policy = isPush
-      ? `
-You may:
-- Modify files inside this repo.
-- Stage changes.
-- Create a commit with a clear commit message.
-
-You MUST NOT:
-- Run git push
-- Clone the repo elsewhere
-- Use .git-codex or any alternate git-dir/work-tree
-
-After committing, summarize:
-- Files changed
-- Commit message
-- Git commands used.
-- Note that the Telegram bot handles the final push step.
-`
-      : `
-You may:
-- Modify files inside this repo.
-- Run tests or read files.
-
-You MUST NOT:
-- Run git commit
-- Run git push
-
-After changes, summarize:
-- Files modified
-- Suggested commit message
-- Next steps.
-`;
-
-    let imagePath = null;
-    if (hasImage) {
-      imagePath = await saveIncomingImage(msg);
+  if (hasDocument) {
+    const refusal = getUploadRefusal(msg.document);
+    if (refusal) {
+      await sendMessage(chat, `⚠️ ${refusal}`);
+      return;
     }
-    const mediaInfo = await processAudioVideoAttachments(msg);
-    const mediaReply = buildMediaReply(mediaInfo);
-    if (mediaReply) {
-      await bot.sendMessage(chatId, mediaReply);
+    // Patches are checked right away so the apply button shows up without a
+    // Codex run; a caption still goes to Codex with the saved patch.
+    if (getDocumentKind(msg.document.file_name) === "patch") {
+      await withInputsInUse(async () => {
+        let upload;
+        try {
+          upload = await saveIncomingDocument(msg.document, getRepoForChat(chat));
+          await offerPatchUpload(chat, upload);
+        } catch (err) {
+          await sendMessage(chat, `❌ Could not save ${msg.document.file_name}:\n${err.message || err}`);
+          return;
+        }
+        if (text) await enqueuePromptMessage(chat, msg, { text, role, fromId, upload });
+      });
+      return;
     }
-    const mediaPromptSection = buildMediaPromptSection(mediaInfo);
-    const memoryQueryText = [
-      userText,
-      hasImage ? "screenshot attached" : "",
-      mediaPromptSection !== "No audio/video attachments." ? mediaPromptSection : "",
-    ]
-      .filter(Boolean)
-      .join("\n");
-    const repoMemoryContext = buildMemoryPromptSection(getCurrentRepoMemories(), memoryQueryText, {
-      historyText: historyContext,
-    });
-
-    const guardedPrompt = `
-You are working ONLY inside:
-${config.targetRepoDir}
-
-${policy}
-
-Response style requirements:
-- Write for Telegram chat (not terminal).
-- Use short sections and bullets where helpful.
-- Do NOT wrap the full answer in triple-backtick code fences.
-- Be concise and natural.
-
-Screenshot input:
-${imagePath ? `User attached a screenshot at: ${imagePath}` : "No screenshot attached."}
-
-Audio/video transcription:
-${mediaPromptSection}
-
-Saved long-term repo memory:
-${repoMemoryContext}
-
-Conversation context from this Telegram chat:
-${historyContext}
-
-User request:
-${userText || "(no caption text provided; use the screenshot context)"}
-`.trim();
-
-    const historyUserText = [
-      isPush ? `/confirmpush ${userText}` : userText || "(image-only message)",
-      imagePath ? `[screenshot: ${imagePath}]` : "",
-      mediaPromptSection !== "No audio/video attachments."
-        ? `[media: ${mediaPromptSection}]`
-        : "",
-    ]
-      .filter(Boolean)
-      .join("\n");
-
-    addHistory(chatId, "user", historyUserText);
-    const codexSandbox = isPush ? config.pushSandbox : config.defaultSandbox;
-    const resultRaw = await runCodex(guardedPrompt, codexSandbox);
-    const result = isPush ? sanitizePushNarration(resultRaw) : resultRaw;
-    addHistory(chatId, "assistant", result);
+  }
 
-    let finalMessage = result;
-    if (isPush) {
-      const headAfter = await getHeadCommit();
-      const ahead = await getAheadCount();
-      if (headAfter === headBefore && ahead === 0) {
-        const status = await runGit(["status", "--porcelain"]);
-        const statusSummary = (status.out || "").trim();
-        finalMessage =
-          result +
-          "\n\nPush status:\n- Skipped: no new commit was created in .git.\n" +
-          (statusSummary
-            ? "- Working tree still has uncommitted changes."
-            : "- Working tree is clean.");
-      } else {
-        const pushResult = await runGit([
-          "push",
-          config.targetRemote,
-          config.targetBranch,
-        ]);
-        if (pushResult.code !== 0) {
-          throw new Error(
-            `Codex completed, but git push failed.\n\nstdout:\n${pushResult.out || "(empty)"}\n\nstderr:\n${pushResult.err || "(empty)"}`
-          );
-        }
+  await enqueuePromptMessage(chat, msg, { text, role, fromId });
+});
 
-        finalMessage =
-          result +
-          `\n\nPush status:\n- Ran: git -C ${config.targetRepoDir} push ${config.targetRemote} ${config.targetBranch}\n- Result: success`;
-        const commitSubject = await runGit(["log", "-1", "--pretty=%s"]);
-        const subject = String(commitSubject.out || "").trim();
-        if (subject) {
-          await saveAutoRepoMemory(`Recent shipped change: ${subject}.`, {
-            commit: headAfter,
-          });
-        }
+async function enqueuePromptMessage(chat, msg, { text, role, fromId, upload = null }) {
+  const readOnly = !hasRole(role, "operator");
+  if (config.taskWorktrees && !readOnly) {
+    try {
+      const { repo, created } = await ensureChatTask(chat, text);
+      if (created) {
+        await sendMessage(chat, `🌿 Started task ${repo.taskId} on branch ${repo.branch} (from ${repo.baseBranch}).`);
       }
-    } else {
+    } catch (err) {
+      await sendMessage(chat, `❌ Could not create a task worktree:\n${err.message || err}`);
+      return;
     }
+  }
 
-    if (isPush) {
-      clearPendingPush(session);
-    }
-    await saveSessions();
+  await enqueueChatJob(
+    chat,
+    "prompt",
+    {
+      message: { ...snapshotMessage(msg), text },
+      readOnly,
+      ...(upload ? { upload } : {}),
+    },
+    fromId
+  );
+}
 
-    const hasWork = isPush ? false : await hasWorkNotOnRemote();
-    const responseOptions = getPostRunReplyOptions({ isPush, hasWork });
+bot.on("callback_query", async (query) => {
+  const message = query.message;
+  if (!message || !isChatAllowed(message.chat, config.allowedChatIds)) return;
+  const chat = getChatTarget(message);
+  const role = getRoleForUser(query.from?.id);
+  if (!role) {
+    await bot.answerCallbackQuery(query.id, { text: "🔒 You don't have access to this bot." });
+    return;
+  }
 
-    if (mediaPromptSection && mediaPromptSection !== "No audio/video attachments.") {
-      finalMessage += `\n\nMedia transcription:\n${mediaPromptSection}`;
+  try {
+    if (String(query.data || "").startsWith("diff:")) {
+      await handleDiffCallback(query, chat);
+      return;
     }
-
-    await sendLongMessage(chatId, finalMessage, responseOptions);
-  } catch (e) {
-    if (isConfirmPush) {
-      clearPendingPush(session);
-      await saveSessions();
+    if (String(query.data || "").startsWith("push:")) {
+      await handlePushCallback(query, chat, role);
+      return;
     }
-    const msgText = String(e?.message || e).slice(0, config.telegramMax);
-    await bot.sendMessage(chatId, "❌ Error:\n" + msgText);
-  } finally {
-    busy = false;
+    if (String(query.data || "").startsWith("patch:")) {
+      await handlePatchCallback(query, chat, role);
+      return;
+    }
+    await bot.answerCallbackQuery(query.id, { text: "Unknown button." });
+  } catch (err) {
+    console.error("Failed to handle button press.", err);
   }
 });
+
+// Registered last so no update reaches the bot before its handlers exist.
+if (config.webhook) {
+  await startWebhook();
+}
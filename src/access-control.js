@@ -0,0 +1,198 @@
+export const ROLES = ["viewer", "operator", "maintainer", "admin"];
+
+const COMMAND_ROLES = {
+  "/start": "viewer",
+  "/whoami": "viewer",
+  "/state": "viewer",
+  "/memories": "viewer",
+  "/queue": "viewer",
+  "/tasks": "viewer",
+  "/diff": "viewer",
+  "/checkpoints": "viewer",
+  "/prs": "viewer",
+  "/ls": "viewer",
+  "/cat": "viewer",
+  "/grep": "viewer",
+  "/log": "viewer",
+  "/get": "viewer",
+  "/inputs": "viewer",
+  "/new": "operator",
+  "/clear": "operator",
+  "/remember": "operator",
+  "/forget": "operator",
+  "/pin": "operator",
+  "/unpin": "operator",
+  "/push": "operator",
+  "/cancelpush": "operator",
+  "/cancel": "operator",
+  "/task": "operator",
+  "/undo": "operator",
+  "/restore": "operator",
+  "/schedule": "operator",
+  "/test": "operator",
+  "/confirmpush": "maintainer",
+  "/pr": "maintainer",
+  "/merge": "maintainer",
+  "/repo": "maintainer",
+  "/users": "admin",
+  "/grant": "admin",
+  "/revoke": "admin",
+};
+
+const SUBCOMMAND_ROLES = {
+  "/repo": { "": "viewer", help: "viewer", list: "viewer" },
+  "/queue": { remove: "operator", clear: "operator" },
+  "/schedule": { "": "viewer", list: "viewer" },
+  "/inputs": { purge: "operator" },
+  "/task": { "": "viewer", list: "viewer", merge: "maintainer", discard: "maintainer" },
+};
+
+// Flags that raise the role a command needs, wherever they appear in it.
+const FLAG_ROLES = {
+  "/inputs": { "--all": "admin" },
+};
+
+export function normalizeRole(role) {
+  const value = String(role || "").trim().toLowerCase();
+  return ROLES.includes(value) ? value : null;
+}
+
+export function hasRole(role, requiredRole) {
+  const current = ROLES.indexOf(normalizeRole(role));
+  const required = ROLES.indexOf(normalizeRole(requiredRole));
+  return current >= 0 && required >= 0 && current >= required;
+}
+
+export function normalizeUserId(value) {
+  const raw = String(value ?? "").trim();
+  if (!/^\d+$/.test(raw)) return null;
+  return raw.replace(/^0+(?=\d)/, "");
+}
+
+export function parseUserRoleList(raw) {
+  const users = {};
+  const entries = String(raw || "")
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [idPart, rolePart] = entry.split(":").map((part) => part.trim());
+    const userId = normalizeUserId(idPart);
+    const role = normalizeRole(rolePart);
+    if (!userId || !role) {
+      throw new Error(
+        `Invalid user role entry "${entry}". Use <telegram user id>:<${ROLES.join("|")}>.`
+      );
+    }
+    users[userId] = role;
+  }
+  return users;
+}
+
+export function createEmptyAccessStore() {
+  return { users: {} };
+}
+
+export function normalizeAccessStore(parsed) {
+  const users = {};
+  for (const [userId, role] of Object.entries(parsed?.users || {})) {
+    const id = normalizeUserId(userId);
+    if (!id) continue;
+    if (role === null) {
+      users[id] = null;
+    } else if (normalizeRole(role)) {
+      users[id] = normalizeRole(role);
+    }
+  }
+  return { users };
+}
+
+// Runtime grants live in the access store and override the configured roles.
+// A null entry records a revoke, so configured users can be locked out too.
+export function getUserRole(configuredRoles, store, userId) {
+  const id = normalizeUserId(userId);
+  if (!id) return null;
+  if (store?.users && Object.hasOwn(store.users, id)) {
+    return store.users[id];
+  }
+  return configuredRoles?.[id] || null;
+}
+
+export function listEffectiveRoles(configuredRoles, store) {
+  const ids = new Set([
+    ...Object.keys(configuredRoles || {}),
+    ...Object.keys(store?.users || {}),
+  ]);
+  const roles = {};
+  for (const id of ids) {
+    const role = getUserRole(configuredRoles, store, id);
+    if (role) roles[id] = role;
+  }
+  return roles;
+}
+
+function countAdmins(configuredRoles, store) {
+  return Object.values(listEffectiveRoles(configuredRoles, store)).filter(
+    (role) => role === "admin"
+  ).length;
+}
+
+export function grantUserRole(configuredRoles, store, userId, role) {
+  const id = normalizeUserId(userId);
+  const nextRole = normalizeRole(role);
+  if (!id) throw new Error("User id must be a numeric Telegram user id.");
+  if (!nextRole) throw new Error(`Role must be one of: ${ROLES.join(", ")}.`);
+
+  const nextStore = { users: { ...(store?.users || {}), [id]: nextRole } };
+  if (!countAdmins(configuredRoles, nextStore)) {
+    throw new Error("At least one admin must remain.");
+  }
+  return { store: nextStore, userId: id, role: nextRole };
+}
+
+export function revokeUserRole(configuredRoles, store, userId) {
+  const id = normalizeUserId(userId);
+  if (!id) throw new Error("User id must be a numeric Telegram user id.");
+  const previousRole = getUserRole(configuredRoles, store, id);
+  if (!previousRole) return { store, userId: id, previousRole: null };
+
+  const nextStore = { users: { ...(store?.users || {}), [id]: null } };
+  if (!countAdmins(configuredRoles, nextStore)) {
+    throw new Error("At least one admin must remain.");
+  }
+  return { store: nextStore, userId: id, previousRole };
+}
+
+export function getCommandName(text) {
+  const match = String(text || "").trim().match(/^\/([a-z0-9_]+)/i);
+  return match ? `/${match[1].toLowerCase()}` : null;
+}
+
+export function getRequiredRole(text) {
+  const command = getCommandName(text);
+  if (!command) return "viewer";
+  const args = String(text).trim().split(/\s+/).slice(1).map((arg) => arg.toLowerCase());
+  const subcommand = args[0] || "";
+  const subRoles = SUBCOMMAND_ROLES[command];
+  let role = subRoles && Object.hasOwn(subRoles, subcommand) ? subRoles[subcommand] : COMMAND_ROLES[command] || "viewer";
+  const flagRoles = FLAG_ROLES[command] || {};
+  for (const arg of args) {
+    if (Object.hasOwn(flagRoles, arg) && !hasRole(role, flagRoles[arg])) role = flagRoles[arg];
+  }
+  return role;
+}
+
+export function formatUserRoles(configuredRoles, store) {
+  const roles = listEffectiveRoles(configuredRoles, store);
+  const ids = Object.keys(roles).sort(
+    (left, right) => ROLES.indexOf(roles[right]) - ROLES.indexOf(roles[left]) || left.localeCompare(right)
+  );
+  if (!ids.length) return "No users have access.";
+  return ids
+    .map((id) => {
+      const source = store?.users && Object.hasOwn(store.users, id) ? "runtime" : "config";
+      return `${id} - ${roles[id]} [${source}]`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createEmptyAccessStore,
+  formatUserRoles,
+  getRequiredRole,
+  getUserRole,
+  grantUserRole,
+  hasRole,
+  normalizeAccessStore,
+  parseUserRoleList,
+  revokeUserRole,
+} from "./access-control.js";
+
+test("parseUserRoleList reads id:role pairs and rejects bad entries", () => {
+  assert.deepEqual(parseUserRoleList("111:admin, 222:Operator\n333:viewer"), {
+    111: "admin",
+    222: "operator",
+    333: "viewer",
+  });
+  assert.deepEqual(parseUserRoleList(""), {});
+  assert.throws(() => parseUserRoleList("111:owner"), /Invalid user role entry/);
+  assert.throws(() => parseUserRoleList("abc:admin"), /Invalid user role entry/);
+});
+
+test("hasRole compares role rank", () => {
+  assert.equal(hasRole("maintainer", "operator"), true);
+  assert.equal(hasRole("viewer", "operator"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+});
+
+test("runtime grants and revokes override configured roles", () => {
+  const configured = { 111: "admin", 222: "operator" };
+  let store = createEmptyAccessStore();
+
+  ({ store } = grantUserRole(configured, store, "333", "maintainer"));
+  assert.equal(getUserRole(configured, store, 333), "maintainer");
+
+  ({ store } = revokeUserRole(configured, store, "222"));
+  assert.equal(getUserRole(configured, store, 222), null);
+  assert.equal(getUserRole(configured, store, 111), "admin");
+});
+
+test("grant and revoke refuse to remove the last admin", () => {
+  const configured = { 111: "admin" };
+  const store = createEmptyAccessStore();
+  assert.throws(() => revokeUserRole(configured, store, "111"), /At least one admin/);
+  assert.throws(() => grantUserRole(configured, store, "111", "viewer"), /At least one admin/);
+});
+
+test("normalizeAccessStore keeps revokes and drops invalid entries", () => {
+  assert.deepEqual(
+    normalizeAccessStore({ users: { 111: "admin", 222: null, 333: "owner", bad: "viewer" } }),
+    { users: { 111: "admin", 222: null } }
+  );
+});
+
+test("getRequiredRole maps commands and subcommands to roles", () => {
+  assert.equal(getRequiredRole("what does src/config.js do?"), "viewer");
+  assert.equal(getRequiredRole("/state"), "viewer");
+  assert.equal(getRequiredRole("/push commit and push"), "operator");
+  assert.equal(getRequiredRole("/confirmpush"), "maintainer");
+  assert.equal(getRequiredRole("/repo list"), "viewer");
+  assert.equal(getRequiredRole("/repo use app"), "maintainer");
+  assert.equal(getRequiredRole("/queue"), "viewer");
+  assert.equal(getRequiredRole("/diff src --staged"), "viewer");
+  assert.equal(getRequiredRole("/restore 2"), "operator");
+  assert.equal(getRequiredRole("/queue remove 1"), "operator");
+  assert.equal(getRequiredRole("/task switch 2"), "operator");
+  assert.equal(getRequiredRole("/task merge 2"), "maintainer");
+  assert.equal(getRequiredRole("/prs"), "viewer");
+  assert.equal(getRequiredRole("/merge 4 --squash"), "maintainer");
+  assert.equal(getRequiredRole("/schedule list"), "viewer");
+  assert.equal(getRequiredRole("/test --grep login"), "operator");
+  assert.equal(getRequiredRole("/cat src/config.js 1-20"), "viewer");
+  assert.equal(getRequiredRole("/grep TODO src"), "viewer");
+  assert.equal(getRequiredRole("/get reports/chart.png"), "viewer");
+  assert.equal(getRequiredRole("/inputs"), "viewer");
+  assert.equal(getRequiredRole("/memories #ci"), "viewer");
+  assert.equal(getRequiredRole("/pin mem_1"), "operator");
+  assert.equal(getRequiredRole("/inputs purge"), "operator");
+  assert.equal(getRequiredRole("/inputs purge --all"), "admin");
+  assert.equal(getRequiredRole("/confirmpush --force"), "maintainer");
+  assert.equal(getRequiredRole("/schedule add @daily check CI"), "operator");
+  assert.equal(getRequiredRole("/grant 1 admin"), "admin");
+});
+
+test("formatUserRoles lists effective roles with their source", () => {
+  const output = formatUserRoles({ 111: "admin", 222: "operator" }, { users: { 222: null, 333: "viewer" } });
+  assert.equal(output, "111 - admin [config]\n333 - viewer [runtime]");
+});
@@ -0,0 +1,141 @@
+export const DEFAULT_AGENT = "codex";
+export const SANDBOX_MODES = ["read-only", "workspace-write", "danger-full-access"];
+const PROMPT_DELIVERY = ["argv", "stdin"];
+const OUTPUT_FORMATS = ["text", "codex-json"];
+
+export function createCodexAdapter({ command = "codex", promptVia = "argv", timeoutMs = null } = {}) {
+  if (!PROMPT_DELIVERY.includes(promptVia)) {
+    throw new Error(`Codex prompt delivery must be one of: ${PROMPT_DELIVERY.join(", ")}.`);
+  }
+  return {
+    name: DEFAULT_AGENT,
+    type: "codex",
+    command,
+    promptVia,
+    output: "codex-json",
+    timeoutMs,
+  };
+}
+
+function requireStringArray(value, label) {
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    throw new Error(`${label} must be an array of strings.`);
+  }
+  return value;
+}
+
+// A command adapter runs any CLI agent from a template. Each arg may use
+// {prompt}, {dir} and {sandbox}; {sandbox} is looked up in `sandboxes`, and a
+// mode with no entry there is refused rather than run unsandboxed. An arg that
+// is exactly "{sandbox}" expands to all of that mode's args.
+export function normalizeCommandAdapter(name, raw) {
+  if (!/^[a-z0-9_-]+$/.test(name)) {
+    throw new Error(`Agent name '${name}' may only use a-z, 0-9, _ and -.`);
+  }
+  if (name === DEFAULT_AGENT) {
+    throw new Error(`'${DEFAULT_AGENT}' is built in; pick another name for a command agent.`);
+  }
+  if (!raw || typeof raw !== "object" || typeof raw.command !== "string" || !raw.command.trim()) {
+    throw new Error(`Agent '${name}' needs a command.`);
+  }
+  const args = requireStringArray(raw.args ?? [], `Agent '${name}' args`);
+  const promptVia = raw.promptVia || "argv";
+  if (!PROMPT_DELIVERY.includes(promptVia)) {
+    throw new Error(`Agent '${name}' promptVia must be one of: ${PROMPT_DELIVERY.join(", ")}.`);
+  }
+  if (promptVia === "argv" && !args.some((arg) => arg.includes("{prompt}"))) {
+    throw new Error(`Agent '${name}' passes the prompt as an argument, so one arg must contain {prompt}.`);
+  }
+  const output = raw.output || "text";
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new Error(`Agent '${name}' output must be one of: ${OUTPUT_FORMATS.join(", ")}.`);
+  }
+  const sandboxes = raw.sandboxes ?? {};
+  if (typeof sandboxes !== "object" || Array.isArray(sandboxes)) {
+    throw new Error(`Agent '${name}' sandboxes must map sandbox modes to values.`);
+  }
+  const sandboxArgs = {};
+  for (const [mode, value] of Object.entries(sandboxes)) {
+    if (!SANDBOX_MODES.includes(mode)) {
+      throw new Error(`Agent '${name}' has an invalid sandbox entry: ${mode}.`);
+    }
+    sandboxArgs[mode] =
+      typeof value === "string"
+        ? value.split(/\s+/).filter(Boolean)
+        : requireStringArray(value, `Agent '${name}' sandbox ${mode}`);
+  }
+  const timeoutMs = raw.timeoutMs ?? null;
+  if (timeoutMs !== null && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+    throw new Error(`Agent '${name}' timeoutMs must be a positive integer.`);
+  }
+  return {
+    name,
+    type: "command",
+    command: raw.command.trim(),
+    args,
+    promptVia,
+    output,
+    sandboxes: sandboxArgs,
+    timeoutMs,
+  };
+}
+
+export function parseAgentAdapters(raw, codexOptions = {}) {
+  const adapters = { [DEFAULT_AGENT]: createCodexAdapter(codexOptions) };
+  const text = String(raw || "").trim();
+  if (!text) return adapters;
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("must be a JSON object of agent definitions.");
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("must be a JSON object of agent definitions.");
+  }
+  for (const [name, definition] of Object.entries(parsed)) {
+    adapters[name] = normalizeCommandAdapter(name, definition);
+  }
+  return adapters;
+}
+
+function fillTemplate(arg, values) {
+  return arg.replace(/\{(prompt|dir|sandbox)\}/g, (_, key) =>
+    key === "sandbox" ? values.sandbox.join(" ") : values[key]
+  );
+}
+
+// Turns a prompt into the process to spawn. `writableRoots` are extra paths a
+// workspace-write run needs (a task worktree's shared .git) and `resumeThreadId`
+// continues an earlier Codex thread; only Codex takes either.
+export function buildAgentInvocation(adapter, { prompt, sandbox, dir, writableRoots = [], resumeThreadId = null }) {
+  if (adapter.type === "codex") {
+    const args = ["exec", "--json", "--cd", dir, "--sandbox", sandbox];
+    if (writableRoots.length && sandbox === "workspace-write") {
+      args.push("-c", `sandbox_workspace_write.writable_roots=${JSON.stringify(writableRoots)}`);
+    }
+    if (resumeThreadId) args.push("resume", resumeThreadId);
+    args.push(adapter.promptVia === "stdin" ? "-" : prompt);
+    return { command: adapter.command, args, stdin: adapter.promptVia === "stdin" ? prompt : null };
+  }
+
+  const mapped = adapter.sandboxes[sandbox];
+  if (mapped === undefined) {
+    throw new Error(`Agent '${adapter.name}' has no sandbox mapping for ${sandbox}; refusing to run it.`);
+  }
+  const values = { prompt, dir, sandbox: mapped };
+  const args = adapter.args.flatMap((arg) => (arg === "{sandbox}" ? mapped : [fillTemplate(arg, values)]));
+  return { command: adapter.command, args, stdin: adapter.promptVia === "stdin" ? prompt : null };
+}
+
+export function supportsResume(adapter) {
+  return adapter.type === "codex";
+}
+
+export function resolveAgentAdapter(adapters, name) {
+  const adapter = adapters[name || DEFAULT_AGENT];
+  if (!adapter) {
+    throw new Error(`Unknown agent '${name}'. Configured agents: ${Object.keys(adapters).join(", ")}.`);
+  }
+  return adapter;
+}
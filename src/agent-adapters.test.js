@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildAgentInvocation,
+  createCodexAdapter,
+  parseAgentAdapters,
+  resolveAgentAdapter,
+  supportsResume,
+} from "./agent-adapters.js";
+
+const aider = {
+  command: "aider",
+  args: ["--yes", "{sandbox}", "--message", "{prompt}"],
+  sandboxes: { "read-only": "--dry-run --no-auto-commits", "workspace-write": [] },
+  timeoutMs: 900000,
+};
+
+test("buildAgentInvocation keeps the Codex exec arguments", () => {
+  const codex = createCodexAdapter({ command: "/usr/bin/codex" });
+  assert.deepEqual(
+    buildAgentInvocation(codex, {
+      prompt: "fix it",
+      sandbox: "workspace-write",
+      dir: "/wt/1",
+      writableRoots: ["/repo/.git"],
+    }),
+    {
+      command: "/usr/bin/codex",
+      args: [
+        "exec",
+        "--json",
+        "--cd",
+        "/wt/1",
+        "--sandbox",
+        "workspace-write",
+        "-c",
+        'sandbox_workspace_write.writable_roots=["/repo/.git"]',
+        "fix it",
+      ],
+      stdin: null,
+    }
+  );
+  const viaStdin = buildAgentInvocation(createCodexAdapter({ promptVia: "stdin" }), {
+    prompt: "long prompt",
+    sandbox: "read-only",
+    dir: "/repo",
+    writableRoots: ["/repo/.git"],
+  });
+  assert.deepEqual(viaStdin.args, ["exec", "--json", "--cd", "/repo", "--sandbox", "read-only", "-"]);
+  assert.equal(viaStdin.stdin, "long prompt");
+
+  const resumed = buildAgentInvocation(createCodexAdapter(), {
+    prompt: "and now the tests",
+    sandbox: "workspace-write",
+    dir: "/repo",
+    resumeThreadId: "0199-thread",
+  });
+  assert.deepEqual(resumed.args.slice(-3), ["resume", "0199-thread", "and now the tests"]);
+});
+
+test("buildAgentInvocation fills command templates and maps sandboxes", () => {
+  const adapters = parseAgentAdapters(JSON.stringify({ aider }));
+  const readOnly = buildAgentInvocation(adapters.aider, { prompt: "explain", sandbox: "read-only", dir: "/repo" });
+  assert.deepEqual(readOnly, {
+    command: "aider",
+    args: ["--yes", "--dry-run", "--no-auto-commits", "--message", "explain"],
+    stdin: null,
+  });
+  const write = buildAgentInvocation(adapters.aider, { prompt: "fix", sandbox: "workspace-write", dir: "/repo" });
+  assert.deepEqual(write.args, ["--yes", "--message", "fix"]);
+  assert.deepEqual(
+    buildAgentInvocation(adapters.aider, { prompt: "fix", sandbox: "workspace-write", dir: "/repo", resumeThreadId: "t" }).args,
+    write.args
+  );
+  assert.equal(supportsResume(adapters.aider), false);
+  assert.equal(supportsResume(adapters.codex), true);
+  assert.throws(
+    () => buildAgentInvocation(adapters.aider, { prompt: "push", sandbox: "danger-full-access", dir: "/repo" }),
+    /no sandbox mapping for danger-full-access/
+  );
+
+  const piped = parseAgentAdapters(
+    JSON.stringify({ llm: { command: "llm-agent", args: ["--cwd={dir}", "--mode", "{sandbox}"], promptVia: "stdin", sandboxes: { "read-only": "plan" } } })
+  ).llm;
+  assert.deepEqual(buildAgentInvocation(piped, { prompt: "hi", sandbox: "read-only", dir: "/r" }), {
+    command: "llm-agent",
+    args: ["--cwd=/r", "--mode", "plan"],
+    stdin: "hi",
+  });
+});
+
+test("parseAgentAdapters always includes codex and validates definitions", () => {
+  const adapters = parseAgentAdapters("", { command: "codex-dev", timeoutMs: 5 });
+  assert.deepEqual(Object.keys(adapters), ["codex"]);
+  assert.equal(adapters.codex.command, "codex-dev");
+  assert.equal(parseAgentAdapters(JSON.stringify({ aider })).aider.output, "text");
+
+  assert.throws(() => parseAgentAdapters("[1]"), /JSON object/);
+  assert.throws(() => parseAgentAdapters("{oops"), /JSON object/);
+  assert.throws(() => parseAgentAdapters(JSON.stringify({ codex: aider })), /built in/);
+  assert.throws(() => parseAgentAdapters(JSON.stringify({ "My Agent": aider })), /may only use/);
+  assert.throws(() => parseAgentAdapters(JSON.stringify({ x: { args: [] } })), /needs a command/);
+  assert.throws(() => parseAgentAdapters(JSON.stringify({ x: { command: "x", args: ["--go"] } })), /\{prompt\}/);
+  assert.throws(
+    () => parseAgentAdapters(JSON.stringify({ x: { ...aider, sandboxes: { yolo: "" } } })),
+    /invalid sandbox entry: yolo/
+  );
+  assert.throws(() => parseAgentAdapters(JSON.stringify({ x: { ...aider, timeoutMs: -1 } })), /timeoutMs/);
+  assert.throws(() => createCodexAdapter({ promptVia: "file" }), /prompt delivery/);
+});
+
+test("resolveAgentAdapter falls back to codex and reports unknown names", () => {
+  const adapters = parseAgentAdapters(JSON.stringify({ aider }));
+  assert.equal(resolveAgentAdapter(adapters, null).name, "codex");
+  assert.equal(resolveAgentAdapter(adapters, "aider").command, "aider");
+  assert.throws(() => resolveAgentAdapter(adapters, "gpt"), /Unknown agent 'gpt'. Configured agents: codex, aider/);
+});
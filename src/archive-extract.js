@@ -0,0 +1,198 @@
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { gunzipSync, inflateRawSync } from "zlib";
+
+export const ARCHIVE_KINDS = [
+  { kind: "zip", suffixes: [".zip"] },
+  { kind: "tar.gz", suffixes: [".tar.gz", ".tgz"] },
+  { kind: "tar", suffixes: [".tar"] },
+];
+
+export function getArchiveKind(fileName) {
+  const lower = String(fileName || "").toLowerCase();
+  return ARCHIVE_KINDS.find((entry) => entry.suffixes.some((suffix) => lower.endsWith(suffix)))?.kind || null;
+}
+
+export function stripArchiveSuffix(fileName) {
+  const lower = String(fileName).toLowerCase();
+  for (const { suffixes } of ARCHIVE_KINDS) {
+    const suffix = suffixes.find((entry) => lower.endsWith(entry));
+    if (suffix) return String(fileName).slice(0, -suffix.length);
+  }
+  return String(fileName);
+}
+
+// Returns a safe relative path for an archive entry, or null when the entry
+// would land outside the extraction directory.
+export function normalizeEntryPath(name) {
+  const raw = String(name || "").replace(/\\/g, "/");
+  if (!raw || raw.startsWith("/") || /^[A-Za-z]:/.test(raw) || raw.includes("\0")) return null;
+  const segments = raw.split("/").filter((segment) => segment && segment !== ".");
+  if (!segments.length || segments.includes("..")) return null;
+  return segments.join("/");
+}
+
+function createBudget({ maxEntries, maxBytes }) {
+  let entries = 0;
+  let bytes = 0;
+  return {
+    remainingBytes: () => maxBytes - bytes,
+    addEntry() {
+      entries += 1;
+      if (entries > maxEntries) throw new Error(`The archive has more than ${maxEntries} files.`);
+    },
+    addBytes(size) {
+      bytes += size;
+      if (bytes > maxBytes) throw new Error(`The archive unpacks to more than ${Math.round(maxBytes / 1048576)} MB.`);
+    },
+  };
+}
+
+function readZipEntries(buffer, budget) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd < 0 || eocd + 22 > buffer.length) throw new Error("Not a valid zip archive.");
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("Zip64 archives aren't supported.");
+
+  const files = [];
+  const skipped = [];
+  for (let i = 0; i < count; i += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("The zip central directory is corrupt.");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const fileType = (buffer.readUInt32LE(offset + 38) >>> 16) & 0o170000;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    budget.addEntry();
+    const safePath = normalizeEntryPath(name);
+    if (!safePath) {
+      skipped.push({ name, reason: "unsafe path" });
+      continue;
+    }
+    if (fileType === 0o120000) {
+      skipped.push({ name, reason: "symlink" });
+      continue;
+    }
+    if (flags & 0x1) {
+      skipped.push({ name, reason: "encrypted" });
+      continue;
+    }
+    if (method !== 0 && method !== 8) {
+      skipped.push({ name, reason: `compression method ${method}` });
+      continue;
+    }
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`The zip entry ${name} is corrupt.`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    budget.addBytes(size);
+    let data = compressed;
+    if (method === 8) {
+      try {
+        // The header's size can lie, so cap the output at what it declared.
+        data = inflateRawSync(compressed, { maxOutputLength: Math.max(1, size) });
+      } catch {
+        throw new Error(`The zip entry ${name} is corrupt or larger than declared.`);
+      }
+    }
+    if (data.length !== size) throw new Error(`The zip entry ${name} has the wrong size.`);
+    files.push({ path: safePath, data });
+  }
+  return { files, skipped };
+}
+
+function readTarString(block, start, length) {
+  const raw = block.subarray(start, start + length);
+  const end = raw.indexOf(0);
+  return raw.toString("utf8", 0, end < 0 ? length : end);
+}
+
+function parsePaxPath(data) {
+  const match = data.toString("utf8").match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+function readTarEntries(buffer, budget) {
+  const files = [];
+  const skipped = [];
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break;
+    const size = Number.parseInt(readTarString(header, 124, 12).trim() || "0", 8);
+    if (!Number.isFinite(size) || size < 0) throw new Error("The tar header is corrupt.");
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = header.toString("latin1", 257, 262) === "ustar" ? readTarString(header, 345, 155) : "";
+    const headerName = prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100);
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === "L" || type === "x") {
+      longName = type === "L" ? readTarString(data, 0, data.length) : parsePaxPath(data);
+      continue;
+    }
+    if (type === "g") continue;
+    const name = longName || headerName;
+    longName = null;
+    if (type === "5") continue;
+    budget.addEntry();
+    if (type !== "0" && type !== "7") {
+      skipped.push({ name, reason: type === "1" || type === "2" ? "link" : "special file" });
+      continue;
+    }
+    const safePath = normalizeEntryPath(name);
+    if (!safePath) {
+      skipped.push({ name, reason: "unsafe path" });
+      continue;
+    }
+    if (data.length !== size) throw new Error(`The tar entry ${name} is truncated.`);
+    budget.addBytes(size);
+    files.push({ path: safePath, data });
+  }
+  return { files, skipped };
+}
+
+// Reads a zip, tar or tar.gz into memory, enforcing entry and size limits.
+// Links, special files and paths escaping the archive root are skipped.
+export function readArchiveEntries(buffer, kind, { maxEntries, maxBytes }) {
+  const budget = createBudget({ maxEntries, maxBytes });
+  if (kind === "zip") return readZipEntries(buffer, budget);
+  if (kind === "tar") return readTarEntries(buffer, budget);
+  if (kind === "tar.gz") {
+    let tar;
+    try {
+      tar = gunzipSync(buffer, { maxOutputLength: maxBytes + (maxEntries + 2) * 1024 });
+    } catch (err) {
+      if (err?.code === "ERR_BUFFER_TOO_LARGE") {
+        throw new Error(`The archive unpacks to more than ${Math.round(maxBytes / 1048576)} MB.`);
+      }
+      throw new Error("Not a valid gzip archive.");
+    }
+    return readTarEntries(tar, budget);
+  }
+  throw new Error(`Unsupported archive type: ${kind}`);
+}
+
+export async function writeArchiveEntries(destDir, files) {
+  const root = path.resolve(destDir);
+  for (const file of files) {
+    const target = path.resolve(root, file.path);
+    if (!target.startsWith(`${root}${path.sep}`)) throw new Error(`Refusing to write outside ${root}: ${file.path}`);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, file.data, { flag: "wx" });
+  }
+}
@@ -0,0 +1,174 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { deflateRawSync, gzipSync } from "zlib";
+import {
+  getArchiveKind,
+  normalizeEntryPath,
+  readArchiveEntries,
+  stripArchiveSuffix,
+  writeArchiveEntries,
+} from "./archive-extract.js";
+
+const LIMITS = { maxEntries: 10, maxBytes: 1024 * 1024 };
+
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.from(entry.data || "", "utf8");
+    const method = entry.method ?? 8;
+    const stored = method === 8 ? deflateRawSync(data) : data;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.flags || 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(entry.flags || 0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((entry.mode ?? 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, stored);
+    centrals.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function buildTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data || "", "utf8");
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, 100, "utf8");
+    header.write("0000644\0", 100);
+    header.write(`${data.length.toString(8).padStart(11, "0")}\0`, 124);
+    header.write(entry.type || "0", 156);
+    header.write("ustar\0", 257);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+test("getArchiveKind recognizes zip, tar and gzipped tar names", () => {
+  assert.equal(getArchiveKind("logs.ZIP"), "zip");
+  assert.equal(getArchiveKind("src.tar.gz"), "tar.gz");
+  assert.equal(getArchiveKind("src.tgz"), "tar.gz");
+  assert.equal(getArchiveKind("src.tar"), "tar");
+  assert.equal(getArchiveKind("notes.gz"), null);
+  assert.equal(stripArchiveSuffix("build-logs.tar.gz"), "build-logs");
+});
+
+test("normalizeEntryPath rejects paths that escape the extraction dir", () => {
+  assert.equal(normalizeEntryPath("a/./b.txt"), "a/b.txt");
+  assert.equal(normalizeEntryPath("dir\\file.txt"), "dir/file.txt");
+  assert.equal(normalizeEntryPath("../evil"), null);
+  assert.equal(normalizeEntryPath("a/../../evil"), null);
+  assert.equal(normalizeEntryPath("/etc/passwd"), null);
+  assert.equal(normalizeEntryPath("C:/Windows/x"), null);
+});
+
+test("readArchiveEntries reads stored and deflated zip entries and skips unsafe ones", () => {
+  const zip = buildZip([
+    { name: "logs/", data: "" },
+    { name: "logs/app.log", data: "line one\nline two\n" },
+    { name: "README", data: "hello", method: 0 },
+    { name: "../escape.txt", data: "nope" },
+    { name: "link", data: "/etc/passwd", mode: 0o120777 },
+    { name: "secret.txt", data: "x", flags: 1 },
+  ]);
+  const { files, skipped } = readArchiveEntries(zip, "zip", LIMITS);
+  assert.deepEqual(
+    files.map((file) => [file.path, file.data.toString("utf8")]),
+    [
+      ["logs/app.log", "line one\nline two\n"],
+      ["README", "hello"],
+    ]
+  );
+  assert.deepEqual(
+    skipped.map((entry) => entry.reason),
+    ["unsafe path", "symlink", "encrypted"]
+  );
+});
+
+test("readArchiveEntries enforces entry and size limits", () => {
+  const many = buildZip(Array.from({ length: 3 }, (_, index) => ({ name: `f${index}.txt`, data: "x" })));
+  assert.throws(() => readArchiveEntries(many, "zip", { maxEntries: 2, maxBytes: 1024 }), /more than 2 files/);
+
+  const bomb = buildZip([{ name: "big.txt", data: "a".repeat(4096) }]);
+  assert.throws(() => readArchiveEntries(bomb, "zip", { maxEntries: 10, maxBytes: 1024 }), /unpacks to more than/);
+
+  const liar = buildZip([{ name: "liar.txt", data: "a".repeat(4096) }]);
+  const centralOffset = liar.readUInt32LE(liar.length - 6);
+  liar.writeUInt32LE(10, 22);
+  liar.writeUInt32LE(10, centralOffset + 24);
+  assert.throws(() => readArchiveEntries(liar, "zip", LIMITS), /larger than declared/);
+
+  const tarBomb = gzipSync(buildTar([{ name: "big.txt", data: "a".repeat(64 * 1024) }]));
+  assert.throws(() => readArchiveEntries(tarBomb, "tar.gz", { maxEntries: 1, maxBytes: 1024 }), /unpacks to more than/);
+});
+
+test("readArchiveEntries reads tar and tar.gz, skipping links and unsafe paths", () => {
+  const tar = buildTar([
+    { name: "src/", type: "5" },
+    { name: "src/index.js", data: "export {};\n" },
+    { name: "src/link", type: "2" },
+    { name: "../../etc/cron.d/x", data: "boom" },
+  ]);
+  for (const [buffer, kind] of [
+    [tar, "tar"],
+    [gzipSync(tar), "tar.gz"],
+  ]) {
+    const { files, skipped } = readArchiveEntries(buffer, kind, LIMITS);
+    assert.deepEqual(files.map((file) => file.path), ["src/index.js"]);
+    assert.deepEqual(skipped.map((entry) => entry.reason), ["link", "unsafe path"]);
+  }
+});
+
+test("readArchiveEntries uses GNU long names", () => {
+  const longName = `${"deep/".repeat(30)}file.txt`;
+  const tar = buildTar([
+    { name: "././@LongLink", type: "L", data: `${longName}\0` },
+    { name: longName.slice(0, 99), data: "content" },
+  ]);
+  const { files } = readArchiveEntries(tar, "tar", LIMITS);
+  assert.equal(files[0].path, longName);
+});
+
+test("readArchiveEntries rejects archives it can't parse", () => {
+  assert.throws(() => readArchiveEntries(Buffer.from("not a zip"), "zip", LIMITS), /Not a valid zip/);
+  assert.throws(() => readArchiveEntries(Buffer.from("not gzip"), "tar.gz", LIMITS), /Not a valid gzip/);
+});
+
+test("writeArchiveEntries writes files under the destination", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "archive-extract-"));
+  try {
+    await writeArchiveEntries(path.join(dir, "out"), [{ path: "a/b.txt", data: Buffer.from("hi") }]);
+    assert.equal(await readFile(path.join(dir, "out", "a", "b.txt"), "utf8"), "hi");
+    await assert.rejects(
+      writeArchiveEntries(path.join(dir, "out"), [{ path: "../x.txt", data: Buffer.from("") }]),
+      /Refusing to write outside/
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+export function getSessionKey(chatId, threadId = null) {
+  return threadId ? `${chatId}:${threadId}` : String(chatId);
+}
+
+export function createChatTarget(chatId, threadId = null) {
+  return { chatId, threadId: threadId || null, key: getSessionKey(chatId, threadId) };
+}
+
+// Forum topics get their own session; replies inside a regular supergroup
+// also carry message_thread_id, so only real topic messages are split out.
+export function getChatTarget(msg) {
+  const threadId = msg?.is_topic_message ? msg.message_thread_id : null;
+  return createChatTarget(msg.chat.id, threadId);
+}
+
+export function withThread(target, options = {}) {
+  return target?.threadId ? { ...options, message_thread_id: target.threadId } : options;
+}
+
+export function isGroupChat(chat) {
+  return chat?.type === "group" || chat?.type === "supergroup";
+}
+
+export function isChatAllowed(chat, allowedChatIds = []) {
+  if (chat?.type === "private") return true;
+  if (!isGroupChat(chat)) return false;
+  return allowedChatIds.includes(String(chat.id));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function resolveAddressedText(msg, botUser = {}) {
+  const raw = String(msg?.text || msg?.caption || "").trim();
+  const username = String(botUser.username || "").toLowerCase();
+
+  const commandMatch = raw.match(/^(\/[a-z0-9_]+)@([a-z0-9_]+)([\s\S]*)$/i);
+  if (commandMatch) {
+    if (commandMatch[2].toLowerCase() !== username) {
+      return { addressed: false, text: raw };
+    }
+    return { addressed: true, text: `${commandMatch[1]}${commandMatch[3]}`.trim() };
+  }
+
+  if (!isGroupChat(msg?.chat) || raw.startsWith("/")) {
+    return { addressed: true, text: raw };
+  }
+
+  const mention = username ? new RegExp(`(^|\\s)@${escapeRegExp(username)}\\b`, "gi") : null;
+  const mentioned = Boolean(mention && raw.match(mention));
+  const reply = msg.reply_to_message;
+  const repliedToBot = Boolean(
+    reply && !reply.forum_topic_created && botUser.id && reply.from?.id === botUser.id
+  );
+
+  if (!mentioned && !repliedToBot) {
+    return { addressed: false, text: raw };
+  }
+  return {
+    addressed: true,
+    text: mentioned ? raw.replace(mention, "$1").trim() : raw,
+  };
+}
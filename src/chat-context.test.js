@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  getChatTarget,
+  getSessionKey,
+  isChatAllowed,
+  resolveAddressedText,
+  withThread,
+} from "./chat-context.js";
+
+const botUser = { id: 999, username: "codex_bridge_bot" };
+
+test("getChatTarget keys forum topics by chat and thread", () => {
+  assert.deepEqual(getChatTarget({ chat: { id: 42, type: "private" } }), {
+    chatId: 42,
+    threadId: null,
+    key: "42",
+  });
+  assert.deepEqual(
+    getChatTarget({ chat: { id: -100, type: "supergroup" }, is_topic_message: true, message_thread_id: 7 }),
+    { chatId: -100, threadId: 7, key: "-100:7" }
+  );
+  assert.equal(
+    getChatTarget({ chat: { id: -100, type: "supergroup" }, message_thread_id: 7 }).key,
+    "-100"
+  );
+  assert.equal(getSessionKey(-100, null), "-100");
+});
+
+test("withThread adds message_thread_id only for topics", () => {
+  assert.deepEqual(withThread({ threadId: 7 }, { parse_mode: "HTML" }), {
+    parse_mode: "HTML",
+    message_thread_id: 7,
+  });
+  assert.deepEqual(withThread({ threadId: null }, {}), {});
+});
+
+test("isChatAllowed permits DMs and allowlisted groups only", () => {
+  assert.equal(isChatAllowed({ id: 1, type: "private" }, []), true);
+  assert.equal(isChatAllowed({ id: -100, type: "supergroup" }, ["-100"]), true);
+  assert.equal(isChatAllowed({ id: -200, type: "group" }, ["-100"]), false);
+  assert.equal(isChatAllowed({ id: -300, type: "channel" }, ["-300"]), false);
+});
+
+test("resolveAddressedText handles commands addressed to this or other bots", () => {
+  const group = { id: -100, type: "supergroup" };
+  assert.deepEqual(resolveAddressedText({ chat: group, text: "/state@Codex_Bridge_Bot" }, botUser), {
+    addressed: true,
+    text: "/state",
+  });
+  assert.equal(resolveAddressedText({ chat: group, text: "/state@other_bot" }, botUser).addressed, false);
+  assert.deepEqual(resolveAddressedText({ chat: group, text: "/queue" }, botUser), {
+    addressed: true,
+    text: "/queue",
+  });
+});
+
+test("resolveAddressedText requires a mention or reply in groups", () => {
+  const group = { id: -100, type: "supergroup" };
+  assert.equal(resolveAddressedText({ chat: group, text: "lunch?" }, botUser).addressed, false);
+  assert.deepEqual(
+    resolveAddressedText({ chat: group, text: "@codex_bridge_bot fix the build" }, botUser),
+    { addressed: true, text: "fix the build" }
+  );
+  assert.deepEqual(
+    resolveAddressedText(
+      { chat: group, text: "and the tests too", reply_to_message: { from: { id: 999 } } },
+      botUser
+    ),
+    { addressed: true, text: "and the tests too" }
+  );
+  assert.equal(
+    resolveAddressedText(
+      {
+        chat: group,
+        text: "topic chatter",
+        reply_to_message: { from: { id: 999 }, forum_topic_created: { name: "t" } },
+      },
+      botUser
+    ).addressed,
+    false
+  );
+  assert.deepEqual(resolveAddressedText({ chat: { type: "private" }, text: "hi" }, botUser), {
+    addressed: true,
+    text: "hi",
+  });
+});
@@ -0,0 +1,95 @@
+const DEFAULT_REPO_KEY = "default";
+
+// Session fields that belong to the chat's current repo. They are parked
+// under repoStates when the chat switches repos and restored on the way back.
+const REPO_SCOPED_DEFAULTS = {
+  history: () => [],
+  pendingPush: () => null,
+  activeTaskId: () => null,
+  codexThread: () => null,
+};
+
+function getRepoKey(alias) {
+  return alias || DEFAULT_REPO_KEY;
+}
+
+export function createEmptySession(repoAlias = null) {
+  const session = { repoAlias, repoStates: {} };
+  for (const [key, createDefault] of Object.entries(REPO_SCOPED_DEFAULTS)) {
+    session[key] = createDefault();
+  }
+  return session;
+}
+
+export function normalizeSession(session) {
+  const next = session && typeof session === "object" ? session : {};
+  next.repoAlias = next.repoAlias && next.repoAlias !== DEFAULT_REPO_KEY ? next.repoAlias : null;
+  next.repoStates = next.repoStates && typeof next.repoStates === "object" ? next.repoStates : {};
+  for (const [key, createDefault] of Object.entries(REPO_SCOPED_DEFAULTS)) {
+    if (next[key] === undefined) next[key] = createDefault();
+  }
+  if (!Array.isArray(next.history)) next.history = [];
+  // Test results moved to the per-checkout test run store.
+  delete next.lastTestRun;
+  return next;
+}
+
+// /new clears the conversation, not the work: the chat stays on its active
+// task worktree instead of leaving it orphaned.
+const KEPT_ON_RESET = new Set(["activeTaskId"]);
+
+export function resetSessionRepoState(session) {
+  for (const [key, createDefault] of Object.entries(REPO_SCOPED_DEFAULTS)) {
+    if (!KEPT_ON_RESET.has(key)) session[key] = createDefault();
+  }
+  return session;
+}
+
+// A Codex thread is only resumed in the directory and by the agent that
+// started it, so switching tasks or agents starts a fresh one.
+export function getResumableThreadId(session, { dir, agent }) {
+  const thread = session.codexThread;
+  if (!thread || thread.dir !== dir || thread.agent !== agent) return null;
+  return thread.id;
+}
+
+export function setCodexThread(session, { id, dir, agent }, updatedAt) {
+  session.codexThread = { id, dir, agent, updatedAt };
+  return session;
+}
+
+export function clearCodexThread(session) {
+  session.codexThread = null;
+  return session;
+}
+
+export function switchSessionRepo(session, alias) {
+  const currentKey = getRepoKey(session.repoAlias);
+  const nextKey = getRepoKey(alias);
+  if (currentKey === nextKey) return session;
+
+  const parked = {};
+  for (const key of Object.keys(REPO_SCOPED_DEFAULTS)) {
+    parked[key] = session[key];
+  }
+  session.repoStates ||= {};
+  session.repoStates[currentKey] = parked;
+
+  const restored = session.repoStates[nextKey] || {};
+  delete session.repoStates[nextKey];
+  for (const [key, createDefault] of Object.entries(REPO_SCOPED_DEFAULTS)) {
+    session[key] = restored[key] !== undefined ? restored[key] : createDefault();
+  }
+  session.repoAlias = nextKey === DEFAULT_REPO_KEY ? null : nextKey;
+  return session;
+}
+
+export function forgetSessionRepo(session, alias) {
+  if (session.repoAlias === alias) {
+    switchSessionRepo(session, null);
+  }
+  if (session.repoStates) {
+    delete session.repoStates[getRepoKey(alias)];
+  }
+  return session;
+}
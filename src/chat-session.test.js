@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  clearCodexThread,
+  createEmptySession,
+  forgetSessionRepo,
+  getResumableThreadId,
+  normalizeSession,
+  resetSessionRepoState,
+  setCodexThread,
+  switchSessionRepo,
+} from "./chat-session.js";
+
+test("normalizeSession upgrades legacy sessions", () => {
+  assert.deepEqual(normalizeSession({ history: [{ role: "user" }], pendingPush: null }), {
+    history: [{ role: "user" }],
+    pendingPush: null,
+    activeTaskId: null,
+    codexThread: null,
+    repoAlias: null,
+    repoStates: {},
+  });
+  assert.equal(normalizeSession({ repoAlias: "default" }).repoAlias, null);
+});
+
+test("switchSessionRepo keeps history per repo", () => {
+  const session = createEmptySession();
+  session.history.push({ role: "user", content: "default repo question" });
+  session.pendingPush = { description: "ship", createdAt: "now" };
+
+  switchSessionRepo(session, "app");
+  assert.equal(session.repoAlias, "app");
+  assert.deepEqual(session.history, []);
+  assert.equal(session.pendingPush, null);
+  session.history.push({ role: "user", content: "app question" });
+
+  switchSessionRepo(session, null);
+  assert.equal(session.repoAlias, null);
+  assert.equal(session.history[0].content, "default repo question");
+  assert.equal(session.pendingPush.description, "ship");
+  assert.equal(session.repoStates.app.history[0].content, "app question");
+  assert.equal(session.repoStates.default, undefined);
+});
+
+test("resetSessionRepoState only clears the current repo", () => {
+  const session = createEmptySession();
+  session.history.push({ role: "user", content: "keep me" });
+  switchSessionRepo(session, "app");
+  session.history.push({ role: "user", content: "drop me" });
+  session.activeTaskId = "fix-login";
+
+  resetSessionRepoState(session);
+  assert.deepEqual(session.history, []);
+  assert.equal(session.activeTaskId, "fix-login");
+  assert.equal(session.repoAlias, "app");
+  assert.equal(session.repoStates.default.history[0].content, "keep me");
+});
+
+test("Codex threads resume only for the same directory and agent, and reset with /new", () => {
+  const session = createEmptySession();
+  setCodexThread(session, { id: "t-1", dir: "/repo", agent: "codex" }, "2026-01-01T00:00:00.000Z");
+  assert.equal(getResumableThreadId(session, { dir: "/repo", agent: "codex" }), "t-1");
+  assert.equal(getResumableThreadId(session, { dir: "/worktrees/1", agent: "codex" }), null);
+  assert.equal(getResumableThreadId(session, { dir: "/repo", agent: "aider" }), null);
+
+  switchSessionRepo(session, "app");
+  assert.equal(session.codexThread, null);
+  switchSessionRepo(session, null);
+  assert.equal(session.codexThread.id, "t-1");
+
+  clearCodexThread(session);
+  assert.equal(getResumableThreadId(session, { dir: "/repo", agent: "codex" }), null);
+  setCodexThread(session, { id: "t-2", dir: "/repo", agent: "codex" }, "2026-01-01T00:00:00.000Z");
+  resetSessionRepoState(session);
+  assert.equal(session.codexThread, null);
+});
+
+test("forgetSessionRepo falls back to default when the alias is removed", () => {
+  const session = createEmptySession();
+  switchSessionRepo(session, "app");
+  session.history.push({ role: "user", content: "app question" });
+
+  forgetSessionRepo(session, "app");
+  assert.equal(session.repoAlias, null);
+  assert.equal(session.repoStates.app, undefined);
+});
@@ -0,0 +1,214 @@
+const MAX_PROGRESS_COMMANDS = 5;
+const MAX_COMMAND_PREVIEW = 80;
+
+export function createCodexRunState() {
+  return {
+    threadId: null,
+    step: "Starting",
+    commands: [],
+    fileChanges: [],
+    messages: [],
+    finalMessage: "",
+    usage: null,
+    error: null,
+  };
+}
+
+export function splitJsonLines(buffer, chunk) {
+  const lines = `${buffer}${chunk}`.split("\n");
+  const rest = lines.pop();
+  return { lines: lines.map((line) => line.trim()).filter(Boolean), rest };
+}
+
+export function parseCodexEventLine(line) {
+  try {
+    const event = JSON.parse(line);
+    return event && typeof event === "object" ? event : null;
+  } catch {
+    return null;
+  }
+}
+
+function firstLine(text) {
+  return String(text || "")
+    .replace(/\*\*/g, "")
+    .split("\n")
+    .map((line) => line.trim())
+    .find(Boolean) || "";
+}
+
+export function formatCommandPreview(command) {
+  const raw = Array.isArray(command) ? command.join(" ") : String(command || "");
+  const unwrapped = raw.replace(/^(?:\/bin\/)?(?:ba|z)?sh -l?c\s+/, "").replace(/^(['"])(.*)\1$/s, "$2");
+  const singleLine = unwrapped.replace(/\s+/g, " ").trim();
+  return singleLine.length > MAX_COMMAND_PREVIEW
+    ? `${singleLine.slice(0, MAX_COMMAND_PREVIEW - 3)}...`
+    : singleLine;
+}
+
+function upsertCommand(state, id, patch) {
+  const existing = state.commands.find((entry) => id && entry.id === id);
+  if (existing) {
+    Object.assign(existing, patch);
+    return existing;
+  }
+  const entry = { id: id || `cmd_${state.commands.length + 1}`, exitCode: null, ...patch };
+  state.commands.push(entry);
+  return entry;
+}
+
+function applyItem(state, phase, item) {
+  if (!item || typeof item !== "object") return;
+
+  if (item.type === "reasoning") {
+    const step = firstLine(item.text);
+    if (step) state.step = step;
+    return;
+  }
+
+  if (item.type === "command_execution") {
+    const entry = upsertCommand(state, item.id, {
+      command: item.command,
+      exitCode: Number.isInteger(item.exit_code) ? item.exit_code : null,
+      status: phase === "item.completed" ? item.status || "completed" : "in_progress",
+    });
+    if (phase !== "item.completed") {
+      state.step = `Running ${formatCommandPreview(entry.command)}`;
+    }
+    return;
+  }
+
+  if (item.type === "file_change" && phase === "item.completed") {
+    for (const change of Array.isArray(item.changes) ? item.changes : []) {
+      if (change?.path) state.fileChanges.push({ path: change.path, kind: change.kind || "update" });
+    }
+    state.step = "Editing files";
+    return;
+  }
+
+  if (item.type === "mcp_tool_call") {
+    state.step = `Calling ${[item.server, item.tool].filter(Boolean).join(".")}`;
+    return;
+  }
+
+  if (item.type === "web_search") {
+    state.step = `Searching the web${item.query ? `: ${item.query}` : ""}`;
+    return;
+  }
+
+  if (item.type === "agent_message" && phase === "item.completed") {
+    const text = String(item.text || "").trim();
+    if (text) {
+      state.messages.push(text);
+      state.finalMessage = text;
+    }
+    return;
+  }
+
+  if (item.type === "error" && item.message) {
+    state.step = `Warning: ${firstLine(item.message)}`;
+  }
+}
+
+// Older Codex releases wrap events as { id, msg: { type, ... } }.
+function applyLegacyEvent(state, msg) {
+  if (msg.type === "session_configured" && msg.session_id) {
+    state.threadId = msg.session_id;
+  } else if (msg.type === "agent_reasoning") {
+    const step = firstLine(msg.text);
+    if (step) state.step = step;
+  } else if (msg.type === "exec_command_begin") {
+    const entry = upsertCommand(state, msg.call_id, { command: msg.command, status: "in_progress" });
+    state.step = `Running ${formatCommandPreview(entry.command)}`;
+  } else if (msg.type === "exec_command_end") {
+    upsertCommand(state, msg.call_id, {
+      exitCode: Number.isInteger(msg.exit_code) ? msg.exit_code : null,
+      status: "completed",
+    });
+  } else if (msg.type === "agent_message" && msg.message) {
+    state.messages.push(String(msg.message).trim());
+    state.finalMessage = String(msg.message).trim();
+  } else if (msg.type === "token_count" && msg.info?.total_token_usage) {
+    state.usage = msg.info.total_token_usage;
+  } else if (msg.type === "error" && msg.message) {
+    state.error = msg.message;
+  }
+}
+
+export function applyCodexEvent(state, event) {
+  if (!event || typeof event !== "object") return state;
+
+  if (event.msg && typeof event.msg === "object") {
+    applyLegacyEvent(state, event.msg);
+    return state;
+  }
+
+  switch (event.type) {
+    case "thread.started":
+      state.threadId = event.thread_id || state.threadId;
+      break;
+    case "turn.started":
+      state.step = "Thinking";
+      break;
+    case "item.started":
+    case "item.updated":
+    case "item.completed":
+      applyItem(state, event.type, event.item);
+      break;
+    case "turn.completed":
+      state.usage = event.usage || state.usage;
+      state.step = "Finishing up";
+      break;
+    case "turn.failed":
+      state.error = event.error?.message || "Codex turn failed.";
+      break;
+    case "error":
+      state.error = event.message || "Codex reported an error.";
+      break;
+    default:
+      break;
+  }
+  return state;
+}
+
+// True once a run has done anything a retry could repeat.
+export function hasRunActivity(state) {
+  return Boolean(state && (state.commands.length || state.fileChanges.length || state.messages.length));
+}
+
+export function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return minutes ? `${minutes}m ${seconds}s` : `${totalSeconds}s`;
+}
+
+function formatCommandStatus(entry) {
+  if (entry.status === "in_progress") return "⏳";
+  if (!entry.exitCode) return "✅";
+  return `❌ (exit ${entry.exitCode})`;
+}
+
+export function formatProgressMessage(state, elapsedMs, options = {}) {
+  const header = options.header || "🧠 Running...";
+  const lines = [`${header} (${formatElapsed(elapsedMs)})`];
+  lines.push(`Step: ${state.step}`);
+
+  if (state.commands.length) {
+    const limit = options.maxCommands || MAX_PROGRESS_COMMANDS;
+    const recent = state.commands.slice(-limit);
+    const hidden = state.commands.length - recent.length;
+    lines.push(`Commands (${state.commands.length}):`);
+    if (hidden > 0) lines.push(`... ${hidden} earlier`);
+    recent.forEach((entry) => {
+      lines.push(`${formatCommandStatus(entry)} ${formatCommandPreview(entry.command)}`);
+    });
+  }
+
+  if (state.fileChanges.length) {
+    const files = new Set(state.fileChanges.map((change) => change.path));
+    lines.push(`Files changed: ${files.size}`);
+  }
+
+  return lines.join("\n");
+}
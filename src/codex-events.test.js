@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyCodexEvent,
+  createCodexRunState,
+  formatCommandPreview,
+  formatElapsed,
+  formatProgressMessage,
+  hasRunActivity,
+  parseCodexEventLine,
+  splitJsonLines,
+} from "./codex-events.js";
+
+test("splitJsonLines keeps partial lines for the next chunk", () => {
+  let result = splitJsonLines("", '{"type":"turn.started"}\n{"type":"item.');
+  assert.deepEqual(result.lines, ['{"type":"turn.started"}']);
+  result = splitJsonLines(result.rest, 'started"}\n');
+  assert.deepEqual(result.lines, ['{"type":"item.started"}']);
+  assert.equal(result.rest, "");
+});
+
+test("parseCodexEventLine ignores non-JSON output", () => {
+  assert.equal(parseCodexEventLine("warning: something"), null);
+  assert.deepEqual(parseCodexEventLine('{"type":"turn.started"}'), { type: "turn.started" });
+});
+
+test("applyCodexEvent tracks thread, steps, commands, files and final answer", () => {
+  const state = createCodexRunState();
+  const events = [
+    { type: "thread.started", thread_id: "thread_1" },
+    { type: "turn.started" },
+    { type: "item.completed", item: { id: "r1", type: "reasoning", text: "**Reading config**" } },
+    {
+      type: "item.started",
+      item: { id: "c1", type: "command_execution", command: "bash -lc 'npm test'", status: "in_progress" },
+    },
+    {
+      type: "item.completed",
+      item: { id: "c1", type: "command_execution", command: "bash -lc 'npm test'", exit_code: 1, status: "failed" },
+    },
+    {
+      type: "item.completed",
+      item: { id: "f1", type: "file_change", changes: [{ path: "src/a.js", kind: "update" }] },
+    },
+    { type: "item.completed", item: { id: "m1", type: "agent_message", text: "Fixed it." } },
+    { type: "turn.completed", usage: { input_tokens: 10, output_tokens: 5 } },
+  ];
+  events.forEach((event) => applyCodexEvent(state, event));
+
+  assert.equal(state.threadId, "thread_1");
+  assert.equal(state.commands.length, 1);
+  assert.equal(state.commands[0].exitCode, 1);
+  assert.deepEqual(state.fileChanges, [{ path: "src/a.js", kind: "update" }]);
+  assert.equal(state.finalMessage, "Fixed it.");
+  assert.deepEqual(state.usage, { input_tokens: 10, output_tokens: 5 });
+  assert.equal(hasRunActivity(state), true);
+});
+
+test("hasRunActivity ignores runs that only started a thread", () => {
+  const state = createCodexRunState();
+  assert.equal(hasRunActivity(null), false);
+  applyCodexEvent(state, { type: "thread.started", thread_id: "t" });
+  applyCodexEvent(state, { type: "error", message: "no rollout found for thread id t" });
+  assert.equal(hasRunActivity(state), false);
+});
+
+test("applyCodexEvent understands legacy msg-wrapped events", () => {
+  const state = createCodexRunState();
+  applyCodexEvent(state, { id: "0", msg: { type: "session_configured", session_id: "sess_1" } });
+  applyCodexEvent(state, { id: "1", msg: { type: "exec_command_begin", call_id: "a", command: ["ls"] } });
+  applyCodexEvent(state, { id: "1", msg: { type: "exec_command_end", call_id: "a", exit_code: 0 } });
+  applyCodexEvent(state, { id: "2", msg: { type: "agent_message", message: "Done." } });
+
+  assert.equal(state.threadId, "sess_1");
+  assert.equal(state.commands[0].exitCode, 0);
+  assert.equal(state.finalMessage, "Done.");
+});
+
+test("formatProgressMessage shows step, recent commands and elapsed time", () => {
+  const state = createCodexRunState();
+  state.step = "Running tests";
+  state.commands = [
+    { id: "1", command: "bash -lc 'npm test'", exitCode: 1, status: "failed" },
+    { id: "2", command: "git status", exitCode: null, status: "in_progress" },
+  ];
+  state.fileChanges = [{ path: "a.js" }, { path: "a.js" }, { path: "b.js" }];
+
+  const output = formatProgressMessage(state, 65000);
+  assert.equal(
+    output,
+    "🧠 Running... (1m 05s)\nStep: Running tests\nCommands (2):\n❌ (exit 1) npm test\n⏳ git status\nFiles changed: 2"
+  );
+});
+
+test("formatCommandPreview and formatElapsed stay compact", () => {
+  assert.equal(formatCommandPreview(["git", "diff"]), "git diff");
+  assert.equal(formatCommandPreview(`bash -lc "${"x".repeat(200)}"`).length, 80);
+  assert.equal(formatElapsed(9000), "9s");
+});
@@ -1,5 +1,10 @@
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseUserRoleList } from "./access-control.js";
+import { PROVIDER_NAMES } from "./git-hosting.js";
+import { parseAgentAdapters } from "./agent-adapters.js";
+import { DEFAULT_OPENAI_BASE_URL, OPENAI_UPLOAD_LIMIT_BYTES, TRANSCRIBE_BACKENDS } from "./transcription.js";
+import { DEFAULT_UPLOAD_EXTENSIONS, TELEGRAM_DOWNLOAD_LIMIT_BYTES, normalizeExtensionList } from "./uploads.js";
 
 function parseRequiredString(env, key) {
   const value = String(env[key] || "").trim();
@@ -9,14 +14,6 @@ function parseRequiredString(env, key) {
   return value;
 }
 
-function parseRequiredNumber(env, key) {
-  const value = Number.parseInt(String(env[key] || ""), 10);
-  if (!Number.isFinite(value) || value <= 0) {
-    throw new Error(`Environment variable must be a positive number: ${key}`);
-  }
-  return value;
-}
-
 function parseOptionalNumber(env, key, fallback) {
   const raw = String(env[key] || "").trim();
   if (!raw) return fallback;
@@ -27,11 +24,167 @@ function parseOptionalNumber(env, key, fallback) {
   return parsed;
 }
 
+// For settings where 0 means "off".
+function parseOptionalNonNegativeInteger(env, key, fallback) {
+  const raw = String(env[key] || "").trim();
+  if (!raw) return fallback;
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`Environment variable must be a whole number, 0 or more: ${key}`);
+  }
+  return Number.parseInt(raw, 10);
+}
+
 function parseOptionalString(env, key, fallback) {
   const raw = String(env[key] || "").trim();
   return raw || fallback;
 }
 
+function parseOptionalBoolean(env, key, fallback) {
+  const raw = String(env[key] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  if (["1", "true", "yes", "on"].includes(raw)) return true;
+  if (["0", "false", "no", "off"].includes(raw)) return false;
+  throw new Error(`Environment variable must be true or false: ${key}`);
+}
+
+function parseOptionalIdList(env, key) {
+  const entries = String(env[key] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    if (!/^-?\d+$/.test(entry)) {
+      throw new Error(`Environment variable must be a comma-separated list of ids: ${key}`);
+    }
+  }
+  return entries;
+}
+
+function parseOptionalHostList(env, key, fallback) {
+  const entries = String(env[key] || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set([...fallback, ...entries])];
+}
+
+function parseOptionalExtensionList(env, key, fallback) {
+  const entries = normalizeExtensionList(env[key]);
+  return entries.length ? entries : fallback;
+}
+
+// Defaults to the local command when one is configured, otherwise OpenAI.
+function parseTranscribeBackend(env) {
+  const raw = parseOptionalString(env, "TRANSCRIBE_BACKEND", "").toLowerCase();
+  const command = parseOptionalString(env, "TRANSCRIBE_COMMAND", "");
+  const backend = raw || (command ? "command" : "openai");
+  if (!TRANSCRIBE_BACKENDS.includes(backend)) {
+    throw new Error(`Environment variable must be one of ${TRANSCRIBE_BACKENDS.join(", ")}: TRANSCRIBE_BACKEND`);
+  }
+  if (backend === "command" && !command) {
+    throw new Error("TRANSCRIBE_BACKEND=command needs TRANSCRIBE_COMMAND.");
+  }
+  return backend;
+}
+
+function parseOptionalProvider(env, key) {
+  const raw = parseOptionalString(env, key, "").toLowerCase();
+  if (raw && !PROVIDER_NAMES.includes(raw)) {
+    throw new Error(`Environment variable must be one of ${PROVIDER_NAMES.join(", ")}: ${key}`);
+  }
+  return raw || null;
+}
+
+function parseHostingConfig(env) {
+  return {
+    github: {
+      token: parseOptionalString(env, "GITHUB_TOKEN", ""),
+      apiUrl: parseOptionalString(env, "GITHUB_API_URL", ""),
+      hosts: parseOptionalHostList(env, "GITHUB_HOSTS", ["github.com"]),
+    },
+    gitlab: {
+      token: parseOptionalString(env, "GITLAB_TOKEN", ""),
+      apiUrl: parseOptionalString(env, "GITLAB_API_URL", ""),
+      hosts: parseOptionalHostList(env, "GITLAB_HOSTS", ["gitlab.com"]),
+    },
+    gitea: {
+      token: parseOptionalString(env, "GITEA_TOKEN", ""),
+      apiUrl: parseOptionalString(env, "GITEA_API_URL", ""),
+      hosts: parseOptionalHostList(env, "GITEA_HOSTS", []),
+    },
+    bitbucket: {
+      token: parseOptionalString(env, "BITBUCKET_TOKEN", ""),
+      username: parseOptionalString(env, "BITBUCKET_USERNAME", ""),
+      apiUrl: parseOptionalString(env, "BITBUCKET_API_URL", ""),
+      hosts: parseOptionalHostList(env, "BITBUCKET_HOSTS", ["bitbucket.org"]),
+    },
+  };
+}
+
+// Webhook mode is on when TELEGRAM_WEBHOOK_URL is set. The bot serves plain
+// HTTP and expects a reverse proxy to terminate TLS in front of it.
+function parseWebhookConfig(env) {
+  const url = parseOptionalString(env, "TELEGRAM_WEBHOOK_URL", "");
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("TELEGRAM_WEBHOOK_URL must be a valid URL.");
+  }
+  if (parsed.protocol !== "https:") {
+    throw new Error("TELEGRAM_WEBHOOK_URL must use https; terminate TLS at your reverse proxy.");
+  }
+  const secret = parseRequiredString(env, "TELEGRAM_WEBHOOK_SECRET");
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(secret)) {
+    throw new Error("TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (up to 256 characters).");
+  }
+  const webhookPath = parseOptionalString(env, "TELEGRAM_WEBHOOK_PATH", parsed.pathname);
+  return {
+    url,
+    secret,
+    path: webhookPath.startsWith("/") ? webhookPath : `/${webhookPath}`,
+    host: parseOptionalString(env, "TELEGRAM_WEBHOOK_HOST", "127.0.0.1"),
+    port: parseOptionalNumber(env, "TELEGRAM_WEBHOOK_PORT", 8080),
+  };
+}
+
+function parseAgents(env) {
+  let agents;
+  try {
+    agents = parseAgentAdapters(env.AGENT_ADAPTERS, {
+      command: parseOptionalString(env, "CODEX_BIN", "codex"),
+      promptVia: parseOptionalString(env, "CODEX_PROMPT_VIA", "argv"),
+    });
+  } catch (error) {
+    throw new Error(`AGENT_ADAPTERS: ${error.message}`);
+  }
+  const defaultAgent = parseOptionalString(env, "DEFAULT_AGENT", "codex");
+  if (!agents[defaultAgent]) {
+    throw new Error(`DEFAULT_AGENT must be codex or an agent defined in AGENT_ADAPTERS: ${defaultAgent}`);
+  }
+  return { agents, defaultAgent };
+}
+
+function parseUserRoles(env) {
+  const allowedUserId = parseOptionalNumber(env, "TELEGRAM_ALLOWED_USER_ID", null);
+  let userRoles;
+  try {
+    userRoles = parseUserRoleList(env.TELEGRAM_USER_ROLES);
+  } catch (error) {
+    throw new Error(`TELEGRAM_USER_ROLES: ${error.message}`);
+  }
+  if (allowedUserId && !userRoles[String(allowedUserId)]) {
+    userRoles[String(allowedUserId)] = "admin";
+  }
+  if (!Object.keys(userRoles).length) {
+    throw new Error(
+      "Missing required environment variable: TELEGRAM_ALLOWED_USER_ID or TELEGRAM_USER_ROLES"
+    );
+  }
+  return { allowedUserId, userRoles };
+}
+
 export function parseConfig(env, cwd, currentFilePath) {
   const repoDir = path.resolve(parseRequiredString(env, "TARGET_REPO_DIR"));
   const sessionStore = path.resolve(
@@ -39,6 +192,7 @@ export function parseConfig(env, cwd, currentFilePath) {
     parseOptionalString(env, "SESSION_STORE_PATH", "data/sessions.json")
   );
   const inputsSubdir = parseOptionalString(env, "BOT_INPUTS_SUBDIR", ".codex-inputs");
+  const outboxSubdir = parseOptionalString(env, "BOT_OUTBOX_SUBDIR", ".codex-outbox");
   const aliasStorePath = path.resolve(
     cwd,
     parseOptionalString(env, "REPO_ALIAS_STORE_PATH", "data/repo-aliases.json")
@@ -47,31 +201,106 @@ export function parseConfig(env, cwd, currentFilePath) {
     cwd,
     parseOptionalString(env, "REPO_MEMORY_STORE_PATH", "data/repo-memories.json")
   );
+  const accessStorePath = path.resolve(
+    cwd,
+    parseOptionalString(env, "ACCESS_STORE_PATH", "data/access.json")
+  );
+  const { allowedUserId, userRoles } = parseUserRoles(env);
+  const { agents, defaultAgent } = parseAgents(env);
+  const jobQueueStorePath = path.resolve(
+    cwd,
+    parseOptionalString(
+      env,
+      "JOB_QUEUE_STORE_PATH",
+      path.join(path.dirname(sessionStore), "jobs.json")
+    )
+  );
+  const taskStorePath = path.resolve(
+    cwd,
+    parseOptionalString(env, "TASK_STORE_PATH", path.join(path.dirname(sessionStore), "tasks.json"))
+  );
+  const prStorePath = path.resolve(
+    cwd,
+    parseOptionalString(env, "PR_STORE_PATH", path.join(path.dirname(sessionStore), "prs.json"))
+  );
+  const testRunStorePath = path.resolve(
+    cwd,
+    parseOptionalString(env, "TEST_RUN_STORE_PATH", path.join(path.dirname(sessionStore), "test-runs.json"))
+  );
+  const scheduleStorePath = path.resolve(
+    cwd,
+    parseOptionalString(env, "SCHEDULE_STORE_PATH", path.join(path.dirname(sessionStore), "schedules.json"))
+  );
+  const worktreeRoot = path.resolve(
+    cwd,
+    parseOptionalString(env, "TASK_WORKTREE_DIR", path.join(path.dirname(sessionStore), "worktrees"))
+  );
 
   return {
     token: parseRequiredString(env, "TELEGRAM_BOT_TOKEN"),
-    allowedUserId: parseRequiredNumber(env, "TELEGRAM_ALLOWED_USER_ID"),
-    codexBin: parseOptionalString(env, "CODEX_BIN", "codex"),
-    githubToken: parseOptionalString(env, "GITHUB_TOKEN", ""),
+    allowedUserId,
+    userRoles,
+    allowedChatIds: parseOptionalIdList(env, "TELEGRAM_ALLOWED_CHAT_IDS"),
+    webhook: parseWebhookConfig(env),
+    agents,
+    defaultAgent,
+    hosting: parseHostingConfig(env),
     openaiApiKey: parseOptionalString(env, "OPENAI_API_KEY", ""),
     openaiTranscribeModel: parseOptionalString(env, "OPENAI_TRANSCRIBE_MODEL", "whisper-1"),
+    openaiBaseUrl: parseOptionalString(env, "OPENAI_BASE_URL", DEFAULT_OPENAI_BASE_URL),
+    transcribeBackend: parseTranscribeBackend(env),
+    transcribeCommand: parseOptionalString(env, "TRANSCRIBE_COMMAND", ""),
+    transcribeTimeoutMs: parseOptionalNumber(env, "TRANSCRIBE_TIMEOUT_MS", 600000),
+    transcribeMaxUploadBytes: parseOptionalNumber(env, "TRANSCRIBE_MAX_UPLOAD_BYTES", OPENAI_UPLOAD_LIMIT_BYTES),
+    ffmpegBin: parseOptionalString(env, "FFMPEG_BIN", "ffmpeg"),
     targetRepoDir: repoDir,
     targetBranch: parseOptionalString(env, "TARGET_REPO_BRANCH", "main"),
     targetRemote: parseOptionalString(env, "TARGET_REPO_REMOTE", "origin"),
+    targetProvider: parseOptionalProvider(env, "TARGET_REPO_PROVIDER"),
+    targetApiUrl: parseOptionalString(env, "TARGET_REPO_API_URL", ""),
+    targetTestCommand: parseOptionalString(env, "TARGET_REPO_TEST_COMMAND", ""),
+    testTimeoutMs: parseOptionalNumber(env, "TEST_TIMEOUT_MS", 600000),
+    testAfterRun: parseOptionalBoolean(env, "TEST_AFTER_RUN", false),
     defaultSandbox: parseOptionalString(env, "CODEX_DEFAULT_SANDBOX", "workspace-write"),
     pushSandbox: parseOptionalString(env, "CODEX_PUSH_SANDBOX", "workspace-write"),
     sessionPath: sessionStore,
     inputsDir: path.resolve(repoDir, inputsSubdir),
     inputsSubdir,
+    outboxSubdir,
+    inputsMaxAgeMs: parseOptionalNumber(env, "INPUTS_MAX_AGE_MS", 7 * 24 * 60 * 60 * 1000),
+    inputsMaxBytes: parseOptionalNumber(env, "INPUTS_MAX_BYTES", 500 * 1024 * 1024),
+    inputsCleanupIntervalMs: parseOptionalNumber(env, "INPUTS_CLEANUP_INTERVAL_MS", 60 * 60 * 1000),
+    uploadExtensions: parseOptionalExtensionList(env, "UPLOAD_EXTENSIONS", DEFAULT_UPLOAD_EXTENSIONS),
+    uploadMaxBytes: Math.min(
+      parseOptionalNumber(env, "UPLOAD_MAX_BYTES", TELEGRAM_DOWNLOAD_LIMIT_BYTES),
+      TELEGRAM_DOWNLOAD_LIMIT_BYTES
+    ),
+    archiveMaxEntries: parseOptionalNumber(env, "ARCHIVE_MAX_ENTRIES", 1000),
+    archiveMaxBytes: parseOptionalNumber(env, "ARCHIVE_MAX_BYTES", 50 * 1024 * 1024),
     primaryGitDir: path.resolve(repoDir, ".git"),
     repoAliasStorePath: aliasStorePath,
     repoMemoryStorePath,
+    jobQueueStorePath,
+    accessStorePath,
+    taskWorktrees: parseOptionalBoolean(env, "TASK_WORKTREES", false),
+    taskBranchPrefix: parseOptionalString(env, "TASK_BRANCH_PREFIX", "codex/"),
+    taskStorePath,
+    worktreeRoot,
+    prStorePath,
+    prPollIntervalMs: parseOptionalNonNegativeInteger(env, "PR_POLL_INTERVAL_MS", 0),
+    scheduleStorePath,
+    testRunStorePath,
     appDir: path.dirname(currentFilePath),
     telegramMax: parseOptionalNumber(env, "TELEGRAM_MAX_MESSAGE", 3900),
     historyTurns: parseOptionalNumber(env, "HISTORY_TURNS", 8),
     historyStoreLimit: parseOptionalNumber(env, "HISTORY_STORE_LIMIT", 24),
     resultStoreLimit: parseOptionalNumber(env, "RESULT_STORE_LIMIT", 6000),
+    pushConfirmTtlMs: parseOptionalNumber(env, "PUSH_CONFIRM_TTL_MS", 900000),
+    checkpointLimit: parseOptionalNumber(env, "CHECKPOINT_LIMIT", 20),
     codexTimeoutMs: parseOptionalNumber(env, "CODEX_TIMEOUT_MS", 600000),
+    codexResumeSessions: parseOptionalBoolean(env, "CODEX_RESUME_SESSIONS", true),
+    codexCancelGraceMs: parseOptionalNumber(env, "CODEX_CANCEL_GRACE_MS", 5000),
+    codexProgressIntervalMs: parseOptionalNumber(env, "CODEX_PROGRESS_INTERVAL_MS", 3000),
   };
 }
 
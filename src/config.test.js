@@ -12,16 +12,67 @@ test("parseConfig uses defaults for optional values", () => {
   const cfg = parseConfig(baseEnv, "/app", "/app/src/config.js");
   assert.equal(cfg.targetBranch, "main");
   assert.equal(cfg.targetRemote, "origin");
-  assert.equal(cfg.codexBin, "codex");
-  assert.equal(cfg.githubToken, "");
+  assert.equal(cfg.agents.codex.command, "codex");
+  assert.equal(cfg.hosting.github.token, "");
   assert.equal(cfg.openaiApiKey, "");
   assert.equal(cfg.openaiTranscribeModel, "whisper-1");
+  assert.equal(cfg.openaiBaseUrl, "https://api.openai.com/v1");
+  assert.equal(cfg.transcribeBackend, "openai");
+  assert.equal(cfg.transcribeMaxUploadBytes, 25 * 1024 * 1024);
+  assert.equal(cfg.ffmpegBin, "ffmpeg");
   assert.equal(cfg.inputsSubdir, ".codex-inputs");
+  assert.equal(cfg.outboxSubdir, ".codex-outbox");
   assert.equal(cfg.pushSandbox, "workspace-write");
   assert.equal(cfg.sessionPath, "/app/data/sessions.json");
   assert.equal(cfg.inputsDir, "/tmp/repo/.codex-inputs");
   assert.equal(cfg.repoMemoryStorePath, "/app/data/repo-memories.json");
+  assert.equal(cfg.jobQueueStorePath, "/app/data/jobs.json");
+  assert.equal(cfg.accessStorePath, "/app/data/access.json");
+  assert.deepEqual(cfg.userRoles, { 12345: "admin" });
+  assert.deepEqual(cfg.allowedChatIds, []);
   assert.equal(cfg.codexTimeoutMs, 600000);
+  assert.equal(cfg.codexResumeSessions, true);
+  assert.equal(cfg.codexProgressIntervalMs, 3000);
+  assert.equal(cfg.codexCancelGraceMs, 5000);
+  assert.equal(cfg.checkpointLimit, 20);
+  assert.equal(cfg.pushConfirmTtlMs, 900000);
+  assert.equal(cfg.targetTestCommand, "");
+  assert.equal(cfg.testTimeoutMs, 600000);
+  assert.equal(cfg.testAfterRun, false);
+  assert.ok(cfg.uploadExtensions.includes(".patch"));
+  assert.equal(cfg.uploadMaxBytes, 20 * 1024 * 1024);
+  assert.equal(cfg.archiveMaxEntries, 1000);
+  assert.equal(cfg.archiveMaxBytes, 50 * 1024 * 1024);
+  assert.equal(cfg.inputsMaxAgeMs, 604800000);
+  assert.equal(cfg.inputsMaxBytes, 524288000);
+  assert.equal(cfg.inputsCleanupIntervalMs, 3600000);
+});
+
+test("parseConfig picks the transcription backend", () => {
+  const local = parseConfig(
+    { ...baseEnv, TRANSCRIBE_COMMAND: "whisper-cli -nt -f {wav}" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.equal(local.transcribeBackend, "command");
+  assert.equal(local.transcribeCommand, "whisper-cli -nt -f {wav}");
+
+  const selfHosted = parseConfig(
+    { ...baseEnv, TRANSCRIBE_BACKEND: "OpenAI", OPENAI_BASE_URL: "http://whisper:8000/v1" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.equal(selfHosted.transcribeBackend, "openai");
+  assert.equal(selfHosted.openaiBaseUrl, "http://whisper:8000/v1");
+
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TRANSCRIBE_BACKEND: "command" }, "/app", "/app/src/config.js"),
+    /needs TRANSCRIBE_COMMAND/
+  );
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TRANSCRIBE_BACKEND: "azure" }, "/app", "/app/src/config.js"),
+    /TRANSCRIBE_BACKEND/
+  );
 });
 
 test("parseConfig throws on missing required env", () => {
@@ -44,23 +95,215 @@ test("parseConfig supports overrides", () => {
       SESSION_STORE_PATH: "state/sessions.json",
       HISTORY_TURNS: "12",
       CODEX_TIMEOUT_MS: "45000",
+      CODEX_RESUME_SESSIONS: "false",
+      CODEX_PROGRESS_INTERVAL_MS: "5000",
       BOT_INPUTS_SUBDIR: "artifacts",
       REPO_ALIAS_STORE_PATH: "state/repos.json",
       REPO_MEMORY_STORE_PATH: "state/memories.json",
+      JOB_QUEUE_STORE_PATH: "queue/jobs.json",
+      TARGET_REPO_TEST_COMMAND: "npm test --",
+      TEST_TIMEOUT_MS: "120000",
+      TEST_AFTER_RUN: "true",
+      UPLOAD_EXTENSIONS: "log, TXT",
+      UPLOAD_MAX_BYTES: "999999999",
+      ARCHIVE_MAX_ENTRIES: "50",
+      INPUTS_MAX_AGE_MS: "86400000",
     },
     "/app",
     "/app/src/config.js"
   );
   assert.equal(cfg.targetBranch, "develop");
   assert.equal(cfg.targetRemote, "upstream");
-  assert.equal(cfg.codexBin, "/usr/local/bin/codex");
-  assert.equal(cfg.githubToken, "gho_123");
+  assert.equal(cfg.agents.codex.command, "/usr/local/bin/codex");
+  assert.equal(cfg.hosting.github.token, "gho_123");
   assert.equal(cfg.openaiApiKey, "sk-live");
   assert.equal(cfg.openaiTranscribeModel, "gpt-4o-transcribe");
   assert.equal(cfg.inputsSubdir, "artifacts");
   assert.equal(cfg.sessionPath, "/app/state/sessions.json");
   assert.equal(cfg.historyTurns, 12);
   assert.equal(cfg.codexTimeoutMs, 45000);
+  assert.equal(cfg.codexResumeSessions, false);
+  assert.equal(cfg.codexProgressIntervalMs, 5000);
   assert.equal(cfg.repoAliasStorePath, "/app/state/repos.json");
   assert.equal(cfg.repoMemoryStorePath, "/app/state/memories.json");
+  assert.equal(cfg.jobQueueStorePath, "/app/queue/jobs.json");
+  assert.equal(cfg.targetTestCommand, "npm test --");
+  assert.equal(cfg.testTimeoutMs, 120000);
+  assert.equal(cfg.testAfterRun, true);
+  assert.deepEqual(cfg.uploadExtensions, [".log", ".txt"]);
+  assert.equal(cfg.uploadMaxBytes, 20 * 1024 * 1024);
+  assert.equal(cfg.archiveMaxEntries, 50);
+  assert.equal(cfg.inputsMaxAgeMs, 86400000);
+});
+
+test("parseConfig keeps the job queue next to the session store by default", () => {
+  const cfg = parseConfig(
+    { ...baseEnv, SESSION_STORE_PATH: "state/sessions.json" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.equal(cfg.jobQueueStorePath, "/app/state/jobs.json");
+});
+
+test("parseConfig merges TELEGRAM_USER_ROLES with the legacy allowed user", () => {
+  const cfg = parseConfig(
+    { ...baseEnv, TELEGRAM_USER_ROLES: "222:operator,333:viewer" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.deepEqual(cfg.userRoles, { 12345: "admin", 222: "operator", 333: "viewer" });
+
+  const rolesOnly = parseConfig(
+    { ...baseEnv, TELEGRAM_ALLOWED_USER_ID: "", TELEGRAM_USER_ROLES: "12345:maintainer" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.equal(rolesOnly.allowedUserId, null);
+  assert.deepEqual(rolesOnly.userRoles, { 12345: "maintainer" });
+});
+
+test("parseConfig requires at least one configured user", () => {
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TELEGRAM_ALLOWED_USER_ID: "" }, "/app", "/app/src/config.js"),
+    /TELEGRAM_ALLOWED_USER_ID or TELEGRAM_USER_ROLES/
+  );
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TELEGRAM_USER_ROLES: "1:root" }, "/app", "/app/src/config.js"),
+    /TELEGRAM_USER_ROLES/
+  );
+});
+
+test("parseConfig reads allowlisted group chat ids", () => {
+  const cfg = parseConfig(
+    { ...baseEnv, TELEGRAM_ALLOWED_CHAT_IDS: "-1001234567890, -42" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.deepEqual(cfg.allowedChatIds, ["-1001234567890", "-42"]);
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TELEGRAM_ALLOWED_CHAT_IDS: "team" }, "/app", "/app/src/config.js"),
+    /TELEGRAM_ALLOWED_CHAT_IDS/
+  );
+});
+
+test("parseConfig reads task worktree settings", () => {
+  const defaults = parseConfig(baseEnv, "/app", "/app/src/config.js");
+  assert.equal(defaults.taskWorktrees, false);
+  assert.equal(defaults.taskBranchPrefix, "codex/");
+  assert.equal(defaults.taskStorePath, "/app/data/tasks.json");
+  assert.equal(defaults.worktreeRoot, "/app/data/worktrees");
+
+  const cfg = parseConfig(
+    { ...baseEnv, TASK_WORKTREES: "yes", TASK_WORKTREE_DIR: "/srv/worktrees" },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.equal(cfg.taskWorktrees, true);
+  assert.equal(cfg.worktreeRoot, "/srv/worktrees");
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TASK_WORKTREES: "maybe" }, "/app", "/app/src/config.js"),
+    /TASK_WORKTREES/
+  );
+});
+
+test("parseConfig enables webhook mode from TELEGRAM_WEBHOOK_URL", () => {
+  assert.equal(parseConfig(baseEnv, "/app", "/app/src/config.js").webhook, null);
+
+  const env = {
+    ...baseEnv,
+    TELEGRAM_WEBHOOK_URL: "https://bots.example.com/codex/hook",
+    TELEGRAM_WEBHOOK_SECRET: "abc_123-XYZ",
+  };
+  assert.deepEqual(parseConfig(env, "/app", "/app/src/config.js").webhook, {
+    url: "https://bots.example.com/codex/hook",
+    secret: "abc_123-XYZ",
+    path: "/codex/hook",
+    host: "127.0.0.1",
+    port: 8080,
+  });
+  const proxied = parseConfig(
+    { ...env, TELEGRAM_WEBHOOK_PATH: "hook", TELEGRAM_WEBHOOK_HOST: "0.0.0.0", TELEGRAM_WEBHOOK_PORT: "9000" },
+    "/app",
+    "/app/src/config.js"
+  ).webhook;
+  assert.equal(proxied.path, "/hook");
+  assert.equal(proxied.port, 9000);
+
+  assert.throws(
+    () => parseConfig({ ...env, TELEGRAM_WEBHOOK_URL: "http://bots.example.com/hook" }, "/app", "/app/src/config.js"),
+    /https/
+  );
+  assert.throws(
+    () => parseConfig({ ...env, TELEGRAM_WEBHOOK_SECRET: "" }, "/app", "/app/src/config.js"),
+    /TELEGRAM_WEBHOOK_SECRET/
+  );
+  assert.throws(
+    () => parseConfig({ ...env, TELEGRAM_WEBHOOK_SECRET: "has space" }, "/app", "/app/src/config.js"),
+    /TELEGRAM_WEBHOOK_SECRET/
+  );
+});
+
+test("parseConfig reads agent adapters and the default agent", () => {
+  const defaults = parseConfig(baseEnv, "/app", "/app/src/config.js");
+  assert.deepEqual(Object.keys(defaults.agents), ["codex"]);
+  assert.equal(defaults.defaultAgent, "codex");
+
+  const env = {
+    ...baseEnv,
+    CODEX_PROMPT_VIA: "stdin",
+    AGENT_ADAPTERS: JSON.stringify({ aider: { command: "aider", args: ["--message", "{prompt}"] } }),
+    DEFAULT_AGENT: "aider",
+  };
+  const cfg = parseConfig(env, "/app", "/app/src/config.js");
+  assert.equal(cfg.defaultAgent, "aider");
+  assert.equal(cfg.agents.codex.promptVia, "stdin");
+  assert.throws(
+    () => parseConfig({ ...env, DEFAULT_AGENT: "gpt" }, "/app", "/app/src/config.js"),
+    /DEFAULT_AGENT/
+  );
+  assert.throws(
+    () => parseConfig({ ...env, AGENT_ADAPTERS: "not json" }, "/app", "/app/src/config.js"),
+    /AGENT_ADAPTERS: must be a JSON object/
+  );
+});
+
+test("parseConfig keeps PR polling off unless an interval is set", () => {
+  const defaults = parseConfig(baseEnv, "/app", "/app/src/config.js");
+  assert.equal(defaults.prPollIntervalMs, 0);
+  assert.equal(defaults.prStorePath, "/app/data/prs.json");
+  assert.equal(defaults.scheduleStorePath, "/app/data/schedules.json");
+  assert.equal(defaults.testRunStorePath, "/app/data/test-runs.json");
+
+  const cfg = parseConfig({ ...baseEnv, PR_POLL_INTERVAL_MS: "60000" }, "/app", "/app/src/config.js");
+  assert.equal(cfg.prPollIntervalMs, 60000);
+  assert.equal(parseConfig({ ...baseEnv, PR_POLL_INTERVAL_MS: "0" }, "/app", "/app/src/config.js").prPollIntervalMs, 0);
+  for (const bad of ["-1", "1.5", "soon"]) {
+    assert.throws(
+      () => parseConfig({ ...baseEnv, PR_POLL_INTERVAL_MS: bad }, "/app", "/app/src/config.js"),
+      /PR_POLL_INTERVAL_MS/
+    );
+  }
+});
+
+test("parseConfig reads git hosting providers", () => {
+  const cfg = parseConfig(
+    {
+      ...baseEnv,
+      GITHUB_HOSTS: "GHE.corp.example",
+      GITLAB_TOKEN: "glpat",
+      GITEA_HOSTS: "git.corp.example",
+      TARGET_REPO_PROVIDER: "Gitea",
+    },
+    "/app",
+    "/app/src/config.js"
+  );
+  assert.deepEqual(cfg.hosting.github.hosts, ["github.com", "ghe.corp.example"]);
+  assert.equal(cfg.hosting.gitlab.token, "glpat");
+  assert.deepEqual(cfg.hosting.gitea.hosts, ["git.corp.example"]);
+  assert.deepEqual(cfg.hosting.bitbucket.hosts, ["bitbucket.org"]);
+  assert.equal(cfg.targetProvider, "gitea");
+  assert.throws(
+    () => parseConfig({ ...baseEnv, TARGET_REPO_PROVIDER: "svn" }, "/app", "/app/src/config.js"),
+    /TARGET_REPO_PROVIDER/
+  );
 });
@@ -0,0 +1,129 @@
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@weekdays": "0 0 * * 1-5",
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Far enough to find "Feb 29 on a Monday"-style schedules.
+const MAX_SEARCH_MINUTES = 8 * 366 * 24 * 60;
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named >= 0) return named + field.offset;
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} value: ${raw}`);
+  const value = Number.parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}: ${raw}`);
+  }
+  return value;
+}
+
+function parseField(raw, field) {
+  const values = new Set();
+  for (const part of raw.split(",")) {
+    const [range, stepRaw] = part.split("/");
+    const step = stepRaw === undefined ? 1 : Number.parseInt(stepRaw, 10);
+    if (!Number.isInteger(step) || step <= 0 || (stepRaw !== undefined && !/^\d+$/.test(stepRaw))) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (end < start) throw new Error(`Invalid ${field.name} range: ${range}`);
+    } else {
+      start = parseValue(range, field);
+      end = stepRaw === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week) with
+// lists, ranges, steps, month/day names and a few @macros. When both day
+// fields are restricted, a day matches if either does, as in cron(8).
+export function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("A cron expression needs 5 fields: minute hour day-of-month month day-of-week.");
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return dayMatch && weekdayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+export function matchesCron(cron, date) {
+  return (
+    cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    matchesDay(cron, date)
+  );
+}
+
+// First matching minute strictly after `after`, in the process's local time.
+export function getNextCronTime(cron, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i += 1) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (cron.minutes.has(date.getMinutes())) return date;
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  throw new Error(`Cron expression never matches: ${cron.expression}`);
+}
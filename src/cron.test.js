@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getNextCronTime, matchesCron, parseCron } from "./cron.js";
+
+test("parseCron expands lists, ranges, steps, names and macros", () => {
+  const cron = parseCron("*/15 9-17 * jan,jul mon-fri");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.months], [1, 7]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  assert.equal(parseCron("@daily").expression, "@daily");
+  assert.deepEqual([...parseCron("@weekdays").weekdays], [1, 2, 3, 4, 5]);
+
+  assert.throws(() => parseCron("* * * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute must be between 0 and 59/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("* * * * funday"), /Invalid day of week value/);
+  assert.throws(() => parseCron("5-1 * * * *"), /Invalid minute range/);
+});
+
+test("matchesCron ORs the day fields only when both are restricted", () => {
+  const firstOrMonday = parseCron("0 9 1 * mon");
+  assert.equal(matchesCron(firstOrMonday, new Date(2026, 5, 1, 9, 0)), true); // Monday the 1st
+  assert.equal(matchesCron(firstOrMonday, new Date(2026, 5, 8, 9, 0)), true); // a Monday
+  assert.equal(matchesCron(firstOrMonday, new Date(2026, 5, 9, 9, 0)), false);
+  const weekdays = parseCron("0 9 * * 1-5");
+  assert.equal(matchesCron(weekdays, new Date(2026, 5, 6, 9, 0)), false); // Saturday
+  assert.equal(matchesCron(weekdays, new Date(2026, 5, 5, 9, 0)), true);
+});
+
+test("getNextCronTime finds the next matching minute after the given time", () => {
+  const weekdays = parseCron("30 9 * * mon-fri");
+  assert.deepEqual(getNextCronTime(weekdays, new Date(2026, 5, 5, 9, 30, 10)), new Date(2026, 5, 8, 9, 30));
+  assert.deepEqual(getNextCronTime(weekdays, new Date(2026, 5, 5, 9, 29, 59)), new Date(2026, 5, 5, 9, 30));
+  assert.deepEqual(getNextCronTime(parseCron("0 0 29 feb *"), new Date(2026, 0, 1)), new Date(2028, 1, 29));
+  assert.throws(() => getNextCronTime(parseCron("0 0 31 feb *"), new Date(2026, 0, 1)), /never matches/);
+});
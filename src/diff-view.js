@@ -0,0 +1,78 @@
+const MAX_FILE_BUTTONS = 24;
+const MAX_BUTTON_LABEL = 40;
+
+export function parseDiffArgs(text) {
+  const tokens = String(text || "").trim().split(/\s+/).slice(1).filter(Boolean);
+  const result = { paths: [], staged: false, ref: null, error: null };
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === "--staged" || token === "--cached") {
+      result.staged = true;
+    } else if (token === "--ref") {
+      result.ref = tokens[i + 1] || "";
+      i += 1;
+    } else if (token.startsWith("--ref=")) {
+      result.ref = token.slice("--ref=".length);
+    } else if (token.startsWith("-")) {
+      result.error = `Unknown option: ${token}`;
+      return result;
+    } else {
+      result.paths.push(token);
+    }
+  }
+
+  if (result.ref !== null && !/^[\w][\w./~^@{}-]*$/.test(result.ref)) {
+    result.error = "Use --ref <commit sha or ref>.";
+  } else if (result.staged && result.ref !== null) {
+    result.error = "Use either --staged or --ref, not both.";
+  }
+  return result;
+}
+
+export function buildDiffArgs({ paths = [], staged = false, ref = null }, mode, excludeSpecs = []) {
+  const format = mode === "stat" ? ["--stat"] : ["--patch", "-U3"];
+  const base = ref
+    ? ["show", "--format=", "--color=never", ...format, ref]
+    : ["diff", "--color=never", ...(staged ? ["--cached"] : []), ...format];
+  const pathspecs = paths.length ? paths : ["."];
+  return [...base, "--", ...pathspecs, ...excludeSpecs];
+}
+
+export function describeDiffTarget({ paths = [], staged = false, ref = null }) {
+  const target = ref ? `commit ${ref}` : staged ? "staged changes" : "working tree changes";
+  return paths.length ? `${target} in ${paths.join(", ")}` : target;
+}
+
+export function splitPatchByFile(patch) {
+  const files = [];
+  let current = null;
+  for (const line of String(patch || "").split("\n")) {
+    const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (header) {
+      current = { path: header[2], lines: [line] };
+      files.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return files.map(({ path, lines }) => ({ path, patch: lines.join("\n").trimEnd() }));
+}
+
+function shortenLabel(filePath) {
+  if (filePath.length <= MAX_BUTTON_LABEL) return filePath;
+  return `…${filePath.slice(-(MAX_BUTTON_LABEL - 1))}`;
+}
+
+export function createDiffKeyboard(token, files) {
+  const buttons = files.slice(0, MAX_FILE_BUTTONS).map((file, index) => [
+    { text: shortenLabel(file.path), callback_data: `diff:${token}:${index}` },
+  ]);
+  return { reply_markup: { inline_keyboard: buttons } };
+}
+
+export function parseDiffCallbackData(data) {
+  const match = String(data || "").match(/^diff:([a-z0-9]+):(\d+)$/);
+  if (!match) return null;
+  return { token: match[1], index: Number.parseInt(match[2], 10) };
+}
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildDiffArgs,
+  createDiffKeyboard,
+  describeDiffTarget,
+  parseDiffArgs,
+  parseDiffCallbackData,
+  splitPatchByFile,
+} from "./diff-view.js";
+
+test("parseDiffArgs reads paths and mode flags", () => {
+  assert.deepEqual(parseDiffArgs("/diff src/app.js --staged"), {
+    paths: ["src/app.js"],
+    staged: true,
+    ref: null,
+    error: null,
+  });
+  assert.equal(parseDiffArgs("/diff --ref abc123 lib").ref, "abc123");
+  assert.equal(parseDiffArgs("/diff --ref=HEAD~1").ref, "HEAD~1");
+  assert.match(parseDiffArgs("/diff --ref").error, /--ref/);
+  assert.match(parseDiffArgs("/diff --ref -p").error, /--ref/);
+  assert.match(parseDiffArgs("/diff --staged --ref abc").error, /not both/);
+  assert.match(parseDiffArgs("/diff --output=/tmp/x").error, /Unknown option/);
+});
+
+test("buildDiffArgs keeps user paths after the pathspec separator", () => {
+  assert.deepEqual(buildDiffArgs({ paths: [] }, "stat", [":(exclude).codex-inputs/**"]), [
+    "diff",
+    "--color=never",
+    "--stat",
+    "--",
+    ".",
+    ":(exclude).codex-inputs/**",
+  ]);
+  assert.deepEqual(buildDiffArgs({ staged: true, paths: ["src"] }, "patch"), [
+    "diff",
+    "--color=never",
+    "--cached",
+    "--patch",
+    "-U3",
+    "--",
+    "src",
+  ]);
+  assert.deepEqual(buildDiffArgs({ ref: "abc123", paths: [] }, "stat"), [
+    "show",
+    "--format=",
+    "--color=never",
+    "--stat",
+    "abc123",
+    "--",
+    ".",
+  ]);
+});
+
+test("describeDiffTarget names what is being shown", () => {
+  assert.equal(describeDiffTarget({}), "working tree changes");
+  assert.equal(describeDiffTarget({ staged: true, paths: ["a", "b"] }), "staged changes in a, b");
+  assert.equal(describeDiffTarget({ ref: "abc" }), "commit abc");
+});
+
+test("splitPatchByFile splits a combined patch per file", () => {
+  const patch = [
+    "diff --git a/src/a.js b/src/a.js",
+    "--- a/src/a.js",
+    "+++ b/src/a.js",
+    "@@ -1 +1 @@",
+    "-old",
+    "+new",
+    "diff --git a/README.md b/README.md",
+    "--- a/README.md",
+    "+++ b/README.md",
+    "@@ -1 +1,2 @@",
+    "+docs",
+    "",
+  ].join("\n");
+  const files = splitPatchByFile(patch);
+  assert.deepEqual(files.map((file) => file.path), ["src/a.js", "README.md"]);
+  assert.match(files[0].patch, /\+new$/);
+  assert.match(files[1].patch, /^diff --git a\/README.md/);
+});
+
+test("diff keyboard callback data round-trips", () => {
+  const keyboard = createDiffKeyboard("k3x9", [{ path: "src/a.js" }, { path: `${"deep/".repeat(12)}file.js` }]);
+  const rows = keyboard.reply_markup.inline_keyboard;
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0][0].callback_data, "diff:k3x9:0");
+  assert.ok(rows[1][0].text.startsWith("…"));
+  assert.deepEqual(parseDiffCallbackData(rows[1][0].callback_data), { token: "k3x9", index: 1 });
+  assert.equal(parseDiffCallbackData("push:confirm:1"), null);
+});
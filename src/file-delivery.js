@@ -0,0 +1,88 @@
+import { readdir, stat } from "fs/promises";
+import path from "path";
+import { TELEGRAM_UPLOAD_LIMIT_BYTES } from "./repo-browse.js";
+
+export const GET_USAGE = "Use: /get <path> [--file]";
+export const PHOTO_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".webp"]);
+export const PHOTO_LIMIT_BYTES = 10 * 1024 * 1024;
+export const MAX_OUTBOX_FILES = 10;
+const MAX_OUTBOX_DEPTH = 4;
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function parseGetCommand(text) {
+  const tokens = String(text || "").trim().split(/\s+/).slice(1);
+  const asDocument = tokens.includes("--file");
+  const rest = String(text || "")
+    .trim()
+    .replace(/^\/get(@\S+)?\s*/, "")
+    .replace(/(^|\s)--file(?=\s|$)/, "")
+    .trim();
+  if (!rest) return { error: "A file path is required." };
+  return { path: rest.replace(/^(["'])(.*)\1$/, "$2"), asDocument };
+}
+
+// Images small enough for Telegram's photo limit go as photos (shown inline,
+// recompressed); everything else, or `asDocument`, goes as a document.
+export function chooseDelivery(fileName, size, { asDocument = false } = {}) {
+  if (size > TELEGRAM_UPLOAD_LIMIT_BYTES) {
+    return { error: `${formatMegabytes(size)} is over Telegram's 50 MB upload limit` };
+  }
+  if (size === 0) return { error: "the file is empty" };
+  const isPhoto = PHOTO_EXTENSIONS.has(path.extname(fileName).toLowerCase()) && size <= PHOTO_LIMIT_BYTES;
+  return { method: isPhoto && !asDocument ? "photo" : "document" };
+}
+
+// Lists regular files under the outbox (a few levels deep), oldest first.
+export async function listOutboxFiles(outboxDir) {
+  const files = [];
+  const walk = async (dir, depth) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err?.code === "ENOENT") return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const absolute = path.join(dir, entry.name);
+      if (entry.isDirectory() && depth < MAX_OUTBOX_DEPTH) {
+        await walk(absolute, depth + 1);
+      } else if (entry.isFile()) {
+        const info = await stat(absolute);
+        files.push({
+          absolute,
+          name: path.relative(outboxDir, absolute).split(path.sep).join("/"),
+          size: info.size,
+          mtimeMs: info.mtimeMs,
+        });
+      }
+    }
+  };
+  await walk(outboxDir, 0);
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name));
+}
+
+// Splits outbox files into what gets sent now and what is skipped, with reasons.
+export function planOutboxDelivery(files, limit = MAX_OUTBOX_FILES) {
+  const deliver = [];
+  const skipped = [];
+  for (const file of files) {
+    const choice = chooseDelivery(file.name, file.size);
+    if (choice.error) {
+      skipped.push({ ...file, reason: choice.error });
+    } else if (deliver.length >= limit) {
+      skipped.push({ ...file, reason: `only ${limit} files are sent per run` });
+    } else {
+      deliver.push({ ...file, method: choice.method });
+    }
+  }
+  return { deliver, skipped };
+}
+
+export function formatSkippedOutboxFiles(skipped) {
+  if (!skipped.length) return "";
+  return `⚠️ Left in the outbox:\n${skipped.map((file) => `- ${file.name}: ${file.reason}`).join("\n")}`;
+}
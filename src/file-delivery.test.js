@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, utimes, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  chooseDelivery,
+  formatSkippedOutboxFiles,
+  listOutboxFiles,
+  parseGetCommand,
+  planOutboxDelivery,
+} from "./file-delivery.js";
+
+const MB = 1024 * 1024;
+
+test("parseGetCommand reads the path and --file", () => {
+  assert.deepEqual(parseGetCommand("/get reports/out.csv"), { path: "reports/out.csv", asDocument: false });
+  assert.deepEqual(parseGetCommand("/get --file shots/home page.png"), { path: "shots/home page.png", asDocument: true });
+  assert.deepEqual(parseGetCommand('/get "a b.png" --file'), { path: "a b.png", asDocument: true });
+  assert.match(parseGetCommand("/get").error, /path is required/);
+});
+
+test("chooseDelivery picks photo or document and enforces size limits", () => {
+  assert.deepEqual(chooseDelivery("chart.PNG", 2 * MB), { method: "photo" });
+  assert.deepEqual(chooseDelivery("chart.png", 2 * MB, { asDocument: true }), { method: "document" });
+  assert.deepEqual(chooseDelivery("huge.png", 20 * MB), { method: "document" });
+  assert.deepEqual(chooseDelivery("data.csv", 1024), { method: "document" });
+  assert.match(chooseDelivery("build.zip", 60 * MB).error, /60\.0 MB is over Telegram's 50 MB upload limit/);
+  assert.match(chooseDelivery("empty.txt", 0).error, /empty/);
+});
+
+test("listOutboxFiles walks subdirectories oldest first", async () => {
+  const outbox = await mkdtemp(path.join(os.tmpdir(), "ctb-outbox-"));
+  await mkdir(path.join(outbox, "shots"));
+  await writeFile(path.join(outbox, "report.csv"), "a,b\n");
+  await writeFile(path.join(outbox, "shots", "home.png"), "png");
+  await utimes(path.join(outbox, "shots", "home.png"), new Date(1000), new Date(1000));
+  const files = await listOutboxFiles(outbox);
+  assert.deepEqual(files.map((file) => file.name), ["shots/home.png", "report.csv"]);
+  assert.equal(files[1].size, 4);
+  assert.deepEqual(await listOutboxFiles(path.join(outbox, "missing")), []);
+});
+
+test("planOutboxDelivery caps the count and explains skipped files", () => {
+  const files = [
+    { name: "a.png", size: MB },
+    { name: "big.bin", size: 80 * MB },
+    { name: "b.csv", size: 10 },
+    { name: "c.txt", size: 10 },
+  ];
+  const plan = planOutboxDelivery(files, 2);
+  assert.deepEqual(plan.deliver.map((file) => [file.name, file.method]), [
+    ["a.png", "photo"],
+    ["b.csv", "document"],
+  ]);
+  assert.equal(
+    formatSkippedOutboxFiles(plan.skipped),
+    "⚠️ Left in the outbox:\n- big.bin: 80.0 MB is over Telegram's 50 MB upload limit\n- c.txt: only 2 files are sent per run"
+  );
+  assert.equal(formatSkippedOutboxFiles([]), "");
+});
@@ -0,0 +1,177 @@
+import { randomBytes } from "crypto";
+import { rm, unlink } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+export const CHECKPOINT_REF_PREFIX = "refs/codex-checkpoints";
+
+// commit-tree needs an identity; keep snapshots independent of user config.
+const CHECKPOINT_IDENTITY = {
+  GIT_AUTHOR_NAME: "codex-telegram-bridge",
+  GIT_AUTHOR_EMAIL: "bridge@localhost",
+  GIT_COMMITTER_NAME: "codex-telegram-bridge",
+  GIT_COMMITTER_EMAIL: "bridge@localhost",
+};
+const MAX_LABEL_LENGTH = 120;
+
+export function getCheckpointScope(branch) {
+  return String(branch || "detached").replace(/[^A-Za-z0-9._-]+/g, "-");
+}
+
+// Scopes follow the branch HEAD is actually on in the checkpointed dir, not
+// the configured one, so a manual checkout or a task worktree gets its own.
+export async function resolveCheckpointScope(git) {
+  const res = await git(["rev-parse", "--abbrev-ref", "HEAD"]);
+  const branch = res.code === 0 ? (res.out || "").trim() : "";
+  return getCheckpointScope(branch && branch !== "HEAD" ? branch : null);
+}
+
+export function createCheckpointId(now = Date.now()) {
+  return `${now.toString(36)}${randomBytes(2).toString("hex")}`;
+}
+
+export function buildCheckpointSubject(kind, label) {
+  const text = String(label || "").replace(/\s+/g, " ").trim().slice(0, MAX_LABEL_LENGTH);
+  return `[${kind}] ${text || "(no prompt)"}`;
+}
+
+export function parseCheckpointList(output) {
+  return String(output || "")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [ref, commit, parent, createdAt, subject = ""] = line.split("\t");
+      const match = subject.match(/^\[(\w+)\] (.*)$/);
+      return {
+        id: ref.split("/").pop(),
+        ref,
+        commit,
+        head: parent || null,
+        createdAt,
+        kind: match ? match[1] : "run",
+        label: match ? match[2] : subject,
+      };
+    });
+}
+
+export function findCheckpoint(checkpoints, selector) {
+  const needle = String(selector || "").trim();
+  if (!needle) return null;
+  if (/^\d+$/.test(needle) && Number.parseInt(needle, 10) <= checkpoints.length) {
+    return checkpoints[Number.parseInt(needle, 10) - 1] || null;
+  }
+  return checkpoints.find((checkpoint) => checkpoint.id === needle) || null;
+}
+
+export function formatCheckpointList(checkpoints) {
+  if (!checkpoints.length) return "No checkpoints yet. One is taken before each Codex run that can edit files.";
+  return checkpoints
+    .map((checkpoint, index) => {
+      const kind = checkpoint.kind === "run" ? "" : ` (${checkpoint.kind})`;
+      return `${index + 1}. ${checkpoint.id} - ${checkpoint.createdAt}${kind}\n   ${checkpoint.label}`;
+    })
+    .join("\n");
+}
+
+async function gitOk(git, args, env) {
+  const res = await git(args, env);
+  if (res.code !== 0) {
+    throw new Error(`git ${args[0]} failed.\n${(res.err || res.out || "(empty)").trim()}`);
+  }
+  return (res.out || "").trim();
+}
+
+async function withTempIndex(run) {
+  const indexFile = path.join(tmpdir(), `codex-checkpoint-${randomBytes(6).toString("hex")}.index`);
+  try {
+    return await run({ GIT_INDEX_FILE: indexFile });
+  } finally {
+    await unlink(indexFile).catch(() => {});
+  }
+}
+
+async function readHead(git) {
+  const res = await git(["rev-parse", "--verify", "--quiet", "HEAD"]);
+  return res.code === 0 ? res.out.trim() : null;
+}
+
+// Writes the working tree (tracked and untracked, minus ignored files and the
+// excluded pathspecs) as a commit whose parent is HEAD, without touching the index.
+async function snapshotTree(git, excludeSpecs) {
+  const head = await readHead(git);
+  const tree = await withTempIndex(async (env) => {
+    if (head) await gitOk(git, ["read-tree", head], env);
+    await gitOk(git, ["add", "-A", "--", ".", ...excludeSpecs], env);
+    return gitOk(git, ["write-tree"], env);
+  });
+  return { head, tree };
+}
+
+export async function listCheckpoints(git, scope) {
+  const out = await gitOk(git, [
+    "for-each-ref",
+    "--sort=-refname",
+    "--sort=-creatordate",
+    "--format=%(refname)%09%(objectname)%09%(parent)%09%(creatordate:iso-strict)%09%(subject)",
+    `${CHECKPOINT_REF_PREFIX}/${scope}/`,
+  ]);
+  return parseCheckpointList(out);
+}
+
+export async function createCheckpoint(git, { scope, kind = "run", label, excludeSpecs = [], now }) {
+  const { head, tree } = await snapshotTree(git, excludeSpecs);
+  const subject = buildCheckpointSubject(kind, label);
+  const commit = await gitOk(
+    git,
+    ["commit-tree", tree, ...(head ? ["-p", head] : []), "-m", subject],
+    CHECKPOINT_IDENTITY
+  );
+  const id = createCheckpointId(now);
+  await gitOk(git, ["update-ref", `${CHECKPOINT_REF_PREFIX}/${scope}/${id}`, commit]);
+  return { id, commit, head, tree };
+}
+
+export async function pruneCheckpoints(git, scope, keep) {
+  const checkpoints = await listCheckpoints(git, scope);
+  const stale = checkpoints.slice(keep);
+  for (const checkpoint of stale) {
+    await gitOk(git, ["update-ref", "-d", checkpoint.ref]);
+  }
+  return stale.length;
+}
+
+export async function deleteCheckpoint(git, checkpoint) {
+  await gitOk(git, ["update-ref", "-d", checkpoint.ref]);
+}
+
+// Puts the working tree back to a checkpoint. Files created since the
+// checkpoint are deleted, everything else is rewritten from the snapshot, and
+// the index is reset to HEAD so the result shows up as unstaged changes.
+export async function restoreCheckpoint(git, { checkpoint, workDir, excludeSpecs = [] }) {
+  const { tree: currentTree } = await snapshotTree(git, excludeSpecs);
+  const added = await gitOk(git, [
+    "diff",
+    "--name-only",
+    "-z",
+    "--no-renames",
+    "--diff-filter=A",
+    checkpoint.commit,
+    currentTree,
+  ]);
+  const root = path.resolve(workDir);
+  const removed = [];
+  for (const file of added.split("\0").filter(Boolean)) {
+    const target = path.resolve(root, file);
+    if (!target.startsWith(`${root}${path.sep}`)) continue;
+    await rm(target, { force: true });
+    removed.push(file);
+  }
+
+  await withTempIndex(async (env) => {
+    await gitOk(git, ["read-tree", checkpoint.commit], env);
+    await gitOk(git, ["checkout-index", "--all", "--force"], env);
+  });
+  const head = await readHead(git);
+  if (head) await gitOk(git, ["reset", "--quiet"]);
+  return { removed, headMoved: Boolean(head && checkpoint.head && head !== checkpoint.head), head };
+}
@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  buildCheckpointSubject,
+  createCheckpoint,
+  findCheckpoint,
+  formatCheckpointList,
+  getCheckpointScope,
+  listCheckpoints,
+  parseCheckpointList,
+  pruneCheckpoints,
+  resolveCheckpointScope,
+  restoreCheckpoint,
+} from "./git-checkpoints.js";
+
+function createGit(dir) {
+  return (args, env = {}) =>
+    new Promise((resolve) => {
+      execFile("git", ["-C", dir, ...args], { env: { ...process.env, ...env } }, (error, out, err) => {
+        resolve({ code: error ? error.code || 1 : 0, out, err });
+      });
+    });
+}
+
+async function createRepo() {
+  const dir = await mkdtemp(path.join(tmpdir(), "checkpoints-"));
+  const git = createGit(dir);
+  await git(["init", "-q", "-b", "main"]);
+  await git(["config", "user.name", "test"]);
+  await git(["config", "user.email", "test@example.com"]);
+  await writeFile(path.join(dir, "app.js"), "v1\n");
+  await writeFile(path.join(dir, ".gitignore"), "secret.txt\n");
+  await git(["add", "-A"]);
+  await git(["commit", "-q", "-m", "init"]);
+  return { dir, git };
+}
+
+const excludeSpecs = [":(exclude).codex-inputs/**"];
+
+test("checkpoint subjects and scopes are normalized", () => {
+  assert.equal(buildCheckpointSubject("run", "  fix\nthe\tbug "), "[run] fix the bug");
+  assert.equal(buildCheckpointSubject("restore", ""), "[restore] (no prompt)");
+  assert.equal(getCheckpointScope("codex/fix-login"), "codex-fix-login");
+});
+
+test("parseCheckpointList and findCheckpoint read for-each-ref output", () => {
+  const list = parseCheckpointList(
+    "refs/codex-checkpoints/main/b2\tc2\tp2\t2026-03-20T10:00:00Z\t[run] second\n" +
+      "refs/codex-checkpoints/main/a1\tc1\t\t2026-03-20T09:00:00Z\t[restore] before restoring b2\n"
+  );
+  assert.equal(list[0].id, "b2");
+  assert.equal(list[0].label, "second");
+  assert.equal(list[1].kind, "restore");
+  assert.equal(list[1].head, null);
+  assert.equal(findCheckpoint(list, "2").id, "a1");
+  assert.equal(findCheckpoint(list, "b2").commit, "c2");
+  assert.match(formatCheckpointList(list), /^1\. b2 - 2026-03-20T10:00:00Z\n {3}second/);
+});
+
+test("createCheckpoint and restoreCheckpoint round-trip tracked and untracked files", async () => {
+  const { dir, git } = await createRepo();
+  try {
+    await writeFile(path.join(dir, "app.js"), "v2 (uncommitted)\n");
+    await writeFile(path.join(dir, "notes.md"), "draft\n");
+    await mkdir(path.join(dir, ".codex-inputs"));
+    await writeFile(path.join(dir, ".codex-inputs", "shot.png"), "img");
+
+    const checkpoint = await createCheckpoint(git, {
+      scope: "main",
+      label: "make it v3",
+      excludeSpecs,
+    });
+    const status = await git(["status", "--porcelain"]);
+    assert.match(status.out, /\?\? notes.md/);
+
+    await writeFile(path.join(dir, "app.js"), "v3 from codex\n");
+    await rm(path.join(dir, "notes.md"));
+    await writeFile(path.join(dir, "extra.js"), "new file\n");
+    await writeFile(path.join(dir, "secret.txt"), "ignored\n");
+    await git(["add", "extra.js"]);
+
+    const [listed] = await listCheckpoints(git, "main");
+    assert.equal(listed.id, checkpoint.id);
+    assert.equal(listed.label, "make it v3");
+
+    const result = await restoreCheckpoint(git, { checkpoint: listed, workDir: dir, excludeSpecs });
+    assert.deepEqual(result.removed, ["extra.js"]);
+    assert.equal(result.headMoved, false);
+    assert.equal(await readFile(path.join(dir, "app.js"), "utf8"), "v2 (uncommitted)\n");
+    assert.equal(await readFile(path.join(dir, "notes.md"), "utf8"), "draft\n");
+    assert.equal(existsSync(path.join(dir, "extra.js")), false);
+    assert.equal(existsSync(path.join(dir, "secret.txt")), true);
+    assert.equal(existsSync(path.join(dir, ".codex-inputs", "shot.png")), true);
+    assert.equal((await git(["diff", "--cached", "--name-only"])).out, "");
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("pruneCheckpoints keeps only the newest snapshots per scope", async () => {
+  const { dir, git } = await createRepo();
+  try {
+    for (let i = 0; i < 3; i += 1) {
+      await createCheckpoint(git, { scope: "main", label: `run ${i}`, now: Date.UTC(2026, 2, 20, 0, i) });
+    }
+    await createCheckpoint(git, { scope: "codex-task", label: "other scope" });
+    assert.equal(await pruneCheckpoints(git, "main", 2), 1);
+    assert.equal((await listCheckpoints(git, "main")).length, 2);
+    assert.equal((await listCheckpoints(git, "codex-task")).length, 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("resolveCheckpointScope follows the branch HEAD is on", async () => {
+  const { dir, git } = await createRepo();
+  try {
+    assert.equal(await resolveCheckpointScope(git), "main");
+    await git(["checkout", "-q", "-b", "codex/fix-login"]);
+    assert.equal(await resolveCheckpointScope(git), "codex-fix-login");
+    await git(["checkout", "-q", "--detach"]);
+    assert.equal(await resolveCheckpointScope(git), "detached");
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,485 @@
+export const PROVIDER_NAMES = ["github", "gitlab", "gitea", "bitbucket"];
+
+const TOKEN_ENV = {
+  github: "GITHUB_TOKEN",
+  gitlab: "GITLAB_TOKEN",
+  gitea: "GITEA_TOKEN",
+  bitbucket: "BITBUCKET_TOKEN",
+};
+
+export function parseRemoteUrl(remote) {
+  const raw = String(remote || "").trim();
+  const scpLike = raw.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/);
+  if (scpLike) {
+    return { host: scpLike[1].toLowerCase(), path: scpLike[2].replace(/^\/+/, "").replace(/\.git$/, "") };
+  }
+  try {
+    const parsed = new URL(raw);
+    const repoPath = parsed.pathname.replace(/^\/+/, "").replace(/\/+$/, "").replace(/\.git$/, "");
+    if (!parsed.hostname || !repoPath) throw new Error("missing host or path");
+    return { host: parsed.hostname.toLowerCase(), path: repoPath };
+  } catch {
+    throw new Error(`Unsupported remote format: ${raw}`);
+  }
+}
+
+export function detectProviderName(host, hostingConfig) {
+  for (const name of PROVIDER_NAMES) {
+    if ((hostingConfig[name]?.hosts || []).includes(host)) return name;
+  }
+  return null;
+}
+
+function defaultApiBase(name, host) {
+  if (name === "github") return host === "github.com" ? "https://api.github.com" : `https://${host}/api/v3`;
+  if (name === "gitlab") return `https://${host}/api/v4`;
+  if (name === "gitea") return `https://${host}/api/v1`;
+  return "https://api.bitbucket.org/2.0";
+}
+
+export function getRequestNoun(providerName) {
+  return providerName === "gitlab" ? "merge request" : "pull request";
+}
+
+// Works out which host API /pr should talk to. An explicit provider (from the
+// repo alias or TARGET_REPO_PROVIDER) wins over detection from the remote host.
+export function resolveHostingTarget(remoteUrl, { provider = null, apiUrl = null } = {}, hostingConfig = {}) {
+  const { host, path } = parseRemoteUrl(remoteUrl);
+  const name = provider || detectProviderName(host, hostingConfig);
+  if (!name) {
+    throw new Error(
+      `Can't tell which git host ${host} is. Set a provider with /repo provider, or list the host in GITHUB_HOSTS, GITLAB_HOSTS, GITEA_HOSTS, or BITBUCKET_HOSTS.`
+    );
+  }
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(`Unknown git hosting provider: ${name}. Use one of: ${PROVIDER_NAMES.join(", ")}.`);
+  }
+  const settings = hostingConfig[name] || {};
+  if (name !== "gitlab" && path.split("/").length !== 2) {
+    throw new Error(`Expected an owner/repo remote path for ${name}, got: ${path}`);
+  }
+  return {
+    provider: name,
+    host,
+    repoPath: path,
+    apiBase: String(apiUrl || settings.apiUrl || defaultApiBase(name, host)).replace(/\/+$/, ""),
+    token: settings.token || "",
+    username: settings.username || "",
+    tokenEnv: TOKEN_ENV[name],
+  };
+}
+
+function buildAuthHeaders(target) {
+  if (target.provider === "gitlab") return { "PRIVATE-TOKEN": target.token };
+  if (target.provider === "gitea") return { Authorization: `token ${target.token}` };
+  if (target.provider === "bitbucket" && target.username) {
+    const basic = Buffer.from(`${target.username}:${target.token}`).toString("base64");
+    return { Authorization: `Basic ${basic}` };
+  }
+  return { Authorization: `Bearer ${target.token}` };
+}
+
+function readApiError(data, fallback) {
+  const message = data?.error?.message || data?.message || data?.error;
+  const details = Array.isArray(data?.errors)
+    ? data.errors.map((entry) => entry?.message || entry?.code || JSON.stringify(entry)).join("; ")
+    : "";
+  const text = Array.isArray(message) ? message.join("; ") : typeof message === "string" ? message : "";
+  return [text || fallback, details].filter(Boolean).join(": ");
+}
+
+async function callApi(target, method, apiPath, body, fetchImpl) {
+  const response = await fetchImpl(`${target.apiBase}${apiPath}`, {
+    method,
+    headers: {
+      ...buildAuthHeaders(target),
+      "User-Agent": "codex-telegram-bridge",
+      Accept: target.provider === "github" ? "application/vnd.github+json" : "application/json",
+      "Content-Type": "application/json",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const raw = await response.text();
+  let data = null;
+  try {
+    data = raw ? JSON.parse(raw) : null;
+  } catch {
+    data = { message: raw.slice(0, 300) };
+  }
+  if (!response.ok) {
+    throw new Error(readApiError(data, `${target.provider} API returned HTTP ${response.status}.`));
+  }
+  return data;
+}
+
+function ownerAndRepo(target) {
+  return target.repoPath.split("/").map(encodeURIComponent).join("/");
+}
+
+function projectPath(target) {
+  return `/projects/${encodeURIComponent(target.repoPath)}`;
+}
+
+const DRAFT_TITLE = /^(draft:|wip:)\s*/i;
+
+function withDraftPrefix(title, draft, prefix) {
+  const bare = String(title).replace(DRAFT_TITLE, "");
+  return draft ? `${prefix} ${bare}` : bare;
+}
+
+// params.draft is null unless --draft or --ready was given; an update then
+// keeps whatever draft state the open pull request already has.
+function keepDraftState(params, existingDraft) {
+  return params.draft ?? Boolean(existingDraft);
+}
+
+// Bitbucket Cloud no longer looks users up by username; it takes an account
+// id or a {uuid}.
+function toBitbucketReviewer(id) {
+  return /^\{.+\}$/.test(id) ? { uuid: id } : { account_id: id };
+}
+
+// Host-specific review and check states, folded into a shared vocabulary.
+const REVIEW_STATES = {
+  APPROVED: "approved",
+  CHANGES_REQUESTED: "changes_requested",
+  REQUEST_CHANGES: "changes_requested",
+  changes_requested: "changes_requested",
+  approved: "approved",
+};
+const CHECK_STATES = {
+  success: "success",
+  neutral: "success",
+  skipped: "success",
+  warning: "success",
+  SUCCESSFUL: "success",
+  failure: "failure",
+  failed: "failure",
+  error: "failure",
+  canceled: "failure",
+  cancelled: "failure",
+  timed_out: "failure",
+  action_required: "failure",
+  startup_failure: "failure",
+  FAILED: "failure",
+  STOPPED: "failure",
+};
+
+// Each adapter maps the shared PR operations onto one host's REST API.
+// Extras (reviewers, labels) that a host can't apply come back as warnings.
+const ADAPTERS = {
+  github: {
+    async find(target, head, api) {
+      const owner = target.repoPath.split("/")[0];
+      const list = await api("GET", `/repos/${ownerAndRepo(target)}/pulls?state=open&head=${encodeURIComponent(`${owner}:${head}`)}`);
+      return list?.[0] || null;
+    },
+    create(target, params, api) {
+      const { title, body, head, base } = params;
+      return api("POST", `/repos/${ownerAndRepo(target)}/pulls`, { title, body, head, base, draft: Boolean(params.draft) });
+    },
+    async update(target, existing, params, api, warnings) {
+      if (params.draft === true && !existing.draft) {
+        warnings.push("GitHub can't turn an open pull request back into a draft through the REST API; left as ready for review.");
+      }
+      if (params.draft === false && existing.draft) {
+        warnings.push("GitHub can't mark a draft ready for review through the REST API; left as a draft.");
+      }
+      return api("PATCH", `/repos/${ownerAndRepo(target)}/pulls/${existing.number}`, {
+        title: params.title,
+        body: params.body,
+        base: params.base,
+      });
+    },
+    async applyExtras(target, pr, { reviewers, labels }, api) {
+      if (reviewers.length) {
+        await api("POST", `/repos/${ownerAndRepo(target)}/pulls/${pr.number}/requested_reviewers`, { reviewers });
+      }
+      if (labels.length) {
+        await api("POST", `/repos/${ownerAndRepo(target)}/issues/${pr.number}/labels`, { labels });
+      }
+    },
+    async status(target, number, api) {
+      const base = `/repos/${ownerAndRepo(target)}`;
+      const pr = await api("GET", `${base}/pulls/${number}`);
+      const reviews = (await api("GET", `${base}/pulls/${number}/reviews?per_page=100`)) || [];
+      const sha = pr.head?.sha;
+      const runs = sha ? (await api("GET", `${base}/commits/${sha}/check-runs?per_page=100`))?.check_runs || [] : [];
+      const combined = sha ? (await api("GET", `${base}/commits/${sha}/status`))?.statuses || [] : [];
+      return {
+        state: pr.merged ? "merged" : pr.state === "open" ? "open" : "closed",
+        draft: Boolean(pr.draft),
+        mergeable: typeof pr.mergeable === "boolean" ? pr.mergeable : null,
+        headSha: sha || null,
+        reviews: reviews.map((review) => ({ user: review.user?.login, state: REVIEW_STATES[review.state] })),
+        checks: [
+          ...runs.map((run) => (run.status === "completed" ? CHECK_STATES[run.conclusion] : "pending")),
+          ...combined.map((entry) => CHECK_STATES[entry.state]),
+        ],
+      };
+    },
+    merge(target, number, strategy, api) {
+      return api("PUT", `/repos/${ownerAndRepo(target)}/pulls/${number}/merge`, { merge_method: strategy });
+    },
+  },
+  gitlab: {
+    async find(target, head, api) {
+      const list = await api("GET", `${projectPath(target)}/merge_requests?state=opened&source_branch=${encodeURIComponent(head)}`);
+      return list?.[0] || null;
+    },
+    async resolveReviewerIds(reviewers, api) {
+      const ids = [];
+      for (const username of reviewers) {
+        const users = await api("GET", `/users?username=${encodeURIComponent(username)}`);
+        if (!users?.[0]?.id) throw new Error(`GitLab user not found: ${username}`);
+        ids.push(users[0].id);
+      }
+      return ids;
+    },
+    async create(target, params, api) {
+      const reviewerIds = params.reviewers.length ? await this.resolveReviewerIds(params.reviewers, api) : undefined;
+      return api("POST", `${projectPath(target)}/merge_requests`, {
+        title: withDraftPrefix(params.title, params.draft, "Draft:"),
+        description: params.body,
+        source_branch: params.head,
+        target_branch: params.base,
+        labels: params.labels.join(",") || undefined,
+        reviewer_ids: reviewerIds,
+      });
+    },
+    async update(target, existing, params, api) {
+      // reviewer_ids replaces the list, so keep the reviewers already on the MR.
+      const reviewerIds = params.reviewers.length
+        ? [...new Set([...(existing.reviewers || []).map((user) => user.id), ...(await this.resolveReviewerIds(params.reviewers, api))])]
+        : undefined;
+      const draft = keepDraftState(params, existing.draft ?? existing.work_in_progress ?? DRAFT_TITLE.test(existing.title || ""));
+      return api("PUT", `${projectPath(target)}/merge_requests/${existing.iid}`, {
+        title: withDraftPrefix(params.title, draft, "Draft:"),
+        description: params.body,
+        target_branch: params.base,
+        add_labels: params.labels.join(",") || undefined,
+        reviewer_ids: reviewerIds,
+      });
+    },
+    async applyExtras() {},
+    async status(target, number, api) {
+      const mr = await api("GET", `${projectPath(target)}/merge_requests/${number}`);
+      const approvals = await api("GET", `${projectPath(target)}/merge_requests/${number}/approvals`);
+      const pipeline = mr.head_pipeline?.status;
+      return {
+        state: mr.state === "opened" ? "open" : mr.state === "merged" ? "merged" : "closed",
+        draft: Boolean(mr.draft ?? mr.work_in_progress),
+        mergeable: mr.merge_status === "can_be_merged" ? true : mr.merge_status === "cannot_be_merged" ? false : null,
+        headSha: mr.sha || null,
+        reviews: (approvals?.approved_by || []).map((entry) => ({ user: entry.user?.username, state: "approved" })),
+        checks: pipeline ? [CHECK_STATES[pipeline] || "pending"] : [],
+      };
+    },
+    merge(target, number, strategy, api) {
+      if (strategy === "rebase") throw new Error("GitLab merges through the API with merge or squash, not rebase.");
+      return api("PUT", `${projectPath(target)}/merge_requests/${number}/merge`, { squash: strategy === "squash" });
+    },
+  },
+  gitea: {
+    async find(target, head, api) {
+      const list = await api("GET", `/repos/${ownerAndRepo(target)}/pulls?state=open&limit=50`);
+      return (list || []).find((pr) => pr.head?.ref === head) || null;
+    },
+    create(target, params, api) {
+      const { body, head, base } = params;
+      return api("POST", `/repos/${ownerAndRepo(target)}/pulls`, {
+        title: withDraftPrefix(params.title, params.draft, "WIP:"),
+        body,
+        head,
+        base,
+      });
+    },
+    update(target, existing, params, api) {
+      return api("PATCH", `/repos/${ownerAndRepo(target)}/pulls/${existing.number}`, {
+        title: withDraftPrefix(params.title, keepDraftState(params, DRAFT_TITLE.test(existing.title || "")), "WIP:"),
+        body: params.body,
+        base: params.base,
+      });
+    },
+    async applyExtras(target, pr, { reviewers, labels }, api, warnings) {
+      if (reviewers.length) {
+        await api("POST", `/repos/${ownerAndRepo(target)}/pulls/${pr.number}/requested_reviewers`, { reviewers });
+      }
+      if (labels.length) {
+        const known = (await api("GET", `/repos/${ownerAndRepo(target)}/labels?limit=50`)) || [];
+        const ids = labels.map((name) => known.find((label) => label.name === name)?.id).filter(Boolean);
+        const missing = labels.filter((name) => !known.some((label) => label.name === name));
+        if (missing.length) warnings.push(`Gitea labels not found: ${missing.join(", ")}`);
+        if (ids.length) {
+          await api("POST", `/repos/${ownerAndRepo(target)}/issues/${pr.number}/labels`, { labels: ids });
+        }
+      }
+    },
+    async status(target, number, api) {
+      const base = `/repos/${ownerAndRepo(target)}`;
+      const pr = await api("GET", `${base}/pulls/${number}`);
+      const reviews = (await api("GET", `${base}/pulls/${number}/reviews`)) || [];
+      const sha = pr.head?.sha;
+      const combined = sha ? (await api("GET", `${base}/commits/${sha}/status`))?.statuses || [] : [];
+      return {
+        state: pr.merged ? "merged" : pr.state === "open" ? "open" : "closed",
+        draft: /^(wip|draft):/i.test(pr.title || ""),
+        mergeable: typeof pr.mergeable === "boolean" ? pr.mergeable : null,
+        headSha: sha || null,
+        reviews: reviews.map((review) => ({ user: review.user?.login, state: REVIEW_STATES[review.state] })),
+        checks: combined.map((entry) => CHECK_STATES[entry.status || entry.state]),
+      };
+    },
+    merge(target, number, strategy, api) {
+      return api("POST", `/repos/${ownerAndRepo(target)}/pulls/${number}/merge`, { Do: strategy });
+    },
+  },
+  bitbucket: {
+    async find(target, head, api) {
+      const query = encodeURIComponent(`source.branch.name="${head}" AND state="OPEN"`);
+      const page = await api("GET", `/repositories/${ownerAndRepo(target)}/pullrequests?q=${query}`);
+      return page?.values?.[0] || null;
+    },
+    create(target, params, api) {
+      return api("POST", `/repositories/${ownerAndRepo(target)}/pullrequests`, {
+        title: params.title,
+        description: params.body,
+        draft: Boolean(params.draft),
+        source: { branch: { name: params.head } },
+        destination: { branch: { name: params.base } },
+        reviewers: params.reviewers.length ? params.reviewers.map(toBitbucketReviewer) : undefined,
+      });
+    },
+    async update(target, existing, params, api) {
+      let reviewers;
+      if (params.reviewers.length) {
+        // The list endpoint leaves reviewers out, and the PUT replaces them.
+        const current = await api("GET", `/repositories/${ownerAndRepo(target)}/pullrequests/${existing.id}`);
+        reviewers = (current?.reviewers || []).map((user) => ({ uuid: user.uuid }));
+        for (const reviewer of params.reviewers.map(toBitbucketReviewer)) {
+          const known = (current?.reviewers || []).some(
+            (user) => (reviewer.uuid ? user.uuid === reviewer.uuid : user.account_id === reviewer.account_id)
+          );
+          if (!known) reviewers.push(reviewer);
+        }
+      }
+      return api("PUT", `/repositories/${ownerAndRepo(target)}/pullrequests/${existing.id}`, {
+        title: params.title,
+        description: params.body,
+        draft: params.draft ?? undefined,
+        destination: { branch: { name: params.base } },
+        reviewers,
+      });
+    },
+    async applyExtras(target, pr, { labels }, api, warnings) {
+      if (labels.length) warnings.push(`Bitbucket has no pull request labels; skipped: ${labels.join(", ")}`);
+    },
+    async status(target, number, api) {
+      const base = `/repositories/${ownerAndRepo(target)}/pullrequests/${number}`;
+      const pr = await api("GET", base);
+      const statuses = (await api("GET", `${base}/statuses`))?.values || [];
+      return {
+        state: pr.state === "OPEN" ? "open" : pr.state === "MERGED" ? "merged" : "closed",
+        draft: Boolean(pr.draft),
+        mergeable: null,
+        headSha: pr.source?.commit?.hash || null,
+        reviews: (pr.participants || [])
+          .filter((entry) => entry.approved || entry.state)
+          .map((entry) => ({
+            user: entry.user?.nickname || entry.user?.display_name,
+            state: entry.approved ? "approved" : REVIEW_STATES[entry.state],
+          })),
+        checks: statuses.map((entry) => CHECK_STATES[entry.state]),
+      };
+    },
+    merge(target, number, strategy, api) {
+      return api("POST", `/repositories/${ownerAndRepo(target)}/pullrequests/${number}/merge`, {
+        merge_strategy: { merge: "merge_commit", squash: "squash", rebase: "fast_forward" }[strategy],
+      });
+    },
+  },
+};
+
+export function normalizePullRequest(provider, data) {
+  if (provider === "gitlab") {
+    return { number: data.iid, title: data.title, url: data.web_url, state: data.state };
+  }
+  if (provider === "bitbucket") {
+    return { number: data.id, title: data.title, url: data.links?.html?.href || "", state: data.state };
+  }
+  return { number: data.number, title: data.title, url: data.html_url || data.url, state: data.state };
+}
+
+function requireToken(target) {
+  if (!target.token) {
+    throw new Error(`Set ${target.tokenEnv} in .env before using ${target.provider} pull requests.`);
+  }
+}
+
+// Anything a host reports that isn't clearly finished counts as pending.
+export function summarizeChecks(states) {
+  const total = states.length;
+  const failed = states.filter((state) => state === "failure").length;
+  const pending = states.filter((state) => state !== "success" && state !== "failure").length;
+  let state = "none";
+  if (total) state = failed ? "failure" : pending ? "pending" : "success";
+  return { state, total, failed, pending };
+}
+
+// Only each reviewer's latest verdict counts; comments alone don't approve.
+export function summarizeReviews(reviews) {
+  const latest = new Map();
+  for (const review of reviews) {
+    const state = review.state || "commented";
+    if (state === "commented" && latest.has(review.user)) continue;
+    latest.set(review.user, state);
+  }
+  const verdicts = [...latest.values()];
+  let decision = "none";
+  if (verdicts.includes("changes_requested")) decision = "changes_requested";
+  else if (verdicts.includes("approved")) decision = "approved";
+  else if (verdicts.length) decision = "commented";
+  return { decision, count: reviews.length };
+}
+
+export async function getPullRequestStatus(target, number, fetchImpl = fetch) {
+  requireToken(target);
+  const api = (method, apiPath, body) => callApi(target, method, apiPath, body, fetchImpl);
+  const raw = await ADAPTERS[target.provider].status(target, number, api);
+  return {
+    state: raw.state,
+    draft: raw.draft,
+    mergeable: raw.mergeable,
+    headSha: raw.headSha,
+    review: summarizeReviews(raw.reviews),
+    checks: summarizeChecks(raw.checks),
+  };
+}
+
+export async function mergePullRequest(target, number, strategy = "merge", fetchImpl = fetch) {
+  requireToken(target);
+  const api = (method, apiPath, body) => callApi(target, method, apiPath, body, fetchImpl);
+  await ADAPTERS[target.provider].merge(target, number, strategy, api);
+}
+
+// Creates a pull request for params.head, or updates the open one for that
+// branch. Reviewer and label failures don't undo the PR; they become warnings.
+export async function openOrUpdatePullRequest(target, params, fetchImpl = fetch) {
+  requireToken(target);
+  const adapter = ADAPTERS[target.provider];
+  const api = (method, apiPath, body) => callApi(target, method, apiPath, body, fetchImpl);
+  const request = { reviewers: [], labels: [], draft: null, ...params };
+  const warnings = [];
+
+  const existing = await adapter.find(target, request.head, api);
+  const data = existing
+    ? await adapter.update(target, existing, request, api, warnings)
+    : await adapter.create(target, request, api);
+  const pr = normalizePullRequest(target.provider, data);
+  try {
+    await adapter.applyExtras(target, pr, request, api, warnings);
+  } catch (err) {
+    warnings.push(`Could not add reviewers or labels: ${err.message || err}`);
+  }
+  return { pr, updated: Boolean(existing), warnings };
+}
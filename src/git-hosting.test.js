@@ -0,0 +1,415 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import {
+  detectProviderName,
+  getPullRequestStatus,
+  getRequestNoun,
+  mergePullRequest,
+  openOrUpdatePullRequest,
+  parseRemoteUrl,
+  resolveHostingTarget,
+  summarizeChecks,
+  summarizeReviews,
+} from "./git-hosting.js";
+
+const hostingConfig = {
+  github: { token: "gh", hosts: ["github.com", "ghe.corp.example"] },
+  gitlab: { token: "gl", hosts: ["gitlab.com"] },
+  gitea: { token: "gt", hosts: ["git.corp.example"] },
+  bitbucket: { token: "bb", username: "", hosts: ["bitbucket.org"] },
+};
+
+async function withStub(respond, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const { status = 201, json } = respond(request);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("parseRemoteUrl handles scp-style, ssh and https remotes", () => {
+  assert.deepEqual(parseRemoteUrl("git@github.com:acme/app.git"), { host: "github.com", path: "acme/app" });
+  assert.deepEqual(parseRemoteUrl("ssh://git@gitlab.com:2222/group/sub/app.git"), {
+    host: "gitlab.com",
+    path: "group/sub/app",
+  });
+  assert.deepEqual(parseRemoteUrl("https://git.corp.example/team/app"), {
+    host: "git.corp.example",
+    path: "team/app",
+  });
+  assert.throws(() => parseRemoteUrl("/srv/git/app.git"), /Unsupported remote/);
+});
+
+test("resolveHostingTarget detects hosts and honors explicit providers", () => {
+  assert.equal(detectProviderName("bitbucket.org", hostingConfig), "bitbucket");
+  const github = resolveHostingTarget("git@github.com:acme/app.git", {}, hostingConfig);
+  assert.equal(github.apiBase, "https://api.github.com");
+  assert.equal(github.token, "gh");
+
+  const enterprise = resolveHostingTarget("https://ghe.corp.example/acme/app.git", {}, hostingConfig);
+  assert.equal(enterprise.apiBase, "https://ghe.corp.example/api/v3");
+
+  const gitea = resolveHostingTarget(
+    "https://code.internal/acme/app.git",
+    { provider: "gitea", apiUrl: "https://code.internal/api/v1/" },
+    hostingConfig
+  );
+  assert.equal(gitea.provider, "gitea");
+  assert.equal(gitea.apiBase, "https://code.internal/api/v1");
+
+  assert.throws(() => resolveHostingTarget("https://unknown.example/a/b", {}, hostingConfig), /provider/);
+  assert.throws(
+    () => resolveHostingTarget("git@github.com:acme/team/app.git", {}, hostingConfig),
+    /owner\/repo/
+  );
+  assert.equal(getRequestNoun("gitlab"), "merge request");
+});
+
+test("openOrUpdatePullRequest creates through each provider's API", async () => {
+  const cases = [
+    {
+      remote: "git@github.com:acme/app.git",
+      path: "/repos/acme/app/pulls",
+      auth: ["authorization", "Bearer gh"],
+      response: { number: 7, title: "T", html_url: "https://github.com/acme/app/pull/7" },
+      bodyCheck: (body) => assert.equal(body.head, "feature"),
+    },
+    {
+      remote: "git@gitlab.com:group/sub/app.git",
+      path: "/projects/group%2Fsub%2Fapp/merge_requests",
+      auth: ["private-token", "gl"],
+      response: { iid: 3, title: "T", web_url: "https://gitlab.com/group/sub/app/-/merge_requests/3" },
+      bodyCheck: (body) => assert.equal(body.source_branch, "feature"),
+    },
+    {
+      remote: "https://git.corp.example/acme/app.git",
+      path: "/repos/acme/app/pulls",
+      auth: ["authorization", "token gt"],
+      response: { number: 9, title: "T", html_url: "https://git.corp.example/acme/app/pulls/9" },
+      bodyCheck: (body) => assert.equal(body.base, "main"),
+    },
+    {
+      remote: "git@bitbucket.org:acme/app.git",
+      path: "/repositories/acme/app/pullrequests",
+      auth: ["authorization", "Bearer bb"],
+      response: { id: 4, title: "T", links: { html: { href: "https://bitbucket.org/acme/app/pull-requests/4" } } },
+      bodyCheck: (body) => assert.equal(body.destination.branch.name, "main"),
+    },
+  ];
+
+  for (const entry of cases) {
+    await withStub(
+      (request) =>
+        request.method === "GET" ? { status: 200, json: entry.remote.includes("bitbucket") ? { values: [] } : [] } : { json: entry.response },
+      async (baseUrl, requests) => {
+        const target = resolveHostingTarget(entry.remote, { apiUrl: baseUrl }, hostingConfig);
+        const { pr, updated } = await openOrUpdatePullRequest(target, {
+          title: "T",
+          body: "B",
+          head: "feature",
+          base: "main",
+        });
+        const post = requests.find((request) => request.method === "POST");
+        assert.equal(updated, false);
+        assert.equal(post.url, entry.path);
+        assert.equal(post.headers[entry.auth[0]], entry.auth[1]);
+        entry.bodyCheck(post.body);
+        assert.match(String(pr.number), /^\d+$/);
+        assert.match(pr.url, /^https:\/\//);
+      }
+    );
+  }
+});
+
+test("openOrUpdatePullRequest surfaces API errors and missing tokens", async () => {
+  await withStub(
+    (request) =>
+      request.method === "GET"
+        ? { status: 200, json: [] }
+        : { status: 422, json: { message: "Validation Failed", errors: [{ message: "No commits between main and feature" }] } },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@github.com:acme/app.git", { apiUrl: baseUrl }, hostingConfig);
+      await assert.rejects(
+        openOrUpdatePullRequest(target, { title: "T", body: "", head: "feature", base: "main" }),
+        /Validation Failed: No commits between main and feature/
+      );
+    }
+  );
+  const target = resolveHostingTarget("git@gitlab.com:group/app.git", {}, { gitlab: { hosts: ["gitlab.com"] } });
+  await assert.rejects(openOrUpdatePullRequest(target, { title: "T" }), /GITLAB_TOKEN/);
+});
+
+test("openOrUpdatePullRequest updates an existing GitHub PR and adds reviewers and labels", async () => {
+  await withStub(
+    (request) => {
+      if (request.method === "GET") return { status: 200, json: [{ number: 5, draft: false }] };
+      if (request.method === "PATCH") {
+        return { status: 200, json: { number: 5, title: request.body.title, html_url: "https://github.com/acme/app/pull/5" } };
+      }
+      return { status: 201, json: {} };
+    },
+    async (baseUrl, requests) => {
+      const target = resolveHostingTarget("git@github.com:acme/app.git", { apiUrl: baseUrl }, hostingConfig);
+      const result = await openOrUpdatePullRequest(target, {
+        title: "New title",
+        body: "Body",
+        head: "feature",
+        base: "main",
+        draft: true,
+        reviewers: ["alice"],
+        labels: ["bug"],
+      });
+      assert.equal(result.updated, true);
+      assert.equal(result.pr.number, 5);
+      assert.match(result.warnings[0], /draft/);
+      assert.equal(requests[0].url, "/repos/acme/app/pulls?state=open&head=acme%3Afeature");
+      assert.deepEqual(
+        requests.slice(1).map((request) => `${request.method} ${request.url}`),
+        [
+          "PATCH /repos/acme/app/pulls/5",
+          "POST /repos/acme/app/pulls/5/requested_reviewers",
+          "POST /repos/acme/app/issues/5/labels",
+        ]
+      );
+    }
+  );
+});
+
+test("openOrUpdatePullRequest marks GitLab drafts and reports unsupported Bitbucket labels", async () => {
+  await withStub(
+    (request) => {
+      if (request.url.startsWith("/users")) return { status: 200, json: [{ id: 42 }] };
+      if (request.method === "GET") return { status: 200, json: [] };
+      return { json: { iid: 1, title: request.body.title, web_url: "https://gitlab.com/g/app/-/merge_requests/1" } };
+    },
+    async (baseUrl, requests) => {
+      const target = resolveHostingTarget("git@gitlab.com:g/app.git", { apiUrl: baseUrl }, hostingConfig);
+      const { pr } = await openOrUpdatePullRequest(target, {
+        title: "Fix",
+        body: "",
+        head: "feature",
+        base: "main",
+        draft: true,
+        reviewers: ["alice"],
+        labels: ["bug", "ui"],
+      });
+      assert.equal(pr.title, "Draft: Fix");
+      const post = requests.find((request) => request.method === "POST");
+      assert.deepEqual(post.body.reviewer_ids, [42]);
+      assert.equal(post.body.labels, "bug,ui");
+    }
+  );
+
+  await withStub(
+    (request) =>
+      request.method === "GET"
+        ? { status: 200, json: { values: [] } }
+        : { json: { id: 2, title: "Fix", links: { html: { href: "https://bitbucket.org/a/b/pull-requests/2" } } } },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@bitbucket.org:a/b.git", { apiUrl: baseUrl }, hostingConfig);
+      const { warnings } = await openOrUpdatePullRequest(target, {
+        title: "Fix",
+        body: "",
+        head: "feature",
+        base: "main",
+        labels: ["bug"],
+      });
+      assert.match(warnings[0], /no pull request labels/);
+    }
+  );
+});
+
+test("openOrUpdatePullRequest leaves the draft state alone unless --draft or --ready is given", async () => {
+  await withStub(
+    (request) => {
+      if (request.method === "GET") return { status: 200, json: [{ iid: 3, title: "Draft: Old", draft: true }] };
+      return { json: { iid: 3, title: request.body.title, web_url: "https://gitlab.com/g/app/-/merge_requests/3" } };
+    },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@gitlab.com:g/app.git", { apiUrl: baseUrl }, hostingConfig);
+      const params = { title: "New", body: "", head: "feature", base: "main" };
+      assert.equal((await openOrUpdatePullRequest(target, params)).pr.title, "Draft: New");
+      assert.equal((await openOrUpdatePullRequest(target, { ...params, draft: false })).pr.title, "New");
+    }
+  );
+
+  await withStub(
+    (request) =>
+      request.method === "GET"
+        ? { status: 200, json: { values: [{ id: 2, draft: true }] } }
+        : { json: { id: 2, title: "Fix", links: { html: { href: "https://bitbucket.org/a/b/pull-requests/2" } } } },
+    async (baseUrl, requests) => {
+      const target = resolveHostingTarget("git@bitbucket.org:a/b.git", { apiUrl: baseUrl }, hostingConfig);
+      await openOrUpdatePullRequest(target, {
+        title: "Fix",
+        body: "",
+        head: "feature",
+        base: "main",
+        reviewers: ["557058:abc", "{d1e2f3}"],
+      });
+      const put = requests.find((request) => request.method === "PUT");
+      assert.equal("draft" in put.body, false);
+      assert.deepEqual(put.body.reviewers, [{ account_id: "557058:abc" }, { uuid: "{d1e2f3}" }]);
+    }
+  );
+});
+
+test("openOrUpdatePullRequest adds reviewers to the ones already on GitLab and Bitbucket", async () => {
+  await withStub(
+    (request) => {
+      if (request.url.startsWith("/users")) return { status: 200, json: [{ id: 42 }] };
+      if (request.method === "GET") return { status: 200, json: [{ iid: 3, title: "Fix", reviewers: [{ id: 7 }, { id: 42 }] }] };
+      return { json: { iid: 3, title: request.body.title, web_url: "https://gitlab.com/g/app/-/merge_requests/3" } };
+    },
+    async (baseUrl, requests) => {
+      const target = resolveHostingTarget("git@gitlab.com:g/app.git", { apiUrl: baseUrl }, hostingConfig);
+      await openOrUpdatePullRequest(target, { title: "Fix", body: "", head: "feature", base: "main", reviewers: ["alice"] });
+      assert.deepEqual(requests.find((request) => request.method === "PUT").body.reviewer_ids, [7, 42]);
+    }
+  );
+
+  await withStub(
+    (request) => {
+      if (request.method === "GET" && request.url.includes("?q=")) return { status: 200, json: { values: [{ id: 2 }] } };
+      if (request.method === "GET") {
+        return { status: 200, json: { id: 2, reviewers: [{ uuid: "{u1}", account_id: "557058:old" }] } };
+      }
+      return { json: { id: 2, title: "Fix", links: { html: { href: "https://bitbucket.org/a/b/pull-requests/2" } } } };
+    },
+    async (baseUrl, requests) => {
+      const target = resolveHostingTarget("git@bitbucket.org:a/b.git", { apiUrl: baseUrl }, hostingConfig);
+      await openOrUpdatePullRequest(target, {
+        title: "Fix",
+        body: "",
+        head: "feature",
+        base: "main",
+        reviewers: ["557058:old", "557058:new"],
+      });
+      assert.deepEqual(requests.find((request) => request.method === "PUT").body.reviewers, [
+        { uuid: "{u1}" },
+        { account_id: "557058:new" },
+      ]);
+    }
+  );
+});
+
+test("summarizeChecks and summarizeReviews fold host states together", () => {
+  assert.deepEqual(summarizeChecks([]), { state: "none", total: 0, failed: 0, pending: 0 });
+  assert.equal(summarizeChecks(["success", undefined]).state, "pending");
+  assert.deepEqual(summarizeChecks(["success", "failure", undefined]), { state: "failure", total: 3, failed: 1, pending: 1 });
+  assert.deepEqual(
+    summarizeReviews([
+      { user: "a", state: "changes_requested" },
+      { user: "a", state: "approved" },
+      { user: "a", state: undefined },
+      { user: "b", state: undefined },
+    ]),
+    { decision: "approved", count: 4 }
+  );
+  assert.equal(summarizeReviews([{ user: "b", state: "changes_requested" }, { user: "a", state: "approved" }]).decision, "changes_requested");
+});
+
+test("getPullRequestStatus combines GitHub PR, reviews and checks", async () => {
+  await withStub(
+    (request) => {
+      const routes = {
+        "/repos/acme/app/pulls/5": { number: 5, state: "open", merged: false, draft: false, mergeable: true, head: { sha: "abc" } },
+        "/repos/acme/app/pulls/5/reviews?per_page=100": [{ user: { login: "alice" }, state: "APPROVED" }],
+        "/repos/acme/app/commits/abc/check-runs?per_page=100": {
+          check_runs: [
+            { status: "completed", conclusion: "success" },
+            { status: "in_progress", conclusion: null },
+          ],
+        },
+        "/repos/acme/app/commits/abc/status": { statuses: [{ state: "success" }] },
+      };
+      return { status: 200, json: routes[request.url] };
+    },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@github.com:acme/app.git", { apiUrl: baseUrl }, hostingConfig);
+      const status = await getPullRequestStatus(target, 5);
+      assert.deepEqual(status, {
+        state: "open",
+        draft: false,
+        mergeable: true,
+        headSha: "abc",
+        review: { decision: "approved", count: 1 },
+        checks: { state: "pending", total: 3, failed: 0, pending: 1 },
+      });
+    }
+  );
+});
+
+test("getPullRequestStatus reads GitLab pipelines and Bitbucket statuses", async () => {
+  await withStub(
+    (request) =>
+      request.url.endsWith("/approvals")
+        ? { status: 200, json: { approved_by: [{ user: { username: "bob" } }] } }
+        : { status: 200, json: { iid: 2, state: "merged", merge_status: "can_be_merged", sha: "f00", head_pipeline: { status: "failed" } } },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@gitlab.com:g/app.git", { apiUrl: baseUrl }, hostingConfig);
+      const status = await getPullRequestStatus(target, 2);
+      assert.equal(status.state, "merged");
+      assert.equal(status.checks.state, "failure");
+      assert.equal(status.review.decision, "approved");
+    }
+  );
+
+  await withStub(
+    (request) =>
+      request.url.endsWith("/statuses")
+        ? { status: 200, json: { values: [{ state: "SUCCESSFUL" }] } }
+        : {
+            status: 200,
+            json: {
+              id: 4,
+              state: "OPEN",
+              source: { commit: { hash: "b1" } },
+              participants: [{ user: { nickname: "carol" }, approved: false, state: "changes_requested" }],
+            },
+          },
+    async (baseUrl) => {
+      const target = resolveHostingTarget("git@bitbucket.org:a/b.git", { apiUrl: baseUrl }, hostingConfig);
+      const status = await getPullRequestStatus(target, 4);
+      assert.equal(status.mergeable, null);
+      assert.equal(status.checks.state, "success");
+      assert.equal(status.review.decision, "changes_requested");
+    }
+  );
+});
+
+test("mergePullRequest sends each host's merge call", async () => {
+  const cases = [
+    ["git@github.com:acme/app.git", "PUT /repos/acme/app/pulls/5/merge", { merge_method: "squash" }],
+    ["git@gitlab.com:g/app.git", "PUT /projects/g%2Fapp/merge_requests/5/merge", { squash: true }],
+    ["https://git.corp.example/acme/app.git", "POST /repos/acme/app/pulls/5/merge", { Do: "squash" }],
+    ["git@bitbucket.org:a/b.git", "POST /repositories/a/b/pullrequests/5/merge", { merge_strategy: "squash" }],
+  ];
+  for (const [remote, call, body] of cases) {
+    await withStub(
+      () => ({ status: 200, json: {} }),
+      async (baseUrl, requests) => {
+        const target = resolveHostingTarget(remote, { apiUrl: baseUrl }, hostingConfig);
+        await mergePullRequest(target, 5, "squash");
+        assert.equal(`${requests[0].method} ${requests[0].url}`, call);
+        assert.deepEqual(requests[0].body, body);
+      }
+    );
+  }
+  const gitlab = resolveHostingTarget("git@gitlab.com:g/app.git", {}, hostingConfig);
+  await assert.rejects(mergePullRequest(gitlab, 5, "rebase"), /not rebase/);
+});
@@ -0,0 +1,140 @@
+import { lstat, readdir, rm } from "fs/promises";
+import path from "path";
+
+export const INPUTS_USAGE = "Use: /inputs [purge [--all]]";
+
+export function parseInputsCommand(text) {
+  const args = String(text || "").trim().split(/\s+/).slice(1);
+  if (!args.length) return { action: "show" };
+  if (args[0] !== "purge") return { error: `Unknown action: ${args[0]}` };
+  const rest = args.slice(1);
+  if (rest.some((arg) => arg !== "--all")) return { error: `Unexpected argument: ${rest.find((arg) => arg !== "--all")}` };
+  return { action: "purge", all: rest.includes("--all") };
+}
+
+// The inputs dir must be a real directory strictly inside the repo, so a
+// misconfigured BOT_INPUTS_SUBDIR (".", "..", an absolute path) or a symlinked
+// inputs dir can never turn cleanup loose on the checkout.
+export async function isSafeInputsDir(repoDir, inputsDir) {
+  const relative = path.relative(path.resolve(repoDir), path.resolve(inputsDir));
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return false;
+  if (relative.split(path.sep).some((segment) => segment === ".git" || segment === ".git-codex")) return false;
+  try {
+    return (await lstat(inputsDir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function measureEntry(absolute) {
+  const info = await lstat(absolute);
+  if (!info.isDirectory()) return { size: info.size, mtimeMs: info.mtimeMs };
+  let size = 0;
+  let mtimeMs = info.mtimeMs;
+  for (const name of await readdir(absolute)) {
+    const child = await measureEntry(path.join(absolute, name));
+    size += child.size;
+    mtimeMs = Math.max(mtimeMs, child.mtimeMs);
+  }
+  return { size, mtimeMs };
+}
+
+// Top-level entries of the inputs dir. An unpacked archive directory counts
+// as one entry, sized by its contents and dated by its newest file. Symlinks
+// are measured, never followed.
+export async function listInputEntries(inputsDir) {
+  let names;
+  try {
+    names = await readdir(inputsDir);
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+  const entries = [];
+  for (const name of names) {
+    const absolute = path.join(inputsDir, name);
+    entries.push({ name, absolute, ...(await measureEntry(absolute)) });
+  }
+  return entries.sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name));
+}
+
+// An entry is referenced when its path, or a path inside it, appears in text
+// the bot still uses: chat history, queued jobs, pending patch offers.
+export function isReferencedEntry(entry, referenceText) {
+  for (let index = referenceText.indexOf(entry.absolute); index >= 0; ) {
+    const next = referenceText[index + entry.absolute.length];
+    if (next === undefined || !/[\w.-]/.test(next)) return true;
+    index = referenceText.indexOf(entry.absolute, index + 1);
+  }
+  return false;
+}
+
+// Drops unreferenced entries older than maxAgeMs, then the oldest
+// unreferenced ones until the total fits in maxBytes.
+export function planInputsCleanup(entries, { now, maxAgeMs, maxBytes, referenceText = "" }) {
+  const remove = [];
+  const keep = [];
+  for (const entry of entries) {
+    if (isReferencedEntry(entry, referenceText)) {
+      keep.push({ ...entry, referenced: true });
+    } else if (now - entry.mtimeMs > maxAgeMs) {
+      remove.push({ ...entry, reason: "age" });
+    } else {
+      keep.push(entry);
+    }
+  }
+  let keptBytes = keep.reduce((sum, entry) => sum + entry.size, 0);
+  const overflow = [...keep].sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const entry of overflow) {
+    if (keptBytes <= maxBytes) break;
+    if (entry.referenced) continue;
+    keep.splice(keep.indexOf(entry), 1);
+    remove.push({ ...entry, reason: "size" });
+    keptBytes -= entry.size;
+  }
+  return { remove, keep, keptBytes };
+}
+
+export function planInputsPurge(entries, { referenceText = "" }) {
+  const remove = [];
+  const keep = [];
+  for (const entry of entries) {
+    if (isReferencedEntry(entry, referenceText)) keep.push({ ...entry, referenced: true });
+    else remove.push({ ...entry, reason: "purge" });
+  }
+  return { remove, keep, keptBytes: keep.reduce((sum, entry) => sum + entry.size, 0) };
+}
+
+export async function removeInputEntries(inputsDir, entries) {
+  const root = path.resolve(inputsDir);
+  let freed = 0;
+  for (const entry of entries) {
+    const target = path.resolve(entry.absolute);
+    if (path.dirname(target) !== root) throw new Error(`Refusing to remove ${target}: not directly inside ${root}`);
+    await rm(target, { recursive: true, force: true });
+    freed += entry.size;
+  }
+  return freed;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+export function formatInputsUsage(relativeDir, entries, { referenceText = "", maxAgeMs, maxBytes }) {
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const referenced = entries.filter((entry) => isReferencedEntry(entry, referenceText)).length;
+  const days = Math.round((maxAgeMs / 86400000) * 10) / 10;
+  return [
+    `Inputs in ${relativeDir}: ${entries.length} item(s), ${formatBytes(total)}.`,
+    `Still referenced by chat history or queued jobs: ${referenced}.`,
+    entries.length ? `Oldest: ${new Date(entries[0].mtimeMs).toISOString().slice(0, 10)}.` : "",
+    `Retention: ${days} day(s), ${formatBytes(maxBytes)} total; referenced files are kept.`,
+    "/inputs purge removes everything unreferenced; --all (admin) also removes files only this chat's history mentions.",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
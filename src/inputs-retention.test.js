@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, rm, symlink, utimes, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  formatInputsUsage,
+  isReferencedEntry,
+  isSafeInputsDir,
+  listInputEntries,
+  parseInputsCommand,
+  planInputsCleanup,
+  planInputsPurge,
+  removeInputEntries,
+} from "./inputs-retention.js";
+
+const DAY = 86400000;
+const NOW = Date.parse("2026-03-10T00:00:00Z");
+
+function entry(name, { ageDays, size }) {
+  return { name, absolute: `/repo/.codex-inputs/${name}`, size, mtimeMs: NOW - ageDays * DAY };
+}
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "inputs-retention-"));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("parseInputsCommand reads show and purge", () => {
+  assert.deepEqual(parseInputsCommand("/inputs"), { action: "show" });
+  assert.deepEqual(parseInputsCommand("/inputs purge"), { action: "purge", all: false });
+  assert.deepEqual(parseInputsCommand("/inputs purge --all"), { action: "purge", all: true });
+  assert.match(parseInputsCommand("/inputs wipe").error, /Unknown action: wipe/);
+  assert.match(parseInputsCommand("/inputs purge now").error, /Unexpected argument: now/);
+});
+
+test("isReferencedEntry matches whole paths and paths inside directories", () => {
+  const file = entry("a.log", { ageDays: 1, size: 1 });
+  const dir = entry("logs-extracted", { ageDays: 1, size: 1 });
+  assert.equal(isReferencedEntry(file, "[upload: /repo/.codex-inputs/a.log]"), true);
+  assert.equal(isReferencedEntry(file, "see /repo/.codex-inputs/a.log.bak"), false);
+  assert.equal(isReferencedEntry(dir, "/repo/.codex-inputs/logs-extracted/app/out.txt"), true);
+  assert.equal(isReferencedEntry(file, ""), false);
+});
+
+test("planInputsCleanup drops old files, then the oldest until under the size cap", () => {
+  const entries = [
+    entry("old.png", { ageDays: 30, size: 10 }),
+    entry("old-but-referenced.png", { ageDays: 40, size: 10 }),
+    entry("mid.log", { ageDays: 3, size: 60 }),
+    entry("new.log", { ageDays: 1, size: 50 }),
+  ];
+  const plan = planInputsCleanup(entries, {
+    now: NOW,
+    maxAgeMs: 7 * DAY,
+    maxBytes: 100,
+    referenceText: "[screenshot: /repo/.codex-inputs/old-but-referenced.png]",
+  });
+  assert.deepEqual(
+    plan.remove.map((item) => [item.name, item.reason]),
+    [
+      ["old.png", "age"],
+      ["mid.log", "size"],
+    ]
+  );
+  assert.deepEqual(plan.keep.map((item) => item.name), ["old-but-referenced.png", "new.log"]);
+  assert.equal(plan.keptBytes, 60);
+});
+
+test("planInputsCleanup never removes referenced files to meet the size cap", () => {
+  const plan = planInputsCleanup([entry("huge.zip", { ageDays: 1, size: 500 })], {
+    now: NOW,
+    maxAgeMs: 7 * DAY,
+    maxBytes: 100,
+    referenceText: "/repo/.codex-inputs/huge.zip",
+  });
+  assert.deepEqual(plan.remove, []);
+  assert.equal(plan.keptBytes, 500);
+});
+
+test("planInputsPurge keeps only referenced entries", () => {
+  const plan = planInputsPurge([entry("a.log", { ageDays: 0, size: 1 }), entry("b.log", { ageDays: 0, size: 2 })], {
+    referenceText: "/repo/.codex-inputs/b.log",
+  });
+  assert.deepEqual(plan.remove.map((item) => item.name), ["a.log"]);
+  assert.equal(plan.keptBytes, 2);
+});
+
+test("isSafeInputsDir only accepts a real directory strictly inside the repo", async () => {
+  await withTempDir(async (dir) => {
+    const repo = path.join(dir, "repo");
+    await mkdir(path.join(repo, ".codex-inputs"), { recursive: true });
+    await mkdir(path.join(dir, "elsewhere"));
+    await symlink(path.join(dir, "elsewhere"), path.join(repo, "linked"));
+    assert.equal(await isSafeInputsDir(repo, path.join(repo, ".codex-inputs")), true);
+    assert.equal(await isSafeInputsDir(repo, repo), false);
+    assert.equal(await isSafeInputsDir(repo, dir), false);
+    assert.equal(await isSafeInputsDir(repo, path.join(repo, "linked")), false);
+    assert.equal(await isSafeInputsDir(repo, path.join(repo, "missing")), false);
+  });
+});
+
+test("listInputEntries measures directories and removeInputEntries stays inside", async () => {
+  await withTempDir(async (dir) => {
+    const inputs = path.join(dir, ".codex-inputs");
+    await mkdir(path.join(inputs, "logs-extracted", "app"), { recursive: true });
+    await writeFile(path.join(inputs, "logs-extracted", "app", "out.txt"), "12345");
+    await writeFile(path.join(inputs, "shot.png"), "123");
+    const old = new Date(NOW - 10 * DAY);
+    await utimes(path.join(inputs, "shot.png"), old, old);
+
+    const entries = await listInputEntries(inputs);
+    assert.deepEqual(
+      entries.map((item) => [item.name, item.size]),
+      [
+        ["shot.png", 3],
+        ["logs-extracted", 5],
+      ]
+    );
+    await assert.rejects(
+      removeInputEntries(inputs, [{ absolute: path.join(dir, "outside.txt"), size: 0 }]),
+      /Refusing to remove/
+    );
+    assert.equal(await removeInputEntries(inputs, entries), 8);
+    assert.deepEqual(await readdir(inputs), []);
+    assert.deepEqual(await listInputEntries(path.join(dir, "missing")), []);
+  });
+});
+
+test("formatInputsUsage summarizes size, references and retention", () => {
+  const output = formatInputsUsage(".codex-inputs", [entry("a.log", { ageDays: 2, size: 2048 })], {
+    referenceText: "/repo/.codex-inputs/a.log",
+    maxAgeMs: 7 * DAY,
+    maxBytes: 500 * 1024 * 1024,
+  });
+  assert.match(output, /^Inputs in \.codex-inputs: 1 item\(s\), 2\.0 KB\./);
+  assert.match(output, /Still referenced by chat history or queued jobs: 1\./);
+  assert.match(output, /Oldest: 2026-03-08\./);
+  assert.match(output, /Retention: 7 day\(s\), 500\.0 MB total/);
+  assert.match(output, /--all \(admin\) also removes files only this chat's history mentions/);
+});
@@ -0,0 +1,144 @@
+import { createChatTarget, getSessionKey } from "./chat-context.js";
+
+const QUEUED_MESSAGE_FIELDS = [
+  "text",
+  "caption",
+  "photo",
+  "document",
+  "voice",
+  "audio",
+  "video",
+  "video_note",
+];
+
+export function createEmptyJobQueue() {
+  return { jobs: [] };
+}
+
+export function normalizeJobQueue(parsed) {
+  const jobs = Array.isArray(parsed?.jobs) ? parsed.jobs : [];
+  return {
+    jobs: jobs.filter((job) => job && typeof job === "object" && job.id && job.kind),
+  };
+}
+
+export function createJobId(now = Date.now()) {
+  return `job_${now.toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function snapshotMessage(msg) {
+  const snapshot = {};
+  for (const field of QUEUED_MESSAGE_FIELDS) {
+    if (msg?.[field] !== undefined) snapshot[field] = msg[field];
+  }
+  return snapshot;
+}
+
+export function enqueueJob(queue, job) {
+  const nextQueue = queue || createEmptyJobQueue();
+  nextQueue.jobs ||= [];
+  const entry = { startedAt: null, ...job };
+  nextQueue.jobs.push(entry);
+  // Numbered the way /queue and removePendingJob number them: pending jobs of
+  // the same chat, not the running job or other chats' jobs.
+  const position = getPendingJobs(nextQueue, getJobChatKey(entry)).indexOf(entry) + 1;
+  return { queue: nextQueue, job: entry, position };
+}
+
+export function getNextJob(queue) {
+  return queue?.jobs?.find((job) => !job.startedAt) || null;
+}
+
+export function markJobStarted(queue, jobId, startedAt = new Date().toISOString()) {
+  const job = queue.jobs.find((entry) => entry.id === jobId);
+  if (job) job.startedAt = startedAt;
+  return job || null;
+}
+
+export function completeJob(queue, jobId) {
+  queue.jobs = queue.jobs.filter((job) => job.id !== jobId);
+  return queue;
+}
+
+// Jobs that were already running when the bot stopped are not replayed:
+// re-running a half-finished commit/push could duplicate its side effects.
+export function takeInterruptedJobs(queue) {
+  const interrupted = queue.jobs.filter((job) => job.startedAt);
+  queue.jobs = queue.jobs.filter((job) => !job.startedAt);
+  return { queue, interrupted };
+}
+
+export function getJobChatKey(job) {
+  return getSessionKey(job.chatId, job.threadId);
+}
+
+export function getJobChat(job) {
+  return createChatTarget(job.chatId, job.threadId);
+}
+
+export function getPendingJobs(queue, chatKey = null) {
+  return (queue?.jobs || []).filter(
+    (job) => !job.startedAt && (chatKey === null || getJobChatKey(job) === chatKey)
+  );
+}
+
+export function removePendingJob(queue, selector, chatKey = null) {
+  const needle = String(selector || "").trim().toLowerCase();
+  const pending = getPendingJobs(queue, chatKey);
+  if (!needle || !pending.length) return { queue, removed: null };
+
+  const position = Number.parseInt(needle, 10);
+  const removed = /^\d+$/.test(needle)
+    ? pending[position - 1] || null
+    : pending.find((job) => job.id.toLowerCase() === needle) || null;
+
+  if (!removed) return { queue, removed: null };
+  queue.jobs = queue.jobs.filter((job) => job.id !== removed.id);
+  return { queue, removed };
+}
+
+export function describeJob(job) {
+  const repo = job.repo?.alias || "default";
+  if (job.kind === "confirmpush") {
+    return `push "${job.payload?.description || ""}" [${repo}]`;
+  }
+  if (job.kind === "pr") {
+    return `pr "${job.payload?.title || ""}" [${repo}]`;
+  }
+  if (job.kind === "restore") {
+    return `restore ${job.payload?.selector || "last checkpoint"} [${repo}]`;
+  }
+  if (job.kind === "test") {
+    return `test${job.payload?.args ? ` ${job.payload.args}` : ""} [${repo}]`;
+  }
+  if (job.kind === "patch") {
+    return `apply ${job.payload?.fileName || "patch"} [${repo}]`;
+  }
+  if (job.kind === "task") {
+    return `task ${job.payload?.action} ${job.payload?.taskId} [${repo}]`;
+  }
+  const text = String(job.payload?.message?.text || job.payload?.message?.caption || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const preview = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  if (job.payload?.scheduleId) return `scheduled ${job.payload.scheduleId} "${preview}" [${repo}]`;
+  return `prompt "${preview || "(attachment)"}" [${repo}]`;
+}
+
+export function formatInterruptedJobNotice(job) {
+  return `⚠️ The bot restarted while ${job.id} (${describeJob(job)}) was running. It was not re-run; check the repo state and resend if needed.`;
+}
+
+export function formatJobQueue(queue, chatKey = null) {
+  const jobs = queue?.jobs || [];
+  if (!jobs.length) return "Job queue is empty.";
+  const running = jobs.filter((job) => job.startedAt);
+  const pending = getPendingJobs(queue, chatKey);
+  const lines = running.map((job) => `RUNNING ${job.id} - ${describeJob(job)}`);
+  pending.forEach((job, index) => {
+    lines.push(`${index + 1}. ${job.id} - ${describeJob(job)}`);
+  });
+  const elsewhere = getPendingJobs(queue).length - pending.length;
+  if (elsewhere) lines.push(`${elsewhere} more pending job(s) from other chats.`);
+  return lines.join("\n");
+}
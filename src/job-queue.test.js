@@ -0,0 +1,175 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { withThread } from "./chat-context.js";
+import {
+  completeJob,
+  createEmptyJobQueue,
+  enqueueJob,
+  formatInterruptedJobNotice,
+  formatJobQueue,
+  getJobChat,
+  getJobChatKey,
+  getNextJob,
+  getPendingJobs,
+  markJobStarted,
+  normalizeJobQueue,
+  removePendingJob,
+  snapshotMessage,
+  takeInterruptedJobs,
+} from "./job-queue.js";
+
+function promptJob(id, chatId, text) {
+  return {
+    id,
+    kind: "prompt",
+    chatId,
+    repo: { alias: null, dir: "/repo/a", branch: "main", remote: "origin" },
+    payload: { message: { text } },
+  };
+}
+
+test("enqueueJob keeps FIFO order and reports position", () => {
+  let queue = createEmptyJobQueue();
+  let result = enqueueJob(queue, promptJob("job_a", 1, "first"));
+  queue = result.queue;
+  assert.equal(result.position, 1);
+  result = enqueueJob(queue, promptJob("job_b", 1, "second"));
+  assert.equal(result.position, 2);
+
+  assert.equal(getNextJob(queue).id, "job_a");
+  markJobStarted(queue, "job_a", "2026-03-20T00:00:00Z");
+  assert.equal(getNextJob(queue).id, "job_b");
+  completeJob(queue, "job_a");
+  assert.deepEqual(queue.jobs.map((job) => job.id), ["job_b"]);
+});
+
+test("enqueueJob numbers positions like /queue: pending jobs of the same chat", () => {
+  const queue = createEmptyJobQueue();
+  enqueueJob(queue, promptJob("job_a", 1, "running"));
+  markJobStarted(queue, "job_a");
+  assert.equal(enqueueJob(queue, promptJob("job_b", 2, "other chat")).position, 1);
+  const { job, position } = enqueueJob(queue, promptJob("job_c", 1, "mine"));
+  assert.equal(position, 1);
+  assert.equal(removePendingJob(queue, String(position), getJobChatKey(job)).removed.id, "job_c");
+  assert.equal(enqueueJob(queue, promptJob("job_d", 2, "other chat again")).position, 2);
+});
+
+test("removePendingJob removes by position or id but never running jobs", () => {
+  const queue = createEmptyJobQueue();
+  enqueueJob(queue, promptJob("job_a", 1, "running"));
+  enqueueJob(queue, promptJob("job_b", 1, "pending"));
+  enqueueJob(queue, promptJob("job_c", 2, "other chat"));
+  markJobStarted(queue, "job_a");
+
+  assert.equal(removePendingJob(queue, "job_a").removed, null);
+  assert.equal(removePendingJob(queue, "1", "2").removed.id, "job_c");
+  assert.equal(removePendingJob(queue, "JOB_B").removed.id, "job_b");
+  assert.equal(getPendingJobs(queue).length, 0);
+});
+
+test("getPendingJobs filters by chat and forum topic", () => {
+  const queue = createEmptyJobQueue();
+  enqueueJob(queue, promptJob("job_a", -100, "general"));
+  enqueueJob(queue, { ...promptJob("job_b", -100, "topic"), threadId: 7 });
+  assert.deepEqual(getPendingJobs(queue, "-100").map((job) => job.id), ["job_a"]);
+  assert.deepEqual(getPendingJobs(queue, "-100:7").map((job) => job.id), ["job_b"]);
+  assert.equal(getJobChatKey(queue.jobs[1]), "-100:7");
+});
+
+test("takeInterruptedJobs drops jobs that were running at shutdown", () => {
+  const queue = normalizeJobQueue({
+    jobs: [
+      { ...promptJob("job_a", 1, "half done"), startedAt: "2026-03-20T00:00:00Z" },
+      { ...promptJob("job_b", 1, "waiting"), startedAt: null },
+      { bogus: true },
+    ],
+  });
+  const { interrupted } = takeInterruptedJobs(queue);
+  assert.deepEqual(interrupted.map((job) => job.id), ["job_a"]);
+  assert.deepEqual(queue.jobs.map((job) => job.id), ["job_b"]);
+});
+
+test("getJobChat gives a send target for the restart notice", () => {
+  const job = { ...promptJob("job_a", -100, "half done"), threadId: 7, startedAt: "2026-03-20T00:00:00Z" };
+  const chat = getJobChat(job);
+  assert.deepEqual(chat, { chatId: -100, threadId: 7, key: "-100:7" });
+  assert.deepEqual(withThread(chat), { message_thread_id: 7 });
+  assert.deepEqual(getJobChat(promptJob("job_b", 5, "dm")), { chatId: 5, threadId: null, key: "5" });
+  assert.equal(
+    formatInterruptedJobNotice(job),
+    '⚠️ The bot restarted while job_a (prompt "half done" [default]) was running. It was not re-run; check the repo state and resend if needed.'
+  );
+});
+
+test("snapshotMessage keeps only fields needed to replay a prompt", () => {
+  const snapshot = snapshotMessage({
+    message_id: 7,
+    from: { id: 1 },
+    caption: "see screenshot",
+    photo: [{ file_id: "p1" }],
+  });
+  assert.deepEqual(snapshot, { caption: "see screenshot", photo: [{ file_id: "p1" }] });
+});
+
+test("formatJobQueue lists running and pending jobs", () => {
+  const queue = createEmptyJobQueue();
+  enqueueJob(queue, promptJob("job_a", 1, "fix the login spinner"));
+  enqueueJob(queue, {
+    id: "job_b",
+    kind: "confirmpush",
+    chatId: 1,
+    repo: { alias: "app" },
+    payload: { description: "ship it" },
+  });
+  enqueueJob(queue, {
+    id: "job_c",
+    kind: "restore",
+    chatId: 1,
+    repo: { alias: null },
+    payload: { selector: null },
+  });
+  enqueueJob(queue, {
+    id: "job_e",
+    kind: "test",
+    chatId: 1,
+    repo: { alias: "api" },
+    payload: { args: "--grep login" },
+  });
+  enqueueJob(queue, {
+    id: "job_f",
+    kind: "patch",
+    chatId: 1,
+    repo: { alias: "api" },
+    payload: { path: "/repo/.codex-inputs/fix.patch", fileName: "fix.patch" },
+  });
+  enqueueJob(queue, {
+    id: "job_h",
+    kind: "task",
+    chatId: 1,
+    repo: { alias: null },
+    payload: { action: "merge", taskId: "fix-login" },
+  });
+  enqueueJob(queue, {
+    id: "job_d",
+    kind: "prompt",
+    chatId: 1,
+    repo: { alias: "api" },
+    payload: { message: { text: "check CI" }, scheduleId: "s2" },
+  });
+  markJobStarted(queue, "job_a");
+
+  const output = formatJobQueue(queue);
+  assert.match(output, /^RUNNING job_a - prompt "fix the login spinner" \[default\]/);
+  assert.match(output, /1\. job_b - push "ship it" \[app\]/);
+  assert.match(output, /2\. job_c - restore last checkpoint \[default\]/);
+  assert.match(output, /3\. job_e - test --grep login \[api\]/);
+  assert.match(output, /4\. job_f - apply fix\.patch \[api\]/);
+  assert.match(output, /5\. job_h - task merge fix-login \[default\]/);
+  assert.match(output, /6\. job_d - scheduled s2 "check CI" \[api\]/);
+
+  enqueueJob(queue, promptJob("job_g", 2, "elsewhere"));
+  const scoped = formatJobQueue(queue, "2");
+  assert.match(scoped, /^RUNNING job_a/);
+  assert.match(scoped, /\n1\. job_g - prompt "elsewhere" \[default\]\n6 more pending job\(s\) from other chats\.$/);
+  assert.equal(formatJobQueue(createEmptyJobQueue()), "Job queue is empty.");
+});
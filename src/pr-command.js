@@ -0,0 +1,87 @@
+export const PR_USAGE =
+  "Use: /pr [--draft|--ready] [--reviewer a,b] [--label x,y] [--base branch] <title> [| optional body]";
+
+const LIST_FLAGS = {
+  "--reviewer": "reviewers",
+  "--reviewers": "reviewers",
+  "--label": "labels",
+  "--labels": "labels",
+};
+
+function splitList(value) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim().replace(/^@/, ""))
+    .filter(Boolean);
+}
+
+export function parsePrCommand(text) {
+  const withoutCommand = String(text || "").replace(/^\/pr(@\S+)?\s*/, "");
+  const separator = withoutCommand.indexOf("|");
+  const head = separator >= 0 ? withoutCommand.slice(0, separator) : withoutCommand;
+  const body = separator >= 0 ? withoutCommand.slice(separator + 1).trim() : "";
+  const result = { title: "", body, draft: null, reviewers: [], labels: [], base: null, error: null };
+
+  const titleWords = [];
+  const tokens = head.trim().split(/\s+/).filter(Boolean);
+  for (let i = 0; i < tokens.length; i += 1) {
+    const [flag, inlineValue] = tokens[i].split(/=(.*)/s, 2);
+    if (flag === "--draft" || flag === "--ready") {
+      const draft = flag === "--draft";
+      if (result.draft === !draft) {
+        result.error = "Use either --draft or --ready, not both.";
+        return result;
+      }
+      result.draft = draft;
+    } else if (LIST_FLAGS[flag] || flag === "--base") {
+      const value = inlineValue ?? tokens[i + 1];
+      if (inlineValue === undefined) i += 1;
+      if (!value || value.startsWith("--")) {
+        result.error = `${flag} needs a value.`;
+        return result;
+      }
+      if (flag === "--base") {
+        result.base = value;
+      } else {
+        result[LIST_FLAGS[flag]].push(...splitList(value));
+      }
+    } else if (flag.startsWith("--")) {
+      result.error = `Unknown option: ${flag}`;
+      return result;
+    } else {
+      titleWords.push(tokens[i]);
+    }
+  }
+
+  result.title = titleWords.join(" ");
+  if (!result.title) result.error = "A title is required.";
+  result.reviewers = [...new Set(result.reviewers)];
+  result.labels = [...new Set(result.labels)];
+  return result;
+}
+
+export function buildPrDescriptionPrompt({ title, base, head, log, diffStat, diff }) {
+  return `
+You are drafting the description for a pull request titled "${title}" that merges ${head} into ${base}.
+Do not modify any files or run commands that change the repo.
+
+Write the description in Markdown with these sections:
+## Summary
+One or two sentences on what the change does and why.
+## Changes
+Short bullets, grouped by area when that helps.
+## Testing
+What was tested, or "Not tested" if the commits don't say.
+
+Reply with the description only, no preamble.
+
+Commits (git log ${base}..${head}):
+${log || "(no commit messages)"}
+
+Diff stat:
+${diffStat || "(empty)"}
+
+Diff:
+${diff || "(empty)"}
+`.trim();
+}
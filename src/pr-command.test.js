@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildPrDescriptionPrompt, parsePrCommand } from "./pr-command.js";
+
+test("parsePrCommand keeps the legacy title | body form", () => {
+  assert.deepEqual(parsePrCommand("/pr Fix login spinner | Closes #12"), {
+    title: "Fix login spinner",
+    body: "Closes #12",
+    draft: null,
+    reviewers: [],
+    labels: [],
+    base: null,
+    error: null,
+  });
+});
+
+test("parsePrCommand reads draft, reviewers, labels and base flags", () => {
+  const parsed = parsePrCommand(
+    "/pr --draft --reviewer @alice,bob --label bug --labels=ui,bug --base=develop Tidy the x=y parser"
+  );
+  assert.equal(parsed.title, "Tidy the x=y parser");
+  assert.equal(parsed.body, "");
+  assert.equal(parsed.draft, true);
+  assert.deepEqual(parsed.reviewers, ["alice", "bob"]);
+  assert.deepEqual(parsed.labels, ["bug", "ui"]);
+  assert.equal(parsed.base, "develop");
+  assert.equal(parsePrCommand("/pr --ready Ship it").draft, false);
+});
+
+test("parsePrCommand reports bad input", () => {
+  assert.match(parsePrCommand("/pr --draft").error, /title/);
+  assert.match(parsePrCommand("/pr --base").error, /--base needs a value/);
+  assert.match(parsePrCommand("/pr --reviewer --draft Title").error, /--reviewer needs a value/);
+  assert.match(parsePrCommand("/pr --assignee me Title").error, /Unknown option/);
+  assert.match(parsePrCommand("/pr --draft --ready Title").error, /either --draft or --ready/);
+});
+
+test("buildPrDescriptionPrompt includes the log and diff", () => {
+  const prompt = buildPrDescriptionPrompt({
+    title: "Fix login",
+    base: "origin/main",
+    head: "codex/fix-login",
+    log: "- Fix spinner",
+    diffStat: "1 file changed",
+    diff: "+new",
+  });
+  assert.match(prompt, /merges codex\/fix-login into origin\/main/);
+  assert.match(prompt, /- Fix spinner/);
+  assert.match(prompt, /## Testing/);
+});
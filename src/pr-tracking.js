@@ -0,0 +1,138 @@
+export const MERGE_USAGE = "Use: /merge <number> [--squash|--rebase]";
+
+const CHECK_LABELS = {
+  success: "✅ checks passed",
+  failure: "❌ checks failed",
+  pending: "⏳ checks running",
+  none: "no checks",
+};
+
+const REVIEW_LABELS = {
+  approved: "approved",
+  changes_requested: "changes requested",
+  commented: "commented",
+  none: "no reviews",
+};
+
+export function createEmptyPrStore() {
+  return { repos: {} };
+}
+
+export function normalizePrStore(raw) {
+  const store = createEmptyPrStore();
+  if (!raw || typeof raw !== "object" || !raw.repos || typeof raw.repos !== "object") return store;
+  for (const [repoDir, entries] of Object.entries(raw.repos)) {
+    if (!entries || typeof entries !== "object") continue;
+    const kept = {};
+    for (const [number, entry] of Object.entries(entries)) {
+      if (!entry || typeof entry !== "object" || !Number.isInteger(entry.number) || !entry.repo?.dir) continue;
+      kept[number] = { lastStatus: null, checkedAt: null, ...entry };
+    }
+    if (Object.keys(kept).length) store.repos[repoDir] = kept;
+  }
+  return store;
+}
+
+export function trackPullRequest(store, repoDir, record) {
+  const entries = store.repos[repoDir] || (store.repos[repoDir] = {});
+  const existing = entries[record.number];
+  entries[record.number] = {
+    lastStatus: null,
+    checkedAt: null,
+    ...existing,
+    ...record,
+    openedAt: existing?.openedAt || record.openedAt,
+  };
+  return entries[record.number];
+}
+
+export function getTrackedPullRequests(store, repoDir) {
+  return Object.values(store.repos[repoDir] || {}).sort((a, b) => b.number - a.number);
+}
+
+export function findTrackedPullRequest(store, repoDir, number) {
+  return store.repos[repoDir]?.[number] || null;
+}
+
+export function isPullRequestOpen(entry) {
+  return !entry.lastStatus || entry.lastStatus.state === "open";
+}
+
+export function recordPullRequestStatus(entry, status, checkedAt) {
+  entry.lastStatus = status;
+  entry.checkedAt = checkedAt;
+}
+
+export function formatPullRequestStatus(status) {
+  if (!status) return "status not checked yet";
+  if (status.state !== "open") return status.state;
+  const parts = [CHECK_LABELS[status.checks.state], REVIEW_LABELS[status.review.decision]];
+  if (status.draft) parts.unshift("draft");
+  if (status.mergeable === false) parts.push("has conflicts");
+  return parts.join(" · ");
+}
+
+export function formatPullRequestList(entries) {
+  if (!entries.length) return "No pull requests opened through the bridge for this repo yet. Use /pr to open one.";
+  return entries
+    .map((entry) => {
+      const status = formatPullRequestStatus(entry.lastStatus);
+      return `#${entry.number} ${entry.title} (${entry.head} → ${entry.base})\n   ${status}\n   ${entry.url}`;
+    })
+    .join("\n");
+}
+
+// Compares two polls of the same PR and returns what's worth a notification.
+// The first poll only sets the baseline.
+export function describeStatusChanges(previous, next) {
+  if (!previous || !next) return [];
+  const changes = [];
+  if (previous.state === "open" && next.state !== "open") {
+    changes.push(next.state === "merged" ? "🔀 was merged" : "🚫 was closed");
+    return changes;
+  }
+  const checksChanged = next.checks.state !== previous.checks.state || next.headSha !== previous.headSha;
+  if (["success", "failure"].includes(next.checks.state) && checksChanged) {
+    changes.push(
+      next.checks.state === "success"
+        ? `✅ checks passed (${next.checks.total})`
+        : `❌ checks failed (${next.checks.failed} of ${next.checks.total})`
+    );
+  }
+  const verdict = ["approved", "changes_requested"].includes(next.review.decision);
+  if (verdict && next.review.decision !== previous.review.decision) {
+    changes.push(next.review.decision === "approved" ? "👍 approved" : "✋ changes requested");
+  } else if (next.review.count > previous.review.count) {
+    changes.push("💬 new review");
+  }
+  return changes;
+}
+
+// Returns why a PR can't be merged yet, or null when it can.
+// Repos without any checks configured are allowed through.
+export function getMergeBlocker(status) {
+  if (status.state !== "open") return `It is already ${status.state}.`;
+  if (status.draft) return "It is still a draft.";
+  if (status.checks.state === "pending") return `Checks are still running (${status.checks.pending} of ${status.checks.total}).`;
+  if (status.checks.state === "failure") return `Checks failed (${status.checks.failed} of ${status.checks.total}).`;
+  if (status.review.decision === "changes_requested") return "A reviewer requested changes.";
+  if (status.mergeable === false) return "It has merge conflicts.";
+  return null;
+}
+
+export function parseMergeCommand(text) {
+  const tokens = String(text || "").trim().split(/\s+/).slice(1);
+  const result = { number: null, strategy: "merge", error: null };
+  for (const token of tokens) {
+    if (token === "--squash" || token === "--rebase") {
+      result.strategy = token.slice(2);
+    } else if (/^#?\d+$/.test(token) && result.number === null) {
+      result.number = Number.parseInt(token.replace("#", ""), 10);
+    } else {
+      result.error = `Unexpected argument: ${token}`;
+      return result;
+    }
+  }
+  if (result.number === null) result.error = "A pull request number is required.";
+  return result;
+}
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createEmptyPrStore,
+  describeStatusChanges,
+  findTrackedPullRequest,
+  formatPullRequestList,
+  getMergeBlocker,
+  getTrackedPullRequests,
+  isPullRequestOpen,
+  normalizePrStore,
+  parseMergeCommand,
+  recordPullRequestStatus,
+  trackPullRequest,
+} from "./pr-tracking.js";
+
+function makeStatus(overrides = {}) {
+  return {
+    state: "open",
+    draft: false,
+    mergeable: true,
+    headSha: "abc",
+    review: { decision: "none", count: 0 },
+    checks: { state: "pending", total: 2, failed: 0, pending: 2 },
+    ...overrides,
+  };
+}
+
+function makeRecord(number, overrides = {}) {
+  return {
+    number,
+    title: `PR ${number}`,
+    url: `https://github.com/acme/app/pull/${number}`,
+    head: "codex/fix",
+    base: "main",
+    chatId: 1,
+    threadId: null,
+    repo: { alias: null, dir: "/repo", remote: "origin", provider: null, apiUrl: null },
+    openedAt: "2026-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+test("trackPullRequest stores PRs per repo and keeps status on update", () => {
+  const store = createEmptyPrStore();
+  const entry = trackPullRequest(store, "/repo", makeRecord(3));
+  recordPullRequestStatus(entry, makeStatus(), "2026-01-01T00:01:00.000Z");
+  trackPullRequest(store, "/repo", makeRecord(3, { title: "Renamed", openedAt: "2026-02-01T00:00:00.000Z" }));
+  trackPullRequest(store, "/repo", makeRecord(7));
+  trackPullRequest(store, "/other", makeRecord(1));
+
+  const updated = findTrackedPullRequest(store, "/repo", 3);
+  assert.equal(updated.title, "Renamed");
+  assert.equal(updated.openedAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(updated.lastStatus.checks.state, "pending");
+  assert.deepEqual(
+    getTrackedPullRequests(store, "/repo").map((pr) => pr.number),
+    [7, 3]
+  );
+  assert.equal(isPullRequestOpen(updated), true);
+  assert.equal(isPullRequestOpen({ lastStatus: makeStatus({ state: "merged" }) }), false);
+});
+
+test("normalizePrStore drops malformed entries", () => {
+  const store = normalizePrStore({
+    repos: { "/repo": { 3: makeRecord(3), x: { number: "x" } }, "/empty": { 1: null } },
+  });
+  assert.deepEqual(Object.keys(store.repos), ["/repo"]);
+  assert.equal(store.repos["/repo"][3].lastStatus, null);
+  assert.deepEqual(normalizePrStore(null), createEmptyPrStore());
+});
+
+test("formatPullRequestList shows review, checks and conflicts", () => {
+  const entry = makeRecord(4);
+  entry.lastStatus = makeStatus({
+    mergeable: false,
+    checks: { state: "failure", total: 3, failed: 1, pending: 0 },
+    review: { decision: "approved", count: 1 },
+  });
+  const text = formatPullRequestList([entry, makeRecord(2)]);
+  assert.match(text, /#4 PR 4 \(codex\/fix → main\)\n {3}❌ checks failed · approved · has conflicts/);
+  assert.match(text, /#2 PR 2[\s\S]*status not checked yet/);
+  assert.match(formatPullRequestList([]), /Use \/pr/);
+});
+
+test("describeStatusChanges reports finished checks, reviews and merges", () => {
+  const pending = makeStatus();
+  assert.deepEqual(describeStatusChanges(null, pending), []);
+  assert.deepEqual(describeStatusChanges(pending, pending), []);
+
+  const passed = makeStatus({ checks: { state: "success", total: 2, failed: 0, pending: 0 } });
+  assert.deepEqual(describeStatusChanges(pending, passed), ["✅ checks passed (2)"]);
+  assert.deepEqual(describeStatusChanges(passed, passed), []);
+  assert.deepEqual(
+    describeStatusChanges(passed, { ...passed, headSha: "def", checks: { state: "failure", total: 2, failed: 1, pending: 0 } }),
+    ["❌ checks failed (1 of 2)"]
+  );
+
+  const approved = { ...passed, review: { decision: "approved", count: 1 } };
+  assert.deepEqual(describeStatusChanges(passed, approved), ["👍 approved"]);
+  assert.deepEqual(
+    describeStatusChanges(approved, { ...approved, review: { decision: "approved", count: 2 } }),
+    ["💬 new review"]
+  );
+  assert.deepEqual(describeStatusChanges(approved, { ...approved, state: "merged" }), ["🔀 was merged"]);
+});
+
+test("getMergeBlocker requires passing checks and no requested changes", () => {
+  assert.match(getMergeBlocker(makeStatus()), /still running \(2 of 2\)/);
+  assert.match(getMergeBlocker(makeStatus({ draft: true })), /draft/);
+  assert.match(getMergeBlocker(makeStatus({ state: "closed" })), /already closed/);
+  const green = { checks: { state: "success", total: 1, failed: 0, pending: 0 } };
+  assert.match(getMergeBlocker(makeStatus({ ...green, review: { decision: "changes_requested", count: 1 } })), /requested changes/);
+  assert.match(getMergeBlocker(makeStatus({ ...green, mergeable: false })), /conflicts/);
+  assert.equal(getMergeBlocker(makeStatus(green)), null);
+  assert.equal(getMergeBlocker(makeStatus({ checks: { state: "none", total: 0, failed: 0, pending: 0 } })), null);
+});
+
+test("parseMergeCommand reads the number and strategy", () => {
+  assert.deepEqual(parseMergeCommand("/merge #12 --squash"), { number: 12, strategy: "squash", error: null });
+  assert.deepEqual(parseMergeCommand("/merge 3"), { number: 3, strategy: "merge", error: null });
+  assert.match(parseMergeCommand("/merge").error, /number is required/);
+  assert.match(parseMergeCommand("/merge 3 now").error, /Unexpected argument: now/);
+});
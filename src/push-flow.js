@@ -1,15 +1,31 @@
+import { randomBytes } from "crypto";
+
 export const REMOVE_KEYBOARD = { reply_markup: { remove_keyboard: true } };
+export const CLEAR_INLINE_KEYBOARD = { inline_keyboard: [] };
+
+export function createPushId() {
+  return randomBytes(4).toString("hex");
+}
 
-export function createConfirmPushReplyOptions() {
+export function createConfirmPushReplyOptions(pushId) {
   return {
     reply_markup: {
-      keyboard: [[{ text: "/confirmpush" }, { text: "/cancelpush" }]],
-      resize_keyboard: true,
-      one_time_keyboard: true,
+      inline_keyboard: [
+        [
+          { text: "✅ Confirm push", callback_data: `push:confirm:${pushId}` },
+          { text: "✖️ Cancel", callback_data: `push:cancel:${pushId}` },
+        ],
+      ],
     },
   };
 }
 
+export function parsePushCallbackData(data) {
+  const match = String(data || "").match(/^push:(confirm|cancel):([a-z0-9]+)$/);
+  if (!match) return null;
+  return { action: match[1], pushId: match[2] };
+}
+
 export function createPushShortcutReplyOptions() {
   return {
     reply_markup: {
@@ -20,19 +36,46 @@ export function createPushShortcutReplyOptions() {
   };
 }
 
-export function stagePendingPush(session, description, createdAt) {
-  session.pendingPush = { description, createdAt };
+export function stagePendingPush(session, description, createdAt, id = createPushId()) {
+  session.pendingPush = { id, description, createdAt };
   return session;
 }
 
+export function isPendingPushExpired(pendingPush, now, ttlMs) {
+  if (!pendingPush || !Number.isFinite(ttlMs)) return false;
+  const stagedAt = Date.parse(pendingPush.createdAt);
+  return !Number.isFinite(stagedAt) || now - stagedAt > ttlMs;
+}
+
+export function resolvePushCallback(pendingPush, pushId, now, ttlMs) {
+  if (!pendingPush) return "missing";
+  if (pendingPush.id !== pushId) return "superseded";
+  if (pendingPush.confirmedAt) return "confirmed";
+  if (isPendingPushExpired(pendingPush, now, ttlMs)) return "expired";
+  return "ok";
+}
+
+// A confirmed push whose queued job was dropped goes back to staged, so it
+// can be confirmed again. The push may be parked under another repo.
+export function releasePushConfirmation(session, pushId) {
+  const candidates = [session.pendingPush, ...Object.values(session.repoStates || {}).map((state) => state?.pendingPush)];
+  const pendingPush = candidates.find((entry) => entry?.id === pushId && entry.confirmedAt);
+  if (!pendingPush) return false;
+  delete pendingPush.confirmedAt;
+  return true;
+}
+
 export function clearPendingPush(session) {
   session.pendingPush = null;
   return session;
 }
 
-export function resolvePushRequest(text, pendingPush) {
-  const isConfirmPush = text === "/confirmpush";
-  const isPush = isConfirmPush && Boolean(pendingPush);
+export function resolvePushRequest(text, pendingPush, { now = Date.now(), ttlMs = Infinity } = {}) {
+  const force = text === "/confirmpush --force";
+  const isConfirmPush = text === "/confirmpush" || force;
+  const expiredPendingPush = isConfirmPush && isPendingPushExpired(pendingPush, now, ttlMs);
+  const alreadyConfirmed = isConfirmPush && Boolean(pendingPush?.confirmedAt);
+  const isPush = isConfirmPush && Boolean(pendingPush) && !expiredPendingPush && !alreadyConfirmed;
   const userText = isPush
     ? pendingPush.description
     : isConfirmPush
@@ -44,6 +87,9 @@ export function resolvePushRequest(text, pendingPush) {
     isPush,
     userText,
     missingPendingPush: isConfirmPush && !pendingPush,
+    expiredPendingPush,
+    alreadyConfirmed,
+    force,
   };
 }
 
@@ -5,14 +5,19 @@ import {
   clearPendingPush,
   createConfirmPushReplyOptions,
   getPostRunReplyOptions,
+  isPendingPushExpired,
+  parsePushCallbackData,
+  releasePushConfirmation,
+  resolvePushCallback,
   resolvePushRequest,
   stagePendingPush,
 } from "./push-flow.js";
 
 test("stagePendingPush and clearPendingPush manage pending state", () => {
   const session = { history: [], pendingPush: null };
-  stagePendingPush(session, "ship it", "2026-03-09T00:00:00.000Z");
+  stagePendingPush(session, "ship it", "2026-03-09T00:00:00.000Z", "abc123");
   assert.deepEqual(session.pendingPush, {
+    id: "abc123",
     description: "ship it",
     createdAt: "2026-03-09T00:00:00.000Z",
   });
@@ -27,6 +32,9 @@ test("resolvePushRequest handles no-op confirm push", () => {
     isPush: false,
     userText: "",
     missingPendingPush: true,
+    expiredPendingPush: false,
+    alreadyConfirmed: false,
+    force: false,
   });
 });
 
@@ -38,10 +46,46 @@ test("resolvePushRequest uses pending description for confirmed push", () => {
       isPush: true,
       userText: "deploy",
       missingPendingPush: false,
+      expiredPendingPush: false,
+      alreadyConfirmed: false,
+      force: false,
     }
   );
 });
 
+test("resolvePushRequest refuses an expired staged push", () => {
+  const pending = { id: "a1", description: "deploy", createdAt: "2026-03-09T00:00:00.000Z" };
+  const result = resolvePushRequest("/confirmpush", pending, {
+    now: Date.parse("2026-03-09T01:00:00.000Z"),
+    ttlMs: 15 * 60 * 1000,
+  });
+  assert.equal(result.isPush, false);
+  assert.equal(result.expiredPendingPush, true);
+  assert.equal(resolvePushRequest("/confirmpush", { ...pending, confirmedAt: "x" }).alreadyConfirmed, true);
+});
+
+test("resolvePushRequest accepts --force to push past red tests", () => {
+  const result = resolvePushRequest("/confirmpush --force", { description: "deploy", createdAt: "now" });
+  assert.equal(result.isPush, true);
+  assert.equal(result.force, true);
+  assert.equal(resolvePushRequest("/confirmpush --forced", null).isConfirmPush, false);
+});
+
+test("resolvePushCallback binds buttons to one staged push", () => {
+  const pending = { id: "a1", description: "deploy", createdAt: "2026-03-09T00:00:00.000Z" };
+  const staged = Date.parse(pending.createdAt);
+  const ttlMs = 60000;
+  assert.equal(resolvePushCallback(pending, "a1", staged + 1000, ttlMs), "ok");
+  assert.equal(resolvePushCallback(pending, "b2", staged + 1000, ttlMs), "superseded");
+  assert.equal(resolvePushCallback(pending, "a1", staged + ttlMs + 1, ttlMs), "expired");
+  assert.equal(resolvePushCallback(null, "a1", staged, ttlMs), "missing");
+  assert.equal(
+    resolvePushCallback({ ...pending, confirmedAt: pending.createdAt }, "a1", staged + 1000, ttlMs),
+    "confirmed"
+  );
+  assert.equal(isPendingPushExpired({ createdAt: "garbage" }, staged, ttlMs), true);
+});
+
 test("getPostRunReplyOptions shows or removes keyboard deterministically", () => {
   assert.deepEqual(getPostRunReplyOptions({ isPush: true, hasWork: false }), REMOVE_KEYBOARD);
   assert.deepEqual(getPostRunReplyOptions({ isPush: false, hasWork: false }), REMOVE_KEYBOARD);
@@ -54,12 +98,26 @@ test("getPostRunReplyOptions shows or removes keyboard deterministically", () =>
   });
 });
 
-test("createConfirmPushReplyOptions builds confirm keyboard", () => {
-  assert.deepEqual(createConfirmPushReplyOptions(), {
-    reply_markup: {
-      keyboard: [[{ text: "/confirmpush" }, { text: "/cancelpush" }]],
-      resize_keyboard: true,
-      one_time_keyboard: true,
-    },
-  });
+test("createConfirmPushReplyOptions builds inline buttons bound to the push id", () => {
+  const options = createConfirmPushReplyOptions("a1");
+  const [confirm, cancel] = options.reply_markup.inline_keyboard[0];
+  assert.equal(confirm.callback_data, "push:confirm:a1");
+  assert.deepEqual(parsePushCallbackData(cancel.callback_data), { action: "cancel", pushId: "a1" });
+  assert.equal(parsePushCallbackData("diff:k3x9:0"), null);
+});
+
+test("releasePushConfirmation lets a dropped push be confirmed again", () => {
+  const session = { pendingPush: null, repoStates: {} };
+  stagePendingPush(session, "ship it", "2026-03-09T00:00:00.000Z", "abc123");
+  session.pendingPush.confirmedAt = "2026-03-09T00:01:00.000Z";
+  assert.equal(resolvePushCallback(session.pendingPush, "abc123", Date.parse("2026-03-09T00:02:00.000Z"), Infinity), "confirmed");
+
+  assert.equal(releasePushConfirmation(session, "other"), false);
+  assert.equal(releasePushConfirmation(session, "abc123"), true);
+  assert.equal(resolvePushCallback(session.pendingPush, "abc123", Date.parse("2026-03-09T00:02:00.000Z"), Infinity), "ok");
+  assert.equal(resolvePushRequest("/confirmpush", session.pendingPush).isPush, true);
+
+  const parked = { pendingPush: null, repoStates: { app: { pendingPush: { id: "p2", confirmedAt: "x" } } } };
+  assert.equal(releasePushConfirmation(parked, "p2"), true);
+  assert.equal(parked.repoStates.app.pendingPush.confirmedAt, undefined);
 });
@@ -5,7 +5,10 @@ export function normalizeAliasName(name) {
 }
 
 export function formatAliasLine(name, def, isActive) {
-  return `${isActive ? "ACTIVE" : "IDLE"} ${name} -> ${def.dir} [branch: ${def.branch || "main"}, remote: ${def.remote || "origin"}]`;
+  const provider = def.provider ? `, provider: ${def.provider}${def.apiUrl ? ` @ ${def.apiUrl}` : ""}` : "";
+  const agent = def.agent ? `, agent: ${def.agent}` : "";
+  const tests = def.testCommand ? `, test: ${def.testCommand}` : "";
+  return `${isActive ? "ACTIVE" : "IDLE"} ${name} -> ${def.dir} [branch: ${def.branch || "main"}, remote: ${def.remote || "origin"}${provider}${agent}${tests}]`;
 }
 
 export function getAliasListMessage(defaultRepoDef, aliases, activeAlias) {
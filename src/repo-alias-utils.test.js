@@ -18,10 +18,13 @@ test("getAliasListMessage marks active repo", () => {
   const output = getAliasListMessage(
     { dir: "/repo/default", branch: "main", remote: "origin" },
     {
-      app: { dir: "/repo/app", branch: "develop", remote: "upstream" },
+      app: { dir: "/repo/app", branch: "develop", remote: "upstream", provider: "gitlab" },
+      cli: { dir: "/repo/cli", agent: "aider", testCommand: "npm test" },
     },
     "app"
   );
+  assert.match(output, /remote: upstream, provider: gitlab\]/);
+  assert.match(output, /IDLE cli -> \/repo\/cli \[branch: main, remote: origin, agent: aider, test: npm test\]/);
 
   assert.match(output, /IDLE default -> \/repo\/default/);
   assert.match(output, /ACTIVE app -> \/repo\/app/);
@@ -0,0 +1,162 @@
+import { realpath } from "fs/promises";
+import path from "path";
+import { splitCommandLine } from "./test-runner.js";
+
+export const LS_USAGE = "Use: /ls [dir]";
+export const CAT_USAGE = "Use: /cat <path> [start-end]";
+export const GREP_USAGE = "Use: /grep [-i] [-F] <pattern> [path]";
+export const LOG_USAGE = "Use: /log [n]";
+
+export const MAX_LS_ENTRIES = 200;
+export const MAX_GREP_LINES = 300;
+export const DEFAULT_LOG_COUNT = 10;
+export const MAX_LOG_COUNT = 100;
+export const TELEGRAM_UPLOAD_LIMIT_BYTES = 50 * 1024 * 1024;
+
+const HIDDEN_SEGMENTS = new Set([".git", ".git-codex"]);
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+function toDisplayPath(relative) {
+  return relative.split(path.sep).join("/") || ".";
+}
+
+// Resolves a user-supplied path inside the repo. Symlinks are followed and the
+// real target must still be inside the repo; git metadata is never exposed.
+export async function resolveRepoPath(rootDir, requested = ".") {
+  const realRoot = await realpath(rootDir);
+  const lexical = path.resolve(realRoot, String(requested || ".").trim() || ".");
+  if (!isInside(realRoot, lexical)) throw new Error("That path is outside the repo.");
+  let real;
+  try {
+    real = await realpath(lexical);
+  } catch (err) {
+    if (err?.code === "ENOENT" || err?.code === "ENOTDIR") {
+      throw new Error(`No such file or directory: ${toDisplayPath(path.relative(realRoot, lexical))}`);
+    }
+    throw err;
+  }
+  if (!isInside(realRoot, real)) throw new Error("That path points outside the repo.");
+  const relative = path.relative(realRoot, real);
+  if (relative.split(path.sep).some((segment) => HIDDEN_SEGMENTS.has(segment))) {
+    throw new Error("Git metadata can't be browsed.");
+  }
+  return { absolute: real, relative: toDisplayPath(relative) };
+}
+
+function commandArgs(text) {
+  return splitCommandLine(String(text || "").trim().replace(/^\/\w+(@\S+)?\s*/, ""));
+}
+
+export function parseLineRange(raw) {
+  const match = String(raw || "").match(/^(\d+)(?:([-:])(\d*))?$/);
+  if (!match) return null;
+  const start = Number.parseInt(match[1], 10);
+  const end = match[2] ? (match[3] ? Number.parseInt(match[3], 10) : Infinity) : start;
+  if (start < 1 || end < start) return null;
+  return { start, end };
+}
+
+export function parseCatCommand(text) {
+  let args;
+  try {
+    args = commandArgs(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!args.length || args.length > 2) return { error: "A file path is required." };
+  if (args.length === 1) return { path: args[0], range: null };
+  const range = parseLineRange(args[1]);
+  return range ? { path: args[0], range } : { error: `Invalid line range: ${args[1]}` };
+}
+
+export function parseGrepCommand(text) {
+  let args;
+  try {
+    args = commandArgs(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const result = { pattern: null, path: null, ignoreCase: false, fixed: false };
+  for (const arg of args) {
+    if (result.pattern === null && arg === "-i") {
+      result.ignoreCase = true;
+    } else if (result.pattern === null && arg === "-F") {
+      result.fixed = true;
+    } else if (result.pattern === null) {
+      result.pattern = arg;
+    } else if (result.path === null) {
+      result.path = arg;
+    } else {
+      return { error: `Unexpected argument: ${arg}` };
+    }
+  }
+  if (!result.pattern) return { error: "A search pattern is required." };
+  return result;
+}
+
+export function parseLogCommand(text) {
+  const [raw, extra] = String(text || "").trim().split(/\s+/).slice(1);
+  if (extra) return { error: `Unexpected argument: ${extra}` };
+  if (!raw) return { count: DEFAULT_LOG_COUNT };
+  if (!/^\d+$/.test(raw) || Number.parseInt(raw, 10) < 1) return { error: `Invalid count: ${raw}` };
+  return { count: Math.min(Number.parseInt(raw, 10), MAX_LOG_COUNT) };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// `entries` are { name, type: "dir"|"file"|"link"|"other", size }.
+export function formatDirectoryListing(relative, entries) {
+  const visible = entries
+    .filter((entry) => !HIDDEN_SEGMENTS.has(entry.name))
+    .sort((a, b) => Number(b.type === "dir") - Number(a.type === "dir") || a.name.localeCompare(b.name));
+  if (!visible.length) return `${relative}/ is empty.`;
+  const lines = visible.slice(0, MAX_LS_ENTRIES).map((entry) => {
+    if (entry.type === "dir") return `${entry.name}/`;
+    if (entry.type === "link") return `${entry.name}@`;
+    return `${entry.name}  ${formatSize(entry.size || 0)}`;
+  });
+  if (visible.length > MAX_LS_ENTRIES) lines.push(`… ${visible.length - MAX_LS_ENTRIES} more`);
+  return `${relative}/ (${visible.length})\n${lines.join("\n")}`;
+}
+
+export function isProbablyBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+export function sliceLines(content, range) {
+  const lines = String(content).split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  if (range.start > lines.length) {
+    throw new Error(`The file has only ${lines.length} lines.`);
+  }
+  const end = Math.min(range.end, lines.length);
+  const width = String(end).length;
+  return lines
+    .slice(range.start - 1, end)
+    .map((line, index) => `${String(range.start + index).padStart(width)}  ${line}`)
+    .join("\n");
+}
+
+export function buildGrepArgs({ pattern, path: searchPath, ignoreCase, fixed }) {
+  const args = ["--literal-pathspecs", "grep", "-n", "-I", "--no-color", "--untracked", fixed ? "-F" : "-E"];
+  if (ignoreCase) args.push("-i");
+  args.push("-e", pattern, "--");
+  if (searchPath && searchPath !== ".") args.push(searchPath);
+  return args;
+}
+
+export function formatGrepOutput(output, pattern) {
+  const lines = String(output || "").split("\n").filter(Boolean);
+  if (!lines.length) return `No matches for ${pattern}.`;
+  const shown = lines.slice(0, MAX_GREP_LINES);
+  if (lines.length > MAX_GREP_LINES) shown.push(`… ${lines.length - MAX_GREP_LINES} more matches; narrow the pattern or path.`);
+  return shown.join("\n");
+}
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, realpath, symlink, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  buildGrepArgs,
+  formatDirectoryListing,
+  formatGrepOutput,
+  isProbablyBinary,
+  parseCatCommand,
+  parseGrepCommand,
+  parseLineRange,
+  parseLogCommand,
+  resolveRepoPath,
+  sliceLines,
+} from "./repo-browse.js";
+
+async function createRepoFixture() {
+  const base = await mkdtemp(path.join(os.tmpdir(), "ctb-browse-"));
+  const repo = path.join(base, "repo");
+  await mkdir(path.join(repo, "src"), { recursive: true });
+  await mkdir(path.join(repo, ".git"));
+  await writeFile(path.join(repo, "src", "a.js"), "one\ntwo\nthree\n");
+  await writeFile(path.join(repo, ".git", "config"), "[remote]\n");
+  await writeFile(path.join(base, "secret.txt"), "outside");
+  await symlink(path.join(base, "secret.txt"), path.join(repo, "escape"));
+  await symlink(path.join(repo, "src", "a.js"), path.join(repo, "inside"));
+  return repo;
+}
+
+test("resolveRepoPath keeps paths, symlinks and git metadata confined", async () => {
+  const repo = await createRepoFixture();
+  assert.deepEqual(await resolveRepoPath(repo, "src/../src/a.js"), {
+    absolute: path.join(await realpath(repo), "src", "a.js"),
+    relative: "src/a.js",
+  });
+  assert.equal((await resolveRepoPath(repo, "")).relative, ".");
+  assert.equal((await resolveRepoPath(repo, "inside")).relative, "src/a.js");
+  await assert.rejects(resolveRepoPath(repo, "../secret.txt"), /outside the repo/);
+  await assert.rejects(resolveRepoPath(repo, "/etc/passwd"), /outside the repo/);
+  await assert.rejects(resolveRepoPath(repo, "escape"), /points outside the repo/);
+  await assert.rejects(resolveRepoPath(repo, ".git/config"), /Git metadata/);
+  await assert.rejects(resolveRepoPath(repo, "src/missing.js"), /No such file or directory: src\/missing\.js/);
+});
+
+test("command parsers read paths, ranges, flags and counts", () => {
+  assert.deepEqual(parseLineRange("10-40"), { start: 10, end: 40 });
+  assert.deepEqual(parseLineRange("7"), { start: 7, end: 7 });
+  assert.deepEqual(parseLineRange("5-"), { start: 5, end: Infinity });
+  assert.equal(parseLineRange("9-3"), null);
+
+  assert.deepEqual(parseCatCommand("/cat src/a.js 2-3"), { path: "src/a.js", range: { start: 2, end: 3 } });
+  assert.deepEqual(parseCatCommand('/cat "docs/my notes.md"'), { path: "docs/my notes.md", range: null });
+  assert.match(parseCatCommand("/cat").error, /path is required/);
+  assert.match(parseCatCommand("/cat a.js x").error, /Invalid line range/);
+
+  assert.deepEqual(parseGrepCommand('/grep -i "load config" src'), {
+    pattern: "load config",
+    path: "src",
+    ignoreCase: true,
+    fixed: false,
+  });
+  assert.match(parseGrepCommand("/grep").error, /pattern is required/);
+  assert.match(parseGrepCommand("/grep a b c").error, /Unexpected argument: c/);
+
+  assert.deepEqual(parseLogCommand("/log"), { count: 10 });
+  assert.deepEqual(parseLogCommand("/log 500"), { count: 100 });
+  assert.match(parseLogCommand("/log 0").error, /Invalid count/);
+});
+
+test("buildGrepArgs passes the pattern as data, never as an option", () => {
+  assert.deepEqual(buildGrepArgs({ pattern: "--exec=x", path: "src", ignoreCase: true, fixed: true }), [
+    "--literal-pathspecs", "grep", "-n", "-I", "--no-color", "--untracked", "-F", "-i", "-e", "--exec=x", "--", "src",
+  ]);
+  assert.deepEqual(buildGrepArgs({ pattern: "todo", path: "." }).slice(-3), ["-e", "todo", "--"]);
+});
+
+test("formatters list directories, number lines and cap grep output", () => {
+  assert.equal(
+    formatDirectoryListing("src", [
+      { name: "b.js", type: "file", size: 2048 },
+      { name: "lib", type: "dir" },
+      { name: ".git", type: "dir" },
+      { name: "a.js", type: "file", size: 12 },
+    ]),
+    "src/ (3)\nlib/\na.js  12 B\nb.js  2.0 KB"
+  );
+  assert.equal(sliceLines("one\ntwo\nthree\n", { start: 2, end: Infinity }), "2  two\n3  three");
+  assert.throws(() => sliceLines("one\n", { start: 4, end: 5 }), /only 1 lines/);
+  assert.equal(isProbablyBinary(Buffer.from([0x89, 0x50, 0x00])), true);
+  assert.equal(isProbablyBinary(Buffer.from("text")), false);
+  assert.equal(formatGrepOutput("", "x"), "No matches for x.");
+  const many = Array.from({ length: 305 }, (_, i) => `a.js:${i}:x`).join("\n");
+  assert.match(formatGrepOutput(many, "x"), /… 5 more matches/);
+});
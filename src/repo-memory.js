@@ -6,6 +6,11 @@ function tokenize(text) {
   );
 }
 
+export const MEMORY_STORE_VERSION = 2;
+// Scope key for memories that apply to every repo; repo scopes are absolute dirs.
+export const GLOBAL_MEMORY_SCOPE = "global";
+export const REMEMBER_USAGE = "Use: /remember [--global] [--pin] [#tag…] <fact>";
+
 function compareByRecency(a, b) {
   return String(b.updatedAt || b.createdAt || "").localeCompare(
     String(a.updatedAt || a.createdAt || "")
@@ -16,15 +21,100 @@ export function normalizeMemoryText(text) {
   return String(text || "").replace(/\s+/g, " ").trim();
 }
 
+export function normalizeTag(tag) {
+  return String(tag || "")
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "");
+}
+
+function normalizeTags(tags) {
+  return [...new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean))];
+}
+
+function normalizeEntry(entry) {
+  return { ...entry, tags: normalizeTags(entry.tags), pinned: Boolean(entry.pinned) };
+}
+
+function normalizeEntryList(entries) {
+  return Array.isArray(entries)
+    ? entries.filter((entry) => entry && typeof entry === "object" && entry.id && entry.text).map(normalizeEntry)
+    : [];
+}
+
 export function createEmptyMemoryStore() {
-  return { repos: {} };
+  return { version: MEMORY_STORE_VERSION, global: [], repos: {} };
+}
+
+// Version 1 was { repos: { dir: [entry] } } with untagged, unpinned entries.
+export function migrateMemoryStore(raw) {
+  const version = raw?.version ?? 1;
+  if (!Number.isInteger(version) || version > MEMORY_STORE_VERSION) {
+    throw new Error(`Unsupported repo memory store version: ${version}`);
+  }
+  const repos = {};
+  const rawRepos = raw?.repos && typeof raw.repos === "object" ? raw.repos : {};
+  for (const [dir, entries] of Object.entries(rawRepos)) {
+    const normalized = normalizeEntryList(entries);
+    if (normalized.length) repos[dir] = normalized;
+  }
+  return {
+    version: MEMORY_STORE_VERSION,
+    global: version >= 2 ? normalizeEntryList(raw.global) : [],
+    repos,
+  };
 }
 
 export function getRepoMemories(store, repoDir) {
-  const entries = store?.repos?.[repoDir];
+  const entries = repoDir === GLOBAL_MEMORY_SCOPE ? store?.global : store?.repos?.[repoDir];
   return Array.isArray(entries) ? entries : [];
 }
 
+function setScopeEntries(store, repoDir, entries) {
+  if (repoDir === GLOBAL_MEMORY_SCOPE) {
+    store.global = entries;
+    return;
+  }
+  store.repos ||= {};
+  if (entries.length) store.repos[repoDir] = entries;
+  else delete store.repos[repoDir];
+}
+
+// Repo memories plus global ones, the latter marked so prompts can say so.
+export function getMemoriesForRepo(store, repoDir) {
+  return [
+    ...getRepoMemories(store, repoDir),
+    ...getRepoMemories(store, GLOBAL_MEMORY_SCOPE).map((entry) => ({ ...entry, global: true })),
+  ];
+}
+
+export function parseRememberCommand(text) {
+  const words = String(text || "").trim().replace(/^\/remember(@\S+)?\s*/, "").split(/\s+/).filter(Boolean);
+  const request = { global: false, pinned: false, tags: [] };
+  while (words.length) {
+    const word = words[0];
+    if (word === "--global") request.global = true;
+    else if (word === "--pin") request.pinned = true;
+    else if (/^#[^#\s]+$/.test(word) && normalizeTag(word)) request.tags.push(normalizeTag(word));
+    else break;
+    words.shift();
+  }
+  const fact = normalizeMemoryText(words.join(" "));
+  if (!fact) return { error: "A fact to remember is required." };
+  return { ...request, tags: normalizeTags(request.tags), fact };
+}
+
+export function parseMemoriesCommand(text) {
+  const arg = String(text || "").trim().split(/\s+/)[1] || "";
+  if (!arg) return { tag: null };
+  const tag = normalizeTag(arg);
+  return arg.startsWith("#") && tag ? { tag } : { error: `Expected a #tag, got: ${arg}` };
+}
+
+export function filterMemoriesByTag(entries, tag) {
+  return tag ? entries.filter((entry) => entry.tags?.includes(tag)) : entries;
+}
+
 export function rememberRepoFact(store, repoDir, text, now = new Date().toISOString(), meta = {}) {
   const normalized = normalizeMemoryText(text);
   if (!normalized) {
@@ -32,7 +122,6 @@ export function rememberRepoFact(store, repoDir, text, now = new Date().toISOStr
   }
 
   const nextStore = store || createEmptyMemoryStore();
-  nextStore.repos ||= {};
   const entries = getRepoMemories(nextStore, repoDir).slice();
   const existing = entries.findIndex(
     (entry) => normalizeMemoryText(entry.text) === normalized
@@ -40,13 +129,16 @@ export function rememberRepoFact(store, repoDir, text, now = new Date().toISOStr
 
   if (existing >= 0) {
     const current = entries[existing];
+    // Saving a fact again adds tags and can pin it, but never unpins it.
     entries[existing] = {
       ...current,
       ...meta,
       text: normalized,
+      tags: normalizeTags([...(current.tags || []), ...(meta.tags || [])]),
+      pinned: Boolean(current.pinned || meta.pinned),
       updatedAt: now,
     };
-    nextStore.repos[repoDir] = entries.sort(compareByRecency);
+    setScopeEntries(nextStore, repoDir, entries.sort(compareByRecency));
     return { store: nextStore, entry: entries[existing], created: false };
   }
 
@@ -57,52 +149,71 @@ export function rememberRepoFact(store, repoDir, text, now = new Date().toISOStr
     updatedAt: now,
     source: meta.source || "manual",
     ...meta,
+    tags: normalizeTags(meta.tags),
+    pinned: Boolean(meta.pinned),
   };
   entries.push(entry);
-  nextStore.repos[repoDir] = entries.sort(compareByRecency);
+  setScopeEntries(nextStore, repoDir, entries.sort(compareByRecency));
   return { store: nextStore, entry, created: true };
 }
 
-export function forgetRepoFact(store, repoDir, selector) {
+function findMemory(entries, selector) {
   const needle = normalizeMemoryText(selector).toLowerCase();
-  const entries = getRepoMemories(store, repoDir);
-  if (!needle || !entries.length) return { store, removed: null };
-
-  const exactId = entries.find((entry) => entry.id.toLowerCase() === needle);
-  const removed = exactId
+  if (!needle) return null;
+  return entries.find((entry) => entry.id.toLowerCase() === needle)
     || entries.find((entry) => normalizeMemoryText(entry.text).toLowerCase() === needle)
-    || entries.find((entry) => normalizeMemoryText(entry.text).toLowerCase().includes(needle));
+    || entries.find((entry) => normalizeMemoryText(entry.text).toLowerCase().includes(needle))
+    || null;
+}
 
+export function forgetRepoFact(store, repoDir, selector) {
+  const entries = getRepoMemories(store, repoDir);
+  const removed = findMemory(entries, selector);
   if (!removed) return { store, removed: null };
 
   const nextStore = store || createEmptyMemoryStore();
-  nextStore.repos ||= {};
-  nextStore.repos[repoDir] = entries.filter((entry) => entry.id !== removed.id);
-  if (!nextStore.repos[repoDir].length) {
-    delete nextStore.repos[repoDir];
-  }
+  setScopeEntries(nextStore, repoDir, entries.filter((entry) => entry.id !== removed.id));
   return { store: nextStore, removed };
 }
 
+export function setMemoryPinned(store, repoDir, selector, pinned, now = new Date().toISOString()) {
+  const entries = getRepoMemories(store, repoDir).slice();
+  const found = findMemory(entries, selector);
+  if (!found) return { store, entry: null };
+
+  const entry = { ...found, pinned: Boolean(pinned), updatedAt: now };
+  entries[entries.indexOf(found)] = entry;
+  setScopeEntries(store, repoDir, entries.sort(compareByRecency));
+  return { store, entry };
+}
+
+function formatTags(entry) {
+  return entry.tags?.length ? ` ${entry.tags.map((tag) => `#${tag}`).join(" ")}` : "";
+}
+
 export function formatRepoMemories(entries) {
   if (!entries.length) return "No saved repo memories.";
   return entries
     .map((entry, index) => {
       const source = entry.source && entry.source !== "manual" ? ` [${entry.source}]` : "";
-      return `${index + 1}. ${entry.id}${source} - ${entry.text}`;
+      return `${index + 1}. ${entry.id}${source}${entry.pinned ? " 📌" : ""} - ${entry.text}${formatTags(entry)}`;
     })
     .join("\n");
 }
 
+// Pinned entries always go in; the rest are picked by word overlap with the
+// request and recent history, falling back to the newest few.
 export function buildMemoryPromptSection(entries, queryText, options = {}) {
-  const repoEntries = Array.isArray(entries) ? entries : [];
-  if (!repoEntries.length) return "No saved long-term memory.";
+  const allEntries = Array.isArray(entries) ? entries : [];
+  if (!allEntries.length) return "No saved long-term memory.";
 
+  const pinned = allEntries.filter((entry) => entry.pinned).sort(compareByRecency);
+  const repoEntries = allEntries.filter((entry) => !entry.pinned);
   const combinedText = `${queryText || ""}\n${options.historyText || ""}`;
   const queryTokens = tokenize(combinedText);
 
   const scored = repoEntries.map((entry) => {
-    const entryTokens = tokenize(entry.text);
+    const entryTokens = tokenize(`${entry.text} ${(entry.tags || []).join(" ")}`);
     let score = 0;
     for (const token of entryTokens) {
       if (queryTokens.has(token)) score += 1;
@@ -121,7 +232,10 @@ export function buildMemoryPromptSection(entries, queryText, options = {}) {
     ? topRelevant.map((item) => item.entry)
     : repoEntries.slice().sort(compareByRecency).slice(0, options.fallbackLimit || 3);
 
-  return selected
-    .map((entry, index) => `- [${index + 1}] ${entry.text}`)
+  return [...pinned, ...selected]
+    .map((entry, index) => {
+      const labels = [entry.pinned ? "pinned" : "", entry.global ? "all repos" : ""].filter(Boolean);
+      return `- [${index + 1}] ${entry.text}${formatTags(entry)}${labels.length ? ` (${labels.join(", ")})` : ""}`;
+    })
     .join("\n");
 }
@@ -1,13 +1,21 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import {
+  GLOBAL_MEMORY_SCOPE,
+  MEMORY_STORE_VERSION,
   buildMemoryPromptSection,
   createEmptyMemoryStore,
+  filterMemoriesByTag,
   forgetRepoFact,
   formatRepoMemories,
+  getMemoriesForRepo,
   getRepoMemories,
+  migrateMemoryStore,
   normalizeMemoryText,
+  parseMemoriesCommand,
+  parseRememberCommand,
   rememberRepoFact,
+  setMemoryPinned,
 } from "./repo-memory.js";
 
 test("rememberRepoFact stores repo-scoped memories", () => {
@@ -79,3 +87,96 @@ test("formatRepoMemories and normalizeMemoryText behave predictably", () => {
   assert.match(formatted, /^1\. mem_/);
   assert.match(formatted, /Keep lint green\./);
 });
+
+test("migrateMemoryStore upgrades the version 1 shape", () => {
+  const migrated = migrateMemoryStore({
+    repos: {
+      "/repo/a": [{ id: "mem_1", text: "Use pnpm.", createdAt: "2026-01-01T00:00:00Z", source: "manual" }],
+      "/repo/empty": [],
+      "/repo/bad": "nope",
+    },
+  });
+  assert.equal(migrated.version, MEMORY_STORE_VERSION);
+  assert.deepEqual(migrated.global, []);
+  assert.deepEqual(Object.keys(migrated.repos), ["/repo/a"]);
+  assert.deepEqual(migrated.repos["/repo/a"][0], {
+    id: "mem_1",
+    text: "Use pnpm.",
+    createdAt: "2026-01-01T00:00:00Z",
+    source: "manual",
+    tags: [],
+    pinned: false,
+  });
+  assert.deepEqual(migrateMemoryStore({}), createEmptyMemoryStore());
+  assert.equal(migrateMemoryStore(migrated).repos["/repo/a"][0].text, "Use pnpm.");
+  assert.throws(() => migrateMemoryStore({ version: 99 }), /Unsupported repo memory store version: 99/);
+});
+
+test("parseRememberCommand reads leading flags and tags", () => {
+  assert.deepEqual(parseRememberCommand("/remember --pin #CI #ci #deploy Run make check first"), {
+    global: false,
+    pinned: true,
+    tags: ["ci", "deploy"],
+    fact: "Run make check first",
+  });
+  assert.deepEqual(parseRememberCommand("/remember --global Reply in British English, keep #hashtags"), {
+    global: true,
+    pinned: false,
+    tags: [],
+    fact: "Reply in British English, keep #hashtags",
+  });
+  assert.match(parseRememberCommand("/remember #ci").error, /fact to remember is required/);
+  assert.deepEqual(parseMemoriesCommand("/memories #CI"), { tag: "ci" });
+  assert.deepEqual(parseMemoriesCommand("/memories"), { tag: null });
+  assert.match(parseMemoriesCommand("/memories ci").error, /Expected a #tag/);
+});
+
+test("global memories apply to every repo and tags filter them", () => {
+  let store = createEmptyMemoryStore();
+  ({ store } = rememberRepoFact(store, GLOBAL_MEMORY_SCOPE, "Answer tersely.", "2026-03-17T12:00:00Z", { tags: ["style"] }));
+  ({ store } = rememberRepoFact(store, "/repo/a", "Deploys go through make ship.", "2026-03-17T12:01:00Z", { tags: ["deploy"] }));
+  ({ store } = rememberRepoFact(store, "/repo/a", "Deploys go through make ship.", "2026-03-17T12:02:00Z", { tags: ["ci"], pinned: true }));
+
+  const entries = getMemoriesForRepo(store, "/repo/a");
+  assert.deepEqual(entries.map((entry) => [entry.text, Boolean(entry.global)]), [
+    ["Deploys go through make ship.", false],
+    ["Answer tersely.", true],
+  ]);
+  assert.deepEqual(entries[0].tags, ["deploy", "ci"]);
+  assert.equal(entries[0].pinned, true);
+  assert.deepEqual(getMemoriesForRepo(store, "/repo/b").map((entry) => entry.text), ["Answer tersely."]);
+  assert.deepEqual(filterMemoriesByTag(entries, "style").map((entry) => entry.text), ["Answer tersely."]);
+  assert.match(formatRepoMemories(entries), /^1\. mem_\S+ 📌 - Deploys go through make ship\. #deploy #ci$/m);
+
+  const result = forgetRepoFact(store, GLOBAL_MEMORY_SCOPE, "tersely");
+  assert.equal(result.removed.text, "Answer tersely.");
+  assert.deepEqual(getRepoMemories(result.store, GLOBAL_MEMORY_SCOPE), []);
+});
+
+test("pinned memories are always in the prompt and setMemoryPinned toggles them", () => {
+  let store = createEmptyMemoryStore();
+  ({ store } = rememberRepoFact(store, "/repo/a", "Never touch the vendored SDK.", "2026-03-17T12:00:00Z"));
+  for (let index = 0; index < 6; index += 1) {
+    ({ store } = rememberRepoFact(store, "/repo/a", `Login note ${index} about the login form.`, `2026-03-17T12:0${index + 1}:00Z`));
+  }
+  const unpinned = buildMemoryPromptSection(getMemoriesForRepo(store, "/repo/a"), "fix the login form");
+  assert.doesNotMatch(unpinned, /vendored SDK/);
+
+  let result = setMemoryPinned(store, "/repo/a", "vendored", true, "2026-03-18T00:00:00Z");
+  assert.equal(result.entry.pinned, true);
+  const pinned = buildMemoryPromptSection(getMemoriesForRepo(result.store, "/repo/a"), "fix the login form");
+  assert.match(pinned, /^- \[1\] Never touch the vendored SDK\. \(pinned\)$/m);
+  assert.equal(pinned.split("\n").length, 6);
+
+  result = setMemoryPinned(result.store, "/repo/a", result.entry.id, false);
+  assert.equal(result.entry.pinned, false);
+  assert.equal(setMemoryPinned(result.store, "/repo/a", "missing", true).entry, null);
+});
+
+test("buildMemoryPromptSection labels global memories and matches tags", () => {
+  let store = createEmptyMemoryStore();
+  ({ store } = rememberRepoFact(store, GLOBAL_MEMORY_SCOPE, "Use metric units.", "2026-03-17T12:00:00Z", { tags: ["units"] }));
+  ({ store } = rememberRepoFact(store, "/repo/a", "Staging lives at staging.example.com.", "2026-03-17T12:01:00Z", { source: "auto" }));
+  const section = buildMemoryPromptSection(getMemoriesForRepo(store, "/repo/a"), "convert the units in the chart");
+  assert.equal(section, "- [1] Use metric units. #units (all repos)");
+});
@@ -0,0 +1,117 @@
+import path from "path";
+import { formatCommandPreview } from "./codex-events.js";
+
+const MAX_REPORT_FILES = 15;
+const MAX_REPORT_COMMANDS = 10;
+
+// Parses `git status --porcelain -z` into path -> two-letter status code.
+// Renames and copies carry the old path as an extra NUL-separated field.
+export function parsePorcelainStatus(output) {
+  const entries = new Map();
+  const fields = String(output || "").split("\0");
+  for (let i = 0; i < fields.length; i += 1) {
+    const field = fields[i];
+    if (field.length < 4) continue;
+    const code = field.slice(0, 2);
+    entries.set(field.slice(3), code);
+    if (code[0] === "R" || code[0] === "C") i += 1;
+  }
+  return entries;
+}
+
+export function toRepoRelativePath(filePath, repoDir) {
+  const raw = String(filePath || "");
+  const relative = path.isAbsolute(raw) ? path.relative(repoDir, raw) : raw;
+  return relative.split(path.sep).join("/").replace(/^\.\//, "");
+}
+
+// Files Codex reported are checked against what git actually saw change:
+// new or different `git status` entries, plus files in commits made during the run.
+// Files under `ignoredDirs` (the bridge's inputs and outbox) are left out.
+export function buildRunReport({
+  state,
+  repoDir,
+  statusBefore = "",
+  statusAfter = "",
+  committedFiles = [],
+  ignoredDirs = [],
+}) {
+  const before = parsePorcelainStatus(statusBefore);
+  const after = parsePorcelainStatus(statusAfter);
+  const gitChanged = new Set(committedFiles);
+  for (const [file, code] of after) {
+    if (before.get(file) !== code) gitChanged.add(file);
+  }
+
+  const files = new Map();
+  const isIgnored = (file) => ignoredDirs.some((dir) => file === dir || file.startsWith(`${dir}/`));
+  for (const change of state?.fileChanges || []) {
+    const file = toRepoRelativePath(change.path, repoDir);
+    if (isIgnored(file)) continue;
+    const seen = gitChanged.has(file) || after.has(file);
+    files.set(file, { path: file, kind: change.kind || "update", source: seen ? "both" : "agent" });
+  }
+  for (const file of gitChanged) {
+    if (!files.has(file)) files.set(file, { path: file, kind: null, source: "git" });
+  }
+
+  const usage = state?.usage
+    ? {
+        input: state.usage.input_tokens ?? null,
+        cachedInput: state.usage.cached_input_tokens ?? null,
+        output: state.usage.output_tokens ?? null,
+      }
+    : null;
+
+  return {
+    files: [...files.values()],
+    commands: (state?.commands || []).map((entry) => ({
+      command: formatCommandPreview(entry.command),
+      exitCode: entry.exitCode,
+    })),
+    usage,
+  };
+}
+
+function formatCount(value) {
+  return Number(value || 0).toLocaleString("en-US");
+}
+
+function formatFileLine(file) {
+  if (file.source === "git") return `• ${file.path} (not reported by the agent)`;
+  const note = file.source === "agent" ? " ⚠️ not seen by git" : "";
+  return `• ${file.path} (${file.kind})${note}`;
+}
+
+function formatCommandLine(entry) {
+  if (entry.exitCode === null || entry.exitCode === undefined) return `• ⏳ ${entry.command}`;
+  return entry.exitCode === 0 ? `• ✅ ${entry.command}` : `• ❌ exit ${entry.exitCode}: ${entry.command}`;
+}
+
+function formatLimited(items, limit, formatItem) {
+  const lines = items.slice(0, limit).map(formatItem);
+  if (items.length > limit) lines.push(`• … ${items.length - limit} more`);
+  return lines;
+}
+
+export function formatRunReport(report) {
+  const lines = ["── Run report ──"];
+  lines.push(report.files.length ? `Files (${report.files.length}):` : "Files: none changed");
+  lines.push(...formatLimited(report.files, MAX_REPORT_FILES, formatFileLine));
+
+  if (report.commands.length) {
+    const failed = report.commands.filter((entry) => entry.exitCode && entry.exitCode !== 0).length;
+    lines.push(`Commands (${report.commands.length}${failed ? `, ${failed} failed` : ""}):`);
+    lines.push(...formatLimited(report.commands, MAX_REPORT_COMMANDS, formatCommandLine));
+  } else {
+    lines.push("Commands: none reported");
+  }
+
+  if (report.usage) {
+    const cached = report.usage.cachedInput ? ` (${formatCount(report.usage.cachedInput)} cached)` : "";
+    lines.push(`Tokens: ${formatCount(report.usage.input)} in${cached} · ${formatCount(report.usage.output)} out`);
+  } else {
+    lines.push("Tokens: not reported");
+  }
+  return lines.join("\n");
+}
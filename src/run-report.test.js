@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildRunReport, formatRunReport, parsePorcelainStatus, toRepoRelativePath } from "./run-report.js";
+
+test("parsePorcelainStatus reads -z output including renames", () => {
+  const entries = parsePorcelainStatus(" M src/a.js\0R  new name.js\0old name.js\0?? notes.md\0");
+  assert.deepEqual([...entries], [
+    ["src/a.js", " M"],
+    ["new name.js", "R "],
+    ["notes.md", "??"],
+  ]);
+  assert.equal(parsePorcelainStatus("").size, 0);
+});
+
+test("toRepoRelativePath handles absolute Codex paths", () => {
+  assert.equal(toRepoRelativePath("/repo/src/a.js", "/repo"), "src/a.js");
+  assert.equal(toRepoRelativePath("./src/a.js", "/repo"), "src/a.js");
+});
+
+test("buildRunReport cross-checks reported files with git status and commits", () => {
+  const report = buildRunReport({
+    repoDir: "/repo",
+    state: {
+      fileChanges: [
+        { path: "/repo/src/a.js", kind: "update" },
+        { path: "src/gone.js", kind: "add" },
+        { path: "src/a.js", kind: "update" },
+      ],
+      commands: [
+        { command: "bash -lc 'npm test'", exitCode: 1 },
+        { command: ["rg", "todo"], exitCode: 0 },
+      ],
+      usage: { input_tokens: 12000, cached_input_tokens: 9000, output_tokens: 640 },
+    },
+    statusBefore: " M src/dirty.js\0",
+    statusAfter: " M src/dirty.js\0 M src/a.js\0?? src/extra.js\0",
+    committedFiles: ["src/committed.js"],
+  });
+  assert.deepEqual(report.files, [
+    { path: "src/a.js", kind: "update", source: "both" },
+    { path: "src/gone.js", kind: "add", source: "agent" },
+    { path: "src/committed.js", kind: null, source: "git" },
+    { path: "src/extra.js", kind: null, source: "git" },
+  ]);
+  assert.deepEqual(report.commands, [
+    { command: "npm test", exitCode: 1 },
+    { command: "rg todo", exitCode: 0 },
+  ]);
+  assert.deepEqual(report.usage, { input: 12000, cachedInput: 9000, output: 640 });
+
+  const text = formatRunReport(report);
+  assert.match(text, /Files \(4\):\n• src\/a\.js \(update\)\n• src\/gone\.js \(add\) ⚠️ not seen by git/);
+  assert.match(text, /• src\/extra\.js \(not reported by the agent\)/);
+  assert.match(text, /Commands \(2, 1 failed\):\n• ❌ exit 1: npm test\n• ✅ rg todo/);
+  assert.match(text, /Tokens: 12,000 in \(9,000 cached\) · 640 out/);
+});
+
+test("buildRunReport leaves out the bridge's own directories", () => {
+  const report = buildRunReport({
+    repoDir: "/repo",
+    state: {
+      fileChanges: [
+        { path: "/repo/.codex-outbox/chart.png", kind: "add" },
+        { path: "src/a.js", kind: "update" },
+      ],
+    },
+    statusAfter: " M src/a.js\0",
+    ignoredDirs: [".codex-outbox", ".codex-inputs"],
+  });
+  assert.deepEqual(report.files, [{ path: "src/a.js", kind: "update", source: "both" }]);
+});
+
+test("formatRunReport keeps the same shape when nothing was reported", () => {
+  const text = formatRunReport(buildRunReport({ repoDir: "/repo", state: null }));
+  assert.equal(text, "── Run report ──\nFiles: none changed\nCommands: none reported\nTokens: not reported");
+});
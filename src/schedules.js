@@ -0,0 +1,115 @@
+import { getNextCronTime, parseCron } from "./cron.js";
+
+export const SCHEDULE_USAGE =
+  "Use: /schedule add <cron> <prompt>, /schedule list, /schedule remove <id>\nCron: minute hour day month weekday (e.g. 0 9 * * mon-fri) or @hourly, @daily, @weekly, @monthly, @weekdays.";
+export const MAX_SCHEDULES_PER_CHAT = 20;
+
+export function createEmptyScheduleStore() {
+  return { nextId: 1, schedules: {} };
+}
+
+export function normalizeScheduleStore(raw, now = new Date()) {
+  const store = createEmptyScheduleStore();
+  if (!raw || typeof raw !== "object" || !raw.schedules || typeof raw.schedules !== "object") return store;
+  for (const [id, entry] of Object.entries(raw.schedules)) {
+    if (!entry || typeof entry !== "object" || !entry.chatKey || !entry.cron || !entry.prompt) continue;
+    let cron;
+    try {
+      cron = parseCron(entry.cron);
+    } catch {
+      continue;
+    }
+    const nextRunAt = Number.isNaN(Date.parse(entry.nextRunAt))
+      ? getNextCronTime(cron, now).toISOString()
+      : entry.nextRunAt;
+    store.schedules[id] = { lastRunAt: null, alias: null, taskId: null, ...entry, id, nextRunAt };
+  }
+  const highest = Object.keys(store.schedules)
+    .map((id) => Number.parseInt(id.replace(/^s/, ""), 10))
+    .filter(Number.isFinite);
+  store.nextId = Math.max(Number.isInteger(raw.nextId) ? raw.nextId : 1, ...highest.map((n) => n + 1));
+  return store;
+}
+
+// `/schedule add` takes either one @macro or five cron fields, then the prompt.
+export function parseScheduleCommand(text) {
+  const rest = String(text || "").trim().replace(/^\/schedule(@\S+)?\s*/i, "");
+  const tokens = rest ? rest.split(/\s+/) : [];
+  const action = (tokens[0] || "list").toLowerCase();
+  if (action === "list") return { action };
+  if (action === "remove" || action === "rm") {
+    return tokens[1] ? { action: "remove", id: tokens[1].toLowerCase() } : { action, error: "A schedule id is required." };
+  }
+  if (action !== "add") return { action, error: `Unknown action: ${tokens[0]}` };
+
+  const cronLength = tokens[1]?.startsWith("@") ? 1 : 5;
+  const cronExpression = tokens.slice(1, 1 + cronLength).join(" ");
+  if (tokens.length < 1 + cronLength) return { action, error: "A cron expression is required." };
+  const prompt = rest.replace(new RegExp(`^(\\S+\\s*){${1 + cronLength}}`), "").trim();
+  try {
+    parseCron(cronExpression);
+  } catch (err) {
+    return { action, error: err.message };
+  }
+  if (!prompt) return { action, error: "A prompt is required after the cron expression." };
+  return { action, cron: cronExpression, prompt };
+}
+
+export function getChatSchedules(store, chatKey) {
+  return Object.values(store.schedules)
+    .filter((entry) => entry.chatKey === chatKey)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function addSchedule(store, { chatId, threadId, chatKey, alias, cron, prompt, createdBy }, now = new Date()) {
+  if (getChatSchedules(store, chatKey).length >= MAX_SCHEDULES_PER_CHAT) {
+    throw new Error(`This chat already has ${MAX_SCHEDULES_PER_CHAT} schedules. Remove one first.`);
+  }
+  const id = `s${store.nextId}`;
+  store.nextId += 1;
+  store.schedules[id] = {
+    id,
+    chatId,
+    threadId,
+    chatKey,
+    alias: alias || null,
+    cron,
+    prompt,
+    createdBy,
+    createdAt: now.toISOString(),
+    nextRunAt: getNextCronTime(parseCron(cron), now).toISOString(),
+    lastRunAt: null,
+    // Task worktree the schedule's write-capable runs reuse, once created.
+    taskId: null,
+  };
+  return store.schedules[id];
+}
+
+export function removeSchedule(store, chatKey, id) {
+  const entry = store.schedules[id];
+  if (!entry || entry.chatKey !== chatKey) return null;
+  delete store.schedules[id];
+  return entry;
+}
+
+export function getDueSchedules(store, now = new Date()) {
+  return Object.values(store.schedules).filter((entry) => new Date(entry.nextRunAt) <= now);
+}
+
+// Missed runs (e.g. while the bot was down) collapse into the one firing now.
+export function advanceSchedule(entry, now = new Date()) {
+  entry.lastRunAt = now.toISOString();
+  entry.nextRunAt = getNextCronTime(parseCron(entry.cron), now).toISOString();
+  return entry;
+}
+
+export function formatScheduleList(entries) {
+  if (!entries.length) return "No schedules in this chat. Add one with /schedule add <cron> <prompt>.";
+  return entries
+    .map((entry) => {
+      const last = entry.lastRunAt ? ` · last ${entry.lastRunAt}` : "";
+      const task = entry.taskId ? ` · task ${entry.taskId}` : "";
+      return `${entry.id} [${entry.alias || "default"}${task}] ${entry.cron}\n   ${entry.prompt}\n   next ${entry.nextRunAt}${last}`;
+    })
+    .join("\n");
+}
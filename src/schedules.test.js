@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_SCHEDULES_PER_CHAT,
+  addSchedule,
+  advanceSchedule,
+  createEmptyScheduleStore,
+  formatScheduleList,
+  getChatSchedules,
+  getDueSchedules,
+  normalizeScheduleStore,
+  parseScheduleCommand,
+  removeSchedule,
+} from "./schedules.js";
+
+const chat = { chatId: 42, threadId: null, chatKey: "42" };
+
+test("parseScheduleCommand reads cron fields, macros and multi-line prompts", () => {
+  assert.deepEqual(parseScheduleCommand("/schedule"), { action: "list" });
+  assert.deepEqual(parseScheduleCommand("/schedule add 0 9 * * mon-fri Check CI\nand summarize"), {
+    action: "add",
+    cron: "0 9 * * mon-fri",
+    prompt: "Check CI\nand summarize",
+  });
+  assert.deepEqual(parseScheduleCommand("/schedule add @daily run the tests"), {
+    action: "add",
+    cron: "@daily",
+    prompt: "run the tests",
+  });
+  assert.deepEqual(parseScheduleCommand("/schedule remove S3"), { action: "remove", id: "s3" });
+  assert.match(parseScheduleCommand("/schedule add 0 9 * *").error, /cron expression is required/);
+  assert.match(parseScheduleCommand("/schedule add 0 9 * * *").error, /prompt is required/);
+  assert.match(parseScheduleCommand("/schedule add 0 25 * * * hi").error, /hour must be between/);
+  assert.match(parseScheduleCommand("/schedule remove").error, /id is required/);
+  assert.match(parseScheduleCommand("/schedule pause s1").error, /Unknown action: pause/);
+});
+
+test("addSchedule binds a schedule to the chat and repo alias", () => {
+  const store = createEmptyScheduleStore();
+  const now = new Date(2026, 5, 5, 8, 0);
+  const entry = addSchedule(store, { ...chat, alias: "api", cron: "0 9 * * *", prompt: "hi", createdBy: 7 }, now);
+  assert.equal(entry.id, "s1");
+  assert.equal(entry.alias, "api");
+  assert.equal(entry.nextRunAt, new Date(2026, 5, 5, 9, 0).toISOString());
+  addSchedule(store, { ...chat, chatKey: "99", cron: "@hourly", prompt: "other" }, now);
+  assert.deepEqual(getChatSchedules(store, "42").map((s) => s.id), ["s1"]);
+
+  assert.equal(removeSchedule(store, "99", "s1"), null);
+  assert.equal(removeSchedule(store, "42", "s1").id, "s1");
+  assert.equal(addSchedule(store, { ...chat, cron: "@daily", prompt: "x" }, now).id, "s3");
+
+  for (let i = getChatSchedules(store, "42").length; i < MAX_SCHEDULES_PER_CHAT; i += 1) {
+    addSchedule(store, { ...chat, cron: "@daily", prompt: `p${i}` }, now);
+  }
+  assert.throws(() => addSchedule(store, { ...chat, cron: "@daily", prompt: "one more" }, now), /already has 20/);
+});
+
+test("due schedules fire once and move to their next run", () => {
+  const store = createEmptyScheduleStore();
+  const entry = addSchedule(store, { ...chat, cron: "0 9 * * *", prompt: "hi" }, new Date(2026, 5, 5, 8, 0));
+  assert.deepEqual(getDueSchedules(store, new Date(2026, 5, 5, 8, 59)), []);
+  // The bot was down for two days; only one run happens.
+  const late = new Date(2026, 5, 7, 12, 0);
+  assert.deepEqual(getDueSchedules(store, late), [entry]);
+  advanceSchedule(entry, late);
+  assert.equal(entry.lastRunAt, late.toISOString());
+  assert.equal(entry.nextRunAt, new Date(2026, 5, 8, 9, 0).toISOString());
+  assert.deepEqual(getDueSchedules(store, late), []);
+});
+
+test("normalizeScheduleStore drops invalid entries and keeps ids unique", () => {
+  const now = new Date(2026, 5, 5, 8, 0);
+  const store = normalizeScheduleStore(
+    {
+      nextId: 2,
+      schedules: {
+        s4: { chatKey: "42", cron: "@daily", prompt: "keep", createdAt: "2026-06-01T00:00:00.000Z" },
+        s5: { chatKey: "42", cron: "99 * * * *", prompt: "bad cron" },
+        s6: { chatKey: "42", cron: "@daily" },
+      },
+    },
+    now
+  );
+  assert.deepEqual(Object.keys(store.schedules), ["s4"]);
+  assert.equal(store.nextId, 5);
+  assert.equal(store.schedules.s4.nextRunAt, new Date(2026, 5, 6, 0, 0).toISOString());
+  assert.deepEqual(normalizeScheduleStore(null), createEmptyScheduleStore());
+});
+
+test("formatScheduleList shows the alias, cron and next run", () => {
+  assert.match(formatScheduleList([]), /No schedules in this chat/);
+  const text = formatScheduleList([
+    { id: "s1", alias: null, cron: "@daily", prompt: "hi", nextRunAt: "2026-06-06T00:00:00.000Z", lastRunAt: null },
+  ]);
+  assert.equal(text, "s1 [default] @daily\n   hi\n   next 2026-06-06T00:00:00.000Z");
+  assert.match(
+    formatScheduleList([{ id: "s2", alias: "app", taskId: "check-ci", cron: "@hourly", prompt: "x", nextRunAt: "n", lastRunAt: null }]),
+    /^s2 \[app · task check-ci\] @hourly/
+  );
+});
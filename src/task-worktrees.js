@@ -0,0 +1,112 @@
+import { createHash } from "crypto";
+import path from "path";
+
+const MAX_SLUG_LENGTH = 40;
+const MAX_PROMPT_PREVIEW = 200;
+
+export function slugifyTaskName(text, maxLength = MAX_SLUG_LENGTH) {
+  const slug = String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+  return slug || "task";
+}
+
+export function createEmptyTaskStore() {
+  return { repos: {} };
+}
+
+export function normalizeTaskStore(parsed) {
+  const repos = {};
+  for (const [repoDir, tasks] of Object.entries(parsed?.repos || {})) {
+    if (!tasks || typeof tasks !== "object") continue;
+    const valid = Object.values(tasks).filter((task) => task?.id && task.branch && task.dir);
+    if (valid.length) {
+      repos[repoDir] = Object.fromEntries(valid.map((task) => [task.id, task]));
+    }
+  }
+  return { repos };
+}
+
+export function getRepoTasks(store, repoDir) {
+  return Object.values(store?.repos?.[repoDir] || {}).sort((left, right) =>
+    String(left.createdAt || "").localeCompare(String(right.createdAt || ""))
+  );
+}
+
+export function findRepoTask(store, repoDir, selector) {
+  const needle = String(selector || "").trim().toLowerCase();
+  if (!needle) return null;
+  const tasks = getRepoTasks(store, repoDir);
+  if (/^\d+$/.test(needle)) {
+    return tasks[Number.parseInt(needle, 10) - 1] || null;
+  }
+  return tasks.find((task) => task.id === needle || task.branch.toLowerCase() === needle) || null;
+}
+
+export function allocateTaskId(store, repoDir, text) {
+  const base = slugifyTaskName(text);
+  const taken = new Set(getRepoTasks(store, repoDir).map((task) => task.id));
+  if (!taken.has(base)) return base;
+  for (let suffix = 2; ; suffix += 1) {
+    const candidate = `${base}-${suffix}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+export function buildTaskRecord({ repo, id, worktreeRoot, branchPrefix, prompt, now }) {
+  const repoDir = repo.rootDir || repo.dir;
+  const repoKey = `${path.basename(repoDir)}-${createHash("sha1").update(repoDir).digest("hex").slice(0, 8)}`;
+  return {
+    id,
+    branch: `${branchPrefix}${id}`,
+    dir: path.join(worktreeRoot, repoKey, id),
+    repoDir,
+    baseBranch: repo.branch,
+    remote: repo.remote,
+    prompt: String(prompt || "").slice(0, MAX_PROMPT_PREVIEW),
+    createdAt: now,
+  };
+}
+
+export function addRepoTask(store, task) {
+  const nextStore = store || createEmptyTaskStore();
+  nextStore.repos ||= {};
+  nextStore.repos[task.repoDir] = { ...(nextStore.repos[task.repoDir] || {}), [task.id]: task };
+  return nextStore;
+}
+
+export function removeRepoTask(store, repoDir, taskId) {
+  const tasks = { ...(store?.repos?.[repoDir] || {}) };
+  delete tasks[taskId];
+  if (Object.keys(tasks).length) {
+    store.repos[repoDir] = tasks;
+  } else if (store?.repos) {
+    delete store.repos[repoDir];
+  }
+  return store;
+}
+
+export function createTaskRepoContext(repo, task) {
+  return {
+    ...repo,
+    dir: task.dir,
+    rootDir: task.repoDir,
+    gitDir: task.gitDir || null,
+    branch: task.branch,
+    baseBranch: task.baseBranch,
+    taskId: task.id,
+  };
+}
+
+export function formatTaskList(tasks, activeTaskId) {
+  if (!tasks.length) return "No task worktrees for this repo.";
+  return tasks
+    .map((task, index) => {
+      const marker = task.id === activeTaskId ? "ACTIVE" : "IDLE";
+      return `${index + 1}. ${marker} ${task.id} -> ${task.branch} (from ${task.baseBranch})\n   ${task.prompt || "(no prompt)"}`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addRepoTask,
+  allocateTaskId,
+  buildTaskRecord,
+  createEmptyTaskStore,
+  createTaskRepoContext,
+  findRepoTask,
+  formatTaskList,
+  getRepoTasks,
+  normalizeTaskStore,
+  removeRepoTask,
+  slugifyTaskName,
+} from "./task-worktrees.js";
+
+const repo = { alias: null, dir: "/repo/app", rootDir: "/repo/app", branch: "main", remote: "origin" };
+
+test("slugifyTaskName produces short branch-safe names", () => {
+  assert.equal(slugifyTaskName("Fix the login spinner!"), "fix-the-login-spinner");
+  assert.equal(slugifyTaskName("   "), "task");
+  assert.equal(slugifyTaskName("a".repeat(60)).length, 40);
+});
+
+test("allocateTaskId avoids collisions within a repo", () => {
+  let store = createEmptyTaskStore();
+  const id = allocateTaskId(store, "/repo/app", "Fix login");
+  store = addRepoTask(
+    store,
+    buildTaskRecord({ repo, id, worktreeRoot: "/wt", branchPrefix: "codex/", prompt: "Fix login", now: "t1" })
+  );
+  assert.equal(allocateTaskId(store, "/repo/app", "fix login"), "fix-login-2");
+  assert.equal(allocateTaskId(store, "/repo/other", "fix login"), "fix-login");
+});
+
+test("buildTaskRecord places worktrees under a per-repo directory", () => {
+  const task = buildTaskRecord({
+    repo,
+    id: "fix-login",
+    worktreeRoot: "/data/worktrees",
+    branchPrefix: "codex/",
+    prompt: "Fix login",
+    now: "2026-03-20T00:00:00Z",
+  });
+  assert.equal(task.branch, "codex/fix-login");
+  assert.match(task.dir, /^\/data\/worktrees\/app-[0-9a-f]{8}\/fix-login$/);
+  assert.equal(task.baseBranch, "main");
+  assert.equal(task.repoDir, "/repo/app");
+});
+
+test("task store lookups, removal and repo context", () => {
+  let store = createEmptyTaskStore();
+  for (const [id, now] of [["b-task", "t2"], ["a-task", "t1"]]) {
+    store = addRepoTask(
+      store,
+      buildTaskRecord({ repo, id, worktreeRoot: "/wt", branchPrefix: "codex/", prompt: id, now })
+    );
+  }
+  assert.deepEqual(getRepoTasks(store, "/repo/app").map((task) => task.id), ["a-task", "b-task"]);
+  assert.equal(findRepoTask(store, "/repo/app", "2").id, "b-task");
+  assert.equal(findRepoTask(store, "/repo/app", "codex/a-task").id, "a-task");
+
+  const context = createTaskRepoContext(repo, findRepoTask(store, "/repo/app", "a-task"));
+  assert.equal(context.branch, "codex/a-task");
+  assert.equal(context.baseBranch, "main");
+  assert.equal(context.rootDir, "/repo/app");
+
+  removeRepoTask(store, "/repo/app", "a-task");
+  removeRepoTask(store, "/repo/app", "b-task");
+  assert.deepEqual(store, { repos: {} });
+});
+
+test("normalizeTaskStore drops malformed entries and formatTaskList marks active", () => {
+  const store = normalizeTaskStore({
+    repos: {
+      "/repo/app": {
+        ok: { id: "ok", branch: "codex/ok", dir: "/wt/ok", baseBranch: "main", prompt: "do it" },
+        bad: { id: "bad" },
+      },
+    },
+  });
+  assert.deepEqual(Object.keys(store.repos["/repo/app"]), ["ok"]);
+  assert.equal(
+    formatTaskList(getRepoTasks(store, "/repo/app"), "ok"),
+    "1. ACTIVE ok -> codex/ok (from main)\n   do it"
+  );
+  assert.equal(formatTaskList([], null), "No task worktrees for this repo.");
+});
@@ -0,0 +1,196 @@
+export const TEST_USAGE = "Use: /test [extra args]";
+export const MAX_TEST_LOG_CHARS = 5_000_000;
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Splits a configured command line into argv without a shell: whitespace
+// separates words, quotes group them, and a backslash escapes one character.
+export function splitCommandLine(text) {
+  const words = [];
+  let current = "";
+  let inWord = false;
+  let quote = null;
+  const input = String(text || "");
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && i + 1 < input.length) {
+        current += input[(i += 1)];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inWord = true;
+    } else if (char === "\\" && i + 1 < input.length) {
+      current += input[(i += 1)];
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      if (inWord) words.push(current);
+      current = "";
+      inWord = false;
+    } else {
+      current += char;
+      inWord = true;
+    }
+  }
+  if (quote) throw new Error(`Unterminated ${quote} quote in: ${input}`);
+  if (inWord) words.push(current);
+  return words;
+}
+
+export function buildTestInvocation(testCommand, argsText = "") {
+  const [command, ...args] = splitCommandLine(testCommand);
+  if (!command) throw new Error("No test command is configured for this repo.");
+  return { command, args: [...args, ...splitCommandLine(argsText)] };
+}
+
+// Keeps the end of the log, where runners print failures and totals.
+export function appendTestLog(log, chunk, limit = MAX_TEST_LOG_CHARS) {
+  const next = log + chunk;
+  return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+function countFrom(text, pattern) {
+  const match = text.match(pattern);
+  return match ? Number.parseInt(match[1], 10) : 0;
+}
+
+function lastMatch(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  return matches.length ? matches[matches.length - 1] : null;
+}
+
+function countWords(text) {
+  return {
+    passed: countFrom(text, /(\d+) passed/),
+    failed: countFrom(text, /(\d+) failed/) + countFrom(text, /(\d+) errors?\b/),
+    skipped: countFrom(text, /(\d+) (?:skipped|todo|pending)/),
+  };
+}
+
+// Reads pass/fail counts from the summary lines of common runners
+// (node --test/TAP, Jest, Vitest, pytest, Mocha, cargo, go test).
+// Returns null when none is recognized.
+export function parseTestSummary(log) {
+  const text = String(log || "").replace(ANSI_PATTERN, "");
+
+  const tapPass = lastMatch(text, /^# pass (\d+)$/gm);
+  if (tapPass) {
+    const tail = text.slice(tapPass.index);
+    return {
+      passed: Number.parseInt(tapPass[1], 10),
+      failed: countFrom(tail, /^# fail (\d+)$/m),
+      skipped: countFrom(tail, /^# skip(?:ped)? (\d+)$/m) + countFrom(tail, /^# todo (\d+)$/m),
+    };
+  }
+
+  const jest = lastMatch(text, /^Tests:\s+(.*\d+ total)$/gm);
+  if (jest) return countWords(jest[1]);
+
+  const vitest = lastMatch(text, /^\s*Tests\s+(\d+ (?:passed|failed|skipped|todo).*)$/gm);
+  if (vitest) return countWords(vitest[1]);
+
+  const pytest = lastMatch(text, /^=+ (.*\d+ (?:passed|failed|errors?|skipped).*) in [\d.]+s.* =+$/gm);
+  if (pytest) return countWords(pytest[1]);
+
+  const mochaPassing = lastMatch(text, /^\s*(\d+) passing/gm);
+  if (mochaPassing) {
+    const tail = text.slice(mochaPassing.index);
+    return {
+      passed: Number.parseInt(mochaPassing[1], 10),
+      failed: countFrom(tail, /(\d+) failing/),
+      skipped: countFrom(tail, /(\d+) pending/),
+    };
+  }
+
+  const cargo = [...text.matchAll(/test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored/g)];
+  if (cargo.length) {
+    return cargo.reduce(
+      (sum, match) => ({
+        passed: sum.passed + Number.parseInt(match[1], 10),
+        failed: sum.failed + Number.parseInt(match[2], 10),
+        skipped: sum.skipped + Number.parseInt(match[3], 10),
+      }),
+      { passed: 0, failed: 0, skipped: 0 }
+    );
+  }
+
+  const goCounts = {
+    passed: (text.match(/^\s*--- PASS/gm) || []).length,
+    failed: (text.match(/^\s*--- FAIL/gm) || []).length,
+    skipped: (text.match(/^\s*--- SKIP/gm) || []).length,
+  };
+  if (goCounts.passed + goCounts.failed + goCounts.skipped) return goCounts;
+  return null;
+}
+
+function formatCounts(summary) {
+  if (!summary) return "";
+  const parts = [`${summary.passed} passed`, `${summary.failed} failed`];
+  if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+  return ` (${parts.join(", ")})`;
+}
+
+export function isTestRunPassing(result) {
+  return !result.timedOut && !result.canceled && result.code === 0;
+}
+
+export function formatTestResult(result) {
+  const seconds = `${(result.durationMs / 1000).toFixed(1)}s`;
+  if (result.canceled) return `🛑 Tests canceled after ${seconds}.`;
+  if (result.timedOut) return `⏱️ Tests timed out after ${seconds}${formatCounts(result.summary)}.`;
+  if (isTestRunPassing(result)) return `✅ Tests passed${formatCounts(result.summary)} in ${seconds}.`;
+  return `❌ Tests failed with exit code ${result.code}${formatCounts(result.summary)} in ${seconds}.`;
+}
+
+export function buildTestLogFileName(alias, finishedAt = new Date()) {
+  const stamp = finishedAt.toISOString().replace(/[:.]/g, "-");
+  return `test-${alias || "default"}-${stamp}.log`;
+}
+
+// The latest test run per checkout dir. It belongs to the files on disk, not
+// to a chat, so /new or another chat on the same checkout can't clear it.
+export function createEmptyTestRunStore() {
+  return { runs: {} };
+}
+
+export function normalizeTestRunStore(raw) {
+  const store = createEmptyTestRunStore();
+  const runs = raw?.runs && typeof raw.runs === "object" ? raw.runs : {};
+  for (const [dir, run] of Object.entries(runs)) {
+    if (run && typeof run === "object" && typeof run.ok === "boolean") store.runs[dir] = { ...run, dir };
+  }
+  return store;
+}
+
+export function recordTestRun(store, { dir, result, finishedAt }) {
+  store.runs[dir] = {
+    dir,
+    ok: isTestRunPassing(result),
+    summary: formatTestResult(result),
+    finishedAt,
+  };
+  return store.runs[dir];
+}
+
+// Once files change (an agent run, /undo, /restore, a patch, a merge), the
+// last result no longer describes the checkout. A checkout that has been
+// tested stays gated until the tests run again.
+export function markTestRunStale(store, dir, changedAt) {
+  if (!store.runs[dir]) return false;
+  store.runs[dir] = { dir, ok: false, stale: true, summary: "Files changed since the last test run.", finishedAt: changedAt };
+  return true;
+}
+
+// A push is blocked while the latest test run for that checkout is red.
+export function getPushTestBlocker(store, dir) {
+  const run = store?.runs?.[dir];
+  if (!run || run.ok) return null;
+  if (run.stale) {
+    return "Files changed since the tests last ran. Run /test first, or push anyway with /confirmpush --force.";
+  }
+  return `Tests are red: ${run.summary}\nFix them and run /test again, or push anyway with /confirmpush --force.`;
+}
@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createEmptySession, resetSessionRepoState } from "./chat-session.js";
+import {
+  appendTestLog,
+  buildTestInvocation,
+  buildTestLogFileName,
+  createEmptyTestRunStore,
+  formatTestResult,
+  getPushTestBlocker,
+  markTestRunStale,
+  normalizeTestRunStore,
+  parseTestSummary,
+  recordTestRun,
+  splitCommandLine,
+} from "./test-runner.js";
+
+test("splitCommandLine handles quotes and escapes without a shell", () => {
+  assert.deepEqual(splitCommandLine(`npm test -- --grep "login flow" 'a b' c\\ d ""`), [
+    "npm",
+    "test",
+    "--",
+    "--grep",
+    "login flow",
+    "a b",
+    "c d",
+    "",
+  ]);
+  assert.deepEqual(splitCommandLine("echo $(whoami); rm -rf /"), ["echo", "$(whoami);", "rm", "-rf", "/"]);
+  assert.throws(() => splitCommandLine(`pytest -k "oops`), /Unterminated " quote/);
+});
+
+test("buildTestInvocation appends /test args to the configured command", () => {
+  assert.deepEqual(buildTestInvocation("npm test --", "src/a.test.js"), {
+    command: "npm",
+    args: ["test", "--", "src/a.test.js"],
+  });
+  assert.throws(() => buildTestInvocation("", "x"), /No test command/);
+});
+
+test("appendTestLog keeps the tail of long logs", () => {
+  assert.equal(appendTestLog("abc", "def", 4), "cdef");
+  assert.equal(appendTestLog("", "ok", 4), "ok");
+});
+
+test("parseTestSummary recognizes common runners", () => {
+  assert.deepEqual(parseTestSummary("ok 1\n# tests 12\n# pass 10\n# fail 1\n# skipped 1\n# todo 0\n"), {
+    passed: 10,
+    failed: 1,
+    skipped: 1,
+  });
+  assert.deepEqual(parseTestSummary("Tests:       2 failed, 1 skipped, 30 passed, 33 total\n"), {
+    passed: 30,
+    failed: 2,
+    skipped: 1,
+  });
+  assert.deepEqual(parseTestSummary(" Test Files  1 failed | 3 passed (4)\n      Tests  1 failed | 12 passed (13)\n"), {
+    passed: 12,
+    failed: 1,
+    skipped: 0,
+  });
+  assert.deepEqual(parseTestSummary("===== 1 failed, 10 passed, 2 skipped in 0.52s =====\n"), {
+    passed: 10,
+    failed: 1,
+    skipped: 2,
+  });
+  assert.deepEqual(parseTestSummary("\x1b[32m  8 passing\x1b[0m (20ms)\n  1 pending\n  2 failing\n"), {
+    passed: 8,
+    failed: 2,
+    skipped: 1,
+  });
+  assert.deepEqual(
+    parseTestSummary(
+      "test result: ok. 3 passed; 0 failed; 1 ignored; 0 measured\ntest result: FAILED. 2 passed; 1 failed; 0 ignored;\n"
+    ),
+    { passed: 5, failed: 1, skipped: 1 }
+  );
+  assert.deepEqual(parseTestSummary("--- PASS: TestA (0.00s)\n--- FAIL: TestB (0.01s)\nFAIL\n"), {
+    passed: 1,
+    failed: 1,
+    skipped: 0,
+  });
+  assert.equal(parseTestSummary("Build succeeded."), null);
+});
+
+test("formatTestResult reports pass, failure, timeout and cancel", () => {
+  const summary = { passed: 10, failed: 1, skipped: 0 };
+  assert.equal(formatTestResult({ code: 0, durationMs: 1234, summary: null }), "✅ Tests passed in 1.2s.");
+  assert.equal(
+    formatTestResult({ code: 1, durationMs: 5000, summary }),
+    "❌ Tests failed with exit code 1 (10 passed, 1 failed) in 5.0s."
+  );
+  assert.equal(formatTestResult({ code: null, timedOut: true, durationMs: 60000, summary: null }), "⏱️ Tests timed out after 60.0s.");
+  assert.equal(formatTestResult({ code: null, canceled: true, durationMs: 100 }), "🛑 Tests canceled after 0.1s.");
+  assert.equal(buildTestLogFileName(null, new Date("2026-06-05T09:30:00.000Z")), "test-default-2026-06-05T09-30-00-000Z.log");
+});
+
+test("getPushTestBlocker only blocks on a red run of the same checkout", () => {
+  const store = createEmptyTestRunStore();
+  recordTestRun(store, { dir: "/repo", result: { code: 1, durationMs: 10 }, finishedAt: "now" });
+  assert.match(getPushTestBlocker(store, "/repo"), /^Tests are red: ❌ Tests failed.*\n.*--force/);
+  assert.equal(getPushTestBlocker(store, "/wt/1"), null);
+  assert.equal(getPushTestBlocker(createEmptyTestRunStore(), "/repo"), null);
+  recordTestRun(store, { dir: "/repo", result: { code: 0, durationMs: 10 }, finishedAt: "now" });
+  assert.equal(getPushTestBlocker(store, "/repo"), null);
+});
+
+test("a red run stays blocking across /new and for every chat on the checkout", () => {
+  const store = createEmptyTestRunStore();
+  const session = createEmptySession();
+  recordTestRun(store, { dir: "/repo", result: { code: 1, durationMs: 10 }, finishedAt: "now" });
+  resetSessionRepoState(session);
+  assert.match(getPushTestBlocker(store, "/repo"), /^Tests are red/);
+  assert.match(getPushTestBlocker(normalizeTestRunStore(JSON.parse(JSON.stringify(store))), "/repo"), /^Tests are red/);
+});
+
+test("markTestRunStale gates a tested checkout until the tests run again", () => {
+  const store = createEmptyTestRunStore();
+  assert.equal(markTestRunStale(store, "/repo", "later"), false);
+  assert.equal(getPushTestBlocker(store, "/repo"), null);
+
+  recordTestRun(store, { dir: "/repo", result: { code: 0, durationMs: 10 }, finishedAt: "now" });
+  assert.equal(markTestRunStale(store, "/repo", "later"), true);
+  assert.match(getPushTestBlocker(store, "/repo"), /^Files changed since the tests last ran/);
+  recordTestRun(store, { dir: "/repo", result: { code: 0, durationMs: 10 }, finishedAt: "after" });
+  assert.equal(getPushTestBlocker(store, "/repo"), null);
+});
@@ -0,0 +1,92 @@
+import path from "path";
+import { splitCommandLine } from "./test-runner.js";
+
+export const TRANSCRIBE_BACKENDS = ["openai", "command"];
+export const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+export const OPENAI_UPLOAD_LIMIT_BYTES = 25 * 1024 * 1024;
+const CHUNK_BITRATE = 64000;
+
+export function buildTranscriptionUrl(baseUrl) {
+  return `${String(baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, "")}/audio/transcriptions`;
+}
+
+// Self-hosted OpenAI-compatible servers often need no key, so one is only
+// required against the default OpenAI endpoint.
+export function getTranscriptionBlocker({ transcribeBackend, transcribeCommand, openaiApiKey, openaiBaseUrl }) {
+  if (transcribeBackend === "command") {
+    return transcribeCommand ? null : "TRANSCRIBE_COMMAND not configured.";
+  }
+  const usesOpenAi = buildTranscriptionUrl(openaiBaseUrl) === buildTranscriptionUrl(DEFAULT_OPENAI_BASE_URL);
+  return usesOpenAi && !openaiApiKey ? "OPENAI_API_KEY not configured." : null;
+}
+
+export function commandNeedsWav(commandLine) {
+  return String(commandLine || "").includes("{wav}");
+}
+
+// {input} is the recording as received and {wav} a 16 kHz mono WAV copy
+// (for whisper.cpp and similar). Without either, the input path is appended.
+export function buildTranscribeCommand(commandLine, { input, wav = null }) {
+  const [command, ...args] = splitCommandLine(commandLine);
+  if (!command) throw new Error("TRANSCRIBE_COMMAND is empty.");
+  const hasPlaceholder = args.some((arg) => arg.includes("{input}") || arg.includes("{wav}"));
+  const expanded = args.map((arg) => arg.replaceAll("{input}", input).replaceAll("{wav}", wav ?? input));
+  return { command, args: hasPlaceholder ? expanded : [...expanded, input] };
+}
+
+// Local transcribers tend to print "[00:00:01.000 --> 00:00:04.000]" segment
+// timestamps; keep only the text.
+export function cleanCommandTranscript(output) {
+  return String(output || "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\[[\d:.,]+\s*-->\s*[\d:.,]+\]\s*/, "").trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+export function needsSplitting(size, maxUploadBytes) {
+  return Boolean(maxUploadBytes) && size > maxUploadBytes;
+}
+
+// Seconds of re-encoded audio (mono MP3 at 64 kbit/s) that fit under the
+// upload limit, leaving a tenth for container overhead.
+export function getChunkSeconds(maxUploadBytes, bitrate = CHUNK_BITRATE) {
+  return Math.max(30, Math.floor(((maxUploadBytes * 8) / bitrate) * 0.9));
+}
+
+export function buildSplitArgs(inputPath, outputDir, chunkSeconds) {
+  return [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    inputPath,
+    "-vn",
+    "-ac",
+    "1",
+    "-ar",
+    "16000",
+    "-c:a",
+    "libmp3lame",
+    "-b:a",
+    `${CHUNK_BITRATE / 1000}k`,
+    "-f",
+    "segment",
+    "-segment_time",
+    String(chunkSeconds),
+    "-reset_timestamps",
+    "1",
+    path.join(outputDir, "chunk-%03d.mp3"),
+  ];
+}
+
+export function buildWavArgs(inputPath, outputPath) {
+  return ["-hide_banner", "-loglevel", "error", "-i", inputPath, "-vn", "-ac", "1", "-ar", "16000", "-c:a", "pcm_s16le", outputPath];
+}
+
+export function joinTranscripts(parts) {
+  return parts
+    .map((part) => String(part || "").trim())
+    .filter(Boolean)
+    .join(" ");
+}
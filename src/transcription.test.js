@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  OPENAI_UPLOAD_LIMIT_BYTES,
+  buildSplitArgs,
+  buildTranscribeCommand,
+  buildTranscriptionUrl,
+  cleanCommandTranscript,
+  commandNeedsWav,
+  getChunkSeconds,
+  getTranscriptionBlocker,
+  joinTranscripts,
+  needsSplitting,
+} from "./transcription.js";
+
+test("buildTranscriptionUrl appends the endpoint to a base URL", () => {
+  assert.equal(buildTranscriptionUrl(""), "https://api.openai.com/v1/audio/transcriptions");
+  assert.equal(buildTranscriptionUrl("http://localhost:8000/v1/"), "http://localhost:8000/v1/audio/transcriptions");
+});
+
+test("getTranscriptionBlocker requires a key only for OpenAI itself", () => {
+  assert.equal(getTranscriptionBlocker({ transcribeBackend: "openai", openaiApiKey: "" }), "OPENAI_API_KEY not configured.");
+  assert.equal(getTranscriptionBlocker({ transcribeBackend: "openai", openaiApiKey: "sk" }), null);
+  assert.equal(
+    getTranscriptionBlocker({ transcribeBackend: "openai", openaiApiKey: "", openaiBaseUrl: "http://whisper:9000/v1" }),
+    null
+  );
+  assert.equal(getTranscriptionBlocker({ transcribeBackend: "command", transcribeCommand: "" }), "TRANSCRIBE_COMMAND not configured.");
+  assert.equal(getTranscriptionBlocker({ transcribeBackend: "command", transcribeCommand: "whisper {input}" }), null);
+});
+
+test("buildTranscribeCommand fills placeholders or appends the input", () => {
+  assert.deepEqual(buildTranscribeCommand("whisper-cli -m 'models/base en.bin' -nt -f {wav}", { input: "/in/a.oga", wav: "/tmp/a.wav" }), {
+    command: "whisper-cli",
+    args: ["-m", "models/base en.bin", "-nt", "-f", "/tmp/a.wav"],
+  });
+  assert.deepEqual(buildTranscribeCommand("transcribe --lang en", { input: "/in/a.oga" }), {
+    command: "transcribe",
+    args: ["--lang", "en", "/in/a.oga"],
+  });
+  assert.deepEqual(buildTranscribeCommand("t --file={input}", { input: "/in/a.oga" }).args, ["--file=/in/a.oga"]);
+  assert.equal(commandNeedsWav("whisper-cli -f {wav}"), true);
+  assert.equal(commandNeedsWav("whisper {input}"), false);
+  assert.throws(() => buildTranscribeCommand("  ", { input: "/in/a.oga" }), /TRANSCRIBE_COMMAND is empty/);
+});
+
+test("cleanCommandTranscript drops segment timestamps", () => {
+  assert.equal(
+    cleanCommandTranscript("\n[00:00:00.000 --> 00:00:02.500]   Fix the login\n[00:00:02.500 --> 00:00:04.000]  spinner.\n"),
+    "Fix the login spinner."
+  );
+  assert.equal(cleanCommandTranscript("plain text\n"), "plain text");
+});
+
+test("recordings over the upload limit are split into chunks that fit", () => {
+  assert.equal(needsSplitting(OPENAI_UPLOAD_LIMIT_BYTES + 1, OPENAI_UPLOAD_LIMIT_BYTES), true);
+  assert.equal(needsSplitting(OPENAI_UPLOAD_LIMIT_BYTES, OPENAI_UPLOAD_LIMIT_BYTES), false);
+  assert.equal(needsSplitting(10 ** 9, null), false);
+  const seconds = getChunkSeconds(OPENAI_UPLOAD_LIMIT_BYTES);
+  assert.ok((seconds * 64000) / 8 < OPENAI_UPLOAD_LIMIT_BYTES);
+  assert.equal(getChunkSeconds(1000), 30);
+
+  const args = buildSplitArgs("/in/rec.mp4", "/tmp/chunks", 300);
+  assert.deepEqual(args.slice(args.indexOf("-segment_time"), args.indexOf("-segment_time") + 2), ["-segment_time", "300"]);
+  assert.equal(args[args.length - 1], "/tmp/chunks/chunk-%03d.mp3");
+  assert.ok(args.includes("-vn"));
+});
+
+test("joinTranscripts joins non-empty chunk transcripts", () => {
+  assert.equal(joinTranscripts([" first part ", "", "second part"]), "first part second part");
+});
@@ -0,0 +1,77 @@
+import path from "path";
+import { getArchiveKind, stripArchiveSuffix } from "./archive-extract.js";
+
+export const DEFAULT_UPLOAD_EXTENSIONS = [
+  ".txt", ".log", ".md", ".csv", ".tsv", ".json", ".jsonl", ".yaml", ".yml", ".toml", ".xml", ".ini",
+  ".html", ".css", ".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".py", ".rb", ".go", ".rs", ".java", ".kt",
+  ".c", ".h", ".cpp", ".hpp", ".cs", ".php", ".sh", ".sql", ".proto", ".graphql",
+  ".patch", ".diff", ".pdf", ".zip", ".tar", ".tar.gz", ".tgz",
+];
+export const PATCH_EXTENSIONS = [".patch", ".diff"];
+// Telegram's Bot API only lets bots download files up to 20 MB.
+export const TELEGRAM_DOWNLOAD_LIMIT_BYTES = 20 * 1024 * 1024;
+
+function matchesExtension(fileName, extensions) {
+  const lower = String(fileName || "").toLowerCase();
+  return extensions.some((extension) => lower.endsWith(extension));
+}
+
+export function normalizeExtensionList(raw) {
+  return [
+    ...new Set(
+      String(raw || "")
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase())
+        .filter(Boolean)
+        .map((entry) => (entry.startsWith(".") ? entry : `.${entry}`))
+    ),
+  ];
+}
+
+export function getDocumentKind(fileName) {
+  if (getArchiveKind(fileName)) return "archive";
+  if (matchesExtension(fileName, PATCH_EXTENSIONS)) return "patch";
+  return "file";
+}
+
+// Returns null when the upload may be saved, or a reason it was refused.
+export function checkUpload(document, { allowedExtensions, maxBytes }) {
+  const fileName = document?.file_name || "";
+  if (!matchesExtension(fileName, allowedExtensions)) {
+    const extension = path.extname(fileName) || "(none)";
+    return `Files of type ${extension} aren't accepted. Allowed: ${allowedExtensions.join(" ")}`;
+  }
+  if (Number(document.file_size) > maxBytes) {
+    return `${fileName} is ${(document.file_size / 1048576).toFixed(1)} MB; the limit is ${(maxBytes / 1048576).toFixed(1)} MB.`;
+  }
+  return null;
+}
+
+// Prefixes a timestamp so repeated uploads of the same name don't collide and
+// strips anything that isn't safe in a single path segment.
+export function sanitizeUploadName(fileName, now = new Date()) {
+  const base = path.basename(String(fileName || "").replace(/\\/g, "/"));
+  const cleaned = base.replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^\.+/, "").slice(-120) || "upload";
+  return `${now.toISOString().replace(/[:.]/g, "-")}-${cleaned}`;
+}
+
+export function getExtractDirName(savedName) {
+  return `${stripArchiveSuffix(savedName)}-extracted`;
+}
+
+// `upload` is { path, kind, extractedDir?, extractedCount?, skipped?, error? }.
+export function buildUploadPromptSection(upload) {
+  if (!upload) return "No file uploaded.";
+  const lines = [`User uploaded a file at: ${upload.path}`];
+  if (upload.extractedDir) {
+    lines.push(`It was unpacked (${upload.extractedCount} files) into: ${upload.extractedDir}`);
+  }
+  if (upload.skipped?.length) {
+    lines.push(`Entries left out while unpacking: ${upload.skipped.map((entry) => `${entry.name} (${entry.reason})`).join(", ")}`);
+  }
+  if (upload.error) lines.push(`It could not be unpacked: ${upload.error}`);
+  if (upload.kind === "patch") {
+    lines.push("It is a patch. Don't apply it unless the user asks; the bot offers its own apply button.");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_UPLOAD_EXTENSIONS,
+  buildUploadPromptSection,
+  checkUpload,
+  getDocumentKind,
+  getExtractDirName,
+  normalizeExtensionList,
+  sanitizeUploadName,
+} from "./uploads.js";
+
+const LIMITS = { allowedExtensions: DEFAULT_UPLOAD_EXTENSIONS, maxBytes: 1024 };
+
+test("normalizeExtensionList lowercases and adds the leading dot", () => {
+  assert.deepEqual(normalizeExtensionList(" LOG, .txt,tar.gz,,log "), [".log", ".txt", ".tar.gz"]);
+});
+
+test("getDocumentKind separates archives and patches from plain files", () => {
+  assert.equal(getDocumentKind("fix.patch"), "patch");
+  assert.equal(getDocumentKind("fix.DIFF"), "patch");
+  assert.equal(getDocumentKind("logs.tgz"), "archive");
+  assert.equal(getDocumentKind("crash.log"), "file");
+});
+
+test("checkUpload enforces the extension allowlist and size limit", () => {
+  assert.equal(checkUpload({ file_name: "crash.log", file_size: 100 }, LIMITS), null);
+  assert.match(checkUpload({ file_name: "tool.exe", file_size: 100 }, LIMITS), /\.exe aren't accepted/);
+  assert.match(checkUpload({ file_name: "Makefile", file_size: 100 }, LIMITS), /\(none\) aren't accepted/);
+  assert.match(checkUpload({ file_name: "huge.log", file_size: 4096 }, LIMITS), /limit is 0\.0 MB/);
+});
+
+test("checkUpload refuses env files unless UPLOAD_EXTENSIONS opts in", () => {
+  assert.match(checkUpload({ file_name: ".env", file_size: 100 }, LIMITS), /aren't accepted/);
+  assert.match(checkUpload({ file_name: "prod.env", file_size: 100 }, LIMITS), /\.env aren't accepted/);
+  const optedIn = { ...LIMITS, allowedExtensions: normalizeExtensionList("env,log") };
+  assert.equal(checkUpload({ file_name: "prod.env", file_size: 100 }, optedIn), null);
+});
+
+test("sanitizeUploadName keeps a single safe path segment", () => {
+  const now = new Date("2026-03-01T10:20:30.000Z");
+  assert.equal(sanitizeUploadName("my report (1).log", now), "2026-03-01T10-20-30-000Z-my_report_1_.log");
+  assert.equal(sanitizeUploadName("../../.bashrc", now), "2026-03-01T10-20-30-000Z-bashrc");
+  assert.equal(sanitizeUploadName("", now), "2026-03-01T10-20-30-000Z-upload");
+  assert.equal(getExtractDirName("2026-x-logs.tar.gz"), "2026-x-logs-extracted");
+});
+
+test("buildUploadPromptSection describes the saved and unpacked files", () => {
+  assert.equal(buildUploadPromptSection(null), "No file uploaded.");
+  const archive = buildUploadPromptSection({
+    path: "/repo/.codex-inputs/logs.zip",
+    kind: "archive",
+    extractedDir: "/repo/.codex-inputs/logs-extracted",
+    extractedCount: 2,
+    skipped: [{ name: "../x", reason: "unsafe path" }],
+  });
+  assert.match(archive, /uploaded a file at: \/repo\/\.codex-inputs\/logs\.zip/);
+  assert.match(archive, /unpacked \(2 files\) into: \/repo\/\.codex-inputs\/logs-extracted/);
+  assert.match(archive, /\.\.\/x \(unsafe path\)/);
+  assert.match(buildUploadPromptSection({ path: "/p/fix.patch", kind: "patch" }), /Don't apply it unless the user asks/);
+});
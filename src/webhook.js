@@ -0,0 +1,89 @@
+import http from "http";
+import { timingSafeEqual } from "crypto";
+
+export const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+export const ALLOWED_UPDATES = ["message", "callback_query"];
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export function isValidSecretToken(received, secret) {
+  const a = Buffer.from(String(received || ""));
+  const b = Buffer.from(String(secret || ""));
+  return b.length > 0 && a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Telegram retries a delivery until it gets a 2xx, so the same update can
+// arrive twice around restarts or slow responses. Remembers the last `limit` ids.
+export function createUpdateDeduper(limit = 1000) {
+  const seen = new Set();
+  const order = [];
+  return {
+    isDuplicate(updateId) {
+      if (!Number.isInteger(updateId)) return false;
+      if (seen.has(updateId)) return true;
+      seen.add(updateId);
+      order.push(updateId);
+      if (order.length > limit) seen.delete(order.shift());
+      return false;
+    },
+  };
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error("Request body too large."), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Answers Telegram right away and hands the update off afterwards, so a slow
+// handler never makes Telegram time out and redeliver.
+export function createWebhookHandler({ path, secret, onUpdate, deduper = createUpdateDeduper() }) {
+  return async (req, res) => {
+    const reply = (statusCode, text = "") => {
+      res.writeHead(statusCode, { "Content-Type": "text/plain" });
+      res.end(text);
+    };
+    const requestPath = String(req.url || "").split("?")[0];
+    if (requestPath !== path) return reply(404, "Not found");
+    if (req.method !== "POST") return reply(405, "Method not allowed");
+    if (!isValidSecretToken(req.headers[SECRET_HEADER], secret)) return reply(401, "Unauthorized");
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    } catch (err) {
+      return reply(err.statusCode || 400, err.statusCode ? err.message : "Invalid JSON");
+    }
+    if (!update || typeof update !== "object") return reply(400, "Invalid update");
+
+    reply(200, "ok");
+    if (deduper.isDuplicate(update.update_id)) return;
+    try {
+      await onUpdate(update);
+    } catch (err) {
+      console.error(`Failed to process update ${update.update_id}.`, err);
+    }
+  };
+}
+
+export function startWebhookServer({ host, port, handler }) {
+  const server = http.createServer(handler);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  SECRET_HEADER,
+  createUpdateDeduper,
+  createWebhookHandler,
+  isValidSecretToken,
+  startWebhookServer,
+} from "./webhook.js";
+
+async function withServer(onUpdate, run) {
+  const handler = createWebhookHandler({ path: "/hook", secret: "s3cret", onUpdate });
+  const server = await startWebhookServer({ host: "127.0.0.1", port: 0, handler });
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function post(url, body, secret = "s3cret") {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(secret ? { [SECRET_HEADER]: secret } : {}) },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+test("isValidSecretToken compares exactly and rejects an empty secret", () => {
+  assert.equal(isValidSecretToken("abc", "abc"), true);
+  assert.equal(isValidSecretToken("abd", "abc"), false);
+  assert.equal(isValidSecretToken("ab", "abc"), false);
+  assert.equal(isValidSecretToken(undefined, ""), false);
+});
+
+test("createUpdateDeduper remembers a bounded window of update ids", () => {
+  const deduper = createUpdateDeduper(2);
+  assert.equal(deduper.isDuplicate(1), false);
+  assert.equal(deduper.isDuplicate(1), true);
+  deduper.isDuplicate(2);
+  deduper.isDuplicate(3);
+  assert.equal(deduper.isDuplicate(1), false);
+  assert.equal(deduper.isDuplicate(undefined), false);
+});
+
+test("webhook handler checks path, method and secret, and drops repeated updates", async () => {
+  const received = [];
+  await withServer(
+    (update) => received.push(update.update_id),
+    async (baseUrl) => {
+      assert.equal((await post(`${baseUrl}/other`, {})).status, 404);
+      assert.equal((await fetch(`${baseUrl}/hook`)).status, 405);
+      assert.equal((await post(`${baseUrl}/hook`, { update_id: 1 }, "wrong")).status, 401);
+      assert.equal((await post(`${baseUrl}/hook`, { update_id: 1 }, null)).status, 401);
+      assert.equal((await post(`${baseUrl}/hook`, "{not json")).status, 400);
+
+      assert.equal((await post(`${baseUrl}/hook?x=1`, { update_id: 7 })).status, 200);
+      assert.equal((await post(`${baseUrl}/hook`, { update_id: 7 })).status, 200);
+      assert.equal((await post(`${baseUrl}/hook`, { update_id: 8 })).status, 200);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(received, [7, 8]);
+    }
+  );
+});